@@ -4,6 +4,7 @@ pragma solidity 0.8.22;
 import {Address} from "@openzeppelin/contracts/utils/Address.sol";
 import {AccessControl} from "@animoca/ethereum-contracts/contracts/access/AccessControl.sol";
 import {AccessControlStorage} from "@animoca/ethereum-contracts/contracts/access/libraries/AccessControlStorage.sol";
+import {InterfaceDetectionStorage} from "@animoca/ethereum-contracts/contracts/introspection/libraries/InterfaceDetectionStorage.sol";
 import {ContractOwnership} from "@animoca/ethereum-contracts/contracts/access/ContractOwnership.sol";
 import {TokenRecovery} from "@animoca/ethereum-contracts/contracts/security/TokenRecovery.sol";
 import {ITokenMetadataResolver} from "@animoca/ethereum-contracts/contracts/token/metadata/interfaces/ITokenMetadataResolver.sol";
@@ -16,24 +17,34 @@ import {Transfer} from "@animoca/ethereum-contracts/contracts/token/ERC721/event
 import {ERC721Storage} from "@animoca/ethereum-contracts/contracts/token/ERC721/libraries/ERC721Storage.sol";
 import {ERC721Metadata} from "@animoca/ethereum-contracts/contracts/token/ERC721/ERC721Metadata.sol";
 import {IEDULand} from "./interfaces/IEDULand.sol";
+import {IERC4907} from "./interfaces/IERC4907.sol";
 
 /// @title EDULand
 /// @notice A contract that implements the ERC721 standard with metadata, minting, burning and transfer operations.
 /// @notice Minting, Burning and Transfer operations can only be performed by accounts with the operator role.
 /// @notice approve and setApprovalForAll operations are not allowed.
+/// @notice The operators can set an ERC-4907 user of a token, which is reset when the token is transferred or burnt.
 contract EDULand is IEDULand, ERC721Metadata, AccessControl, TokenRecovery {
     using Address for address;
     using ERC721Storage for ERC721Storage.Layout;
     using AccessControlStorage for AccessControlStorage.Layout;
+    using InterfaceDetectionStorage for InterfaceDetectionStorage.Layout;
+
+    struct UserInfo {
+        address user;
+        uint64 expires;
+    }
 
     /// @notice The role identifier for the operator role.
     bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
 
+    mapping(uint256 => UserInfo) internal _users;
+
     /// @notice error message for approve and setApprovalForAll operations
     error ApprovalNotAllowed();
 
     /// @notice Constructor
-    /// @notice Marks the following ERC165 interface(s) as supported: ERC721, ERC721Mintable, ERC721Burnable, ERC721BatchTransfer
+    /// @notice Marks the following ERC165 interface(s) as supported: ERC721, ERC721Mintable, ERC721Burnable, ERC721BatchTransfer, ERC4907
     /// @param tokenName The name of the token.
     /// @param tokenSymbol The symbol of the token.
     /// @param metadataResolver The address of the metadata resolver contract.
@@ -46,6 +57,7 @@ contract EDULand is IEDULand, ERC721Metadata, AccessControl, TokenRecovery {
         ERC721Storage.initERC721Mintable();
         ERC721Storage.initERC721Burnable();
         ERC721Storage.initERC721BatchTransfer();
+        InterfaceDetectionStorage.layout().setSupportedInterface(type(IERC4907).interfaceId, true);
     }
 
     function approve(address, uint256) external pure {
@@ -83,6 +95,7 @@ contract EDULand is IEDULand, ERC721Metadata, AccessControl, TokenRecovery {
     /// @dev Reverts with {ERC721NonExistingToken} if `tokenId` does not exist.
     /// @dev Reverts with {ERC721NonOwnedToken} if `tokenId` is not owned by `from`.
     /// @dev Emits an {IERC721-Transfer} event with `to` set to the zero address.
+    /// @dev Emits an {IERC4907-UpdateUser} event if the token has a user.
     /// @param from The current token owner.
     /// @param tokenId The identifier of the token to burn.
     function burnFrom(address from, uint256 tokenId) external {
@@ -94,6 +107,7 @@ contract EDULand is IEDULand, ERC721Metadata, AccessControl, TokenRecovery {
         if (owner != from) revert ERC721NonOwnedToken(from, tokenId);
 
         erc721Storage.owners[tokenId] = ERC721Storage.BURNT_TOKEN_OWNER_VALUE;
+        _resetUser(tokenId);
 
         unchecked {
             // cannot underflow as balance is verified through TOKEN ownership
@@ -107,6 +121,7 @@ contract EDULand is IEDULand, ERC721Metadata, AccessControl, TokenRecovery {
     /// @dev Reverts with {ERC721NonExistingToken} if any of the `tokenIds` does not exist.
     /// @dev Reverts with {ERC721NonOwnedToken} if any of the `tokenIds` is not owned by `from`.
     /// @dev Emits an {IERC721-Transfer} event with `to` set to the zero address for each of `tokenIds`.
+    /// @dev Emits an {IERC4907-UpdateUser} event for each of `tokenIds` which has a user.
     /// @param from The current token owner.
     /// @param tokenIds The identifiers of the tokens to burn.
     function batchBurnFrom(address from, uint256[] calldata tokenIds) external {
@@ -121,6 +136,7 @@ contract EDULand is IEDULand, ERC721Metadata, AccessControl, TokenRecovery {
             if (owner != from) revert ERC721NonOwnedToken(from, tokenId);
 
             erc721Storage.owners[tokenId] = ERC721Storage.BURNT_TOKEN_OWNER_VALUE;
+            _resetUser(tokenId);
             emit Transfer(from, address(0), tokenId);
         }
 
@@ -173,6 +189,7 @@ contract EDULand is IEDULand, ERC721Metadata, AccessControl, TokenRecovery {
     /// @dev Reverts with {ERC721NonExistingToken} if one of `tokenIds` does not exist.
     /// @dev Reverts with {ERC721NonOwnedToken} if one of `tokenIds` is not owned by `from`.
     /// @dev Emits a {Transfer} event for each of `tokenIds`.
+    /// @dev Emits an {UpdateUser} event for each of `tokenIds` which has a user, if `from` is not `to`.
     /// @param from Current tokens owner.
     /// @param to Address of the new token owner.
     /// @param tokenIds Identifiers of the tokens to transfer.
@@ -189,6 +206,9 @@ contract EDULand is IEDULand, ERC721Metadata, AccessControl, TokenRecovery {
             if (owner == address(0)) revert ERC721NonExistingToken(tokenId);
             if (owner != from) revert ERC721NonOwnedToken(from, tokenId);
             erc721Storage.owners[tokenId] = uint256(uint160(to));
+            if (from != to) {
+                _resetUser(tokenId);
+            }
             emit Transfer(from, to, tokenId);
         }
 
@@ -202,6 +222,32 @@ contract EDULand is IEDULand, ERC721Metadata, AccessControl, TokenRecovery {
         }
     }
 
+    /// @inheritdoc IERC4907
+    /// @dev Reverts with {NotRoleHolder} if the sender does not have the operator role.
+    /// @dev Reverts with {ERC721NonExistingToken} if `tokenId` does not exist.
+    /// @dev Emits an {UpdateUser} event.
+    function setUser(uint256 tokenId, address user, uint64 expires) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, _msgSender());
+        ERC721Storage.layout().ownerOf(tokenId);
+
+        _users[tokenId] = UserInfo(user, expires);
+        emit UpdateUser(tokenId, user, expires);
+    }
+
+    /// @inheritdoc IERC4907
+    function userOf(uint256 tokenId) external view returns (address) {
+        UserInfo storage info = _users[tokenId];
+        if (info.expires < block.timestamp) {
+            return address(0);
+        }
+        return info.user;
+    }
+
+    /// @inheritdoc IERC4907
+    function userExpires(uint256 tokenId) external view returns (uint256) {
+        return _users[tokenId].expires;
+    }
+
     /// @inheritdoc IERC721
     function balanceOf(address owner) external view returns (uint256 balance) {
         return ERC721Storage.layout().balanceOf(owner);
@@ -229,6 +275,7 @@ contract EDULand is IEDULand, ERC721Metadata, AccessControl, TokenRecovery {
     /// @dev Reverts with {ERC721NonExistingToken} if `tokenId` does not exist.
     /// @dev Reverts with {ERC721NonOwnedToken} if `from` is not the owner of `tokenId`.
     /// @dev Emits a {Transfer} event.
+    /// @dev Emits an {UpdateUser} event if the token has a user and `from` is not `to`.
     /// @param sender The sender of the transaction.
     /// @param from The current token owner.
     /// @param to The recipient of the token transfer.
@@ -245,6 +292,7 @@ contract EDULand is IEDULand, ERC721Metadata, AccessControl, TokenRecovery {
 
         erc721Storage.owners[tokenId] = uint256(uint160(to));
         if (from != to) {
+            _resetUser(tokenId);
             unchecked {
                 // cannot underflow as balance is verified through ownership
                 --erc721Storage.balances[from];
@@ -254,4 +302,14 @@ contract EDULand is IEDULand, ERC721Metadata, AccessControl, TokenRecovery {
         }
         emit Transfer(from, to, tokenId);
     }
+
+    /// @notice Removes the user of a token, as the ownership of the token changes.
+    /// @dev Emits an {UpdateUser} event if the token has a user.
+    /// @param tokenId The identifier of the token.
+    function _resetUser(uint256 tokenId) internal {
+        if (_users[tokenId].user != address(0)) {
+            delete _users[tokenId];
+            emit UpdateUser(tokenId, address(0), 0);
+        }
+    }
 }
@@ -0,0 +1,230 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.22;
+
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {AccessControl} from "@animoca/ethereum-contracts/contracts/access/AccessControl.sol";
+import {AccessControlStorage} from "@animoca/ethereum-contracts/contracts/access/libraries/AccessControlStorage.sol";
+import {ContractOwnership} from "@animoca/ethereum-contracts/contracts/access/ContractOwnership.sol";
+import {InconsistentArrayLengths} from "@animoca/ethereum-contracts/contracts/CommonErrors.sol";
+import {IEDULandPriceHelper} from "./interfaces/IEDULandPriceHelper.sol";
+
+/// @title EDULandConfigurablePriceHelper
+/// @notice A helper contract to calculate the rental price of a EDULand with a price curve configured by the operators.
+/// @notice The price curve is one of the following, as a function of the total ongoing rental time `t`:
+/// @notice - Constant: `price`.
+/// @notice - Logarithmic: `max(minPrice, log2(t / divider) * multiplier)`, the curve of EDULandPriceHelper.
+/// @notice - Linear: `basePrice + t * slope / slopeDenominator`.
+/// @notice - PiecewiseLinear: linear interpolation between breakpoints, flat before the first and after the last breakpoint.
+contract EDULandConfigurablePriceHelper is IEDULandPriceHelper, AccessControl {
+    using AccessControlStorage for AccessControlStorage.Layout;
+
+    enum CurveType {
+        Constant,
+        Logarithmic,
+        Linear,
+        PiecewiseLinear
+    }
+
+    struct LogarithmicCurve {
+        uint256 minPrice;
+        uint256 divider;
+        uint256 multiplier;
+    }
+
+    struct LinearCurve {
+        uint256 basePrice;
+        uint256 slope;
+        uint256 slopeDenominator;
+    }
+
+    /// @notice The role identifier for the operator role.
+    bytes32 public constant OPERATOR_ROLE = keccak256("OPERATOR_ROLE");
+
+    /// @notice The type of the current price curve.
+    CurveType public curveType;
+
+    /// @notice The price of the constant curve.
+    uint256 public constantPrice;
+
+    /// @notice The parameters of the logarithmic curve.
+    LogarithmicCurve public logarithmicCurve;
+
+    /// @notice The parameters of the linear curve.
+    LinearCurve public linearCurve;
+
+    uint256[] internal _breakpointTimes;
+    uint256[] internal _breakpointPrices;
+
+    /// @notice Emitted when the price curve is set to a constant curve.
+    event ConstantCurveSet(uint256 price, address operator);
+
+    /// @notice Emitted when the price curve is set to a logarithmic curve.
+    event LogarithmicCurveSet(uint256 minPrice, uint256 divider, uint256 multiplier, address operator);
+
+    /// @notice Emitted when the price curve is set to a linear curve.
+    event LinearCurveSet(uint256 basePrice, uint256 slope, uint256 slopeDenominator, address operator);
+
+    /// @notice Emitted when the price curve is set to a piecewise linear curve.
+    event PiecewiseLinearCurveSet(uint256[] times, uint256[] prices, address operator);
+
+    /// @notice Thrown when the divider of a curve is zero.
+    error InvalidDivider();
+
+    /// @notice Thrown when the breakpoints of a piecewise linear curve are empty or their times are not strictly increasing.
+    error InvalidBreakpoints();
+
+    /// @notice Constructor
+    /// @dev Emits a {ConstantCurveSet} event.
+    /// @param price The price of the initial constant curve.
+    constructor(uint256 price) ContractOwnership(msg.sender) {
+        _setConstantCurve(price, msg.sender);
+    }
+
+    /// @notice Sets the price curve to a constant curve.
+    /// @dev Reverts with {NotRoleHolder} if the sender is not the operator.
+    /// @dev Emits a {ConstantCurveSet} event.
+    /// @param price The constant price.
+    function setConstantCurve(uint256 price) external {
+        address operator = _msgSender();
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, operator);
+        _setConstantCurve(price, operator);
+    }
+
+    /// @notice Sets the price curve to a logarithmic curve.
+    /// @dev Reverts with {NotRoleHolder} if the sender is not the operator.
+    /// @dev Reverts with {InvalidDivider} if `divider` is zero.
+    /// @dev Emits a {LogarithmicCurveSet} event.
+    /// @param minPrice The minimum price.
+    /// @param divider The divider of the total ongoing rental time.
+    /// @param multiplier The multiplier of the logarithm.
+    function setLogarithmicCurve(uint256 minPrice, uint256 divider, uint256 multiplier) external {
+        address operator = _msgSender();
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, operator);
+        if (divider == 0) {
+            revert InvalidDivider();
+        }
+        curveType = CurveType.Logarithmic;
+        logarithmicCurve = LogarithmicCurve(minPrice, divider, multiplier);
+        emit LogarithmicCurveSet(minPrice, divider, multiplier, operator);
+    }
+
+    /// @notice Sets the price curve to a linear curve.
+    /// @dev Reverts with {NotRoleHolder} if the sender is not the operator.
+    /// @dev Reverts with {InvalidDivider} if `slopeDenominator` is zero.
+    /// @dev Emits a {LinearCurveSet} event.
+    /// @param basePrice The price for a zero total ongoing rental time.
+    /// @param slope The slope numerator.
+    /// @param slopeDenominator The slope denominator.
+    function setLinearCurve(uint256 basePrice, uint256 slope, uint256 slopeDenominator) external {
+        address operator = _msgSender();
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, operator);
+        if (slopeDenominator == 0) {
+            revert InvalidDivider();
+        }
+        curveType = CurveType.Linear;
+        linearCurve = LinearCurve(basePrice, slope, slopeDenominator);
+        emit LinearCurveSet(basePrice, slope, slopeDenominator, operator);
+    }
+
+    /// @notice Sets the price curve to a piecewise linear curve.
+    /// @dev Reverts with {NotRoleHolder} if the sender is not the operator.
+    /// @dev Reverts with {InconsistentArrayLengths} if `times` and `prices` have different lengths.
+    /// @dev Reverts with {InvalidBreakpoints} if `times` is empty or not strictly increasing.
+    /// @dev Emits a {PiecewiseLinearCurveSet} event.
+    /// @param times The total ongoing rental times of the breakpoints.
+    /// @param prices The prices at the breakpoints.
+    function setPiecewiseLinearCurve(uint256[] calldata times, uint256[] calldata prices) external {
+        address operator = _msgSender();
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, operator);
+        uint256 length = times.length;
+        if (length != prices.length) {
+            revert InconsistentArrayLengths();
+        }
+        if (length == 0) {
+            revert InvalidBreakpoints();
+        }
+        for (uint256 i = 1; i < length; ++i) {
+            if (times[i] <= times[i - 1]) {
+                revert InvalidBreakpoints();
+            }
+        }
+        curveType = CurveType.PiecewiseLinear;
+        _breakpointTimes = times;
+        _breakpointPrices = prices;
+        emit PiecewiseLinearCurveSet(times, prices, operator);
+    }
+
+    /// @notice Gets the breakpoints of the piecewise linear curve.
+    /// @return times The total ongoing rental times of the breakpoints.
+    /// @return prices The prices at the breakpoints.
+    function breakpoints() external view returns (uint256[] memory times, uint256[] memory prices) {
+        return (_breakpointTimes, _breakpointPrices);
+    }
+
+    /// @notice Quotes the prices of the current curve for a list of total ongoing rental times.
+    /// @param totalOngoingRentalTimes The total ongoing rental times.
+    /// @return prices The prices for each total ongoing rental time.
+    function quote(uint256[] calldata totalOngoingRentalTimes) external view returns (uint256[] memory prices) {
+        uint256 length = totalOngoingRentalTimes.length;
+        prices = new uint256[](length);
+        for (uint256 i; i < length; ++i) {
+            prices[i] = _price(totalOngoingRentalTimes[i]);
+        }
+    }
+
+    /// @inheritdoc IEDULandPriceHelper
+    function calculatePrice(uint256 totalOngoingRentalTime) external view returns (uint256) {
+        return _price(totalOngoingRentalTime);
+    }
+
+    function _setConstantCurve(uint256 price, address operator) internal {
+        curveType = CurveType.Constant;
+        constantPrice = price;
+        emit ConstantCurveSet(price, operator);
+    }
+
+    /// @param totalOngoingRentalTime The total ongoing rental time.
+    /// @return price The price of the current curve for `totalOngoingRentalTime`.
+    function _price(uint256 totalOngoingRentalTime) internal view returns (uint256 price) {
+        CurveType curveType_ = curveType;
+        if (curveType_ == CurveType.Constant) {
+            return constantPrice;
+        } else if (curveType_ == CurveType.Logarithmic) {
+            LogarithmicCurve memory curve = logarithmicCurve;
+            return Math.max(curve.minPrice, Math.log2(totalOngoingRentalTime / curve.divider) * curve.multiplier);
+        } else if (curveType_ == CurveType.Linear) {
+            LinearCurve memory curve = linearCurve;
+            return curve.basePrice + Math.mulDiv(totalOngoingRentalTime, curve.slope, curve.slopeDenominator);
+        } else {
+            return _piecewiseLinearPrice(totalOngoingRentalTime);
+        }
+    }
+
+    /// @param totalOngoingRentalTime The total ongoing rental time.
+    /// @return price The price of the piecewise linear curve for `totalOngoingRentalTime`.
+    function _piecewiseLinearPrice(uint256 totalOngoingRentalTime) internal view returns (uint256 price) {
+        uint256[] storage times = _breakpointTimes;
+        uint256[] storage prices = _breakpointPrices;
+        uint256 last = times.length - 1;
+        if (totalOngoingRentalTime <= times[0]) {
+            return prices[0];
+        }
+        if (totalOngoingRentalTime >= times[last]) {
+            return prices[last];
+        }
+        uint256 i = 1;
+        while (times[i] < totalOngoingRentalTime) {
+            ++i;
+        }
+        uint256 startTime = times[i - 1];
+        uint256 startPrice = prices[i - 1];
+        uint256 endPrice = prices[i];
+        uint256 elapsed = totalOngoingRentalTime - startTime;
+        uint256 span = times[i] - startTime;
+        if (endPrice >= startPrice) {
+            return startPrice + Math.mulDiv(endPrice - startPrice, elapsed, span);
+        } else {
+            return startPrice - Math.mulDiv(startPrice - endPrice, elapsed, span);
+        }
+    }
+}
@@ -13,16 +13,46 @@ import {IForwarderRegistry} from "@animoca/ethereum-contracts/contracts/metatx/i
 import {ForwarderRegistryContext} from "@animoca/ethereum-contracts/contracts/metatx/ForwarderRegistryContext.sol";
 import {ForwarderRegistryContextBase} from "@animoca/ethereum-contracts/contracts/metatx/base/ForwarderRegistryContextBase.sol";
 import {Context} from "@openzeppelin/contracts/utils/Context.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {ERC165Checker} from "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
 import {IEDULandPriceHelper} from "./interfaces/IEDULandPriceHelper.sol";
+import {IEDULandDynamicPriceHelper} from "./interfaces/IEDULandDynamicPriceHelper.sol";
+import {EDULandExpiryQueue} from "./libraries/EDULandExpiryQueue.sol";
 
 contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext {
     using AccessControlStorage for AccessControlStorage.Layout;
     using ContractOwnershipStorage for ContractOwnershipStorage.Layout;
+    using EDULandExpiryQueue for uint256[];
 
     struct RentalInfo {
         uint256 beginDate;
         uint256 endDate;
         uint256 fee;
+        // the maintenance fee paid for the whole rental time, at the rates in effect when renting and extending
+        uint256 maintenanceFeePaid;
+    }
+
+    /// @notice A rental, an extension or a termination of a rental, as recorded in the rental history of a token.
+    /// @notice A termination record spans the unused rental time given back, from the termination date to the former end date,
+    ///         and its fee is the refund.
+    struct RentalRecord {
+        address renter;
+        uint256 beginDate;
+        uint256 endDate;
+        uint256 fee;
+        bool extension;
+        bool termination;
+    }
+
+    /// @notice The land price paid when extending an active rental.
+    /// @notice FullLandPrice: the full land price, as for a new rental.
+    /// @notice MaintenanceOnly: no land price, only the maintenance fee of the extended duration.
+    /// @notice ProratedLandPrice: the land price prorated by the extended duration over the requested duration,
+    /// @notice so that the unused time of the active rental is carried over without being paid again.
+    enum RenewalPricingMode {
+        FullLandPrice,
+        MaintenanceOnly,
+        ProratedLandPrice
     }
 
     /// @notice The role identifier for the operator role.
@@ -31,6 +61,12 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
     /// @notice The reason code for consuming points
     bytes32 public constant RENTAL_CONSUME_CODE = keccak256("EDU_LAND_RENTAL");
 
+    /// @notice The reason code for refunding points on early termination
+    bytes32 public constant RENTAL_REFUND_CODE = keccak256("EDU_LAND_RENTAL_REFUND");
+
+    /// @notice The reason code for depositing the collection bounty
+    bytes32 public constant COLLECTION_BOUNTY_CODE = keccak256("EDU_LAND_COLLECTION_BOUNTY");
+
     Points public immutable POINTS;
     IEDULand public immutable EDU_LAND;
 
@@ -47,12 +83,40 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
 
     uint256 public totalOngoingRentalTime;
 
-    /// @notice Emitted when tokens are rented.
-    event Rental(address indexed renter, uint256[] tokenIds, uint256[] beginDates, uint256[] endDates, uint256[] fees);
+    /// @notice The number of rented tokens, including the expired tokens which have not been collected yet.
+    uint256 public activeRentalCount;
+
+    /// @notice Whether the land price helper implements IEDULandDynamicPriceHelper.
+    bool public isDynamicLandPriceHelper;
+
+    /// @notice The land price paid when extending an active rental.
+    RenewalPricingMode public renewalPricingMode;
+
+    /// @notice The percentage of the unused maintenance fee which is withheld when terminating a rental early.
+    uint256 public terminationPenaltyPercentage;
+
+    /// @notice The points deposited to the caller of `collectNextExpired` for each collected token.
+    uint256 public collectionBounty;
+
+    /// @notice The rental end dates, in a heap ordered by end date. See EDULandExpiryQueue.
+    uint256[] internal _expiryQueue;
+
+    mapping(uint256 => RentalRecord[]) internal _rentalHistory;
+
+    mapping(address => uint256[]) internal _renterTokens;
+    // the 1-based positions of the rented tokens in the list of their renter
+    mapping(uint256 => uint256) internal _renterTokenIndex;
+    mapping(uint256 => address) internal _tokenRenter;
+
+    /// @notice Emitted when tokens are rented. `extensions` tells for each token whether its active rental was extended.
+    event Rental(address indexed renter, uint256[] tokenIds, uint256[] beginDates, uint256[] endDates, uint256[] fees, bool[] extensions);
 
     /// @notice Emitted when tokens are collected.
     event Collected(uint256[] tokenIds);
 
+    /// @notice Emitted when rentals are terminated early.
+    event Terminated(address indexed renter, uint256[] tokenIds, uint256[] refunds);
+
     /// @notice Emitted when the land price helper is updated.
     event LandPriceHelperUpdated(address newLandPriceHelper);
 
@@ -71,6 +135,15 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
     /// @notice Emitted when max rental count per call is updated.
     event MaxRentalCountPerCallUpdated(uint256 newMaxRentalCountPerCall);
 
+    /// @notice Emitted when the renewal pricing mode is updated.
+    event RenewalPricingModeUpdated(RenewalPricingMode newRenewalPricingMode);
+
+    /// @notice Emitted when the termination penalty percentage is updated.
+    event TerminationPenaltyPercentageUpdated(uint256 newTerminationPenaltyPercentage);
+
+    /// @notice Emitted when the collection bounty is updated.
+    event CollectionBountyUpdated(uint256 newCollectionBounty);
+
     /// Custom errors
     error InvalidLandAddress();
     error InvalidPointsAddress();
@@ -84,6 +157,10 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
     error NoTokenCollected();
     error UnsupportedTokenId(uint256 tokenId);
     error FeeExceeded(uint256 calculatedFee, uint256 maxFee);
+    error NotTokenRenter(uint256 tokenId, address account);
+    error TokenExpired(uint256 tokenId);
+    error InvalidTerminationPenaltyPercentage(uint256 percentage);
+    error InvalidDelegateExpiry(uint256 tokenId, uint64 expires);
 
     /// @notice Constructor
     /// @dev Reverts if the landAddress or points address is a zero address.
@@ -129,8 +206,7 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
 
         POINTS = Points(pointsAddress);
 
-        landPriceHelper = IEDULandPriceHelper(landPriceHelperAddress);
-        emit LandPriceHelperUpdated(landPriceHelperAddress);
+        _setLandPriceHelper(landPriceHelperAddress);
 
         maintenanceFee = maintenanceFee_;
         maintenanceFeeDenominator = maintenanceFeeDenominator_;
@@ -153,24 +229,76 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
     /// @param tokenIds The tokenIds you are going to calculate the elapsed time for
     /// @return elapsedTime The elapsed time
     function calculateElapsedTimeForExpiredTokens(uint256[] calldata tokenIds) public view returns (uint256 elapsedTime) {
-        uint256 currentTime = block.timestamp;
-        for (uint256 i = 0; i < tokenIds.length; i++) {
-            uint256 tokenId = tokenIds[i];
-            RentalInfo storage rental = rentals[tokenId];
-            uint256 rentalEndDate = rental.endDate;
-            if (rentalEndDate != 0 && currentTime >= rentalEndDate) {
-                elapsedTime += rentalEndDate - rental.beginDate;
-            }
+        (elapsedTime, ) = _expiredTokensStats(tokenIds);
+        return elapsedTime;
+    }
+
+    /// @param tokenId The token
+    /// @return count The number of records in the rental history of the token
+    function rentalHistoryCount(uint256 tokenId) external view returns (uint256 count) {
+        return _rentalHistory[tokenId].length;
+    }
+
+    /// @notice Gets a page of the rental history of a token, in chronological order. Each rental, extension and termination is recorded,
+    ///         and the records are kept after the collection or the termination of the rental.
+    /// @param tokenId The token
+    /// @param offset The index of the first record of the page
+    /// @param limit The maximum number of records in the page
+    /// @return records The records of the page, empty if `offset` is not lower than the number of records of the token
+    function rentalHistory(uint256 tokenId, uint256 offset, uint256 limit) external view returns (RentalRecord[] memory records) {
+        RentalRecord[] storage history = _rentalHistory[tokenId];
+        uint256 length = history.length;
+        if (offset >= length) {
+            return records;
+        }
+        uint256 end = length - offset > limit ? offset + limit : length;
+        records = new RentalRecord[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            records[i - offset] = history[i];
         }
+    }
 
-        return elapsedTime;
+    /// @param renter The renter
+    /// @return count The number of tokens rented by the renter and not collected or terminated yet
+    function renterTokenCount(address renter) external view returns (uint256 count) {
+        return _renterTokens[renter].length;
+    }
+
+    /// @notice Gets a page of the tokens rented by a renter and not collected or terminated yet, including the expired ones.
+    ///         The order of the tokens changes when tokens are collected or terminated.
+    /// @param renter The renter
+    /// @param offset The index of the first token of the page
+    /// @param limit The maximum number of tokens in the page
+    /// @return tokenIds The tokens of the page, empty if `offset` is not lower than the number of tokens of the renter
+    function tokensOfRenter(address renter, uint256 offset, uint256 limit) external view returns (uint256[] memory tokenIds) {
+        uint256[] storage tokens = _renterTokens[renter];
+        uint256 length = tokens.length;
+        if (offset >= length) {
+            return tokenIds;
+        }
+        uint256 end = length - offset > limit ? offset + limit : length;
+        tokenIds = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            tokenIds[i - offset] = tokens[i];
+        }
     }
 
     /// @notice Estimates the current land price
+    /// @dev With a dynamic land price helper, the price is estimated for the current active rental count and the min rental duration.
     /// @param totalOngoingRentalTime_ The total ongoing rental time
     /// @return estimatedLandPrice The estimated land price
     function estimateLandPrice(uint256 totalOngoingRentalTime_) public view returns (uint256) {
-        return landPriceHelper.calculatePrice(totalOngoingRentalTime_);
+        return _landPrice(totalOngoingRentalTime_, activeRentalCount, minRentalDuration);
+    }
+
+    /// @notice Estimates the land price for a rental duration
+    /// @dev With a land price helper which is not dynamic, the price only depends on the total ongoing rental time.
+    /// @param totalOngoingRentalTime_ The total ongoing rental time
+    /// @param activeRentalCount_ The number of rented tokens
+    /// @param duration The rental duration
+    /// @return estimatedLandPrice The estimated land price
+    function estimateDynamicLandPrice(uint256 totalOngoingRentalTime_, uint256 activeRentalCount_, uint256 duration) public view returns (uint256) {
+        return _landPrice(totalOngoingRentalTime_, activeRentalCount_, duration);
     }
 
     /// @notice Estimates the rental fee
@@ -199,8 +327,9 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
         }
 
         uint256 currentTime = block.timestamp;
-        uint256 elapsedTime = calculateElapsedTimeForExpiredTokens(expiredTokenIds);
-        uint256 landPrice = estimateLandPrice(totalOngoingRentalTime - elapsedTime);
+        (uint256 elapsedTime, uint256 expiredCount) = _expiredTokensStats(expiredTokenIds);
+        uint256 postCollectionTotalOngoingRentalTime = totalOngoingRentalTime - elapsedTime;
+        uint256 postCollectionActiveRentalCount = activeRentalCount - expiredCount;
         uint256 totalFee;
         for (uint256 i = 0; i < tokenIds.length; i++) {
             uint256 duration = durations[i];
@@ -218,13 +347,14 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
                 revert RentalDurationTooHigh(tokenId, duration);
             }
 
+            uint256 landPrice = _landPrice(postCollectionTotalOngoingRentalTime, postCollectionActiveRentalCount, duration);
             RentalInfo memory rental = rentals[tokenId];
             if (rental.endDate == 0) {
                 if (duration < minRentalDuration) {
                     revert RentalDurationTooLow(tokenId, duration);
                 }
 
-                totalFee += (duration * maintenanceFee) / maintenanceFeeDenominator;
+                totalFee += landPrice + (duration * maintenanceFee) / maintenanceFeeDenominator;
             } else if (_msgSender() == EDU_LAND.ownerOf(tokenId) && currentTime < rental.endDate) {
                 uint256 newEndDate = currentTime + duration;
                 if (newEndDate - minRentalDuration < rental.endDate) {
@@ -232,7 +362,10 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
                 }
 
                 uint256 extendedDuration = newEndDate - rental.endDate;
-                totalFee += (extendedDuration * maintenanceFee) / maintenanceFeeDenominator;
+                totalFee +=
+                    _renewalLandPrice(landPrice, extendedDuration, duration) +
+                    (extendedDuration * maintenanceFee) /
+                    maintenanceFeeDenominator;
             } else {
                 if (duration < minRentalDuration) {
                     revert RentalDurationTooLow(tokenId, duration);
@@ -250,11 +383,10 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
                     revert TokenAlreadyRented(tokenId);
                 }
 
-                totalFee += (duration * maintenanceFee) / maintenanceFeeDenominator;
+                totalFee += landPrice + (duration * maintenanceFee) / maintenanceFeeDenominator;
             }
         }
 
-        totalFee += landPrice * tokenIds.length;
         return totalFee;
     }
 
@@ -285,15 +417,17 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
             revert RentalCountPerCallLimitExceeded();
         }
 
-        uint256 currentTime = block.timestamp;
-        uint256 postCollectionTotalOngoingRentalTime = totalOngoingRentalTime - _collectExpiredTokens(expiredTokenIds, currentTime, false);
-        uint256 landPrice = estimateLandPrice(postCollectionTotalOngoingRentalTime);
+        // the land prices are based on the state after the collection, before any of the rentals of this call
+        uint256 postCollectionTotalOngoingRentalTime = totalOngoingRentalTime - _collectExpiredTokens(expiredTokenIds, block.timestamp, false);
+        uint256 postCollectionActiveRentalCount = activeRentalCount;
+        totalOngoingRentalTime = postCollectionTotalOngoingRentalTime;
 
         address account = _msgSender();
 
         uint256[] memory beginDates = new uint256[](tokenIds_.length);
         uint256[] memory endDates = new uint256[](tokenIds_.length);
         uint256[] memory fees = new uint256[](tokenIds_.length);
+        bool[] memory extensions = new bool[](tokenIds_.length);
         uint256 totalFee;
         for (uint256 i = 0; i < tokenIds_.length; i++) {
             uint256 tokenId = tokenIds_[i];
@@ -311,6 +445,7 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
                 revert RentalDurationTooHigh(tokenId, duration);
             }
 
+            uint256 landPrice = _landPrice(postCollectionTotalOngoingRentalTime, postCollectionActiveRentalCount, duration);
             RentalInfo storage rental = rentals[tokenId];
             uint256 rentalEndDate = rental.endDate;
             if (rentalEndDate == 0) {
@@ -319,33 +454,41 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
                 }
 
                 EDU_LAND.safeMint(account, tokenId, "");
-                rental.beginDate = currentTime;
-                uint256 endDate = currentTime + duration;
+                rental.beginDate = block.timestamp;
+                uint256 endDate = block.timestamp + duration;
                 rental.endDate = endDate;
-                uint256 fee = landPrice + (duration * maintenanceFee) / maintenanceFeeDenominator;
+                _expiryQueue.insert(EDULandExpiryQueue.encode(endDate, tokenId));
+                uint256 maintenanceFeePaid = (duration * maintenanceFee) / maintenanceFeeDenominator;
+                rental.maintenanceFeePaid = maintenanceFeePaid;
+                uint256 fee = landPrice + maintenanceFeePaid;
                 rental.fee = fee;
                 totalFee += fee;
-                postCollectionTotalOngoingRentalTime += duration;
+                totalOngoingRentalTime += duration;
+                ++activeRentalCount;
 
-                beginDates[i] = currentTime;
+                beginDates[i] = block.timestamp;
                 endDates[i] = endDate;
                 fees[i] = fee;
-            } else if (account == EDU_LAND.ownerOf(tokenId) && currentTime < rentalEndDate) {
-                uint256 newEndDate = currentTime + duration;
+            } else if (account == EDU_LAND.ownerOf(tokenId) && block.timestamp < rentalEndDate) {
+                uint256 newEndDate = block.timestamp + duration;
                 if (newEndDate - minRentalDuration < rentalEndDate) {
                     revert RentalDurationTooLow(tokenId, duration);
                 }
 
                 uint256 extendedDuration = newEndDate - rentalEndDate;
                 rental.endDate = newEndDate;
-                uint256 fee = landPrice + (extendedDuration * maintenanceFee) / maintenanceFeeDenominator;
+                _expiryQueue.insert(EDULandExpiryQueue.encode(newEndDate, tokenId));
+                uint256 maintenanceFeePaid = (extendedDuration * maintenanceFee) / maintenanceFeeDenominator;
+                rental.maintenanceFeePaid += maintenanceFeePaid;
+                uint256 fee = _renewalLandPrice(landPrice, extendedDuration, duration) + maintenanceFeePaid;
                 rental.fee += fee;
                 totalFee += fee;
-                postCollectionTotalOngoingRentalTime += extendedDuration;
+                totalOngoingRentalTime += extendedDuration;
 
                 beginDates[i] = rentalEndDate;
                 endDates[i] = newEndDate;
                 fees[i] = fee;
+                extensions[i] = true;
             } else {
                 revert TokenAlreadyRented(tokenId);
             }
@@ -355,10 +498,110 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
             revert FeeExceeded(totalFee, maxFee);
         }
 
-        totalOngoingRentalTime = postCollectionTotalOngoingRentalTime;
+        _recordRentals(account, tokenIds_, beginDates, endDates, fees, extensions);
 
         POINTS.consume(account, totalFee, RENTAL_CONSUME_CODE);
-        emit Rental(account, tokenIds_, beginDates, endDates, fees);
+        emit Rental(account, tokenIds_, beginDates, endDates, fees, extensions);
+    }
+
+    /// @notice Terminates the rentals of the token(s) before their end date, burning the tokens.
+    /// @notice The maintenance fee paid for the unused rental time, less the termination penalty, is refunded in points.
+    /// @notice The rentals are removed from the total ongoing rental time as if they were collected, and the terminations are recorded
+    ///         in the rental history of the tokens.
+    /// @dev Reverts with {InvalidTokenIdsParam} if tokenIds is empty.
+    /// @dev Reverts with {TokenNotRented} if one of the tokens is not rented.
+    /// @dev Reverts with {NotTokenRenter} if one of the tokens is not owned by the sender.
+    /// @dev Reverts with {TokenExpired} if one of the rentals has already ended.
+    /// @dev Emits a {Terminated} event.
+    /// @param tokenIds The tokens that you are going to give back
+    function terminate(uint256[] calldata tokenIds) external {
+        uint256 length = tokenIds.length;
+        if (length == 0) {
+            revert InvalidTokenIdsParam();
+        }
+
+        address account = _msgSender();
+        uint256 currentTime = block.timestamp;
+        uint256[] memory refunds = new uint256[](length);
+        uint256 totalRefund;
+        uint256 terminatedRentalTime;
+        for (uint256 i = 0; i < length; i++) {
+            uint256 tokenId = tokenIds[i];
+            RentalInfo storage rental = rentals[tokenId];
+            uint256 rentalEndDate = rental.endDate;
+            if (rentalEndDate == 0) {
+                revert TokenNotRented(tokenId);
+            }
+
+            if (account != EDU_LAND.ownerOf(tokenId)) {
+                revert NotTokenRenter(tokenId, account);
+            }
+
+            if (currentTime >= rentalEndDate) {
+                revert TokenExpired(tokenId);
+            }
+
+            uint256 rentalBeginDate = rental.beginDate;
+            // prorates the maintenance fee actually paid, regardless of later maintenance fee updates
+            uint256 unusedMaintenanceFee = (rental.maintenanceFeePaid * (rentalEndDate - currentTime)) / (rentalEndDate - rentalBeginDate);
+            uint256 refund = (unusedMaintenanceFee * (100 - terminationPenaltyPercentage)) / 100;
+            if (refund > rental.fee) {
+                refund = rental.fee;
+            }
+            refunds[i] = refund;
+            totalRefund += refund;
+            terminatedRentalTime += rentalEndDate - rentalBeginDate;
+            _rentalHistory[tokenId].push(RentalRecord(account, currentTime, rentalEndDate, refund, false, true));
+
+            rental.beginDate = 0;
+            rental.endDate = 0;
+            rental.fee = 0;
+            rental.maintenanceFeePaid = 0;
+            _removeRenterToken(tokenId);
+
+            EDU_LAND.burnFrom(account, tokenId);
+        }
+
+        totalOngoingRentalTime -= terminatedRentalTime;
+        activeRentalCount -= length;
+
+        if (totalRefund != 0) {
+            POINTS.deposit(account, totalRefund, RENTAL_REFUND_CODE);
+        }
+        emit Terminated(account, tokenIds, refunds);
+    }
+
+    /// @notice Delegates the use of a rented token, making `delegate` its ERC-4907 user on EDULand until `expires`.
+    /// @notice The delegate is the recipient of the rewards of the token attestations, and is removed when the token is collected or terminated.
+    /// @notice Setting the zero address as delegate removes the delegation.
+    /// @dev Reverts with {TokenNotRented} if the token is not rented.
+    /// @dev Reverts with {NotTokenRenter} if the token is not owned by the sender.
+    /// @dev Reverts with {TokenExpired} if the rental has already ended.
+    /// @dev Reverts with {InvalidDelegateExpiry} if `expires` is after the rental end date.
+    /// @dev Emits an {IERC4907-UpdateUser} event from EDULand.
+    /// @param tokenId The rented token.
+    /// @param delegate The delegate of the token.
+    /// @param expires The UNIX timestamp at which the delegation ends.
+    function setDelegate(uint256 tokenId, address delegate, uint64 expires) external {
+        uint256 rentalEndDate = rentals[tokenId].endDate;
+        if (rentalEndDate == 0) {
+            revert TokenNotRented(tokenId);
+        }
+
+        address account = _msgSender();
+        if (account != EDU_LAND.ownerOf(tokenId)) {
+            revert NotTokenRenter(tokenId, account);
+        }
+
+        if (block.timestamp >= rentalEndDate) {
+            revert TokenExpired(tokenId);
+        }
+
+        if (expires > rentalEndDate) {
+            revert InvalidDelegateExpiry(tokenId, expires);
+        }
+
+        EDU_LAND.setUser(tokenId, delegate, expires);
     }
 
     /// @notice Sets the land price helper address
@@ -367,8 +610,7 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
     /// @param newLandPriceHelper The new land price helper address to set
     function setLandPriceHelper(address newLandPriceHelper) external {
         AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, _msgSender());
-        landPriceHelper = IEDULandPriceHelper(newLandPriceHelper);
-        emit LandPriceHelperUpdated(newLandPriceHelper);
+        _setLandPriceHelper(newLandPriceHelper);
     }
 
     /// @notice Sets the max token supply
@@ -423,6 +665,135 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
         emit MaxRentalCountPerCallUpdated(newRentalCountPerCall);
     }
 
+    /// @notice Sets the renewal pricing mode
+    /// @dev Reverts with {NotRoleHolder} if the sender is not the operator.
+    /// @dev Emits a {RenewalPricingModeUpdated} event.
+    /// @param newRenewalPricingMode The new renewal pricing mode to set
+    function setRenewalPricingMode(RenewalPricingMode newRenewalPricingMode) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, _msgSender());
+        renewalPricingMode = newRenewalPricingMode;
+        emit RenewalPricingModeUpdated(newRenewalPricingMode);
+    }
+
+    /// @notice Sets the termination penalty percentage
+    /// @dev Reverts with {NotRoleHolder} if the sender is not the operator.
+    /// @dev Reverts with {InvalidTerminationPenaltyPercentage} if the percentage is greater than 100.
+    /// @dev Emits a {TerminationPenaltyPercentageUpdated} event.
+    /// @param newTerminationPenaltyPercentage The new termination penalty percentage to set
+    function setTerminationPenaltyPercentage(uint256 newTerminationPenaltyPercentage) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, _msgSender());
+        if (newTerminationPenaltyPercentage > 100) {
+            revert InvalidTerminationPenaltyPercentage(newTerminationPenaltyPercentage);
+        }
+        terminationPenaltyPercentage = newTerminationPenaltyPercentage;
+        emit TerminationPenaltyPercentageUpdated(newTerminationPenaltyPercentage);
+    }
+
+    /// @notice Sets the collection bounty
+    /// @dev Reverts with {NotRoleHolder} if the sender is not the operator.
+    /// @dev Emits a {CollectionBountyUpdated} event.
+    /// @param newCollectionBounty The new collection bounty to set
+    function setCollectionBounty(uint256 newCollectionBounty) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, _msgSender());
+        collectionBounty = newCollectionBounty;
+        emit CollectionBountyUpdated(newCollectionBounty);
+    }
+
+    /// @notice Counts the expired rentals which have not been collected yet.
+    /// @dev Only visits the entries of the expiry queue which have expired, for keepers to call off-chain.
+    /// @return count The number of expired rentals pending collection
+    function pendingExpiredCount() external view returns (uint256 count) {
+        uint256 length = _expiryQueue.length;
+        if (length == 0) {
+            return 0;
+        }
+
+        uint256 currentTime = block.timestamp;
+        // depth-first traversal of the heap, skipping the subtrees of the entries which have not expired
+        uint256[] memory stack = new uint256[](Math.log2(length) + 2);
+        uint256 stackSize = 1;
+        while (stackSize != 0) {
+            uint256 i = stack[--stackSize];
+            (uint256 endDate, uint256 tokenId) = EDULandExpiryQueue.decode(_expiryQueue[i]);
+            if (currentTime < endDate) {
+                continue;
+            }
+
+            if (rentals[tokenId].endDate == endDate) {
+                ++count;
+            }
+
+            uint256 child = 2 * i + 1;
+            if (child < length) {
+                stack[stackSize++] = child;
+            }
+            if (child + 1 < length) {
+                stack[stackSize++] = child + 1;
+            }
+        }
+    }
+
+    /// @notice Collects the expired tokens in the order of their end date, depositing the collection bounty to the sender.
+    /// @dev The expiry queue entries of the rentals which were extended, collected or terminated are discarded on the way
+    ///      and count towards `maxCount`, so that the gas used stays bounded.
+    /// @dev Reverts with {NoTokenCollected} if there is no expired entry in the expiry queue.
+    /// @dev Emits a {Collected} event if at least one token is collected.
+    /// @param maxCount The maximum number of expiry queue entries to process
+    function collectNextExpired(uint256 maxCount) external {
+        uint256 currentTime = block.timestamp;
+        // at most the whole expiry queue can be processed
+        uint256 maxProcessedCount = Math.min(maxCount, _expiryQueue.length);
+        uint256[] memory collectedTokenIds = new uint256[](maxProcessedCount);
+        uint256 collectedCount;
+        uint256 processedCount;
+        uint256 elapsedRentalTime;
+        while (processedCount < maxProcessedCount && _expiryQueue.length != 0) {
+            (uint256 endDate, uint256 tokenId) = EDULandExpiryQueue.decode(_expiryQueue[0]);
+            if (currentTime < endDate) {
+                break;
+            }
+
+            _expiryQueue.extractMin();
+            ++processedCount;
+
+            RentalInfo storage rental = rentals[tokenId];
+            if (rental.endDate != endDate) {
+                continue;
+            }
+
+            elapsedRentalTime += endDate - rental.beginDate;
+
+            rental.beginDate = 0;
+            rental.endDate = 0;
+            rental.fee = 0;
+            rental.maintenanceFeePaid = 0;
+            _removeRenterToken(tokenId);
+
+            EDU_LAND.burnFrom(EDU_LAND.ownerOf(tokenId), tokenId);
+            collectedTokenIds[collectedCount++] = tokenId;
+        }
+
+        if (processedCount == 0) {
+            revert NoTokenCollected();
+        }
+
+        if (collectedCount != 0) {
+            totalOngoingRentalTime -= elapsedRentalTime;
+            activeRentalCount -= collectedCount;
+
+            // shrinks the array to the collected tokens
+            assembly {
+                mstore(collectedTokenIds, collectedCount)
+            }
+            emit Collected(collectedTokenIds);
+
+            uint256 bounty = collectionBounty * collectedCount;
+            if (bounty != 0) {
+                POINTS.deposit(_msgSender(), bounty, COLLECTION_BOUNTY_CODE);
+            }
+        }
+    }
+
     /// @notice Collects the expired tokens
     /// @dev Emits a {Collected} event.
     /// @param tokenIds The tokens that you are going to collect
@@ -441,7 +812,7 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
         bool revertOnCollectionFailed
     ) internal returns (uint256 elapsedRentalTime) {
         uint256[] memory collectedTokenIds = new uint256[](tokenIds.length);
-        bool hasExpiredToken = false;
+        uint256 collectedCount;
         for (uint256 i = 0; i < tokenIds.length; i++) {
             uint256 tokenId = tokenIds[i];
             RentalInfo storage rental = rentals[tokenId];
@@ -452,17 +823,20 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
                 rental.beginDate = 0;
                 rental.endDate = 0;
                 rental.fee = 0;
+                rental.maintenanceFeePaid = 0;
+                _removeRenterToken(tokenId);
 
                 address currentOwner = EDU_LAND.ownerOf(tokenId);
                 EDU_LAND.burnFrom(currentOwner, tokenId);
                 collectedTokenIds[i] = tokenId;
-                hasExpiredToken = true;
+                ++collectedCount;
             } else if (revertOnCollectionFailed) {
                 revert TokenNotExpired(tokenId);
             }
         }
 
-        if (hasExpiredToken) {
+        if (collectedCount != 0) {
+            activeRentalCount -= collectedCount;
             emit Collected(collectedTokenIds);
         } else if (revertOnCollectionFailed) {
             revert NoTokenCollected();
@@ -471,6 +845,128 @@ contract EDULandRental is AccessControl, TokenRecovery, ForwarderRegistryContext
         return elapsedRentalTime;
     }
 
+    /// @notice Sets the land price helper, detecting whether it implements IEDULandDynamicPriceHelper through ERC165.
+    /// @dev Emits a {LandPriceHelperUpdated} event.
+    /// @param newLandPriceHelper The new land price helper address to set
+    function _setLandPriceHelper(address newLandPriceHelper) internal {
+        landPriceHelper = IEDULandPriceHelper(newLandPriceHelper);
+        isDynamicLandPriceHelper = ERC165Checker.supportsInterface(newLandPriceHelper, type(IEDULandDynamicPriceHelper).interfaceId);
+        emit LandPriceHelperUpdated(newLandPriceHelper);
+    }
+
+    /// @notice Appends the rentals and extensions of a `rent` call to the rental history of the tokens,
+    ///         and adds the newly rented tokens to the list of the renter.
+    /// @param renter The renter
+    /// @param tokenIds The rented tokens
+    /// @param beginDates The begin dates of the rentals or extensions
+    /// @param endDates The end dates of the rentals or extensions
+    /// @param fees The fees of the rentals or extensions
+    /// @param extensions Whether each token was an extension
+    function _recordRentals(
+        address renter,
+        uint256[] memory tokenIds,
+        uint256[] memory beginDates,
+        uint256[] memory endDates,
+        uint256[] memory fees,
+        bool[] memory extensions
+    ) internal {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+            bool extension = extensions[i];
+            if (!extension) {
+                _addRenterToken(renter, tokenId);
+            }
+            _rentalHistory[tokenId].push(RentalRecord(renter, beginDates[i], endDates[i], fees[i], extension, false));
+        }
+    }
+
+    /// @param renter The renter
+    /// @param tokenId The token to append to the list of the renter.
+    function _addRenterToken(address renter, uint256 tokenId) internal {
+        uint256[] storage tokens = _renterTokens[renter];
+        tokens.push(tokenId);
+        _renterTokenIndex[tokenId] = tokens.length;
+        _tokenRenter[tokenId] = renter;
+    }
+
+    /// @param tokenId The token to remove from the list of its renter, replaced by the last token of the list.
+    function _removeRenterToken(uint256 tokenId) internal {
+        uint256[] storage tokens = _renterTokens[_tokenRenter[tokenId]];
+        uint256 lastPosition = tokens.length;
+        uint256 position = _renterTokenIndex[tokenId];
+        if (position != lastPosition) {
+            uint256 lastTokenId = tokens[lastPosition - 1];
+            tokens[position - 1] = lastTokenId;
+            _renterTokenIndex[lastTokenId] = position;
+        }
+        tokens.pop();
+        delete _renterTokenIndex[tokenId];
+        delete _tokenRenter[tokenId];
+    }
+
+    /// @notice Calculates the land price with the land price helper, passing the utilisation and the duration to a dynamic helper.
+    /// @param totalOngoingRentalTime_ The total ongoing rental time
+    /// @param activeRentalCount_ The number of rented tokens
+    /// @param duration The rental duration
+    /// @return landPrice The land price
+    function _landPrice(uint256 totalOngoingRentalTime_, uint256 activeRentalCount_, uint256 duration) internal view returns (uint256 landPrice) {
+        if (isDynamicLandPriceHelper) {
+            return
+                IEDULandDynamicPriceHelper(address(landPriceHelper)).calculateDynamicPrice(
+                    totalOngoingRentalTime_,
+                    activeRentalCount_,
+                    maxTokenSupply,
+                    duration
+                );
+        }
+        return landPriceHelper.calculatePrice(totalOngoingRentalTime_);
+    }
+
+    /// @notice Calculates the land price of the extension of an active rental according to the renewal pricing mode.
+    /// @param landPrice The land price of a new rental
+    /// @param extendedDuration The duration added to the active rental
+    /// @param duration The requested rental duration, which includes the unused time of the active rental
+    /// @return renewalLandPrice The land price of the extension
+    function _renewalLandPrice(uint256 landPrice, uint256 extendedDuration, uint256 duration) internal view returns (uint256 renewalLandPrice) {
+        RenewalPricingMode renewalPricingMode_ = renewalPricingMode;
+        if (renewalPricingMode_ == RenewalPricingMode.MaintenanceOnly) {
+            return 0;
+        } else if (renewalPricingMode_ == RenewalPricingMode.ProratedLandPrice) {
+            return (landPrice * extendedDuration) / duration;
+        }
+        return landPrice;
+    }
+
+    /// @notice Calculates the elapsed time and the count of expired tokens. Non expired tokens are ignored.
+    /// @notice A token listed several times is counted once, as it is only collected once.
+    /// @param tokenIds The tokenIds
+    /// @return elapsedTime The elapsed time
+    /// @return expiredCount The count of expired tokens
+    function _expiredTokensStats(uint256[] calldata tokenIds) internal view returns (uint256 elapsedTime, uint256 expiredCount) {
+        uint256 currentTime = block.timestamp;
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+            bool duplicate = false;
+            for (uint256 j = 0; j < i; j++) {
+                if (tokenId == tokenIds[j]) {
+                    duplicate = true;
+                    break;
+                }
+            }
+
+            if (duplicate) {
+                continue;
+            }
+
+            RentalInfo storage rental = rentals[tokenId];
+            uint256 rentalEndDate = rental.endDate;
+            if (rentalEndDate != 0 && currentTime >= rentalEndDate) {
+                elapsedTime += rentalEndDate - rental.beginDate;
+                ++expiredCount;
+            }
+        }
+    }
+
     /// @inheritdoc ForwarderRegistryContextBase
     function _msgSender() internal view virtual override(Context, ForwarderRegistryContextBase) returns (address) {
         return ForwarderRegistryContextBase._msgSender();
@@ -2,13 +2,17 @@
 pragma solidity 0.8.22;
 
 import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {ERC165Checker} from "@openzeppelin/contracts/utils/introspection/ERC165Checker.sol";
 import {NodeRewardsBase} from "@gelatonetwork/node-sale-rewards/contracts/NodeRewardsBase.sol";
 import {RewardsKYC} from "@gelatonetwork/node-sale-rewards/contracts/RewardsKYC.sol";
+import {IERC4907} from "./interfaces/IERC4907.sol";
 
 contract EDULandRewards is NodeRewardsBase, RewardsKYC {
     bytes32 public constant OWNER_ROLE = keccak256("OWNER_ROLE");
     bytes32 public constant REWARDS_CONTROLLER_ROLE = keccak256("REWARDS_CONTROLLER_ROLE");
     uint256 public immutable MAX_REWARD_TIME_WINDOW;
+    /// @notice Whether the node key implements ERC-4907, so that its users receive the rewards of its attestations.
+    bool public immutable IS_NODE_KEY_ERC4907;
 
     uint256 public rewardPerSecond;
 
@@ -29,6 +33,7 @@ contract EDULandRewards is NodeRewardsBase, RewardsKYC {
     error CurrentOwnerIsNotKycWallet(address currentOwner);
 
     /// @notice Constructor
+    /// @notice The node key support of ERC-4907 is detected through ERC165. Without it, the rewards always go to the node key owners.
     /// @dev emits a {RewardPerSecondUpdated} event
     /// @param maxRewardTimeWindow The maximum reward time window
     /// @param referee The address of the referee contract
@@ -43,6 +48,7 @@ contract EDULandRewards is NodeRewardsBase, RewardsKYC {
         uint256 rewardPerSecond_
     ) NodeRewardsBase(referee, landAddress, rewardToken) {
         MAX_REWARD_TIME_WINDOW = maxRewardTimeWindow;
+        IS_NODE_KEY_ERC4907 = ERC165Checker.supportsInterface(landAddress, type(IERC4907).interfaceId);
 
         rewardPerSecond = rewardPerSecond_;
         emit RewardPerSecondUpdated(rewardPerSecond_);
@@ -64,8 +70,13 @@ contract EDULandRewards is NodeRewardsBase, RewardsKYC {
     }
 
     /// @inheritdoc NodeRewardsBase
+    /// @dev The rewards recipient is the ERC-4907 user of the node key if it has one, otherwise the node key owner.
     function _onAttest(uint256 batchNumber, uint256 tokenId) internal override {
-        rewardsRecipients[batchNumber][tokenId] = NODE_KEY.ownerOf(tokenId);
+        address delegate;
+        if (IS_NODE_KEY_ERC4907) {
+            delegate = IERC4907(address(NODE_KEY)).userOf(tokenId);
+        }
+        rewardsRecipients[batchNumber][tokenId] = delegate != address(0) ? delegate : NODE_KEY.ownerOf(tokenId);
     }
 
     /// @inheritdoc NodeRewardsBase
@@ -4,7 +4,6 @@ pragma solidity 0.8.22;
 import {RewardsKYC} from "@gelatonetwork/node-sale-rewards/contracts/RewardsKYC.sol";
 import {IForwarderRegistry} from "@animoca/ethereum-contracts/contracts/metatx/interfaces/IForwarderRegistry.sol";
 import {ForwarderRegistryContext} from "@animoca/ethereum-contracts/contracts/metatx/ForwarderRegistryContext.sol";
-import {IRevocationRegistry} from "../vc/interfaces/IRevocationRegistry.sol";
 import {OpenCampusCertificateNFTv1} from "../vc/OpenCampusCertificateNFTv1.sol";
 
 /// @title EDULandRewardsKYCController
@@ -40,13 +39,13 @@ contract EDULandRewardsKYCController is ForwarderRegistryContext {
     /// @param vcId The token ID of the VC.
     error InvalidIssuerDid(uint256 vcId);
 
-    /// @notice Thrown when the VC is revoked when adding KYC accounts.
+    /// @notice Thrown when the VC is not valid (revoked, expired or without a valid issuer key) when adding KYC accounts.
     /// @param vcId The token ID of the VC.
-    error RevokedVc(uint256 vcId);
+    error InvalidVc(uint256 vcId);
 
-    /// @notice Thrown when the VC is not revoked when removing KYC accounts.
+    /// @notice Thrown when the VC is still valid when removing KYC accounts.
     /// @param vcId The token ID of the VC.
-    error VcNotRevoked(uint256 vcId);
+    error VcStillValid(uint256 vcId);
 
     /// @notice Thrown when the VC token ID already exists for the account when adding KYC accounts.
     error KycWalletAlreadySet();
@@ -81,7 +80,7 @@ contract EDULandRewardsKYCController is ForwarderRegistryContext {
     /// @notice Adds a KYC wallet to the EDULandRewards contract by verifying the VC token ID.
     /// @dev Reverts with {KycWalletAlreadySet} if the account already being added by this contract.
     /// @dev Reverts with {InvalidIssuerDid} if the VC issuer DID hash does not match.
-    /// @dev Reverts with {RevokedVc} if the VC is revoked.
+    /// @dev Reverts with {InvalidVc} if the VC is not valid, see {OpenCampusCertificateNFTv1-isValid}.
     /// @dev Emits {KycWalletsAdded} with the wallet address being successfully added.
     /// @param vcId The VC token ID to be verified.
     function addKycWallet(uint256 vcId) external {
@@ -96,9 +95,8 @@ contract EDULandRewardsKYCController is ForwarderRegistryContext {
             revert InvalidIssuerDid(vcId);
         }
 
-        bool isRevoked = KYC_CERTIFICATE_NFT.revocationRegistry().isRevoked(vcHashedIssuerDid, vcId);
-        if (isRevoked) {
-            revert RevokedVc(vcId);
+        if (!KYC_CERTIFICATE_NFT.isValid(vcId)) {
+            revert InvalidVc(vcId);
         }
 
         address[] memory accounts = new address[](1);
@@ -111,13 +109,11 @@ contract EDULandRewardsKYCController is ForwarderRegistryContext {
 
     /// @notice Adds KYC wallets to the EDULandRewards contract by verifying the VC token IDs.
     /// @dev Reverts with {InvalidIssuerDid} if the VC issuer DID hash does not match.
-    /// @dev Reverts with {RevokedVc} if the VC is revoked.
+    /// @dev Reverts with {InvalidVc} if a VC is not valid, see {OpenCampusCertificateNFTv1-isValid}.
     /// @dev Reverts with {NoWalletToBeAdded} if there is no valid wallet to be added into the KYC list.
     /// @dev Emits {KycWalletsAdded} with the list of wallet addresses being successfully added.
     /// @param vcIds The list of VC token IDs.
     function addKycWallets(uint256[] calldata vcIds) external {
-        IRevocationRegistry revocationRegistry = KYC_CERTIFICATE_NFT.revocationRegistry();
-
         uint256 length = vcIds.length;
         address[] memory accounts = new address[](length);
         uint256 validCount = 0;
@@ -135,9 +131,8 @@ contract EDULandRewardsKYCController is ForwarderRegistryContext {
                 revert InvalidIssuerDid(vcId);
             }
 
-            bool isRevoked = revocationRegistry.isRevoked(vcHashedIssuerDid, vcId);
-            if (isRevoked) {
-                revert RevokedVc(vcId);
+            if (!KYC_CERTIFICATE_NFT.isValid(vcId)) {
+                revert InvalidVc(vcId);
             }
             vcIdPerAccount[owner] = vcId;
 
@@ -157,14 +152,12 @@ contract EDULandRewardsKYCController is ForwarderRegistryContext {
         emit KycWalletsAdded(validAccounts);
     }
 
-    /// @notice Removes KYC wallets from the EDULandRewards contract.
-    /// @dev Reverts with {VcNotRevoked} if the VC is not revoked.
+    /// @notice Removes KYC wallets whose VC is no longer valid (revoked, expired or without a valid issuer key) from the EDULandRewards contract.
+    /// @dev Reverts with {VcStillValid} if the VC is still valid.
     /// @dev Reverts with {NoWalletToBeRemoved} if there is no valid wallet to be removed from the KYC list.
     /// @dev Emits {KycWalletsRemoved} with the list of wallet addresses being successfully removed.
     /// @param accounts The list of wallet addresses.
     function removeKycWallets(address[] calldata accounts) external {
-        IRevocationRegistry revocationRegistry = KYC_CERTIFICATE_NFT.revocationRegistry();
-
         uint256 length = accounts.length;
         address[] memory tempAccounts = new address[](length);
         uint256 validCount = 0;
@@ -176,11 +169,8 @@ contract EDULandRewardsKYCController is ForwarderRegistryContext {
                 continue;
             }
 
-            (, , , , , string memory issuerDid, ) = KYC_CERTIFICATE_NFT.vcData(vcId);
-            bytes32 vcHashedIssuerDid = keccak256(bytes(issuerDid));
-            bool isRevoked = revocationRegistry.isRevoked(vcHashedIssuerDid, vcId);
-            if (!isRevoked) {
-                revert VcNotRevoked(vcId);
+            if (KYC_CERTIFICATE_NFT.isValid(vcId)) {
+                revert VcStillValid(vcId);
             }
             delete vcIdPerAccount[account];
 
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.22;
+
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {IERC165} from "@animoca/ethereum-contracts/contracts/introspection/interfaces/IERC165.sol";
+import {IEDULandPriceHelper} from "./interfaces/IEDULandPriceHelper.sol";
+import {IEDULandDynamicPriceHelper} from "./interfaces/IEDULandDynamicPriceHelper.sol";
+
+/// @title EDULandUtilisationPriceHelper
+/// @notice A helper contract to calculate the rental price of a EDULand which rises with the utilisation of the lands.
+/// @notice The price is `BASE_PRICE + MAX_PREMIUM * u^2` where `u` is the ratio of rented lands to the maximum supply, capped at 1,
+/// @notice so that the premium stays low while lands are available and reaches MAX_PREMIUM at full capacity.
+contract EDULandUtilisationPriceHelper is IEDULandPriceHelper, IEDULandDynamicPriceHelper, IERC165 {
+    /// @notice The price when no land is rented.
+    uint256 public immutable BASE_PRICE;
+
+    /// @notice The premium added to the base price when all the lands are rented.
+    uint256 public immutable MAX_PREMIUM;
+
+    /// @param basePrice The price when no land is rented.
+    /// @param maxPremium The premium added to the base price when all the lands are rented.
+    constructor(uint256 basePrice, uint256 maxPremium) {
+        BASE_PRICE = basePrice;
+        MAX_PREMIUM = maxPremium;
+    }
+
+    /// @inheritdoc IERC165
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == type(IERC165).interfaceId || interfaceId == type(IEDULandDynamicPriceHelper).interfaceId;
+    }
+
+    /// @inheritdoc IEDULandPriceHelper
+    /// @dev Without the utilisation of the lands, returns the base price.
+    function calculatePrice(uint256) external view returns (uint256) {
+        return BASE_PRICE;
+    }
+
+    /// @inheritdoc IEDULandDynamicPriceHelper
+    /// @dev The price does not depend on the total ongoing rental time nor on the duration.
+    function calculateDynamicPrice(uint256, uint256 activeRentalCount, uint256 maxTokenSupply, uint256) external view returns (uint256) {
+        if (activeRentalCount >= maxTokenSupply) {
+            return BASE_PRICE + MAX_PREMIUM;
+        }
+        return BASE_PRICE + Math.mulDiv(Math.mulDiv(MAX_PREMIUM, activeRentalCount, maxTokenSupply), activeRentalCount, maxTokenSupply);
+    }
+}
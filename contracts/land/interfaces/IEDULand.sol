@@ -5,5 +5,6 @@ import {IERC721} from "@animoca/ethereum-contracts/contracts/token/ERC721/interf
 import {IERC721Mintable} from "@animoca/ethereum-contracts/contracts/token/ERC721/interfaces/IERC721Mintable.sol";
 import {IERC721Burnable} from "@animoca/ethereum-contracts/contracts/token/ERC721/interfaces/IERC721Burnable.sol";
 import {IERC721BatchTransfer} from "@animoca/ethereum-contracts/contracts/token/ERC721/interfaces/IERC721BatchTransfer.sol";
+import {IERC4907} from "./IERC4907.sol";
 
-interface IEDULand is IERC721, IERC721Mintable, IERC721Burnable, IERC721BatchTransfer {}
+interface IEDULand is IERC721, IERC721Mintable, IERC721Burnable, IERC721BatchTransfer, IERC4907 {}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.22;
+
+/// @title The interface of EDU Land rental fee helper which also prices on the utilisation of the lands and the rental duration.
+/// @dev The helpers implementing this interface must also implement IEDULandPriceHelper and report this interface through ERC165.
+interface IEDULandDynamicPriceHelper {
+    /// @notice Calculate the EDULand price based on the total ongoing rental time, the utilisation of the lands and the rental duration.
+    /// @param totalOngoingRentalTime The total effective rental time.
+    /// @param activeRentalCount The number of rented lands.
+    /// @param maxTokenSupply The maximum number of lands.
+    /// @param duration The requested rental duration.
+    /// @return The calculated EDULand price.
+    function calculateDynamicPrice(
+        uint256 totalOngoingRentalTime,
+        uint256 activeRentalCount,
+        uint256 maxTokenSupply,
+        uint256 duration
+    ) external view returns (uint256);
+}
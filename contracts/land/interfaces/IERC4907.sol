@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.22;
+
+/// @title ERC-4907 Rental NFT, an extension of ERC-721.
+/// @dev See https://eips.ethereum.org/EIPS/eip-4907
+/// @dev Note: The ERC-165 identifier for this interface is 0xad092b5c.
+interface IERC4907 {
+    /// @notice Emitted when the `user` of an NFT or the `expires` of the `user` is changed.
+    /// @dev The zero address for `user` indicates that there is no user address.
+    /// @param tokenId The identifier for a token.
+    /// @param user The new user of the token.
+    /// @param expires The UNIX timestamp at which the user stops being the user of the token.
+    event UpdateUser(uint256 indexed tokenId, address indexed user, uint64 expires);
+
+    /// @notice Sets the user and the expiry of an NFT.
+    /// @dev The zero address indicates there is no user.
+    /// @param tokenId The identifier for a token.
+    /// @param user The new user of the token.
+    /// @param expires The UNIX timestamp at which the user stops being the user of the token.
+    function setUser(uint256 tokenId, address user, uint64 expires) external;
+
+    /// @notice Gets the user address of an NFT.
+    /// @dev The zero address indicates that there is no user or the user is expired.
+    /// @param tokenId The identifier for a token.
+    /// @return The user address for this token.
+    function userOf(uint256 tokenId) external view returns (address);
+
+    /// @notice Gets the user expiry of an NFT.
+    /// @dev The zero value indicates that there is no user.
+    /// @param tokenId The identifier for a token.
+    /// @return The UNIX timestamp at which the user stops being the user of the token.
+    function userExpires(uint256 tokenId) external view returns (uint256);
+}
@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.22;
+
+/// @title EDULandExpiryQueue
+/// @notice A binary min-heap of rental end dates, for the collection of the rentals in the order of their expiry.
+/// @notice Each entry packs an end date in its upper 128 bits and a token id in its lower 128 bits, so that the entries are
+/// @notice ordered by end date, then by token id. The entries are not removed when a rental is extended, collected or terminated:
+/// @notice the consumers must discard the entries whose end date is not the current end date of the rental of the token.
+library EDULandExpiryQueue {
+    /// @param endDate The rental end date.
+    /// @param tokenId The token id, lower than 2^128.
+    /// @return entry The packed entry.
+    function encode(uint256 endDate, uint256 tokenId) internal pure returns (uint256 entry) {
+        return (endDate << 128) | tokenId;
+    }
+
+    /// @param entry The packed entry.
+    /// @return endDate The rental end date.
+    /// @return tokenId The token id.
+    function decode(uint256 entry) internal pure returns (uint256 endDate, uint256 tokenId) {
+        return (entry >> 128, uint128(entry));
+    }
+
+    /// @notice Adds an entry to the heap.
+    /// @param heap The heap.
+    /// @param entry The packed entry.
+    function insert(uint256[] storage heap, uint256 entry) internal {
+        heap.push(entry);
+        uint256 i = heap.length - 1;
+        while (i != 0) {
+            uint256 parent = (i - 1) / 2;
+            uint256 parentEntry = heap[parent];
+            if (parentEntry <= entry) {
+                break;
+            }
+            heap[i] = parentEntry;
+            i = parent;
+        }
+        heap[i] = entry;
+    }
+
+    /// @notice Removes the smallest entry of the heap.
+    /// @dev Reverts with a panic if the heap is empty.
+    /// @param heap The heap.
+    /// @return top The removed entry.
+    function extractMin(uint256[] storage heap) internal returns (uint256 top) {
+        top = heap[0];
+        uint256 last = heap[heap.length - 1];
+        heap.pop();
+        uint256 length = heap.length;
+        if (length == 0) {
+            return top;
+        }
+        uint256 i;
+        while (true) {
+            uint256 child = 2 * i + 1;
+            if (child >= length) {
+                break;
+            }
+            uint256 childEntry = heap[child];
+            if (child + 1 < length) {
+                uint256 rightEntry = heap[child + 1];
+                if (rightEntry < childEntry) {
+                    ++child;
+                    childEntry = rightEntry;
+                }
+            }
+            if (last <= childEntry) {
+                break;
+            }
+            heap[i] = childEntry;
+            i = child;
+        }
+        heap[i] = last;
+    }
+}
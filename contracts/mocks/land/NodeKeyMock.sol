@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.22;
+
+/// @notice A node key implementing neither ERC165 nor ERC-4907, as the node keys deployed before EDULand implemented ERC-4907.
+contract NodeKeyMock {
+    mapping(uint256 => address) public ownerOf;
+
+    function mint(address to, uint256 tokenId) external {
+        ownerOf[tokenId] = to;
+    }
+}
@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.22;
+
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/// @notice A contract wallet issuer accepting the ECDSA signatures of its owner, which can also try to re-enter a contract on validation.
+contract ERC1271IssuerMock {
+    bytes4 internal constant MAGIC_VALUE = 0x1626ba7e;
+    bytes4 internal constant INVALID_VALUE = 0xffffffff;
+
+    address public immutable OWNER;
+
+    address public reentrancyTarget;
+    bytes public reentrancyData;
+
+    constructor(address owner) {
+        OWNER = owner;
+    }
+
+    function setReentrancy(address target, bytes calldata data) external {
+        reentrancyTarget = target;
+        reentrancyData = data;
+    }
+
+    /// @dev Not a view function so that it can try to re-enter `reentrancyTarget`, ignoring the outcome of the reentrant call.
+    function isValidSignature(bytes32 hash, bytes calldata signature) external returns (bytes4 magicValue) {
+        if (reentrancyTarget != address(0)) {
+            (bool success, ) = reentrancyTarget.call(reentrancyData);
+            success;
+        }
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(hash, signature);
+        return error == ECDSA.RecoverError.NoError && signer == OWNER ? MAGIC_VALUE : INVALID_VALUE;
+    }
+}
@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.22;
+
+// other imports
+import {Base64} from "@openzeppelin/contracts/utils/Base64.sol";
+import {Strings} from "@openzeppelin/contracts/utils/Strings.sol";
+// animoca imports
+import {ITokenMetadataResolver} from "@animoca/ethereum-contracts/contracts/token/metadata/interfaces/ITokenMetadataResolver.sol";
+// local imports
+import {IRevocationRegistry} from "./interfaces/IRevocationRegistry.sol";
+import {CertificateNFTv1MetaData} from "./libraries/CertificateNFTv1MetaData.sol";
+import {OpenCampusCertificateNFTv1} from "./OpenCampusCertificateNFTv1.sol";
+
+/// @title OpenCampusCertificateMetadataResolver.
+/// @notice Token Metadata Resolver rendering the metadata of OpenCampusCertificateNFTv1 tokens on-chain, as a base64 JSON data URI.
+/// @notice The revocation status is read live from the revocation registry of the token contract.
+contract OpenCampusCertificateMetadataResolver is ITokenMetadataResolver {
+    using Strings for uint256;
+
+    // the JSON double quote and escape characters
+    bytes1 private constant QUOTE = 0x22;
+    bytes1 private constant BACKSLASH = 0x5c;
+
+    /// @notice Gets the token metadata URI for a token as a base64 JSON data URI built from the token VC data.
+    /// @param tokenContract The OpenCampusCertificateNFTv1 contract for which to retrieve the token URI.
+    /// @param tokenId The token identifier.
+    /// @return tokenURI The token metadata URI.
+    function tokenMetadataURI(address tokenContract, uint256 tokenId) external view returns (string memory tokenURI) {
+        OpenCampusCertificateNFTv1 nft = OpenCampusCertificateNFTv1(tokenContract);
+        CertificateNFTv1MetaData.MetaData memory metadata;
+        (
+            metadata.schemaVersion,
+            metadata.achievementType,
+            metadata.awardedDate,
+            metadata.validFrom,
+            metadata.validUtil,
+            metadata.issuerDid,
+            metadata.achievementId
+        ) = nft.vcData(tokenId);
+
+        bytes memory json = abi.encodePacked(
+            abi.encodePacked(
+                "{",
+                _quoted("name"),
+                ":",
+                _quoted(string.concat("OpenCampus Certificate #", tokenId.toString())),
+                ",",
+                _quoted("description"),
+                ":",
+                _quoted(string.concat("OpenCampus certificate issued by ", _escapeJson(metadata.issuerDid)))
+            ),
+            ",",
+            _quoted("attributes"),
+            ":[",
+            _attributes(metadata),
+            ",",
+            _attribute("Revocation Status", _quoted(_revocationStatus(nft.revocationRegistry(), keccak256(bytes(metadata.issuerDid)), tokenId))),
+            "]}"
+        );
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+
+    /// @param metadata The VC data of the token.
+    /// @return attributes The JSON attributes rendering the VC data, without the enclosing brackets.
+    function _attributes(CertificateNFTv1MetaData.MetaData memory metadata) internal pure returns (bytes memory attributes) {
+        return
+            abi.encodePacked(
+                abi.encodePacked(
+                    _attribute("Issuer DID", _quoted(_escapeJson(metadata.issuerDid))),
+                    ",",
+                    _attribute("Achievement ID", _quoted(_escapeJson(metadata.achievementId))),
+                    ",",
+                    _attribute("Achievement Type", bytes(uint256(metadata.achievementType).toString())),
+                    ",",
+                    _attribute("Schema Version", bytes(uint256(metadata.schemaVersion).toString()))
+                ),
+                ",",
+                _attribute("Awarded Date", bytes(uint256(metadata.awardedDate).toString())),
+                ",",
+                _attribute("Valid From", bytes(uint256(metadata.validFrom).toString())),
+                ",",
+                _attribute("Valid Until", bytes(uint256(metadata.validUtil).toString()))
+            );
+    }
+
+    /// @param traitType The trait type of the attribute.
+    /// @param value The JSON value of the attribute, already quoted for a string value.
+    /// @return attribute The JSON attribute object.
+    function _attribute(string memory traitType, bytes memory value) internal pure returns (bytes memory attribute) {
+        return abi.encodePacked("{", _quoted("trait_type"), ":", _quoted(traitType), ",", _quoted("value"), ":", value, "}");
+    }
+
+    /// @param value The string to quote, already escaped.
+    /// @return quoted The string enclosed in double quotes.
+    function _quoted(string memory value) internal pure returns (bytes memory quoted) {
+        return abi.encodePacked(QUOTE, value, QUOTE);
+    }
+
+    /// @param revocationRegistry The revocation registry of the token contract.
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param tokenId The token identifier.
+    /// @return status "Suspended", "Revoked" or "Active". Always "Active" if the token contract has no revocation registry.
+    function _revocationStatus(
+        IRevocationRegistry revocationRegistry,
+        bytes32 hashedIssuerDid,
+        uint256 tokenId
+    ) internal view returns (string memory status) {
+        if (address(revocationRegistry) == address(0) || !revocationRegistry.isRevoked(hashedIssuerDid, tokenId)) {
+            return "Active";
+        }
+        return revocationRegistry.isSuspended(hashedIssuerDid, tokenId) ? "Suspended" : "Revoked";
+    }
+
+    /// @notice Escapes the quotes, backslashes and control characters of a string to be embedded in a JSON string value.
+    /// @param value The string to escape.
+    /// @return escaped The escaped string.
+    function _escapeJson(string memory value) internal pure returns (string memory escaped) {
+        bytes memory input = bytes(value);
+        uint256 extraLength;
+        for (uint256 i; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == QUOTE || char == BACKSLASH) {
+                extraLength += 1;
+            } else if (uint8(char) < 0x20) {
+                // \u00XX
+                extraLength += 5;
+            }
+        }
+        if (extraLength == 0) {
+            return value;
+        }
+
+        bytes16 hexSymbols = "0123456789abcdef";
+        bytes memory output = new bytes(input.length + extraLength);
+        uint256 j;
+        for (uint256 i; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == QUOTE || char == BACKSLASH) {
+                output[j++] = BACKSLASH;
+                output[j++] = char;
+            } else if (uint8(char) < 0x20) {
+                output[j++] = BACKSLASH;
+                output[j++] = "u";
+                output[j++] = "0";
+                output[j++] = "0";
+                output[j++] = hexSymbols[uint8(char) >> 4];
+                output[j++] = hexSymbols[uint8(char) & 0x0f];
+            } else {
+                output[j++] = char;
+            }
+        }
+        return string(output);
+    }
+}
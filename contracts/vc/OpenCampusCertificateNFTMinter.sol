@@ -2,65 +2,448 @@
 pragma solidity 0.8.22;
 
 // other imports
-import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {Context} from "@openzeppelin/contracts/utils/Context.sol";
 import {ContractOwnership} from "@animoca/ethereum-contracts/contracts/access/ContractOwnership.sol";
 import {ContractOwnershipStorage} from "@animoca/ethereum-contracts/contracts/access/libraries/ContractOwnershipStorage.sol";
+import {InconsistentArrayLengths} from "@animoca/ethereum-contracts/contracts/CommonErrors.sol";
+// ForwardRegistry imports
+import {IForwarderRegistry} from "@animoca/ethereum-contracts/contracts/metatx/interfaces/IForwarderRegistry.sol";
+import {ForwarderRegistryContextBase} from "@animoca/ethereum-contracts/contracts/metatx/base/ForwarderRegistryContextBase.sol";
+import {ForwarderRegistryContext} from "@animoca/ethereum-contracts/contracts/metatx/ForwarderRegistryContext.sol";
+// local imports
+import {ICertificateSchemaRegistry} from "./interfaces/ICertificateSchemaRegistry.sol";
 import {IIssuersDIDRegistry} from "./interfaces/IIssuersDIDRegistry.sol";
 import {IRevocationRegistry} from "./interfaces/IRevocationRegistry.sol";
 import {CertificateNFTv1MetaData} from "./libraries/CertificateNFTv1MetaData.sol";
+import {IssuerSignatures} from "./libraries/IssuerSignatures.sol";
 import {OpenCampusCertificateNFTv1} from "./OpenCampusCertificateNFTv1.sol";
+import {VoucherRedeemed, VoucherCancelled, RevocationRegistryOverrideSet, SchemaRegistrySet} from "./events/CertificateNFTMinterEvents.sol";
 
-contract OpenCampusCertificateNFTMinter is ContractOwnership {
+/// @title OpenCampusCertificateNFTMinter.
+/// @notice Mints OpenCampusCertificateNFTv1 tokens with EIP712 signatures of the token issuers.
+/// @notice The mints of a did with a signature threshold must be signed by this number of distinct valid keys of the did,
+/// @notice with their signatures concatenated.
+contract OpenCampusCertificateNFTMinter is ContractOwnership, ForwarderRegistryContext {
     using ContractOwnershipStorage for ContractOwnershipStorage.Layout;
-    using ECDSA for bytes32;
+
+    bytes32 private constant EIP712_DOMAIN_NAME = keccak256("OpenCampusCertificateNFTMinter");
+    bytes32 private constant EIP712_DOMAIN_VERSION = keccak256("1");
+    bytes32 private constant METADATA_TYPEHASH =
+        keccak256(
+            // solhint-disable-next-line max-line-length
+            "MetaData(uint16 schemaVersion,uint16 achievementType,uint64 awardedDate,uint64 validFrom,uint64 validUtil,string issuerDid,string achievementId)"
+        );
+    bytes32 private constant MINT_TYPEHASH =
+        keccak256(
+            // solhint-disable-next-line max-line-length
+            "MintCertificate(address to,uint256 tokenId,MetaData metadata)MetaData(uint16 schemaVersion,uint16 achievementType,uint64 awardedDate,uint64 validFrom,uint64 validUtil,string issuerDid,string achievementId)"
+        );
+    bytes32 private constant BATCH_MINT_TYPEHASH =
+        keccak256(
+            // solhint-disable-next-line max-line-length
+            "BatchMintCertificates(address[] recipients,uint256[] tokenIds,MetaData[] metadata)MetaData(uint16 schemaVersion,uint16 achievementType,uint64 awardedDate,uint64 validFrom,uint64 validUtil,string issuerDid,string achievementId)"
+        );
+    bytes32 private constant VOUCHER_TYPEHASH =
+        keccak256(
+            // solhint-disable-next-line max-line-length
+            "MintVoucher(address to,uint256 tokenId,MetaData metadata,uint256 nonce,uint256 expiry)MetaData(uint16 schemaVersion,uint16 achievementType,uint64 awardedDate,uint64 validFrom,uint64 validUtil,string issuerDid,string achievementId)"
+        );
+
+    enum VoucherStatus {
+        Unused,
+        Redeemed,
+        Cancelled
+    }
 
     IIssuersDIDRegistry public immutable DID_REGISTRY;
     OpenCampusCertificateNFTv1 public immutable NFT_V1;
+    bytes32 private immutable DOMAIN_SEPARATOR;
 
-    IRevocationRegistry public revocationRegistry;
+    /// @notice The revocation registry used instead of the one of `NFT_V1`, if set.
+    IRevocationRegistry public revocationRegistryOverride;
+
+    /// @notice The schema registry validating the certificates schemas. Schemas are not validated while it is not set.
+    ICertificateSchemaRegistry public schemaRegistry;
+
+    /// @notice The status of the mint vouchers, per hashed issuer Did and voucher nonce.
+    mapping(bytes32 => mapping(uint256 => VoucherStatus)) public voucherStatus;
 
     /// @notice Thrown when the issuer is not one of the allowed issuers.
     error IssuerNotAllowed(bytes32 hashedDid, address signer);
 
+    /// @notice Thrown when the VC is signed by fewer distinct valid keys than the signature threshold of its issuer Did.
+    error InsufficientIssuerSignatures(bytes32 hashedDid, uint256 signersCount, uint256 threshold);
+
+    /// @notice Thrown when the VC for the item at `index` of a batch is signed by fewer distinct valid keys than the threshold of its issuer Did.
+    error BatchInsufficientIssuerSignatures(uint256 index, bytes32 hashedDid, uint256 signersCount, uint256 threshold);
+
     /// @notice Thrown when the VC has been revoked.
     error VcRevoked(bytes32 hashedDid, uint256 tokenId);
 
+    /// @notice Thrown when the issuer is not one of the allowed issuers for the item at `index` of a batch.
+    error BatchIssuerNotAllowed(uint256 index, bytes32 hashedDid, address signer);
+
+    /// @notice Thrown when the VC for the item at `index` of a batch has been revoked.
+    error BatchVcRevoked(uint256 index, bytes32 hashedDid, uint256 tokenId);
+
+    /// @notice Thrown when the schema of the VC is not registered or not allowed for its issuer.
+    error SchemaNotAllowed(bytes32 hashedDid, uint16 schemaVersion, uint16 achievementType);
+
+    /// @notice Thrown when the schema of the VC for the item at `index` of a batch is not registered or not allowed for its issuer.
+    error BatchSchemaNotAllowed(uint256 index, bytes32 hashedDid, uint16 schemaVersion, uint16 achievementType);
+
+    /// @notice Thrown when a voucher is redeemed after its expiry.
+    error ExpiredVoucher(bytes32 hashedDid, uint256 nonce, uint256 expiry);
+
+    /// @notice Thrown when a voucher has been cancelled by its issuer.
+    error CancelledVoucher(bytes32 hashedDid, uint256 nonce);
+
+    /// @notice Thrown when a voucher has already been redeemed.
+    error UsedVoucher(bytes32 hashedDid, uint256 nonce);
+
+    /// @notice Thrown when a voucher is redeemed by an account other than its recipient.
+    error VoucherRecipientMismatch(address recipient, address sender);
+
     constructor(
         IIssuersDIDRegistry didRegistry,
         OpenCampusCertificateNFTv1 nftv1,
-        IRevocationRegistry revocationRegistry_
-    ) ContractOwnership(msg.sender) {
+        IForwarderRegistry forwarderRegistry
+    ) ContractOwnership(msg.sender) ForwarderRegistryContext(forwarderRegistry) {
+        uint256 chainId;
+        assembly {
+            chainId := chainid()
+        }
         DID_REGISTRY = didRegistry;
         NFT_V1 = nftv1;
-        revocationRegistry = revocationRegistry_;
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                EIP712_DOMAIN_NAME,
+                EIP712_DOMAIN_VERSION,
+                chainId,
+                address(this)
+            )
+        );
     }
 
-    /// @param revocationRegistry_ The address of the Revocation Registry contract.
-    function setRevocationRegistry(IRevocationRegistry revocationRegistry_) external {
+    /// @notice Overrides the revocation registry of `NFT_V1` for the minting revocation checks.
+    /// @dev Reverts with `NotContractOwner` if the sender is not the contract owner.
+    /// @dev Emits a {RevocationRegistryOverrideSet} event.
+    /// @param revocationRegistry_ The address of the Revocation Registry contract, or the zero address to use the one of `NFT_V1`.
+    function setRevocationRegistryOverride(IRevocationRegistry revocationRegistry_) external {
         ContractOwnershipStorage.layout().enforceIsContractOwner(_msgSender());
-        revocationRegistry = revocationRegistry_;
+        revocationRegistryOverride = revocationRegistry_;
+        emit RevocationRegistryOverrideSet(address(revocationRegistry_));
+    }
+
+    /// @notice Gets the revocation registry checked when minting.
+    /// @return registry The revocation registry override if set, the revocation registry of `NFT_V1` otherwise.
+    function revocationRegistry() public view returns (IRevocationRegistry registry) {
+        registry = revocationRegistryOverride;
+        if (address(registry) == address(0)) {
+            registry = NFT_V1.revocationRegistry();
+        }
+    }
+
+    /// @notice Sets the schema registry validating the schemas of the minted certificates.
+    /// @dev Reverts with `NotContractOwner` if the sender is not the contract owner.
+    /// @dev Emits a {SchemaRegistrySet} event.
+    /// @param schemaRegistry_ The address of the Schema Registry contract, or the zero address to disable the schemas validation.
+    function setSchemaRegistry(ICertificateSchemaRegistry schemaRegistry_) external {
+        ContractOwnershipStorage.layout().enforceIsContractOwner(_msgSender());
+        schemaRegistry = schemaRegistry_;
+        emit SchemaRegistrySet(address(schemaRegistry_));
     }
 
     /// @dev Reverts with `VcRevoked` error if the token being minted has been revoked.
-    /// @dev Reverts with `IssuerNotAllowed` error if recovered issuer is not valid in the DIDRegistry.
-    /// @dev signature is ECDSA signature for (to, tokenId, metadata).
-    /// @dev signature is a 65 bytes raw signature without compacting.
+    /// @dev Reverts with `SchemaNotAllowed` error if the schema of `metadata` is not registered or not allowed for its issuer.
+    /// @dev Reverts with `IssuerNotAllowed` error if one of the recovered issuers is not valid in the DIDRegistry.
+    /// @dev Reverts with `InsufficientIssuerSignatures` error if there are fewer distinct signers than the signature threshold of the issuer Did.
+    /// @dev signature is EIP712 signature for a `MintCertificate` struct of (to, tokenId, metadata).
+    /// @dev signature is a 65 bytes raw signature without compacting, or a concatenation of such signatures.
     /// @param to The address to which `tokenId` would be minted to.
     /// @param tokenId The id of the token to be minted.
     /// @param metadata On-chain metadata for the NFT.
-    /// @param signature The ECDSA signature for the payload (`to`,`tokenId`,`metadata`).
+    /// @param signature EIP712 Signature for values `to`, `tokenId` and `metadata`.
     function mint(address to, uint256 tokenId, CertificateNFTv1MetaData.MetaData calldata metadata, bytes calldata signature) external {
-        // // recover the signer
-        address signer = keccak256(abi.encode(to, tokenId, metadata)).recover(signature);
+        bytes memory data = abi.encodePacked(
+            "\x19\x01",
+            DOMAIN_SEPARATOR,
+            // https://github.com/ethereum/EIPs/blob/master/EIPS/eip-712.md#definition-of-encodedata
+            // struct type `metadata` is encoded as its own hashStruct
+            keccak256(abi.encode(MINT_TYPEHASH, to, tokenId, _hashMetaData(metadata)))
+        );
+        address[] memory signers = IssuerSignatures.recoverSigners(keccak256(data), signature);
         bytes32 hashedDid = keccak256(bytes(metadata.issuerDid));
 
-        if (DID_REGISTRY.issuers(hashedDid, signer)) {
-            if (revocationRegistry.isRevoked(hashedDid, tokenId)) {
-                revert VcRevoked(hashedDid, tokenId);
+        (address invalidSigner, uint256 threshold) = _checkSigners(hashedDid, signers);
+        if (invalidSigner != address(0)) {
+            revert IssuerNotAllowed(hashedDid, invalidSigner);
+        }
+        if (signers.length < threshold) {
+            revert InsufficientIssuerSignatures(hashedDid, signers.length, threshold);
+        }
+        if (_isRevoked(hashedDid, tokenId)) {
+            revert VcRevoked(hashedDid, tokenId);
+        }
+        if (!_isSchemaAllowed(hashedDid, metadata)) {
+            revert SchemaNotAllowed(hashedDid, metadata.schemaVersion, metadata.achievementType);
+        }
+        NFT_V1.mint(to, tokenId, metadata);
+    }
+
+    /// @dev Reverts with `InconsistentArrayLengths` if `recipients`, `tokenIds` and `metadata` have different lengths.
+    /// @dev Reverts with `BatchVcRevoked` error if any of the tokens being minted has been revoked.
+    /// @dev Reverts with `BatchIssuerNotAllowed` error if one of the recovered issuers is not valid in the DIDRegistry for any of the items.
+    /// @dev Reverts with `BatchInsufficientIssuerSignatures` error if there are fewer distinct signers than the threshold of any of the items.
+    /// @dev Reverts with `BatchSchemaNotAllowed` error if the schema of any of the items is not registered or not allowed for its issuer.
+    /// @dev signature is EIP712 signature for a `BatchMintCertificates` struct of (recipients, tokenIds, metadata).
+    /// @dev signature is a 65 bytes raw signature without compacting, or a concatenation of such signatures.
+    /// @param recipients The addresses to which each of `tokenIds` would be minted to.
+    /// @param tokenIds The ids of the tokens to be minted.
+    /// @param metadata On-chain metadata for each of the NFTs.
+    /// @param signature EIP712 Signature for values `recipients`, `tokenIds` and `metadata`.
+    function batchMint(
+        address[] calldata recipients,
+        uint256[] calldata tokenIds,
+        CertificateNFTv1MetaData.MetaData[] calldata metadata,
+        bytes calldata signature
+    ) external {
+        uint256 length = tokenIds.length;
+        if (recipients.length != length || metadata.length != length) {
+            revert InconsistentArrayLengths();
+        }
+
+        address[] memory signers = _recoverBatchMintSigners(recipients, tokenIds, metadata, signature);
+
+        for (uint256 i; i < length; ++i) {
+            uint256 tokenId = tokenIds[i];
+            bytes32 hashedDid = keccak256(bytes(metadata[i].issuerDid));
+            // scoped to avoid a stack too deep error
+            {
+                (address invalidSigner, uint256 threshold) = _checkSigners(hashedDid, signers);
+                if (invalidSigner != address(0)) {
+                    revert BatchIssuerNotAllowed(i, hashedDid, invalidSigner);
+                }
+                if (signers.length < threshold) {
+                    revert BatchInsufficientIssuerSignatures(i, hashedDid, signers.length, threshold);
+                }
             }
-            NFT_V1.mint(to, tokenId, metadata);
-        } else {
-            revert IssuerNotAllowed(hashedDid, signer);
+            if (_isRevoked(hashedDid, tokenId)) {
+                revert BatchVcRevoked(i, hashedDid, tokenId);
+            }
+            if (!_isSchemaAllowed(hashedDid, metadata[i])) {
+                revert BatchSchemaNotAllowed(i, hashedDid, metadata[i].schemaVersion, metadata[i].achievementType);
+            }
+            NFT_V1.mint(recipients[i], tokenId, metadata[i]);
+        }
+    }
+
+    /// @notice Redeems a mint voucher signed off-chain by an issuer, minting the certificate to its recipient.
+    /// @dev The voucher can be submitted directly by the recipient or relayed as a meta-transaction via the ForwarderRegistry.
+    /// @dev Reverts with `VoucherRecipientMismatch` if the sender is not `to`.
+    /// @dev Reverts with `ExpiredVoucher` if the current time is past `expiry`.
+    /// @dev Reverts with `CancelledVoucher` if the voucher has been cancelled by its issuer.
+    /// @dev Reverts with `UsedVoucher` if the voucher has already been redeemed.
+    /// @dev Reverts with `IssuerNotAllowed` error if one of the recovered issuers is not valid in the DIDRegistry.
+    /// @dev Reverts with `InsufficientIssuerSignatures` error if there are fewer distinct signers than the signature threshold of the issuer Did.
+    /// @dev Reverts with `VcRevoked` error if the token being minted has been revoked.
+    /// @dev Reverts with `SchemaNotAllowed` error if the schema of `metadata` is not registered or not allowed for its issuer.
+    /// @dev Emits a `VoucherRedeemed` event.
+    /// @dev signature is EIP712 signature for a `MintVoucher` struct of (to, tokenId, metadata, nonce, expiry).
+    /// @dev signature is a 65 bytes raw signature without compacting, or a concatenation of such signatures.
+    /// @param to The address to which `tokenId` would be minted to.
+    /// @param tokenId The id of the token to be minted.
+    /// @param metadata On-chain metadata for the NFT.
+    /// @param nonce The voucher nonce, unique per issuer Did.
+    /// @param expiry The timestamp after which the voucher can no longer be redeemed.
+    /// @param signature EIP712 Signature for values `to`, `tokenId`, `metadata`, `nonce` and `expiry`.
+    function redeemVoucher(
+        address to,
+        uint256 tokenId,
+        CertificateNFTv1MetaData.MetaData calldata metadata,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) external {
+        address sender = _msgSender();
+        if (sender != to) {
+            revert VoucherRecipientMismatch(to, sender);
         }
+
+        bytes32 hashedDid = keccak256(bytes(metadata.issuerDid));
+        if (block.timestamp > expiry) {
+            revert ExpiredVoucher(hashedDid, nonce, expiry);
+        }
+        _enforceVoucherUnused(hashedDid, nonce);
+
+        address[] memory signers = _recoverVoucherSigners(to, tokenId, metadata, nonce, expiry, signature);
+        (address invalidSigner, uint256 threshold) = _checkSigners(hashedDid, signers);
+        if (invalidSigner != address(0)) {
+            revert IssuerNotAllowed(hashedDid, invalidSigner);
+        }
+        if (signers.length < threshold) {
+            revert InsufficientIssuerSignatures(hashedDid, signers.length, threshold);
+        }
+        if (_isRevoked(hashedDid, tokenId)) {
+            revert VcRevoked(hashedDid, tokenId);
+        }
+        if (!_isSchemaAllowed(hashedDid, metadata)) {
+            revert SchemaNotAllowed(hashedDid, metadata.schemaVersion, metadata.achievementType);
+        }
+
+        voucherStatus[hashedDid][nonce] = VoucherStatus.Redeemed;
+        NFT_V1.mint(to, tokenId, metadata);
+        emit VoucherRedeemed(hashedDid, nonce, tokenId, to);
+    }
+
+    /// @notice Cancels a mint voucher before it gets redeemed.
+    /// @notice Any single valid key of the issuer Did can cancel a voucher, regardless of the signature threshold of the Did:
+    /// @notice a cancellation can only prevent a mint, so that one key holder can stop a voucher which leaked or was issued by mistake.
+    /// @dev Reverts with `IssuerNotAllowed` error if the sender is not a valid issuer for `hashedIssuerDid` in the DIDRegistry.
+    /// @dev Reverts with `CancelledVoucher` if the voucher has already been cancelled.
+    /// @dev Reverts with `UsedVoucher` if the voucher has already been redeemed.
+    /// @dev Emits a `VoucherCancelled` event.
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param nonce The nonce of the voucher to cancel.
+    function cancelVoucher(bytes32 hashedIssuerDid, uint256 nonce) external {
+        address sender = _msgSender();
+        if (!DID_REGISTRY.issuers(hashedIssuerDid, sender)) {
+            revert IssuerNotAllowed(hashedIssuerDid, sender);
+        }
+        _enforceVoucherUnused(hashedIssuerDid, nonce);
+
+        voucherStatus[hashedIssuerDid][nonce] = VoucherStatus.Cancelled;
+        emit VoucherCancelled(hashedIssuerDid, nonce, sender);
+    }
+
+    /// @param hashedDid keccak256 hashed issuer Did.
+    /// @param signers The distinct signers of the certificate.
+    /// @return invalidSigner The first signer which is not a valid issuer for `hashedDid`, or the zero address if all the signers are valid.
+    /// @return threshold The signature threshold of `hashedDid`.
+    function _checkSigners(bytes32 hashedDid, address[] memory signers) internal view returns (address invalidSigner, uint256 threshold) {
+        for (uint256 i; i < signers.length; ++i) {
+            if (!DID_REGISTRY.issuers(hashedDid, signers[i])) {
+                return (signers[i], 0);
+            }
+        }
+        return (address(0), DID_REGISTRY.signatureThreshold(hashedDid));
+    }
+
+    /// @param hashedDid keccak256 hashed issuer Did.
+    /// @param tokenId The id of the token to be minted.
+    /// @return revoked Whether the token has been revoked in the revocation registry, always false if there is no revocation registry.
+    function _isRevoked(bytes32 hashedDid, uint256 tokenId) internal view returns (bool revoked) {
+        IRevocationRegistry registry = revocationRegistry();
+        return address(registry) != address(0) && registry.isRevoked(hashedDid, tokenId);
+    }
+
+    /// @param hashedDid keccak256 hashed issuer Did.
+    /// @param metadata On-chain metadata for the NFT.
+    /// @return allowed Whether the schema of `metadata` is allowed for the issuer, always true if the schema registry is not set.
+    function _isSchemaAllowed(bytes32 hashedDid, CertificateNFTv1MetaData.MetaData calldata metadata) internal view returns (bool allowed) {
+        ICertificateSchemaRegistry registry = schemaRegistry;
+        return address(registry) == address(0) || registry.isSchemaAllowed(hashedDid, metadata.schemaVersion, metadata.achievementType);
+    }
+
+    /// @dev Reverts with `CancelledVoucher` if the voucher has been cancelled.
+    /// @dev Reverts with `UsedVoucher` if the voucher has been redeemed.
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param nonce The nonce of the voucher.
+    function _enforceVoucherUnused(bytes32 hashedIssuerDid, uint256 nonce) internal view {
+        VoucherStatus status = voucherStatus[hashedIssuerDid][nonce];
+        if (status == VoucherStatus.Cancelled) {
+            revert CancelledVoucher(hashedIssuerDid, nonce);
+        } else if (status == VoucherStatus.Redeemed) {
+            revert UsedVoucher(hashedIssuerDid, nonce);
+        }
+    }
+
+    /// @notice Recovers the distinct signers of `MintVoucher` EIP712 signatures.
+    /// @param to The address to which `tokenId` would be minted to.
+    /// @param tokenId The id of the token to be minted.
+    /// @param metadata On-chain metadata for the NFT.
+    /// @param nonce The voucher nonce.
+    /// @param expiry The voucher expiry.
+    /// @param signature EIP712 Signature for values `to`, `tokenId`, `metadata`, `nonce` and `expiry`, or a concatenation of such signatures.
+    /// @return signers The recovered signer addresses.
+    function _recoverVoucherSigners(
+        address to,
+        uint256 tokenId,
+        CertificateNFTv1MetaData.MetaData calldata metadata,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) internal view returns (address[] memory signers) {
+        bytes memory data = abi.encodePacked(
+            "\x19\x01",
+            DOMAIN_SEPARATOR,
+            keccak256(abi.encode(VOUCHER_TYPEHASH, to, tokenId, _hashMetaData(metadata), nonce, expiry))
+        );
+        return IssuerSignatures.recoverSigners(keccak256(data), signature);
+    }
+
+    /// @notice Recovers the distinct signers of `BatchMintCertificates` EIP712 signatures.
+    /// @param recipients The addresses to which each of `tokenIds` would be minted to.
+    /// @param tokenIds The ids of the tokens to be minted.
+    /// @param metadata On-chain metadata for each of the NFTs.
+    /// @param signature EIP712 Signature for values `recipients`, `tokenIds` and `metadata`, or a concatenation of such signatures.
+    /// @return signers The recovered signer addresses.
+    function _recoverBatchMintSigners(
+        address[] calldata recipients,
+        uint256[] calldata tokenIds,
+        CertificateNFTv1MetaData.MetaData[] calldata metadata,
+        bytes calldata signature
+    ) internal view returns (address[] memory signers) {
+        uint256 length = metadata.length;
+        bytes32[] memory metadataHashes = new bytes32[](length);
+        for (uint256 i; i < length; ++i) {
+            metadataHashes[i] = _hashMetaData(metadata[i]);
+        }
+
+        bytes memory data = abi.encodePacked(
+            "\x19\x01",
+            DOMAIN_SEPARATOR,
+            // https://github.com/ethereum/EIPs/blob/master/EIPS/eip-712.md#definition-of-encodedata
+            // array types are encoded as the hash of the concatenated encoding of their elements
+            keccak256(
+                abi.encode(
+                    BATCH_MINT_TYPEHASH,
+                    keccak256(abi.encodePacked(recipients)),
+                    keccak256(abi.encodePacked(tokenIds)),
+                    keccak256(abi.encodePacked(metadataHashes))
+                )
+            )
+        );
+        return IssuerSignatures.recoverSigners(keccak256(data), signature);
+    }
+
+    /// @notice Computes the EIP712 hashStruct of the given metadata.
+    /// @param metadata The metadata to be hashed.
+    /// @return structHash The EIP712 hashStruct of `metadata`.
+    function _hashMetaData(CertificateNFTv1MetaData.MetaData calldata metadata) internal pure returns (bytes32 structHash) {
+        return
+            keccak256(
+                abi.encode(
+                    METADATA_TYPEHASH,
+                    metadata.schemaVersion,
+                    metadata.achievementType,
+                    metadata.awardedDate,
+                    metadata.validFrom,
+                    metadata.validUtil,
+                    keccak256(bytes(metadata.issuerDid)),
+                    keccak256(bytes(metadata.achievementId))
+                )
+            );
+    }
+
+    /// @inheritdoc ForwarderRegistryContextBase
+    function _msgSender() internal view override(Context, ForwarderRegistryContextBase) returns (address) {
+        return ForwarderRegistryContextBase._msgSender();
+    }
+
+    /// @inheritdoc ForwarderRegistryContextBase
+    function _msgData() internal view override(Context, ForwarderRegistryContextBase) returns (bytes calldata) {
+        return ForwarderRegistryContextBase._msgData();
     }
 }
@@ -2,12 +2,14 @@
 pragma solidity 0.8.22;
 
 // other imports
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import {Context} from "@openzeppelin/contracts/utils/Context.sol";
 // access control imports
 import {AccessControl} from "@animoca/ethereum-contracts/contracts/access/AccessControl.sol";
 import {AccessControlStorage} from "@animoca/ethereum-contracts/contracts/access/libraries/AccessControlStorage.sol";
 import {ContractOwnership} from "@animoca/ethereum-contracts/contracts/access/ContractOwnership.sol";
 import {ContractOwnershipStorage} from "@animoca/ethereum-contracts/contracts/access/libraries/ContractOwnershipStorage.sol";
+import {InterfaceDetectionStorage} from "@animoca/ethereum-contracts/contracts/introspection/libraries/InterfaceDetectionStorage.sol";
 // ERC721 imports
 import {IERC721} from "@animoca/ethereum-contracts/contracts/token/ERC721/interfaces/IERC721.sol";
 import {ERC721Metadata} from "@animoca/ethereum-contracts/contracts/token/ERC721/ERC721Metadata.sol";
@@ -19,25 +21,72 @@ import {IForwarderRegistry} from "@animoca/ethereum-contracts/contracts/metatx/i
 import {ForwarderRegistryContextBase} from "@animoca/ethereum-contracts/contracts/metatx/base/ForwarderRegistryContextBase.sol";
 import {ForwarderRegistryContext} from "@animoca/ethereum-contracts/contracts/metatx/ForwarderRegistryContext.sol";
 // local imports
+import {IERC5192} from "./interfaces/IERC5192.sol";
 import {IIssuersDIDRegistry} from "./interfaces/IIssuersDIDRegistry.sol";
 import {IRevocationRegistry} from "./interfaces/IRevocationRegistry.sol";
 import {CertificateNFTv1MetaData} from "./libraries/CertificateNFTv1MetaData.sol";
+import {CertificateBurned, CertificateRecovered, RevocationRegistrySet} from "./events/CertificateNFTv1Events.sol";
 
-contract OpenCampusCertificateNFTv1 is IERC721, ERC721Metadata, AccessControl, ForwarderRegistryContext {
+contract OpenCampusCertificateNFTv1 is IERC721, IERC5192, ERC721Metadata, AccessControl, ForwarderRegistryContext {
     using ERC721Storage for ERC721Storage.Layout;
     using AccessControlStorage for AccessControlStorage.Layout;
     using ContractOwnershipStorage for ContractOwnershipStorage.Layout;
+    using InterfaceDetectionStorage for InterfaceDetectionStorage.Layout;
+    using ECDSA for bytes32;
+
+    /// @notice The last holder, the revoker and revocation reason, the burn time and the VC data of a burnt token.
+    struct Tombstone {
+        address holder;
+        address revoker;
+        uint8 reason;
+        uint64 burntAt;
+        CertificateNFTv1MetaData.MetaData vcData;
+    }
+
+    bytes32 private constant EIP712_DOMAIN_NAME = keccak256("OpenCampusCertificateNFTv1");
+    bytes32 private constant EIP712_DOMAIN_VERSION = keccak256("1");
+    bytes32 private constant RECOVER_TYPEHASH = keccak256("RecoverCertificate(uint256 tokenId,address from,address to,uint256 nonce,uint256 expiry)");
 
     IIssuersDIDRegistry public immutable DID_REGISTRY;
+    bytes32 private immutable DOMAIN_SEPARATOR;
     IRevocationRegistry public revocationRegistry;
 
     bytes32 public constant MINTER_ROLE = "minter";
     bytes32 public constant OPERATOR_ROLE = "operator";
     mapping(uint256 => CertificateNFTv1MetaData.MetaData) public vcData;
 
+    /// @notice The last holder, revocation details and VC data of the burnt tokens.
+    mapping(uint256 => Tombstone) public tombstones;
+
+    /// @notice The nonce expected in the next recovery authorization of a token.
+    mapping(uint256 => uint256) public recoveryNonces;
+
+    mapping(uint256 => bool) internal _locked;
+
+    mapping(address => uint256[]) internal _holderTokens;
+    mapping(bytes32 => uint256[]) internal _issuerTokens;
+    // 1-based positions of each token in the lists of its holder and of its issuer, 0 if not listed
+    mapping(uint256 => uint256) internal _holderTokenIndex;
+    mapping(uint256 => uint256) internal _issuerTokenIndex;
+
     /// @notice Thrown when burn operation cannot be executed.
     error VcNotRevoked(bytes32 hashedDid, uint256 tokenId);
 
+    /// @notice Thrown when the sender is not a valid issuer for the token issuer Did.
+    error IssuerNotAllowed(bytes32 hashedDid, address account);
+
+    /// @notice Thrown when transferring a soulbound token.
+    error TokenLocked(uint256 tokenId);
+
+    /// @notice Thrown when a recovery authorization is used after its expiry.
+    error ExpiredRecovery(uint256 tokenId, uint256 expiry);
+
+    /// @notice Thrown when a recovery authorization is not signed by a valid issuer of the token.
+    error RecoveryNotAuthorized(bytes32 hashedDid, address signer);
+
+    /// @notice Thrown when querying a token at an index beyond the tokens held by an account.
+    error TokenIndexOutOfBounds(address owner, uint256 index);
+
     constructor(
         string memory tokenName,
         string memory tokenSymbol,
@@ -47,14 +96,31 @@ contract OpenCampusCertificateNFTv1 is IERC721, ERC721Metadata, AccessControl, F
         IIssuersDIDRegistry didRegistry
     ) ContractOwnership(msg.sender) ForwarderRegistryContext(forwarderRegistry) ERC721Metadata(tokenName, tokenSymbol, metadataResolver) {
         ERC721Storage.init();
+        InterfaceDetectionStorage.layout().setSupportedInterface(type(IERC5192).interfaceId, true);
+        uint256 chainId;
+        assembly {
+            chainId := chainid()
+        }
         DID_REGISTRY = didRegistry;
         revocationRegistry = revocationRegistry_;
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(
+                keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"),
+                EIP712_DOMAIN_NAME,
+                EIP712_DOMAIN_VERSION,
+                chainId,
+                address(this)
+            )
+        );
     }
 
+    /// @dev Reverts with `NotContractOwner` if the sender is not the contract owner.
+    /// @dev Emits a {RevocationRegistrySet} event.
     /// @param revocationRegistry_ The address of the Revocation Registry contract.
     function setRevocationRegistry(IRevocationRegistry revocationRegistry_) external {
         ContractOwnershipStorage.layout().enforceIsContractOwner(_msgSender());
         revocationRegistry = revocationRegistry_;
+        emit RevocationRegistrySet(address(revocationRegistry_));
     }
 
     /// @dev Reverts with `NotRoleHolder` if the sender does not have the 'minter' role.
@@ -66,28 +132,182 @@ contract OpenCampusCertificateNFTv1 is IERC721, ERC721Metadata, AccessControl, F
 
         ERC721Storage.layout().mint(to, tokenId);
         vcData[tokenId] = metadata;
+        _addToken(_holderTokens[to], _holderTokenIndex, tokenId);
+        _addToken(_issuerTokens[keccak256(bytes(metadata.issuerDid))], _issuerTokenIndex, tokenId);
     }
 
-    /// @dev Reverts with `VcNotRevoked` if the tokenId has not been invalidated.
-    /// @dev Emit a `Transfer` event to address 0 when the token has been burnt.
+    /// @notice The revoker and the reason of the revocation are copied from the revocation registry to the tombstone.
+    /// @dev Reverts with `VcNotRevoked` if the tokenId has not been invalidated, or has only been suspended.
+    /// @dev Emits a `Transfer` event to address 0 and a `CertificateBurned` event when the token has been burnt.
     /// @param tokenId The Token Id to be burnt.
-    /// Burn tokenId only if tokenId has been legitimately revoked in Revocation Registry.
+    /// Burn tokenId only if tokenId has been legitimately and permanently revoked in Revocation Registry.
     function burn(uint256 tokenId) external {
         address owner = ERC721Storage.layout().ownerOf(tokenId);
         bytes32 hashedDid = keccak256(bytes(vcData[tokenId].issuerDid));
-        if (revocationRegistry.isRevoked(hashedDid, tokenId)) {
-            ERC721Storage.layout().owners[tokenId] = ERC721Storage.BURNT_TOKEN_OWNER_VALUE;
-
-            unchecked {
-                // cannot underflow as balance is verified through TOKEN ownership
-                --ERC721Storage.layout().balances[owner];
-            }
-            emit Transfer(owner, address(0), tokenId);
+        if (revocationRegistry.isRevoked(hashedDid, tokenId) && !revocationRegistry.isSuspended(hashedDid, tokenId)) {
+            (address revoker, uint8 reason) = revocationRegistry.revocation(hashedDid, tokenId);
+            _burn(owner, tokenId, hashedDid, revoker, reason);
         } else {
             revert VcNotRevoked(hashedDid, tokenId);
         }
     }
 
+    /// @notice Permanently revokes a token in the revocation registry and burns it, in a single transaction.
+    /// @notice The tombstone records the revoker stored by the revocation registry, which is the signer of the revocation and not the sender.
+    /// @dev Reverts with `ERC721NonExistingToken` if the token does not exist.
+    /// @dev Reverts with `IssuerNotAllowed` if the sender is not a valid issuer for the token issuer Did.
+    /// @dev Reverts if the revocation is rejected by the revocation registry.
+    /// @dev Emits a `Transfer` event to address 0 and a `CertificateBurned` event.
+    /// @param tokenId The Token Id to be revoked and burnt.
+    /// @param reason the reason code for the revocation.
+    /// @param nonce the current revocation registry nonce of the issuer Did.
+    /// @param expiry the timestamp after which the signature can no longer be used.
+    /// @param signature the revocation registry `revokeVC` EIP712 signature of a valid issuer for the token issuer Did.
+    function revokeAndBurn(uint256 tokenId, uint8 reason, uint256 nonce, uint256 expiry, bytes calldata signature) external {
+        address owner = ERC721Storage.layout().ownerOf(tokenId);
+        address sender = _msgSender();
+        bytes32 hashedDid = keccak256(bytes(vcData[tokenId].issuerDid));
+        if (!DID_REGISTRY.issuers(hashedDid, sender)) {
+            revert IssuerNotAllowed(hashedDid, sender);
+        }
+
+        IRevocationRegistry registry = revocationRegistry;
+        registry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+        (address revoker, uint8 revocationReason) = registry.revocation(hashedDid, tokenId);
+        _burn(owner, tokenId, hashedDid, revoker, revocationReason);
+    }
+
+    /// @notice Sets the soulbound flag of a token. Locked tokens cannot be transferred, but can still be recovered with `recover`.
+    /// @dev Reverts with `ERC721NonExistingToken` if the token does not exist.
+    /// @dev Reverts with `NotRoleHolder` if the sender is neither a valid issuer for `tokenId` nor an operator.
+    /// @dev Emits a {Locked} or an {Unlocked} event if the locking status changes.
+    /// @param tokenId The token identifier.
+    /// @param isLocked Whether the token is locked.
+    function setLocked(uint256 tokenId, bool isLocked) external {
+        ERC721Storage.layout().ownerOf(tokenId);
+        _isSenderOperatable(_msgSender(), tokenId);
+        if (_locked[tokenId] != isLocked) {
+            _locked[tokenId] = isLocked;
+            if (isLocked) {
+                emit Locked(tokenId);
+            } else {
+                emit Unlocked(tokenId);
+            }
+        }
+    }
+
+    /// @inheritdoc IERC5192
+    function locked(uint256 tokenId) external view returns (bool) {
+        ERC721Storage.layout().ownerOf(tokenId);
+        return _locked[tokenId];
+    }
+
+    /// @notice Moves a token from its current owner to the sender, which proves the control of the new wallet of the holder,
+    /// @notice with a `RecoverCertificate` authorization signed by a valid issuer of the token. Works on locked tokens.
+    /// @notice The token VC data, locking status and revocation status are left untouched.
+    /// @dev Reverts with `ERC721NonExistingToken` if the token does not exist.
+    /// @dev Reverts with `ExpiredRecovery` if the current block timestamp is after `expiry`.
+    /// @dev Reverts with `RecoveryNotAuthorized` if the signer is not a valid issuer for the token issuer Did.
+    /// @dev Emits a {Transfer} and a {CertificateRecovered} event.
+    /// @param tokenId The token identifier.
+    /// @param expiry The timestamp after which the authorization cannot be used.
+    /// @param signature The issuer signature of the recovery authorization, for the current recovery nonce of the token.
+    function recover(uint256 tokenId, uint256 expiry, bytes calldata signature) external {
+        ERC721Storage.Layout storage erc721 = ERC721Storage.layout();
+        address from = erc721.ownerOf(tokenId);
+        address to = _msgSender();
+        if (block.timestamp > expiry) {
+            revert ExpiredRecovery(tokenId, expiry);
+        }
+
+        uint256 nonce = recoveryNonces[tokenId];
+        bytes32 hashedDid = keccak256(bytes(vcData[tokenId].issuerDid));
+        bytes memory data = abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, keccak256(abi.encode(RECOVER_TYPEHASH, tokenId, from, to, nonce, expiry)));
+        address signer = keccak256(data).recover(signature);
+        if (!DID_REGISTRY.issuers(hashedDid, signer)) {
+            revert RecoveryNotAuthorized(hashedDid, signer);
+        }
+
+        unchecked {
+            recoveryNonces[tokenId] = nonce + 1;
+            // cannot underflow as balance is verified through TOKEN ownership
+            --erc721.balances[from];
+            ++erc721.balances[to];
+        }
+        _moveHolderToken(from, to, tokenId);
+        // also clears the token approval flag
+        erc721.owners[tokenId] = uint256(uint160(to));
+        emit Transfer(from, to, tokenId);
+        emit CertificateRecovered(tokenId, from, to, signer);
+    }
+
+    /// @notice Checks whether a certificate is currently valid: it exists, is not revoked or suspended, is within its validity window
+    /// @notice and its issuer DID has at least one currently valid key in the DID registry.
+    /// @notice The `validFrom` and `validUtil` VC data are timestamps in milliseconds. A zero `validUtil` means that the VC does not expire.
+    /// @param tokenId The token identifier.
+    /// @return valid Whether the certificate is currently valid.
+    function isValid(uint256 tokenId) external view returns (bool valid) {
+        if (uint160(ERC721Storage.layout().owners[tokenId]) == 0) {
+            return false;
+        }
+
+        CertificateNFTv1MetaData.MetaData storage metadata = vcData[tokenId];
+        uint256 nowMs = block.timestamp * 1000;
+        if (nowMs < metadata.validFrom || (metadata.validUtil != 0 && nowMs > metadata.validUtil)) {
+            return false;
+        }
+
+        bytes32 hashedDid = keccak256(bytes(metadata.issuerDid));
+        if (address(revocationRegistry) != address(0) && revocationRegistry.isRevoked(hashedDid, tokenId)) {
+            return false;
+        }
+
+        address[] memory keys = DID_REGISTRY.getIssuerKeys(hashedDid);
+        for (uint256 i; i < keys.length; i++) {
+            if (DID_REGISTRY.issuers(hashedDid, keys[i])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /// @notice Gets a token held by an account, by its index in the account tokens list.
+    /// @dev Reverts with `TokenIndexOutOfBounds` if `index` is not lower than the balance of `owner`.
+    /// @param owner The account holding the tokens.
+    /// @param index The index of the token in the account tokens list.
+    /// @return tokenId The token identifier.
+    function tokenOfOwnerByIndex(address owner, uint256 index) external view returns (uint256 tokenId) {
+        uint256[] storage tokens = _holderTokens[owner];
+        if (index >= tokens.length) {
+            revert TokenIndexOutOfBounds(owner, index);
+        }
+        return tokens[index];
+    }
+
+    /// @notice Gets a page of the tokens held by an account. The order of the tokens changes when tokens are transferred or burnt.
+    /// @param owner The account holding the tokens.
+    /// @param offset The index of the first token of the page.
+    /// @param limit The maximum number of tokens in the page.
+    /// @return tokenIds The tokens of the page, empty if `offset` is not lower than the balance of `owner`.
+    function tokensOfOwner(address owner, uint256 offset, uint256 limit) external view returns (uint256[] memory tokenIds) {
+        return _paginate(_holderTokens[owner], offset, limit);
+    }
+
+    /// @param hashedDid keccak256 hashed issuer Did.
+    /// @return count The number of tokens issued by the issuer Did, excluding the burnt tokens.
+    function issuerTokenCount(bytes32 hashedDid) external view returns (uint256 count) {
+        return _issuerTokens[hashedDid].length;
+    }
+
+    /// @notice Gets a page of the tokens issued by an issuer Did, excluding the burnt tokens. The order of the tokens changes when tokens are burnt.
+    /// @param hashedDid keccak256 hashed issuer Did.
+    /// @param offset The index of the first token of the page.
+    /// @param limit The maximum number of tokens in the page.
+    /// @return tokenIds The tokens of the page, empty if `offset` is not lower than the number of tokens of the issuer Did.
+    function tokensOfIssuer(bytes32 hashedDid, uint256 offset, uint256 limit) external view returns (uint256[] memory tokenIds) {
+        return _paginate(_issuerTokens[hashedDid], offset, limit);
+    }
+
     /// @inheritdoc IERC721
     function approve(address to, uint256 tokenId) external {
         ERC721Storage.layout().approve(_msgSender(), to, tokenId);
@@ -131,11 +351,97 @@ contract OpenCampusCertificateNFTv1 is IERC721, ERC721Metadata, AccessControl, F
         }
     }
 
+    /// @notice Burns a token and moves its VC data to its tombstone.
+    /// @dev Emits a `Transfer` event to address 0 and a `CertificateBurned` event.
+    /// @param owner The owner of the token.
+    /// @param tokenId The token identifier.
+    /// @param hashedDid keccak256 hashed issuer Did of the token.
+    /// @param revoker The issuer address which revoked the token, or the zero address if not known.
+    /// @param reason The reason code for the revocation.
+    function _burn(address owner, uint256 tokenId, bytes32 hashedDid, address revoker, uint8 reason) internal {
+        ERC721Storage.Layout storage erc721 = ERC721Storage.layout();
+        erc721.owners[tokenId] = ERC721Storage.BURNT_TOKEN_OWNER_VALUE;
+        unchecked {
+            // cannot underflow as balance is verified through TOKEN ownership
+            --erc721.balances[owner];
+        }
+        _removeToken(_holderTokens[owner], _holderTokenIndex, tokenId);
+        _removeToken(_issuerTokens[hashedDid], _issuerTokenIndex, tokenId);
+
+        tombstones[tokenId] = Tombstone(owner, revoker, reason, uint64(block.timestamp), vcData[tokenId]);
+        delete vcData[tokenId];
+        delete _locked[tokenId];
+
+        emit Transfer(owner, address(0), tokenId);
+        emit CertificateBurned(tokenId, hashedDid, revoker, reason);
+    }
+
+    /// @notice Moves a token from the tokens list of `from` to the tokens list of `to`, before its ownership and any receiver callback.
+    /// @notice Does nothing if `from` is not the owner of the token, in which case the transfer reverts.
+    /// @param from The previous owner of the token.
+    /// @param to The new owner of the token.
+    /// @param tokenId The token identifier.
+    function _moveHolderToken(address from, address to, uint256 tokenId) internal {
+        if (from != to && ERC721Storage.layout().ownerOf(tokenId) == from) {
+            _removeToken(_holderTokens[from], _holderTokenIndex, tokenId);
+            _addToken(_holderTokens[to], _holderTokenIndex, tokenId);
+        }
+    }
+
+    /// @param tokens The tokens list.
+    /// @param indexes The 1-based positions of the tokens in the list.
+    /// @param tokenId The token to append to the list.
+    function _addToken(uint256[] storage tokens, mapping(uint256 => uint256) storage indexes, uint256 tokenId) internal {
+        tokens.push(tokenId);
+        indexes[tokenId] = tokens.length;
+    }
+
+    /// @param tokens The tokens list.
+    /// @param indexes The 1-based positions of the tokens in the list.
+    /// @param tokenId The token to remove from the list, replaced by the last token of the list.
+    function _removeToken(uint256[] storage tokens, mapping(uint256 => uint256) storage indexes, uint256 tokenId) internal {
+        uint256 lastPosition = tokens.length;
+        uint256 position = indexes[tokenId];
+        if (position != lastPosition) {
+            uint256 lastTokenId = tokens[lastPosition - 1];
+            tokens[position - 1] = lastTokenId;
+            indexes[lastTokenId] = position;
+        }
+        tokens.pop();
+        delete indexes[tokenId];
+    }
+
+    /// @param tokens The tokens list.
+    /// @param offset The index of the first token of the page.
+    /// @param limit The maximum number of tokens in the page.
+    /// @return page The tokens of the page.
+    function _paginate(uint256[] storage tokens, uint256 offset, uint256 limit) internal view returns (uint256[] memory page) {
+        uint256 length = tokens.length;
+        if (offset >= length) {
+            return page;
+        }
+        uint256 end = length - offset > limit ? offset + limit : length;
+        page = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = tokens[i];
+        }
+    }
+
+    /// @dev Reverts with `TokenLocked` if the token is soulbound.
+    /// @param tokenId The identifier of the token to transfer.
+    function _enforceUnlocked(uint256 tokenId) internal view {
+        if (_locked[tokenId]) {
+            revert TokenLocked(tokenId);
+        }
+    }
+
     /// @notice after using `_isSenderOperatable` to validate sender's ability to be a valid operator, perform standard ERC721 transferFrom
     /// @inheritdoc IERC721
     function transferFrom(address from, address to, uint256 tokenId) external {
         address sender = _msgSender();
         _isSenderOperatable(sender, tokenId);
+        _enforceUnlocked(tokenId);
+        _moveHolderToken(from, to, tokenId);
         ERC721Storage.layout().transferFrom(sender, from, to, tokenId);
     }
 
@@ -144,6 +450,8 @@ contract OpenCampusCertificateNFTv1 is IERC721, ERC721Metadata, AccessControl, F
     function safeTransferFrom(address from, address to, uint256 tokenId) external {
         address sender = _msgSender();
         _isSenderOperatable(sender, tokenId);
+        _enforceUnlocked(tokenId);
+        _moveHolderToken(from, to, tokenId);
         ERC721Storage.layout().safeTransferFrom(sender, from, to, tokenId);
     }
 
@@ -152,6 +460,8 @@ contract OpenCampusCertificateNFTv1 is IERC721, ERC721Metadata, AccessControl, F
     function safeTransferFrom(address from, address to, uint256 tokenId, bytes calldata data) external {
         address sender = _msgSender();
         _isSenderOperatable(sender, tokenId);
+        _enforceUnlocked(tokenId);
+        _moveHolderToken(from, to, tokenId);
         ERC721Storage.layout().safeTransferFrom(sender, from, to, tokenId, data);
     }
 
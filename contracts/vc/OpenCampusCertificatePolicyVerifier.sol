@@ -0,0 +1,224 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.22;
+
+import {IForwarderRegistry} from "@animoca/ethereum-contracts/contracts/metatx/interfaces/IForwarderRegistry.sol";
+import {ForwarderRegistryContext} from "@animoca/ethereum-contracts/contracts/metatx/ForwarderRegistryContext.sol";
+import {OpenCampusCertificateNFTv1} from "./OpenCampusCertificateNFTv1.sol";
+import {PolicyRegistered, PolicyUpdated, PolicyRemoved} from "./events/CertificatePolicyVerifierEvents.sol";
+
+/// @title OpenCampusCertificatePolicyVerifier
+/// @notice Verifies that an account holds a valid OpenCampusCertificateNFTv1 certificate matching a named policy.
+/// @notice A certificate is valid if it is not revoked, within its validity window and if its issuer DID has a valid key,
+/// @notice see `OpenCampusCertificateNFTv1.isValid`.
+/// @notice A policy matches the certificates issued by one of its issuer DIDs, for one of its achievement ids and types,
+/// @notice awarded at or after its minimum awarded date. An empty list of issuer DIDs, achievement ids or achievement types matches any value.
+/// @notice For example, a KYC policy only lists the KYC issuer DID.
+contract OpenCampusCertificatePolicyVerifier is ForwarderRegistryContext {
+    struct Policy {
+        address admin;
+        // in milliseconds, as the certificates awardedDate
+        uint64 minAwardedDate;
+        bytes32[] hashedIssuerDids;
+        bytes32[] hashedAchievementIds;
+        uint16[] achievementTypes;
+    }
+
+    /// @notice A reference to the OpenCampusCertificateNFTv1 contract.
+    OpenCampusCertificateNFTv1 public immutable CERTIFICATE_NFT;
+
+    mapping(bytes32 => Policy) internal _policies;
+
+    /// @notice Thrown when the OpenCampusCertificateNFTv1 address is invalid.
+    error InvalidCertificateNFTAddress();
+
+    /// @notice Thrown when registering a policy with the name of an existing policy.
+    error PolicyAlreadyExists(bytes32 policyId);
+
+    /// @notice Thrown when the policy does not exist.
+    error PolicyNotFound(bytes32 policyId);
+
+    /// @notice Thrown when the sender is not the admin of the policy.
+    error NotPolicyAdmin(bytes32 policyId, address account);
+
+    /// @notice Constructor.
+    /// @dev Reverts with {InvalidCertificateNFTAddress} if the OpenCampusCertificateNFTv1 address is zero.
+    /// @param certificateNft The address of the OpenCampusCertificateNFTv1 contract.
+    /// @param forwarderRegistry The address of the ForwarderRegistry contract.
+    constructor(OpenCampusCertificateNFTv1 certificateNft, IForwarderRegistry forwarderRegistry) ForwarderRegistryContext(forwarderRegistry) {
+        if (address(certificateNft) == address(0)) {
+            revert InvalidCertificateNFTAddress();
+        }
+        CERTIFICATE_NFT = certificateNft;
+    }
+
+    /// @notice Registers a named policy, administered by the sender.
+    /// @dev Reverts with {PolicyAlreadyExists} if a policy with the same name exists.
+    /// @dev Emits a {PolicyRegistered} event.
+    /// @param name The name of the policy.
+    /// @param hashedIssuerDids The keccak256 hashed DIDs of the accepted issuers.
+    /// @param hashedAchievementIds The keccak256 hashed accepted achievement ids.
+    /// @param achievementTypes The accepted achievement types.
+    /// @param minAwardedDate The minimum awarded date of the accepted certificates, in milliseconds.
+    /// @return policyId The policy identifier, the keccak256 hash of `name`.
+    function registerPolicy(
+        string calldata name,
+        bytes32[] calldata hashedIssuerDids,
+        bytes32[] calldata hashedAchievementIds,
+        uint16[] calldata achievementTypes,
+        uint64 minAwardedDate
+    ) external returns (bytes32 policyId) {
+        policyId = keccak256(bytes(name));
+        Policy storage policy = _policies[policyId];
+        if (policy.admin != address(0)) {
+            revert PolicyAlreadyExists(policyId);
+        }
+
+        address admin = _msgSender();
+        policy.admin = admin;
+        _setRequirements(policy, hashedIssuerDids, hashedAchievementIds, achievementTypes, minAwardedDate);
+        emit PolicyRegistered(policyId, name, admin);
+    }
+
+    /// @notice Replaces the requirements of a policy.
+    /// @dev Reverts with {PolicyNotFound} if the policy does not exist.
+    /// @dev Reverts with {NotPolicyAdmin} if the sender is not the policy admin.
+    /// @dev Emits a {PolicyUpdated} event.
+    /// @param policyId The policy identifier.
+    /// @param hashedIssuerDids The keccak256 hashed DIDs of the accepted issuers.
+    /// @param hashedAchievementIds The keccak256 hashed accepted achievement ids.
+    /// @param achievementTypes The accepted achievement types.
+    /// @param minAwardedDate The minimum awarded date of the accepted certificates, in milliseconds.
+    function updatePolicy(
+        bytes32 policyId,
+        bytes32[] calldata hashedIssuerDids,
+        bytes32[] calldata hashedAchievementIds,
+        uint16[] calldata achievementTypes,
+        uint64 minAwardedDate
+    ) external {
+        Policy storage policy = _enforceIsPolicyAdmin(policyId);
+        _setRequirements(policy, hashedIssuerDids, hashedAchievementIds, achievementTypes, minAwardedDate);
+        emit PolicyUpdated(policyId);
+    }
+
+    /// @notice Removes a policy. Its name can then be registered again.
+    /// @dev Reverts with {PolicyNotFound} if the policy does not exist.
+    /// @dev Reverts with {NotPolicyAdmin} if the sender is not the policy admin.
+    /// @dev Emits a {PolicyRemoved} event.
+    /// @param policyId The policy identifier.
+    function removePolicy(bytes32 policyId) external {
+        _enforceIsPolicyAdmin(policyId);
+        delete _policies[policyId];
+        emit PolicyRemoved(policyId);
+    }
+
+    /// @notice Gets a policy.
+    /// @dev Reverts with {PolicyNotFound} if the policy does not exist.
+    /// @param policyId The policy identifier.
+    /// @return policy The policy.
+    function getPolicy(bytes32 policyId) external view returns (Policy memory policy) {
+        policy = _policies[policyId];
+        if (policy.admin == address(0)) {
+            revert PolicyNotFound(policyId);
+        }
+    }
+
+    /// @notice Checks whether an account holds a valid certificate matching a policy.
+    /// @notice Iterates over all the tokens of the account and is therefore meant to be called off-chain or from a view.
+    /// @dev Reverts with {PolicyNotFound} if the policy does not exist.
+    /// @param account The account to check.
+    /// @param policyId The policy identifier.
+    /// @return satisfied Whether the account holds a valid certificate matching the policy.
+    /// @return tokenId The first valid certificate of the account matching the policy, 0 if none.
+    function satisfies(address account, bytes32 policyId) external view returns (bool satisfied, uint256 tokenId) {
+        Policy storage policy = _policies[policyId];
+        if (policy.admin == address(0)) {
+            revert PolicyNotFound(policyId);
+        }
+
+        uint256[] memory tokenIds = CERTIFICATE_NFT.tokensOfOwner(account, 0, type(uint256).max);
+        for (uint256 i; i < tokenIds.length; i++) {
+            if (_matches(policy, tokenIds[i]) && CERTIFICATE_NFT.isValid(tokenIds[i])) {
+                return (true, tokenIds[i]);
+            }
+        }
+        return (false, 0);
+    }
+
+    /// @param policy The policy.
+    /// @param tokenId The token identifier.
+    /// @return matches Whether the VC data of the token matches the policy requirements.
+    function _matches(Policy storage policy, uint256 tokenId) internal view returns (bool matches) {
+        (, uint16 achievementType, uint64 awardedDate, , , string memory issuerDid, string memory achievementId) = CERTIFICATE_NFT.vcData(tokenId);
+        if (awardedDate < policy.minAwardedDate) {
+            return false;
+        }
+        if (!_contains(policy.hashedIssuerDids, keccak256(bytes(issuerDid)))) {
+            return false;
+        }
+        if (!_contains(policy.hashedAchievementIds, keccak256(bytes(achievementId)))) {
+            return false;
+        }
+
+        uint16[] storage achievementTypes = policy.achievementTypes;
+        uint256 length = achievementTypes.length;
+        if (length == 0) {
+            return true;
+        }
+        for (uint256 i; i < length; i++) {
+            if (achievementTypes[i] == achievementType) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /// @param values The accepted values.
+    /// @param value The value to look for.
+    /// @return found Whether `values` is empty or contains `value`.
+    function _contains(bytes32[] storage values, bytes32 value) internal view returns (bool found) {
+        uint256 length = values.length;
+        if (length == 0) {
+            return true;
+        }
+        for (uint256 i; i < length; i++) {
+            if (values[i] == value) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /// @param policy The policy.
+    /// @param hashedIssuerDids The keccak256 hashed DIDs of the accepted issuers.
+    /// @param hashedAchievementIds The keccak256 hashed accepted achievement ids.
+    /// @param achievementTypes The accepted achievement types.
+    /// @param minAwardedDate The minimum awarded date of the accepted certificates, in milliseconds.
+    function _setRequirements(
+        Policy storage policy,
+        bytes32[] calldata hashedIssuerDids,
+        bytes32[] calldata hashedAchievementIds,
+        uint16[] calldata achievementTypes,
+        uint64 minAwardedDate
+    ) internal {
+        policy.minAwardedDate = minAwardedDate;
+        policy.hashedIssuerDids = hashedIssuerDids;
+        policy.hashedAchievementIds = hashedAchievementIds;
+        policy.achievementTypes = achievementTypes;
+    }
+
+    /// @dev Reverts with {PolicyNotFound} if the policy does not exist.
+    /// @dev Reverts with {NotPolicyAdmin} if the sender is not the policy admin.
+    /// @param policyId The policy identifier.
+    /// @return policy The policy.
+    function _enforceIsPolicyAdmin(bytes32 policyId) internal view returns (Policy storage policy) {
+        policy = _policies[policyId];
+        address admin = policy.admin;
+        if (admin == address(0)) {
+            revert PolicyNotFound(policyId);
+        }
+        address sender = _msgSender();
+        if (sender != admin) {
+            revert NotPolicyAdmin(policyId, sender);
+        }
+    }
+}
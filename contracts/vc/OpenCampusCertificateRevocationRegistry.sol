@@ -1,31 +1,58 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.22;
 
-// other imports
-import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 // animoca imports
 import {ContractOwnership} from "@animoca/ethereum-contracts/contracts/access/ContractOwnership.sol";
 import {IIssuersDIDRegistry} from "./interfaces/IIssuersDIDRegistry.sol";
 import {IRevocationRegistry} from "./interfaces/IRevocationRegistry.sol";
-import {VcRevoked} from "./events/RevocationRegistryEvents.sol";
+import {IssuerSignatures} from "./libraries/IssuerSignatures.sol";
+import {VcRevoked, VcReinstated} from "./events/RevocationRegistryEvents.sol";
 
 /// @title OpenCampusCertificateRevocationRegistry.
 /// @notice A registry storing the revocation of VCs.
+/// @notice The revocations of a did with a signature threshold must be signed by this number of distinct valid keys of the did.
 contract OpenCampusCertificateRevocationRegistry is IRevocationRegistry, ContractOwnership {
-    using ECDSA for bytes32;
+    struct Revocation {
+        address revoker;
+        uint64 timestamp;
+        uint8 reason;
+        bool suspended;
+    }
 
     bytes32 private constant EIP712_DOMAIN_NAME = keccak256("RevocationRegistryV1");
-    bytes32 private constant REVOKE_TYPEHASH = keccak256("revokeVC(bytes32 hashedIssuerDid,uint256 vcId)");
-    bytes32 private constant BATCH_REVOKE_TYPEHASH = keccak256("batchRevokeVCs(bytes32 hashedIssuerDid,uint256[] vcIds)");
+    bytes32 private constant REVOKE_TYPEHASH = keccak256("revokeVC(bytes32 hashedIssuerDid,uint256 vcId,uint8 reason,uint256 nonce,uint256 expiry)");
+    bytes32 private constant BATCH_REVOKE_TYPEHASH =
+        keccak256("batchRevokeVCs(bytes32 hashedIssuerDid,uint256[] vcIds,uint8 reason,uint256 nonce,uint256 expiry)");
+    bytes32 private constant SUSPEND_TYPEHASH =
+        keccak256("suspendVC(bytes32 hashedIssuerDid,uint256 vcId,uint8 reason,uint256 nonce,uint256 expiry)");
+    bytes32 private constant REINSTATE_TYPEHASH = keccak256("reinstateVC(bytes32 hashedIssuerDid,uint256 vcId,uint256 nonce,uint256 expiry)");
 
     IIssuersDIDRegistry public immutable DID_REGISTRY;
     bytes32 private immutable DOMAIN_SEPARATOR;
 
-    mapping(bytes32 => mapping(uint256 => address)) public revocations;
+    mapping(bytes32 => mapping(uint256 => Revocation)) public revocations;
+
+    /// @notice The next signature nonce expected for each hashed issuer Did.
+    mapping(bytes32 => uint256) public nonces;
 
     /// @notice Thrown when the recovered issuer and the passed in issuerDid is not allowed in the DIDRegistry
     error InvalidIssuer(bytes32 hashedDid, address signer);
 
+    /// @notice Thrown when the revocation is signed by fewer distinct valid keys than the signature threshold of the issuer Did.
+    error InsufficientIssuerSignatures(bytes32 hashedDid, uint256 signersCount, uint256 threshold);
+
+    /// @notice Thrown when the signed nonce is not the next nonce expected for the issuer Did.
+    error InvalidNonce(bytes32 hashedDid, uint256 nonce);
+
+    /// @notice Thrown when the signature is used after its expiry.
+    error ExpiredSignature(uint256 expiry);
+
+    /// @notice Thrown when trying to suspend a VC which has been permanently revoked.
+    error VcAlreadyRevoked(bytes32 hashedDid, uint256 vcId);
+
+    /// @notice Thrown when trying to reinstate a VC which is not suspended.
+    error VcNotSuspended(bytes32 hashedDid, uint256 vcId);
+
     constructor(IIssuersDIDRegistry didRegistry) ContractOwnership(msg.sender) {
         uint256 chainId;
         assembly {
@@ -37,58 +64,202 @@ contract OpenCampusCertificateRevocationRegistry is IRevocationRegistry, Contrac
         );
     }
 
+    /// @notice A suspended VC is considered as revoked until it gets reinstated.
     /// @param hashedIssuerDid keccak256 hashed issuer Did.
     /// @param vcId the VC ID to be revoked.
-    /// @return revoked Returns true if the given vcId has been revoked by a valid issuer
+    /// @return revoked Returns true if the given vcId has been revoked or suspended by a valid issuer
     function isRevoked(bytes32 hashedIssuerDid, uint256 vcId) external view returns (bool revoked) {
         // Use-Cases
         // 1. issuer addr/did valid & revoked => revoker valid address, DIDRegistry allowed => returns true
         // 2. issuer addr/did valid when revoked, invalidated later in DIDRegistry => revoker valid address, DIDRegistry disallowed => returns false
         // 3. vcId never revoked => revoker address zero => DIDRegistry disallowed => return false
-        address revoker = revocations[hashedIssuerDid][vcId];
-        return DID_REGISTRY.issuers(hashedIssuerDid, revoker);
+        // 4. issuer addr/did valid when revoked, expired or rotated later in DIDRegistry => revoker was valid at revocation time => returns true
+        return _isRevokedByValidIssuer(hashedIssuerDid, revocations[hashedIssuerDid][vcId]);
+    }
+
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param vcId the VC ID to be checked.
+    /// @return suspended Returns true if the given vcId has been suspended, but not permanently revoked, by a valid issuer
+    function isSuspended(bytes32 hashedIssuerDid, uint256 vcId) external view returns (bool suspended) {
+        Revocation storage revocation = revocations[hashedIssuerDid][vcId];
+        return revocation.suspended && _isRevokedByValidIssuer(hashedIssuerDid, revocation);
+    }
+
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param vcId the VC ID to be checked.
+    /// @return revoker the issuer address which revoked or suspended the VC, the zero address if the VC has not been revoked.
+    /// @return reason the reason code of the revocation.
+    function revocation(bytes32 hashedIssuerDid, uint256 vcId) external view returns (address revoker, uint8 reason) {
+        Revocation storage revocation_ = revocations[hashedIssuerDid][vcId];
+        return (revocation_.revoker, revocation_.reason);
     }
 
+    /// @dev Reverts with `ExpiredSignature` when the signature has expired.
+    /// @dev Reverts with `InvalidNonce` when the given nonce is invalid.
     /// @dev Reverts with `InvalidIssuer` when the recovered issuer is invalid.
     /// @dev Emits a `VcRevoked` event when a vc is revoked
     /// @param hashedIssuerDid keccak256 hashed issuer Did.
     /// @param vcId the VC ID to be revoked.
-    /// @param signature EIP712 Signature for values `hashedIssuerDid` and `vcId`
-    function revokeVC(bytes32 hashedIssuerDid, uint256 vcId, bytes calldata signature) external {
-        bytes memory data = abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, keccak256(abi.encode(REVOKE_TYPEHASH, hashedIssuerDid, vcId)));
-        address signer = keccak256(data).recover(signature);
-
-        if (DID_REGISTRY.issuers(hashedIssuerDid, signer)) {
-            revocations[hashedIssuerDid][vcId] = signer;
-            emit VcRevoked(hashedIssuerDid, signer, vcId);
-        } else {
-            revert InvalidIssuer(hashedIssuerDid, signer);
-        }
+    /// @param reason the reason code for the revocation.
+    /// @param nonce the current nonce of the issuer Did.
+    /// @param expiry the timestamp after which the signature can no longer be used.
+    /// @param signature EIP712 Signature for values `hashedIssuerDid`, `vcId`, `reason`, `nonce` and `expiry`
+    function revokeVC(bytes32 hashedIssuerDid, uint256 vcId, uint8 reason, uint256 nonce, uint256 expiry, bytes calldata signature) external {
+        address signer = _useIssuerSignature(
+            hashedIssuerDid,
+            keccak256(abi.encode(REVOKE_TYPEHASH, hashedIssuerDid, vcId, reason, nonce, expiry)),
+            nonce,
+            expiry,
+            signature
+        );
+        _revoke(hashedIssuerDid, vcId, signer, reason, false);
     }
 
+    /// @dev Reverts with `ExpiredSignature` when the signature has expired.
     /// @dev Reverts with `InvalidNonce` when the given nonce is invalid.
     /// @dev Reverts with `InvalidIssuer` when the recovered issuer is invalid.
     /// @dev Emits a `VcRevoked` event when a vc is revoked
     /// @param hashedIssuerDid keccak256 hashed issuer Did.
     /// @param vcIds the list of VC IDs to be revoked.
-    /// @param signature EIP712 Signature for values `hashedIssuerDid` and `vcIds`
-    function batchRevokeVCs(bytes32 hashedIssuerDid, uint256[] calldata vcIds, bytes calldata signature) external {
-        bytes memory data = abi.encodePacked(
-            "\x19\x01",
-            DOMAIN_SEPARATOR,
+    /// @param reason the reason code for the revocations.
+    /// @param nonce the current nonce of the issuer Did.
+    /// @param expiry the timestamp after which the signature can no longer be used.
+    /// @param signature EIP712 Signature for values `hashedIssuerDid`, `vcIds`, `reason`, `nonce` and `expiry`
+    function batchRevokeVCs(
+        bytes32 hashedIssuerDid,
+        uint256[] calldata vcIds,
+        uint8 reason,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) external {
+        address signer = _useIssuerSignature(
+            hashedIssuerDid,
             // https://github.com/ethereum/EIPs/blob/master/EIPS/eip-712.md#definition-of-encodedata
             // array type `vcIds` are encoded differently from non-array type data
-            keccak256(abi.encode(BATCH_REVOKE_TYPEHASH, hashedIssuerDid, keccak256(abi.encodePacked(vcIds))))
+            keccak256(abi.encode(BATCH_REVOKE_TYPEHASH, hashedIssuerDid, keccak256(abi.encodePacked(vcIds)), reason, nonce, expiry)),
+            nonce,
+            expiry,
+            signature
+        );
+
+        for (uint256 i; i < vcIds.length; i++) {
+            _revoke(hashedIssuerDid, vcIds[i], signer, reason, false);
+        }
+    }
+
+    /// @notice Suspends a VC, which is considered as revoked until it gets reinstated.
+    /// @dev Reverts with `ExpiredSignature` when the signature has expired.
+    /// @dev Reverts with `InvalidNonce` when the given nonce is invalid.
+    /// @dev Reverts with `InvalidIssuer` when the recovered issuer is invalid.
+    /// @dev Reverts with `VcAlreadyRevoked` when the VC has been permanently revoked.
+    /// @dev Emits a `VcRevoked` event when a vc is suspended
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param vcId the VC ID to be suspended.
+    /// @param reason the reason code for the suspension.
+    /// @param nonce the current nonce of the issuer Did.
+    /// @param expiry the timestamp after which the signature can no longer be used.
+    /// @param signature EIP712 Signature for values `hashedIssuerDid`, `vcId`, `reason`, `nonce` and `expiry`
+    function suspendVC(bytes32 hashedIssuerDid, uint256 vcId, uint8 reason, uint256 nonce, uint256 expiry, bytes calldata signature) external {
+        address signer = _useIssuerSignature(
+            hashedIssuerDid,
+            keccak256(abi.encode(SUSPEND_TYPEHASH, hashedIssuerDid, vcId, reason, nonce, expiry)),
+            nonce,
+            expiry,
+            signature
         );
-        address signer = keccak256(data).recover(signature);
 
-        if (DID_REGISTRY.issuers(hashedIssuerDid, signer)) {
-            for (uint256 i; i < vcIds.length; i++) {
-                revocations[hashedIssuerDid][vcIds[i]] = signer;
-                emit VcRevoked(hashedIssuerDid, signer, vcIds[i]);
+        Revocation storage revocation = revocations[hashedIssuerDid][vcId];
+        if (revocation.revoker != address(0) && !revocation.suspended) {
+            revert VcAlreadyRevoked(hashedIssuerDid, vcId);
+        }
+        _revoke(hashedIssuerDid, vcId, signer, reason, true);
+    }
+
+    /// @notice Reinstates a suspended VC.
+    /// @dev Reverts with `ExpiredSignature` when the signature has expired.
+    /// @dev Reverts with `InvalidNonce` when the given nonce is invalid.
+    /// @dev Reverts with `InvalidIssuer` when the recovered issuer is invalid.
+    /// @dev Reverts with `VcNotSuspended` when the VC is not suspended.
+    /// @dev Emits a `VcReinstated` event when a vc is reinstated
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param vcId the VC ID to be reinstated.
+    /// @param nonce the current nonce of the issuer Did.
+    /// @param expiry the timestamp after which the signature can no longer be used.
+    /// @param signature EIP712 Signature for values `hashedIssuerDid`, `vcId`, `nonce` and `expiry`
+    function reinstateVC(bytes32 hashedIssuerDid, uint256 vcId, uint256 nonce, uint256 expiry, bytes calldata signature) external {
+        address signer = _useIssuerSignature(
+            hashedIssuerDid,
+            keccak256(abi.encode(REINSTATE_TYPEHASH, hashedIssuerDid, vcId, nonce, expiry)),
+            nonce,
+            expiry,
+            signature
+        );
+
+        if (!revocations[hashedIssuerDid][vcId].suspended) {
+            revert VcNotSuspended(hashedIssuerDid, vcId);
+        }
+        delete revocations[hashedIssuerDid][vcId];
+        emit VcReinstated(hashedIssuerDid, signer, vcId);
+    }
+
+    /// @notice Verifies an issuer signature and consumes its nonce.
+    /// @dev Reverts with `ExpiredSignature` when the signature has expired.
+    /// @dev Reverts with `InvalidNonce` when `nonce` is not the current nonce of the issuer Did.
+    /// @dev Reverts with `InvalidIssuer` when one of the recovered issuers is invalid.
+    /// @dev Reverts with `InsufficientIssuerSignatures` when there are fewer distinct signers than the signature threshold of the issuer Did.
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param structHash the EIP712 hashStruct of the signed message.
+    /// @param nonce the nonce included in the signed message.
+    /// @param expiry the expiry included in the signed message.
+    /// @param signature EIP712 Signature for the message, or the concatenated signatures of distinct keys of the issuer Did.
+    /// @return signer the first recovered issuer address.
+    function _useIssuerSignature(
+        bytes32 hashedIssuerDid,
+        bytes32 structHash,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) internal returns (address signer) {
+        if (block.timestamp > expiry) {
+            revert ExpiredSignature(expiry);
+        }
+        if (nonce != nonces[hashedIssuerDid]) {
+            revert InvalidNonce(hashedIssuerDid, nonce);
+        }
+
+        address[] memory signers = IssuerSignatures.recoverSigners(keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)), signature);
+        for (uint256 i; i < signers.length; ++i) {
+            if (!DID_REGISTRY.issuers(hashedIssuerDid, signers[i])) {
+                revert InvalidIssuer(hashedIssuerDid, signers[i]);
             }
-        } else {
-            revert InvalidIssuer(hashedIssuerDid, signer);
         }
+        uint256 threshold = DID_REGISTRY.signatureThreshold(hashedIssuerDid);
+        if (signers.length < threshold) {
+            revert InsufficientIssuerSignatures(hashedIssuerDid, signers.length, threshold);
+        }
+        signer = signers[0];
+
+        unchecked {
+            nonces[hashedIssuerDid] = nonce + 1;
+        }
+    }
+
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param revocation the revocation record.
+    /// @return valid Returns true if the revoker is still registered for the issuer Did and its key was valid at the revocation time.
+    function _isRevokedByValidIssuer(bytes32 hashedIssuerDid, Revocation storage revocation) internal view returns (bool valid) {
+        return DID_REGISTRY.isIssuerValidAt(hashedIssuerDid, revocation.revoker, revocation.timestamp);
+    }
+
+    /// @dev Emits a `VcRevoked` event.
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param vcId the VC ID to be revoked.
+    /// @param revoker the issuer address revoking the VC.
+    /// @param reason the reason code for the revocation.
+    /// @param suspended whether the VC is only suspended.
+    function _revoke(bytes32 hashedIssuerDid, uint256 vcId, address revoker, uint8 reason, bool suspended) internal {
+        revocations[hashedIssuerDid][vcId] = Revocation(revoker, uint64(block.timestamp), reason, suspended);
+        emit VcRevoked(hashedIssuerDid, revoker, vcId, reason, suspended);
     }
 }
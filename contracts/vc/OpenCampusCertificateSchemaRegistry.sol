@@ -0,0 +1,141 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.22;
+
+import {AccessControl} from "@animoca/ethereum-contracts/contracts/access/AccessControl.sol";
+import {ContractOwnership} from "@animoca/ethereum-contracts/contracts/access/ContractOwnership.sol";
+import {AccessControlStorage} from "@animoca/ethereum-contracts/contracts/access/libraries/AccessControlStorage.sol";
+import {ICertificateSchemaRegistry} from "./interfaces/ICertificateSchemaRegistry.sol";
+import {IIssuersDIDRegistry} from "./interfaces/IIssuersDIDRegistry.sol";
+// solhint-disable-next-line max-line-length
+import {SchemaRegistered, SchemaUnregistered, AchievementTypesRestricted, AchievementTypeAllowed} from "./events/CertificateSchemaRegistryEvents.sol";
+
+/// @title OpenCampusCertificateSchemaRegistry.
+/// @notice A registry storing the certificate schemas allowed by the operators, keyed by (schemaVersion, achievementType).
+/// @notice Issuers can restrict the achievement types they may issue, in which case only the achievement types they allowed are accepted.
+contract OpenCampusCertificateSchemaRegistry is AccessControl, ICertificateSchemaRegistry {
+    using AccessControlStorage for AccessControlStorage.Layout;
+
+    struct Schema {
+        // hash of the JSON schema, 0 if the schema is not registered
+        bytes32 schemaHash;
+        string uri;
+    }
+
+    bytes32 public constant OPERATOR_ROLE = "operator";
+
+    IIssuersDIDRegistry public immutable DID_REGISTRY;
+
+    /// @notice The registered schemas, per schema version and achievement type.
+    mapping(uint16 => mapping(uint16 => Schema)) public schemas;
+
+    /// @notice Whether each hashed Did may only issue the achievement types it allowed.
+    mapping(bytes32 => bool) public restricted;
+
+    /// @notice The achievement types allowed by each hashed Did, only enforced when the Did is restricted.
+    mapping(bytes32 => mapping(uint16 => bool)) public allowedAchievementTypes;
+
+    /// @notice Thrown when the schema hash is zero.
+    error InvalidSchemaHash();
+
+    /// @notice Thrown when registering a schema which is already registered.
+    error SchemaAlreadyRegistered(uint16 schemaVersion, uint16 achievementType);
+
+    /// @notice Thrown when unregistering a schema which is not registered.
+    error SchemaNotRegistered(uint16 schemaVersion, uint16 achievementType);
+
+    /// @notice Thrown when the sender is not a valid issuer for the did.
+    error IssuerNotAllowed(bytes32 hashedDid, address sender);
+
+    constructor(IIssuersDIDRegistry didRegistry) ContractOwnership(msg.sender) {
+        DID_REGISTRY = didRegistry;
+    }
+
+    /// @notice Registers a schema for the certificates of `schemaVersion` and `achievementType`.
+    /// @dev Reverts with `NotRoleHolder` if sender does not have `operator` role.
+    /// @dev Reverts with `InvalidSchemaHash` if `schemaHash` is zero.
+    /// @dev Reverts with `SchemaAlreadyRegistered` if the schema is already registered.
+    /// @dev Emits a {SchemaRegistered} event.
+    /// @param schemaVersion The schema version of the certificates.
+    /// @param achievementType The achievement type of the certificates.
+    /// @param schemaHash The hash of the JSON schema.
+    /// @param uri The URI of the JSON schema.
+    function registerSchema(uint16 schemaVersion, uint16 achievementType, bytes32 schemaHash, string calldata uri) external {
+        address operator = _msgSender();
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, operator);
+        if (schemaHash == 0) {
+            revert InvalidSchemaHash();
+        }
+        Schema storage schema = schemas[schemaVersion][achievementType];
+        if (schema.schemaHash != 0) {
+            revert SchemaAlreadyRegistered(schemaVersion, achievementType);
+        }
+
+        schema.schemaHash = schemaHash;
+        schema.uri = uri;
+        emit SchemaRegistered(schemaVersion, achievementType, schemaHash, uri, operator);
+    }
+
+    /// @notice Unregisters the schema of the certificates of `schemaVersion` and `achievementType`. Already minted certificates are not affected.
+    /// @dev Reverts with `NotRoleHolder` if sender does not have `operator` role.
+    /// @dev Reverts with `SchemaNotRegistered` if the schema is not registered.
+    /// @dev Emits a {SchemaUnregistered} event.
+    /// @param schemaVersion The schema version of the certificates.
+    /// @param achievementType The achievement type of the certificates.
+    function unregisterSchema(uint16 schemaVersion, uint16 achievementType) external {
+        address operator = _msgSender();
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, operator);
+        if (schemas[schemaVersion][achievementType].schemaHash == 0) {
+            revert SchemaNotRegistered(schemaVersion, achievementType);
+        }
+
+        delete schemas[schemaVersion][achievementType];
+        emit SchemaUnregistered(schemaVersion, achievementType, operator);
+    }
+
+    /// @notice Restricts, or unrestricts, the achievement types an issuer may issue to the ones it allowed.
+    /// @dev Reverts with `IssuerNotAllowed` if the sender is not a valid issuer for `hashedIssuerDid` in the DIDRegistry.
+    /// @dev Emits a {AchievementTypesRestricted} event.
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param isRestricted Whether the issuer may only issue its allowed achievement types.
+    function setRestricted(bytes32 hashedIssuerDid, bool isRestricted) external {
+        address issuer = _enforceIsIssuer(hashedIssuerDid);
+        restricted[hashedIssuerDid] = isRestricted;
+        emit AchievementTypesRestricted(hashedIssuerDid, isRestricted, issuer);
+    }
+
+    /// @notice Allows, or disallows, an achievement type for an issuer. Only enforced while the issuer is restricted.
+    /// @dev Reverts with `IssuerNotAllowed` if the sender is not a valid issuer for `hashedIssuerDid` in the DIDRegistry.
+    /// @dev Emits a {AchievementTypeAllowed} event.
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param achievementType The achievement type.
+    /// @param allowed Whether the issuer may issue `achievementType` while restricted.
+    function setAchievementTypeAllowed(bytes32 hashedIssuerDid, uint16 achievementType, bool allowed) external {
+        address issuer = _enforceIsIssuer(hashedIssuerDid);
+        allowedAchievementTypes[hashedIssuerDid][achievementType] = allowed;
+        emit AchievementTypeAllowed(hashedIssuerDid, achievementType, allowed, issuer);
+    }
+
+    /// @inheritdoc ICertificateSchemaRegistry
+    function isSchemaRegistered(uint16 schemaVersion, uint16 achievementType) public view returns (bool registered) {
+        return schemas[schemaVersion][achievementType].schemaHash != 0;
+    }
+
+    /// @notice Checks whether an issuer may issue certificates of `schemaVersion` and `achievementType`.
+    /// @param hashedDid keccak256 hashed issuer Did.
+    /// @param schemaVersion The schema version of the certificates.
+    /// @param achievementType The achievement type of the certificates.
+    /// @return allowed Whether the schema is registered and, if the issuer is restricted, the achievement type allowed by the issuer.
+    function isSchemaAllowed(bytes32 hashedDid, uint16 schemaVersion, uint16 achievementType) external view returns (bool allowed) {
+        return isSchemaRegistered(schemaVersion, achievementType) && (!restricted[hashedDid] || allowedAchievementTypes[hashedDid][achievementType]);
+    }
+
+    /// @dev Reverts with `IssuerNotAllowed` if the sender is not a valid issuer for `hashedDid` in the DIDRegistry.
+    /// @param hashedDid keccak256 hashed issuer Did.
+    /// @return issuer The sender.
+    function _enforceIsIssuer(bytes32 hashedDid) internal view returns (address issuer) {
+        issuer = _msgSender();
+        if (!DID_REGISTRY.issuers(hashedDid, issuer)) {
+            revert IssuerNotAllowed(hashedDid, issuer);
+        }
+    }
+}
@@ -0,0 +1,255 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.22;
+
+// animoca imports
+import {ContractOwnership} from "@animoca/ethereum-contracts/contracts/access/ContractOwnership.sol";
+import {InconsistentArrayLengths} from "@animoca/ethereum-contracts/contracts/CommonErrors.sol";
+import {IIssuersDIDRegistry} from "./interfaces/IIssuersDIDRegistry.sol";
+import {IRevocationRegistry} from "./interfaces/IRevocationRegistry.sol";
+import {IssuerSignatures} from "./libraries/IssuerSignatures.sol";
+import {VcRevoked} from "./events/RevocationRegistryEvents.sol";
+import {StatusListUpdated} from "./events/StatusListRegistryEvents.sol";
+
+/// @title OpenCampusCertificateStatusListRegistry.
+/// @notice A registry storing the revocation of VCs as W3C StatusList2021 bitstrings, one per issuer Did.
+/// @notice The status of `vcId` is stored in the word `vcId / 256`, at the bit `255 - vcId % 256`, so that the big-endian concatenation
+/// @notice of the words is the StatusList2021 bitstring where the VC status list index is `vcId`.
+/// @notice Revocations are permanent: bits can be set but never cleared, and suspensions are not supported.
+/// @notice The revocations of a did with a signature threshold must be signed by this number of distinct valid keys of the did.
+contract OpenCampusCertificateStatusListRegistry is IRevocationRegistry, ContractOwnership {
+    bytes32 private constant EIP712_DOMAIN_NAME = keccak256("StatusListRegistryV1");
+    bytes32 private constant REVOKE_TYPEHASH = keccak256("revokeVC(bytes32 hashedIssuerDid,uint256 vcId,uint8 reason,uint256 nonce,uint256 expiry)");
+    bytes32 private constant BATCH_REVOKE_TYPEHASH =
+        keccak256("batchRevokeVCs(bytes32 hashedIssuerDid,uint256[] vcIds,uint8 reason,uint256 nonce,uint256 expiry)");
+    bytes32 private constant UPDATE_STATUS_LIST_TYPEHASH =
+        keccak256("updateStatusList(bytes32 hashedIssuerDid,uint256[] wordIndexes,uint256[] masks,uint256 nonce,uint256 expiry)");
+
+    IIssuersDIDRegistry public immutable DID_REGISTRY;
+    bytes32 private immutable DOMAIN_SEPARATOR;
+
+    /// @notice The words of the status list bitstring of each hashed issuer Did.
+    mapping(bytes32 => mapping(uint256 => uint256)) public statusWords;
+
+    /// @notice The next signature nonce expected for each hashed issuer Did.
+    mapping(bytes32 => uint256) public nonces;
+
+    /// @notice Thrown when the recovered issuer and the passed in issuerDid is not allowed in the DIDRegistry
+    error InvalidIssuer(bytes32 hashedDid, address signer);
+
+    /// @notice Thrown when the revocation is signed by fewer distinct valid keys than the signature threshold of the issuer Did.
+    error InsufficientIssuerSignatures(bytes32 hashedDid, uint256 signersCount, uint256 threshold);
+
+    /// @notice Thrown when the signed nonce is not the next nonce expected for the issuer Did.
+    error InvalidNonce(bytes32 hashedDid, uint256 nonce);
+
+    /// @notice Thrown when the signature is used after its expiry.
+    error ExpiredSignature(uint256 expiry);
+
+    constructor(IIssuersDIDRegistry didRegistry) ContractOwnership(msg.sender) {
+        uint256 chainId;
+        assembly {
+            chainId := chainid()
+        }
+        DID_REGISTRY = didRegistry;
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)"), EIP712_DOMAIN_NAME, chainId, address(this))
+        );
+    }
+
+    /// @notice Unlike OpenCampusCertificateRevocationRegistry, a revocation remains effective after the removal of the issuer which revoked.
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param vcId the VC ID to be checked.
+    /// @return revoked Returns true if the bit of the given vcId is set in the status list of the issuer Did
+    function isRevoked(bytes32 hashedIssuerDid, uint256 vcId) external view returns (bool revoked) {
+        return statusWords[hashedIssuerDid][vcId >> 8] & _bitMask(vcId) != 0;
+    }
+
+    /// @notice Suspensions are not supported by this registry.
+    /// @return suspended Always returns false
+    function isSuspended(bytes32, uint256) external pure returns (bool suspended) {
+        return false;
+    }
+
+    /// @notice The revokers and the reasons of the revocations are only emitted, they are not stored by this registry.
+    /// @return revoker Always returns the zero address
+    /// @return reason Always returns 0
+    function revocation(bytes32, uint256) external pure returns (address revoker, uint8 reason) {
+        return (address(0), 0);
+    }
+
+    /// @notice Gets a segment of the status list bitstring of an issuer Did.
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param fromWordIndex the index of the first word of the segment.
+    /// @param wordCount the number of words in the segment.
+    /// @return words the words of the segment, each covering 256 consecutive status list indexes.
+    function statusListSegment(bytes32 hashedIssuerDid, uint256 fromWordIndex, uint256 wordCount) external view returns (uint256[] memory words) {
+        words = new uint256[](wordCount);
+        mapping(uint256 => uint256) storage issuerWords = statusWords[hashedIssuerDid];
+        for (uint256 i; i < wordCount; i++) {
+            words[i] = issuerWords[fromWordIndex + i];
+        }
+    }
+
+    /// @dev Reverts with `ExpiredSignature` when the signature has expired.
+    /// @dev Reverts with `InvalidNonce` when the given nonce is invalid.
+    /// @dev Reverts with `InvalidIssuer` when the recovered issuer is invalid.
+    /// @dev Emits a `VcRevoked` event and a `StatusListUpdated` event when a vc is revoked
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param vcId the VC ID to be revoked.
+    /// @param reason the reason code for the revocation, which is only emitted.
+    /// @param nonce the current nonce of the issuer Did.
+    /// @param expiry the timestamp after which the signature can no longer be used.
+    /// @param signature EIP712 Signature for values `hashedIssuerDid`, `vcId`, `reason`, `nonce` and `expiry`
+    function revokeVC(bytes32 hashedIssuerDid, uint256 vcId, uint8 reason, uint256 nonce, uint256 expiry, bytes calldata signature) external {
+        address signer = _useIssuerSignature(
+            hashedIssuerDid,
+            keccak256(abi.encode(REVOKE_TYPEHASH, hashedIssuerDid, vcId, reason, nonce, expiry)),
+            nonce,
+            expiry,
+            signature
+        );
+        _setBits(hashedIssuerDid, vcId >> 8, _bitMask(vcId), signer);
+        emit VcRevoked(hashedIssuerDid, signer, vcId, reason, false);
+    }
+
+    /// @dev Reverts with `ExpiredSignature` when the signature has expired.
+    /// @dev Reverts with `InvalidNonce` when the given nonce is invalid.
+    /// @dev Reverts with `InvalidIssuer` when the recovered issuer is invalid.
+    /// @dev Emits a `VcRevoked` event and a `StatusListUpdated` event for each vc revoked
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param vcIds the list of VC IDs to be revoked.
+    /// @param reason the reason code for the revocations, which is only emitted.
+    /// @param nonce the current nonce of the issuer Did.
+    /// @param expiry the timestamp after which the signature can no longer be used.
+    /// @param signature EIP712 Signature for values `hashedIssuerDid`, `vcIds`, `reason`, `nonce` and `expiry`
+    function batchRevokeVCs(
+        bytes32 hashedIssuerDid,
+        uint256[] calldata vcIds,
+        uint8 reason,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) external {
+        address signer = _useIssuerSignature(
+            hashedIssuerDid,
+            // https://github.com/ethereum/EIPs/blob/master/EIPS/eip-712.md#definition-of-encodedata
+            // array type `vcIds` are encoded differently from non-array type data
+            keccak256(abi.encode(BATCH_REVOKE_TYPEHASH, hashedIssuerDid, keccak256(abi.encodePacked(vcIds)), reason, nonce, expiry)),
+            nonce,
+            expiry,
+            signature
+        );
+
+        for (uint256 i; i < vcIds.length; i++) {
+            uint256 vcId = vcIds[i];
+            _setBits(hashedIssuerDid, vcId >> 8, _bitMask(vcId), signer);
+            emit VcRevoked(hashedIssuerDid, signer, vcId, reason, false);
+        }
+    }
+
+    /// @notice Sets many bits of the status list of an issuer Did in a single signed update.
+    /// @dev Reverts with `InconsistentArrayLengths` if `wordIndexes` and `masks` have different lengths.
+    /// @dev Reverts with `ExpiredSignature` when the signature has expired.
+    /// @dev Reverts with `InvalidNonce` when the given nonce is invalid.
+    /// @dev Reverts with `InvalidIssuer` when the recovered issuer is invalid.
+    /// @dev Emits a `StatusListUpdated` event for each word updated
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param wordIndexes the indexes of the words to update.
+    /// @param masks the bits to set in each of the words.
+    /// @param nonce the current nonce of the issuer Did.
+    /// @param expiry the timestamp after which the signature can no longer be used.
+    /// @param signature EIP712 Signature for values `hashedIssuerDid`, `wordIndexes`, `masks`, `nonce` and `expiry`
+    function updateStatusList(
+        bytes32 hashedIssuerDid,
+        uint256[] calldata wordIndexes,
+        uint256[] calldata masks,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) external {
+        uint256 length = wordIndexes.length;
+        if (length != masks.length) {
+            revert InconsistentArrayLengths();
+        }
+
+        address signer = _useIssuerSignature(
+            hashedIssuerDid,
+            keccak256(
+                abi.encode(
+                    UPDATE_STATUS_LIST_TYPEHASH,
+                    hashedIssuerDid,
+                    keccak256(abi.encodePacked(wordIndexes)),
+                    keccak256(abi.encodePacked(masks)),
+                    nonce,
+                    expiry
+                )
+            ),
+            nonce,
+            expiry,
+            signature
+        );
+
+        for (uint256 i; i < length; i++) {
+            _setBits(hashedIssuerDid, wordIndexes[i], masks[i], signer);
+        }
+    }
+
+    /// @notice Verifies an issuer signature and consumes its nonce.
+    /// @dev Reverts with `ExpiredSignature` when the signature has expired.
+    /// @dev Reverts with `InvalidNonce` when `nonce` is not the current nonce of the issuer Did.
+    /// @dev Reverts with `InvalidIssuer` when one of the recovered issuers is invalid.
+    /// @dev Reverts with `InsufficientIssuerSignatures` when there are fewer distinct signers than the signature threshold of the issuer Did.
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param structHash the EIP712 hashStruct of the signed message.
+    /// @param nonce the nonce included in the signed message.
+    /// @param expiry the expiry included in the signed message.
+    /// @param signature EIP712 Signature for the message, or the concatenated signatures of distinct keys of the issuer Did.
+    /// @return signer the first recovered issuer address.
+    function _useIssuerSignature(
+        bytes32 hashedIssuerDid,
+        bytes32 structHash,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) internal returns (address signer) {
+        if (block.timestamp > expiry) {
+            revert ExpiredSignature(expiry);
+        }
+        if (nonce != nonces[hashedIssuerDid]) {
+            revert InvalidNonce(hashedIssuerDid, nonce);
+        }
+
+        address[] memory signers = IssuerSignatures.recoverSigners(keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)), signature);
+        for (uint256 i; i < signers.length; ++i) {
+            if (!DID_REGISTRY.issuers(hashedIssuerDid, signers[i])) {
+                revert InvalidIssuer(hashedIssuerDid, signers[i]);
+            }
+        }
+        uint256 threshold = DID_REGISTRY.signatureThreshold(hashedIssuerDid);
+        if (signers.length < threshold) {
+            revert InsufficientIssuerSignatures(hashedIssuerDid, signers.length, threshold);
+        }
+        signer = signers[0];
+
+        unchecked {
+            nonces[hashedIssuerDid] = nonce + 1;
+        }
+    }
+
+    /// @dev Emits a `StatusListUpdated` event.
+    /// @param hashedIssuerDid keccak256 hashed issuer Did.
+    /// @param wordIndex the index of the word to update.
+    /// @param mask the bits to set in the word.
+    /// @param caller the issuer address updating the status list.
+    function _setBits(bytes32 hashedIssuerDid, uint256 wordIndex, uint256 mask, address caller) internal {
+        uint256 word = statusWords[hashedIssuerDid][wordIndex] | mask;
+        statusWords[hashedIssuerDid][wordIndex] = word;
+        emit StatusListUpdated(hashedIssuerDid, caller, wordIndex, mask, word);
+    }
+
+    /// @param vcId the VC ID.
+    /// @return mask the mask of the bit of `vcId` within its word, the first status list index being the most significant bit.
+    function _bitMask(uint256 vcId) internal pure returns (uint256 mask) {
+        return 1 << (255 - (vcId & 0xff));
+    }
+}
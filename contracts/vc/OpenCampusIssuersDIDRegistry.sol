@@ -5,15 +5,46 @@ import {AccessControl} from "@animoca/ethereum-contracts/contracts/access/Access
 import {ContractOwnership} from "@animoca/ethereum-contracts/contracts/access/ContractOwnership.sol";
 import {AccessControlStorage} from "@animoca/ethereum-contracts/contracts/access/libraries/AccessControlStorage.sol";
 import {IIssuersDIDRegistry} from "./interfaces/IIssuersDIDRegistry.sol";
-import {IssuerAdded, IssuerRemoved} from "./events/IssuersDIDRegistryEvents.sol";
+import {IssuerSignatures} from "./libraries/IssuerSignatures.sol";
+// solhint-disable-next-line max-line-length
+import {IssuerAdded, IssuerRemoved, IssuerKeyValidityUpdated, IssuerKeyRotated, IssuerKeyAddedByIssuer, IssuerKeyRemovedByIssuer, IssuerKeyVetoed, DidFrozen, DidUnfrozen, SignatureThresholdSet} from "./events/IssuersDIDRegistryEvents.sol";
 
 /// @title OpenCampusIssuersDIDRegistry.
 /// @notice A registry storing the valid issusers based on eth address.
+/// @notice Each issuer key is only valid within its validFrom/validUntil window.
+/// @notice Issuers can manage the keys of their DID with EIP712 signatures from valid keys of the DID, subject to the operators veto and freeze.
+/// @notice Operators can require the mints, revocations and key changes of a DID to be signed by a minimum number of distinct valid keys of the DID.
 contract OpenCampusIssuersDIDRegistry is AccessControl, IIssuersDIDRegistry {
     using AccessControlStorage for AccessControlStorage.Layout;
 
+    struct IssuerKey {
+        uint64 validFrom;
+        uint64 validUntil;
+        // 1-based position of the key in the DID keys list, 0 if the key is not registered
+        uint128 index;
+    }
+
     bytes32 public constant OPERATOR_ROLE = "operator";
-    mapping(bytes32 => mapping(address => bool)) public issuers;
+
+    bytes32 private constant EIP712_DOMAIN_NAME = keccak256("IssuersDIDRegistryV1");
+    bytes32 private constant ADD_KEY_TYPEHASH = keccak256("addIssuerKey(bytes32 hashedDid,address issuerAddress,uint256 nonce,uint256 expiry)");
+    bytes32 private constant REMOVE_KEY_TYPEHASH = keccak256("removeIssuerKey(bytes32 hashedDid,address issuerAddress,uint256 nonce,uint256 expiry)");
+
+    bytes32 private immutable DOMAIN_SEPARATOR;
+
+    mapping(bytes32 => mapping(address => IssuerKey)) public issuerKeys;
+    mapping(bytes32 => address[]) internal _didKeys;
+
+    /// @notice The next signature nonce expected for each hashed Did.
+    mapping(bytes32 => uint256) public nonces;
+
+    /// @notice Whether the issuer self-service key management is frozen for each hashed Did.
+    mapping(bytes32 => bool) public frozen;
+
+    /// @notice Whether a key has been vetoed by an operator for a hashed Did, preventing issuers from adding it.
+    mapping(bytes32 => mapping(address => bool)) public vetoed;
+
+    mapping(bytes32 => uint256) internal _signatureThresholds;
 
     /// @notice Thrown when issuer input is invalid.
     error InvalidIssuer();
@@ -21,8 +52,47 @@ contract OpenCampusIssuersDIDRegistry is AccessControl, IIssuersDIDRegistry {
     /// @notice Thrown when a given did and issuerAddress relationship does not exist.
     error RelationshipDoesNotExist(bytes32 hashedDid, address issuer);
 
-    constructor() ContractOwnership(msg.sender) {}
+    /// @notice Thrown when a given did and issuerAddress relationship already exists.
+    error RelationshipAlreadyExists(bytes32 hashedDid, address issuer);
+
+    /// @notice Thrown when a validity window ends before it starts.
+    error InvalidValidityWindow(uint64 validFrom, uint64 validUntil);
+
+    /// @notice Thrown when the signer of a key management request is not a valid key of the did.
+    error SignerNotIssuer(bytes32 hashedDid, address signer);
+
+    /// @notice Thrown when the signed nonce is not the next nonce expected for the did.
+    error InvalidNonce(bytes32 hashedDid, uint256 nonce);
+
+    /// @notice Thrown when the signature is used after its expiry.
+    error ExpiredSignature(uint256 expiry);
+
+    /// @notice Thrown when an issuer tries to manage the keys of a frozen did.
+    error FrozenDid(bytes32 hashedDid);
+
+    /// @notice Thrown when an issuer tries to add a key vetoed by an operator.
+    error VetoedIssuerKey(bytes32 hashedDid, address issuer);
+
+    /// @notice Thrown when a signature threshold is zero or greater than the number of valid keys of the did.
+    error InvalidSignatureThreshold(bytes32 hashedDid, uint256 threshold);
 
+    /// @notice Thrown when a key management request is signed by fewer distinct valid keys than the signature threshold of the did.
+    error InsufficientIssuerSignatures(bytes32 hashedDid, uint256 signersCount, uint256 threshold);
+
+    /// @notice Thrown when an issuer tries to remove a key which would leave fewer valid keys than the signature threshold of the did.
+    error InsufficientIssuerKeys(bytes32 hashedDid, uint256 keysCount, uint256 threshold);
+
+    constructor() ContractOwnership(msg.sender) {
+        uint256 chainId;
+        assembly {
+            chainId := chainid()
+        }
+        DOMAIN_SEPARATOR = keccak256(
+            abi.encode(keccak256("EIP712Domain(string name,uint256 chainId,address verifyingContract)"), EIP712_DOMAIN_NAME, chainId, address(this))
+        );
+    }
+
+    /// @notice Adds an issuer key valid from now and without expiry. If the key is already registered, its expiry is removed.
     /// @dev Reverts with `NotRoleHolder` if sender does not have `operator` role.
     /// @dev Reverts with `InvalidIssuer` if `did` is empty or `issuerAddress` is zero.
     /// @dev Emits a {IssuerAdded} event when an issuer is added.
@@ -36,32 +106,345 @@ contract OpenCampusIssuersDIDRegistry is AccessControl, IIssuersDIDRegistry {
         }
 
         bytes32 hashedDid = keccak256(bytes(did));
-        issuers[hashedDid][issuerAddress] = true;
+        delete vetoed[hashedDid][issuerAddress];
+        _addKey(hashedDid, issuerAddress);
         emit IssuerAdded(hashedDid, issuerAddress, msg.sender);
     }
 
+    /// @notice Removes an issuer key. If fewer valid keys than the signature threshold remain, the threshold is lowered to the number of valid keys.
     /// @dev Reverts with `NotRoleHolder` if sender does not have `operator` role.
     /// @dev Reverts with `RelationshipDoesNotExist` if relationship does not exist between the given did and issuerAddress
     /// @dev Emits a {IssuerRemoved} event when an issuer is removed.
+    /// @dev Emits a {SignatureThresholdSet} event if the signature threshold is lowered.
     /// @param did DID of the issuer to be removed.
     /// @param issuerAddress The Eth address of the issuer.
     function removeIssuer(string calldata did, address issuerAddress) external {
         AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, msg.sender);
         bytes32 hashedDid = keccak256(bytes(did));
+        _removeKey(hashedDid, issuerAddress);
+        emit IssuerRemoved(hashedDid, issuerAddress, msg.sender);
+        _capSignatureThreshold(hashedDid);
+    }
 
-        if (!issuers[hashedDid][issuerAddress]) {
+    /// @notice Removes a key, if registered, and prevents issuers from adding it again until an operator adds it.
+    /// @notice If fewer valid keys than the signature threshold remain, the threshold is lowered to the number of valid keys.
+    /// @dev Reverts with `NotRoleHolder` if sender does not have `operator` role.
+    /// @dev Emits a {IssuerKeyVetoed} event.
+    /// @dev Emits a {SignatureThresholdSet} event if the signature threshold is lowered.
+    /// @param did DID of the issuer.
+    /// @param issuerAddress The Eth address of the key to veto.
+    function vetoIssuerKey(string calldata did, address issuerAddress) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, msg.sender);
+        bytes32 hashedDid = keccak256(bytes(did));
+        if (issuerKeys[hashedDid][issuerAddress].index != 0) {
+            _removeKey(hashedDid, issuerAddress);
+        }
+        vetoed[hashedDid][issuerAddress] = true;
+        emit IssuerKeyVetoed(hashedDid, issuerAddress, msg.sender);
+        _capSignatureThreshold(hashedDid);
+    }
+
+    /// @notice Freezes or unfreezes the issuer self-service key management of a did. Operators can still manage the keys of a frozen did.
+    /// @dev Reverts with `NotRoleHolder` if sender does not have `operator` role.
+    /// @dev Emits a {DidFrozen} or a {DidUnfrozen} event.
+    /// @param did DID of the issuer.
+    /// @param isFrozen Whether the did should be frozen.
+    function setDidFrozen(string calldata did, bool isFrozen) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, msg.sender);
+        bytes32 hashedDid = keccak256(bytes(did));
+        frozen[hashedDid] = isFrozen;
+        if (isFrozen) {
+            emit DidFrozen(hashedDid, msg.sender);
+        } else {
+            emit DidUnfrozen(hashedDid, msg.sender);
+        }
+    }
+
+    /// @notice Sets the number of distinct valid keys of a did which must sign its mints, revocations and key changes.
+    /// @dev Reverts with `NotRoleHolder` if sender does not have `operator` role.
+    /// @dev Reverts with `InvalidSignatureThreshold` if `threshold` is zero or greater than the number of currently valid keys of the did.
+    /// @dev Emits a {SignatureThresholdSet} event.
+    /// @param did DID of the issuer.
+    /// @param threshold The number of distinct keys required, 1 for a single signature.
+    function setSignatureThreshold(string calldata did, uint256 threshold) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, msg.sender);
+        bytes32 hashedDid = keccak256(bytes(did));
+        if (threshold == 0 || threshold > _validKeysCount(hashedDid)) {
+            revert InvalidSignatureThreshold(hashedDid, threshold);
+        }
+        _signatureThresholds[hashedDid] = threshold;
+        emit SignatureThresholdSet(hashedDid, threshold, msg.sender);
+    }
+
+    /// @notice Adds a key to a did, valid from now and without expiry, on behalf of the signature threshold of valid keys of the did.
+    /// @dev Reverts with `InvalidIssuer` if `issuerAddress` is zero.
+    /// @dev Reverts with `FrozenDid` if the did is frozen.
+    /// @dev Reverts with `VetoedIssuerKey` if `issuerAddress` has been vetoed for the did.
+    /// @dev Reverts with `RelationshipAlreadyExists` if relationship already exists between the given did and issuerAddress
+    /// @dev Reverts with `ExpiredSignature` when the signature has expired.
+    /// @dev Reverts with `InvalidNonce` when the given nonce is invalid.
+    /// @dev Reverts with `SignerNotIssuer` when a signer is not a valid key of the did.
+    /// @dev Reverts with `InsufficientIssuerSignatures` when there are fewer distinct signers than the signature threshold of the did.
+    /// @dev Emits a {IssuerKeyAddedByIssuer} event.
+    /// @param did DID of the issuer.
+    /// @param issuerAddress The Eth address of the key to add.
+    /// @param nonce the current nonce of the did.
+    /// @param expiry the timestamp after which the signature can no longer be used.
+    /// @param signature EIP712 Signature for values `hashedDid`, `issuerAddress`, `nonce` and `expiry`, or concatenated signatures of distinct keys.
+    function addIssuerKey(string calldata did, address issuerAddress, uint256 nonce, uint256 expiry, bytes calldata signature) external {
+        if (issuerAddress == address(0)) {
+            revert InvalidIssuer();
+        }
+        bytes32 hashedDid = keccak256(bytes(did));
+        if (vetoed[hashedDid][issuerAddress]) {
+            revert VetoedIssuerKey(hashedDid, issuerAddress);
+        }
+        if (issuerKeys[hashedDid][issuerAddress].index != 0) {
+            revert RelationshipAlreadyExists(hashedDid, issuerAddress);
+        }
+
+        address signer = _useIssuerSignature(
+            hashedDid,
+            keccak256(abi.encode(ADD_KEY_TYPEHASH, hashedDid, issuerAddress, nonce, expiry)),
+            nonce,
+            expiry,
+            signature
+        );
+        _addKey(hashedDid, issuerAddress);
+        emit IssuerKeyAddedByIssuer(hashedDid, issuerAddress, signer);
+    }
+
+    /// @notice Removes a key from a did on behalf of the signature threshold of valid keys of the did.
+    /// @dev Reverts with `FrozenDid` if the did is frozen.
+    /// @dev Reverts with `RelationshipDoesNotExist` if relationship does not exist between the given did and issuerAddress
+    /// @dev Reverts with `ExpiredSignature` when the signature has expired.
+    /// @dev Reverts with `InvalidNonce` when the given nonce is invalid.
+    /// @dev Reverts with `SignerNotIssuer` when a signer is not a valid key of the did.
+    /// @dev Reverts with `InsufficientIssuerSignatures` when there are fewer distinct signers than the signature threshold of the did.
+    /// @dev Reverts with `InsufficientIssuerKeys` if the removal would leave fewer valid keys than the signature threshold of the did.
+    /// @dev Emits a {IssuerKeyRemovedByIssuer} event.
+    /// @param did DID of the issuer.
+    /// @param issuerAddress The Eth address of the key to remove.
+    /// @param nonce the current nonce of the did.
+    /// @param expiry the timestamp after which the signature can no longer be used.
+    /// @param signature EIP712 Signature for values `hashedDid`, `issuerAddress`, `nonce` and `expiry`, or concatenated signatures of distinct keys.
+    function removeIssuerKey(string calldata did, address issuerAddress, uint256 nonce, uint256 expiry, bytes calldata signature) external {
+        bytes32 hashedDid = keccak256(bytes(did));
+        address signer = _useIssuerSignature(
+            hashedDid,
+            keccak256(abi.encode(REMOVE_KEY_TYPEHASH, hashedDid, issuerAddress, nonce, expiry)),
+            nonce,
+            expiry,
+            signature
+        );
+        _removeKey(hashedDid, issuerAddress);
+        uint256 threshold = _signatureThresholds[hashedDid];
+        if (threshold > 1) {
+            uint256 keysCount = _validKeysCount(hashedDid);
+            if (keysCount < threshold) {
+                revert InsufficientIssuerKeys(hashedDid, keysCount, threshold);
+            }
+        }
+        emit IssuerKeyRemovedByIssuer(hashedDid, issuerAddress, signer);
+    }
+
+    /// @dev Reverts with `NotRoleHolder` if sender does not have `operator` role.
+    /// @dev Reverts with `RelationshipDoesNotExist` if relationship does not exist between the given did and issuerAddress
+    /// @dev Reverts with `InvalidValidityWindow` if `validFrom` is after `validUntil`.
+    /// @dev Emits a {IssuerKeyValidityUpdated} event.
+    /// @param did DID of the issuer.
+    /// @param issuerAddress The Eth address of the issuer.
+    /// @param validFrom The timestamp from which the key is valid.
+    /// @param validUntil The timestamp until which the key is valid (inclusive).
+    function setIssuerKeyValidity(string calldata did, address issuerAddress, uint64 validFrom, uint64 validUntil) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, msg.sender);
+        bytes32 hashedDid = keccak256(bytes(did));
+
+        IssuerKey storage key = issuerKeys[hashedDid][issuerAddress];
+        if (key.index == 0) {
             revert RelationshipDoesNotExist(hashedDid, issuerAddress);
         }
+        if (validFrom > validUntil) {
+            revert InvalidValidityWindow(validFrom, validUntil);
+        }
 
-        delete issuers[hashedDid][issuerAddress];
-        emit IssuerRemoved(hashedDid, issuerAddress, msg.sender);
+        key.validFrom = validFrom;
+        key.validUntil = validUntil;
+        emit IssuerKeyValidityUpdated(hashedDid, issuerAddress, validFrom, validUntil, msg.sender);
+    }
+
+    /// @notice Atomically replaces an issuer key: `oldIssuerAddress` expires now while `newIssuerAddress` becomes valid from now, without expiry.
+    /// @notice The old key stays registered so that the revocations it made remain effective.
+    /// @dev Reverts with `NotRoleHolder` if sender does not have `operator` role.
+    /// @dev Reverts with `InvalidIssuer` if `newIssuerAddress` is zero.
+    /// @dev Reverts with `RelationshipDoesNotExist` if relationship does not exist between the given did and oldIssuerAddress
+    /// @dev Reverts with `RelationshipAlreadyExists` if relationship already exists between the given did and newIssuerAddress
+    /// @dev Emits a {IssuerKeyRotated} event.
+    /// @param did DID of the issuer.
+    /// @param oldIssuerAddress The Eth address of the key to be rotated out.
+    /// @param newIssuerAddress The Eth address of the key to be rotated in.
+    function rotateIssuerKey(string calldata did, address oldIssuerAddress, address newIssuerAddress) external {
+        AccessControlStorage.layout().enforceHasRole(OPERATOR_ROLE, msg.sender);
+        if (newIssuerAddress == address(0)) {
+            revert InvalidIssuer();
+        }
+
+        bytes32 hashedDid = keccak256(bytes(did));
+        IssuerKey storage oldKey = issuerKeys[hashedDid][oldIssuerAddress];
+        if (oldKey.index == 0) {
+            revert RelationshipDoesNotExist(hashedDid, oldIssuerAddress);
+        }
+        if (issuerKeys[hashedDid][newIssuerAddress].index != 0) {
+            revert RelationshipAlreadyExists(hashedDid, newIssuerAddress);
+        }
+
+        if (oldKey.validUntil > block.timestamp) {
+            oldKey.validUntil = uint64(block.timestamp);
+        }
+        _addKey(hashedDid, newIssuerAddress);
+        emit IssuerKeyRotated(hashedDid, oldIssuerAddress, newIssuerAddress, msg.sender);
+    }
+
+    /// @dev returns true if the issuer with given Eth Address and did association is included in this registry and is currently valid
+    /// @param hashedDid The hashed value of the issuerDid
+    /// @param issuerAddress The Eth address of the issuer
+    function issuers(bytes32 hashedDid, address issuerAddress) public view returns (bool allowed) {
+        return isIssuerValidAt(hashedDid, issuerAddress, block.timestamp);
     }
 
-    /// @dev returns true if the issuer with given Eth Address and did association is included in this registry
-    /// @param did The hashed value of the issuerDid
+    /// @dev returns true if the issuer with given Eth Address and did association is included in this registry and is currently valid
+    /// @param did The issuerDid
     /// @param issuerAddress The Eth address of the issuer
     function isIssuerAllowed(string calldata did, address issuerAddress) external view returns (bool allowed) {
-        bytes32 hashedDid = keccak256(bytes(did));
-        return issuers[hashedDid][issuerAddress];
+        return issuers(keccak256(bytes(did)), issuerAddress);
+    }
+
+    /// @dev returns true if the issuer with given Eth Address and did association is included in this registry and was valid at `timestamp`
+    /// @param hashedDid The hashed value of the issuerDid
+    /// @param issuerAddress The Eth address of the issuer
+    /// @param timestamp The timestamp to check the validity window against
+    function isIssuerValidAt(bytes32 hashedDid, address issuerAddress, uint256 timestamp) public view returns (bool valid) {
+        IssuerKey storage key = issuerKeys[hashedDid][issuerAddress];
+        return key.index != 0 && key.validFrom <= timestamp && timestamp <= key.validUntil;
+    }
+
+    /// @param hashedDid The hashed value of the issuerDid
+    /// @return threshold The number of distinct valid keys of the did which must sign its mints, revocations and key changes, 1 if not set.
+    function signatureThreshold(bytes32 hashedDid) public view returns (uint256 threshold) {
+        threshold = _signatureThresholds[hashedDid];
+        if (threshold == 0) {
+            threshold = 1;
+        }
+    }
+
+    /// @param hashedDid The hashed value of the issuerDid
+    /// @return keys All the keys registered for the did, including expired ones.
+    function getIssuerKeys(bytes32 hashedDid) external view returns (address[] memory keys) {
+        return _didKeys[hashedDid];
+    }
+
+    /// @notice Verifies the signatures of a key management request against the signature threshold of the did and consumes its nonce.
+    /// @dev Reverts with `FrozenDid` if the did is frozen.
+    /// @dev Reverts with `ExpiredSignature` when the signature has expired.
+    /// @dev Reverts with `InvalidNonce` when `nonce` is not the current nonce of the did.
+    /// @dev Reverts with `SignerNotIssuer` when a signer is not a valid key of the did.
+    /// @dev Reverts with `InsufficientIssuerSignatures` when there are fewer distinct signers than the signature threshold of the did.
+    /// @param hashedDid The hashed value of the issuerDid
+    /// @param structHash the EIP712 hashStruct of the signed message.
+    /// @param nonce the nonce included in the signed message.
+    /// @param expiry the expiry included in the signed message.
+    /// @param signature EIP712 Signature for the message, or the concatenated signatures of distinct keys of the did.
+    /// @return signer the first recovered issuer address.
+    function _useIssuerSignature(
+        bytes32 hashedDid,
+        bytes32 structHash,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) internal returns (address signer) {
+        if (frozen[hashedDid]) {
+            revert FrozenDid(hashedDid);
+        }
+        if (block.timestamp > expiry) {
+            revert ExpiredSignature(expiry);
+        }
+        if (nonce != nonces[hashedDid]) {
+            revert InvalidNonce(hashedDid, nonce);
+        }
+
+        address[] memory signers = IssuerSignatures.recoverSigners(keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR, structHash)), signature);
+        for (uint256 i; i < signers.length; ++i) {
+            if (!issuers(hashedDid, signers[i])) {
+                revert SignerNotIssuer(hashedDid, signers[i]);
+            }
+        }
+        uint256 threshold = signatureThreshold(hashedDid);
+        if (signers.length < threshold) {
+            revert InsufficientIssuerSignatures(hashedDid, signers.length, threshold);
+        }
+        signer = signers[0];
+
+        unchecked {
+            nonces[hashedDid] = nonce + 1;
+        }
+    }
+
+    /// @notice Registers a key valid from now, or removes the expiry of an already registered key.
+    /// @param hashedDid The hashed value of the issuerDid
+    /// @param issuerAddress The Eth address of the issuer
+    function _addKey(bytes32 hashedDid, address issuerAddress) internal {
+        IssuerKey storage key = issuerKeys[hashedDid][issuerAddress];
+        if (key.index == 0) {
+            _didKeys[hashedDid].push(issuerAddress);
+            key.index = uint128(_didKeys[hashedDid].length);
+            key.validFrom = uint64(block.timestamp);
+        }
+        key.validUntil = type(uint64).max;
+    }
+
+    /// @notice Lowers the signature threshold of a did to its number of valid keys, if greater, so that its mints can still reach it.
+    /// @notice A did left without valid keys falls back to a single signature.
+    /// @dev Emits a {SignatureThresholdSet} event if the signature threshold is lowered.
+    /// @param hashedDid The hashed value of the issuerDid
+    function _capSignatureThreshold(bytes32 hashedDid) internal {
+        uint256 threshold = _signatureThresholds[hashedDid];
+        if (threshold > 1) {
+            uint256 keysCount = _validKeysCount(hashedDid);
+            if (keysCount < threshold) {
+                threshold = keysCount == 0 ? 1 : keysCount;
+                _signatureThresholds[hashedDid] = threshold;
+                emit SignatureThresholdSet(hashedDid, threshold, msg.sender);
+            }
+        }
+    }
+
+    /// @dev Reverts with `RelationshipDoesNotExist` if relationship does not exist between the given did and issuerAddress
+    /// @param hashedDid The hashed value of the issuerDid
+    /// @param issuerAddress The Eth address of the issuer
+    function _removeKey(bytes32 hashedDid, address issuerAddress) internal {
+        uint256 index = issuerKeys[hashedDid][issuerAddress].index;
+        if (index == 0) {
+            revert RelationshipDoesNotExist(hashedDid, issuerAddress);
+        }
+
+        address[] storage keys = _didKeys[hashedDid];
+        address lastKey = keys[keys.length - 1];
+        if (lastKey != issuerAddress) {
+            keys[index - 1] = lastKey;
+            issuerKeys[hashedDid][lastKey].index = uint128(index);
+        }
+        keys.pop();
+        delete issuerKeys[hashedDid][issuerAddress];
+    }
+
+    /// @param hashedDid The hashed value of the issuerDid
+    /// @return count The number of keys of the did which are currently valid.
+    function _validKeysCount(bytes32 hashedDid) internal view returns (uint256 count) {
+        address[] storage keys = _didKeys[hashedDid];
+        for (uint256 i; i < keys.length; ++i) {
+            if (issuers(hashedDid, keys[i])) {
+                ++count;
+            }
+        }
     }
 }
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/// @notice Emitted when a mint voucher is redeemed.
+/// @param hashedIssuerDid The hashed Did of the issuer who signed the voucher.
+/// @param nonce The nonce of the voucher.
+/// @param tokenId The id of the token minted.
+/// @param to The address the token was minted to.
+event VoucherRedeemed(bytes32 indexed hashedIssuerDid, uint256 indexed nonce, uint256 tokenId, address to);
+
+/// @notice Emitted when a mint voucher is cancelled by `issuer` before being redeemed.
+/// @param hashedIssuerDid The hashed Did of the issuer who signed the voucher.
+/// @param nonce The nonce of the voucher.
+/// @param issuer The address of the issuer who cancelled the voucher.
+event VoucherCancelled(bytes32 indexed hashedIssuerDid, uint256 indexed nonce, address issuer);
+
+/// @notice Emitted when the revocation registry override is set.
+/// @param revocationRegistry The address of the revocation registry override, the zero address when using the one of the NFT contract.
+event RevocationRegistryOverrideSet(address revocationRegistry);
+
+/// @notice Emitted when the schema registry is set.
+/// @param schemaRegistry The address of the schema registry, the zero address when the schemas validation is disabled.
+event SchemaRegistrySet(address schemaRegistry);
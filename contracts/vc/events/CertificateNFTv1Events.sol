@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/// @notice Emitted when a certificate is recovered to a new wallet of its holder.
+/// @param tokenId The id of the token recovered.
+/// @param from The previous owner of the token.
+/// @param to The new owner of the token.
+/// @param issuer The address of the issuer who authorized the recovery.
+event CertificateRecovered(uint256 indexed tokenId, address indexed from, address indexed to, address issuer);
+
+/// @notice Emitted when the revocation registry is set.
+/// @param revocationRegistry The address of the revocation registry.
+event RevocationRegistrySet(address revocationRegistry);
+
+/// @notice Emitted when a revoked certificate is burnt.
+/// @param tokenId The id of the token burnt.
+/// @param hashedDid keccak256 hashed issuer Did of the token.
+/// @param revoker The issuer address which revoked the token, as recorded by the revocation registry, or zero with a StatusList registry.
+/// @param reason The reason code of the revocation, as recorded by the revocation registry, or zero with a StatusList registry.
+event CertificateBurned(uint256 indexed tokenId, bytes32 indexed hashedDid, address indexed revoker, uint8 reason);
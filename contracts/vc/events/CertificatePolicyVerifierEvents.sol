@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/// @notice Emitted when a policy is registered.
+/// @param policyId The policy identifier, the keccak256 hash of its name.
+/// @param name The name of the policy.
+/// @param admin The address of the policy admin, who registered it.
+event PolicyRegistered(bytes32 indexed policyId, string name, address admin);
+
+/// @notice Emitted when the requirements of a policy are updated by its admin.
+/// @param policyId The policy identifier.
+event PolicyUpdated(bytes32 indexed policyId);
+
+/// @notice Emitted when a policy is removed by its admin.
+/// @param policyId The policy identifier.
+event PolicyRemoved(bytes32 indexed policyId);
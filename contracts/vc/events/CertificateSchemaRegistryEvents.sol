@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/// @notice Emitted when a certificate schema is registered.
+/// @param schemaVersion The schema version of the certificates.
+/// @param achievementType The achievement type of the certificates.
+/// @param schemaHash The hash of the JSON schema.
+/// @param uri The URI of the JSON schema.
+/// @param operator The address of the operator who registered the schema.
+event SchemaRegistered(uint16 indexed schemaVersion, uint16 indexed achievementType, bytes32 schemaHash, string uri, address operator);
+
+/// @notice Emitted when a certificate schema is unregistered.
+/// @param schemaVersion The schema version of the certificates.
+/// @param achievementType The achievement type of the certificates.
+/// @param operator The address of the operator who unregistered the schema.
+event SchemaUnregistered(uint16 indexed schemaVersion, uint16 indexed achievementType, address operator);
+
+/// @notice Emitted when an issuer restricts or unrestricts the achievement types it may issue.
+/// @param hashedIssuerDid The hashed Did of the issuer.
+/// @param restricted Whether the issuer may only issue its allowed achievement types.
+/// @param issuer The address of the issuer key which changed the restriction.
+event AchievementTypesRestricted(bytes32 indexed hashedIssuerDid, bool restricted, address issuer);
+
+/// @notice Emitted when an issuer allows or disallows an achievement type for itself.
+/// @param hashedIssuerDid The hashed Did of the issuer.
+/// @param achievementType The achievement type.
+/// @param allowed Whether the achievement type is allowed.
+/// @param issuer The address of the issuer key which changed the achievement type.
+event AchievementTypeAllowed(bytes32 indexed hashedIssuerDid, uint16 indexed achievementType, bool allowed, address issuer);
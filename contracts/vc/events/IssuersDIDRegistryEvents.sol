@@ -13,3 +13,51 @@ event IssuerAdded(bytes32 indexed hashedDid, address indexed issuerAddress, addr
 /// @param operator The account removed the issuer.
 event IssuerRemoved(bytes32 indexed hashedDid, address indexed issuerAddress, address operator);
 
+/// @notice Emitted when the validity window of an issuer key is updated by `operator`.
+/// @param hashedDid The keccak256 hashed did for issuer.
+/// @param issuerAddress The issuer key which was updated.
+/// @param validFrom The timestamp from which the key is valid.
+/// @param validUntil The timestamp until which the key is valid.
+/// @param operator The account which updated the validity window.
+event IssuerKeyValidityUpdated(bytes32 indexed hashedDid, address indexed issuerAddress, uint64 validFrom, uint64 validUntil, address operator);
+
+/// @notice Emitted when an issuer key is rotated by `operator`.
+/// @param hashedDid The keccak256 hashed did for issuer.
+/// @param oldIssuerAddress The issuer key rotated out, which expires at the rotation.
+/// @param newIssuerAddress The issuer key rotated in, which is valid from the rotation.
+/// @param operator The account which rotated the key.
+event IssuerKeyRotated(bytes32 indexed hashedDid, address indexed oldIssuerAddress, address indexed newIssuerAddress, address operator);
+
+/// @notice Emitted when a key is added to `hashedDid` by an issuer signing with the key `signer` of the did.
+/// @param hashedDid The keccak256 hashed did for issuer.
+/// @param issuerAddress The issuer key which was added.
+/// @param signer The issuer key which signed the addition.
+event IssuerKeyAddedByIssuer(bytes32 indexed hashedDid, address indexed issuerAddress, address signer);
+
+/// @notice Emitted when a key is removed from `hashedDid` by an issuer signing with the key `signer` of the did.
+/// @param hashedDid The keccak256 hashed did for issuer.
+/// @param issuerAddress The issuer key which was removed.
+/// @param signer The issuer key which signed the removal.
+event IssuerKeyRemovedByIssuer(bytes32 indexed hashedDid, address indexed issuerAddress, address signer);
+
+/// @notice Emitted when a key is vetoed for `hashedDid` by `operator`.
+/// @param hashedDid The keccak256 hashed did for issuer.
+/// @param issuerAddress The issuer key which was vetoed.
+/// @param operator The account which vetoed the key.
+event IssuerKeyVetoed(bytes32 indexed hashedDid, address indexed issuerAddress, address operator);
+
+/// @notice Emitted when the issuer self-service key management of `hashedDid` is frozen by `operator`.
+/// @param hashedDid The keccak256 hashed did for issuer.
+/// @param operator The account which froze the did.
+event DidFrozen(bytes32 indexed hashedDid, address operator);
+
+/// @notice Emitted when the issuer self-service key management of `hashedDid` is unfrozen by `operator`.
+/// @param hashedDid The keccak256 hashed did for issuer.
+/// @param operator The account which unfroze the did.
+event DidUnfrozen(bytes32 indexed hashedDid, address operator);
+
+/// @notice Emitted when the signature threshold of `hashedDid` is set by `operator`.
+/// @param hashedDid The keccak256 hashed did for issuer.
+/// @param threshold The number of distinct valid keys which must sign the mints and revocations of the did.
+/// @param operator The account which set the threshold.
+event SignatureThresholdSet(bytes32 indexed hashedDid, uint256 threshold, address operator);
@@ -1,9 +1,17 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.22;
 
-/// @notice Emitted when `caller` successfully revokes `vcId`.
+/// @notice Emitted when `caller` successfully revokes or suspends `vcId`.
 /// @param hashedIssuerDid the hashed Did for the issuer
 /// @param caller address of caller that invoked the revocation.
 /// @param vcId The Id for the VC revoked.
-event VcRevoked(bytes32 indexed hashedIssuerDid, address caller, uint256 indexed vcId);
+/// @param reason The reason code given by the issuer for the revocation.
+/// @param suspended Whether the VC is only suspended and can later be reinstated.
+event VcRevoked(bytes32 indexed hashedIssuerDid, address caller, uint256 indexed vcId, uint8 reason, bool suspended);
+
+/// @notice Emitted when `caller` successfully reinstates a suspended `vcId`.
+/// @param hashedIssuerDid the hashed Did for the issuer
+/// @param caller address of caller that invoked the reinstatement.
+/// @param vcId The Id for the VC reinstated.
+event VcReinstated(bytes32 indexed hashedIssuerDid, address caller, uint256 indexed vcId);
 
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/// @notice Emitted when `caller` successfully sets bits in a word of the status list of an issuer.
+/// @param hashedIssuerDid the hashed Did for the issuer
+/// @param caller address of caller that invoked the update.
+/// @param wordIndex The index of the updated word in the status list.
+/// @param mask The bits which have been set in the word.
+/// @param word The value of the word after the update.
+event StatusListUpdated(bytes32 indexed hashedIssuerDid, address caller, uint256 indexed wordIndex, uint256 mask, uint256 word);
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+/// @title ICertificateSchemaRegistry
+/// @notice Interface for registry to store the allowed certificate schemas, keyed by schema version and achievement type
+interface ICertificateSchemaRegistry {
+    function isSchemaRegistered(uint16 schemaVersion, uint16 achievementType) external view returns (bool registered);
+
+    function isSchemaAllowed(bytes32 hashedDid, uint16 schemaVersion, uint16 achievementType) external view returns (bool allowed);
+}
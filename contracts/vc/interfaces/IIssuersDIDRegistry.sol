@@ -7,4 +7,10 @@ interface IIssuersDIDRegistry {
     function issuers(bytes32 hashedDid, address issuerAddress) external view returns (bool allowed);
 
     function isIssuerAllowed(string calldata did, address issuerAddress) external view returns (bool allowed);
+
+    function isIssuerValidAt(bytes32 hashedDid, address issuerAddress, uint256 timestamp) external view returns (bool valid);
+
+    function getIssuerKeys(bytes32 hashedDid) external view returns (address[] memory keys);
+
+    function signatureThreshold(bytes32 hashedDid) external view returns (uint256 threshold);
 }
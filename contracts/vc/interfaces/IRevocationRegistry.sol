@@ -2,9 +2,22 @@
 pragma solidity ^0.8.22;
 
 interface IRevocationRegistry {
-    function revokeVC(bytes32 hashedIssuerDid, uint256 vcId, bytes calldata signature) external;
+    function revokeVC(bytes32 hashedIssuerDid, uint256 vcId, uint8 reason, uint256 nonce, uint256 expiry, bytes calldata signature) external;
 
-    function batchRevokeVCs(bytes32 hashedIssuerDid, uint256[] calldata vcIds, bytes calldata signature) external;
+    function batchRevokeVCs(
+        bytes32 hashedIssuerDid,
+        uint256[] calldata vcIds,
+        uint8 reason,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) external;
+
+    function nonces(bytes32 hashedIssuerDid) external view returns (uint256 nonce);
 
     function isRevoked(bytes32 hashedIssuerDid, uint256 vcId) external view returns (bool revoked);
+
+    function isSuspended(bytes32 hashedIssuerDid, uint256 vcId) external view returns (bool suspended);
+
+    function revocation(bytes32 hashedIssuerDid, uint256 vcId) external view returns (address revoker, uint8 reason);
 }
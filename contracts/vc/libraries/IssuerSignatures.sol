@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+/// @title IssuerSignatures.
+/// @notice Recovers the signers of a concatenated list of issuer signatures, for the issuer Dids with a signature threshold.
+/// @notice Each signature is a 65 bytes static part, either a raw ECDSA signature or, for a contract wallet issuer, an ERC1271 signature
+/// @notice encoded as in Safe: `r` is the contract address, `s` the offset of the dynamic part in the list and `v` is 0.
+/// @notice The dynamic parts, made of the 32 bytes length of the ERC1271 signature followed by the signature, follow all the static parts.
+library IssuerSignatures {
+    using ECDSA for bytes32;
+
+    uint256 internal constant SIGNATURE_LENGTH = 65;
+
+    /// @notice Thrown when an ERC1271 signature is out of the bounds of the signatures list or is rejected by its contract wallet.
+    error InvalidContractSignature(address signer);
+
+    /// @notice Recovers the distinct signers of a list of signatures, in the order of their first signature.
+    /// @dev Reverts with `ECDSA: invalid signature length` if `signatures` is empty or if a static part is shorter than 65 bytes.
+    /// @dev Reverts with `ECDSA: invalid signature` if one of the ECDSA signatures recovers to the zero address.
+    /// @dev Reverts with `InvalidContractSignature` if one of the ERC1271 signatures is invalid.
+    /// @param digest The EIP712 digest which has been signed.
+    /// @param signatures The concatenated signatures.
+    /// @return signers The distinct signers.
+    function recoverSigners(bytes32 digest, bytes calldata signatures) internal view returns (address[] memory signers) {
+        uint256 length = signatures.length;
+        signers = new address[](length == 0 ? 1 : (length + SIGNATURE_LENGTH - 1) / SIGNATURE_LENGTH);
+        uint256 distinctCount;
+        // the static parts end where the first dynamic part starts
+        uint256 staticPartsEnd = length;
+        uint256 start;
+        // an empty list is recovered as a single empty signature, so that it reverts as an invalid signature length
+        do {
+            uint256 end = start + SIGNATURE_LENGTH < staticPartsEnd ? start + SIGNATURE_LENGTH : staticPartsEnd;
+            address signer;
+            if (_isContractSignature(signatures[start:end])) {
+                uint256 dynamicPartStart;
+                (signer, dynamicPartStart) = abi.decode(signatures[start:start + 64], (address, uint256));
+                if (dynamicPartStart < end || !_isValidContractSignature(digest, signer, signatures, dynamicPartStart)) {
+                    revert InvalidContractSignature(signer);
+                }
+                if (dynamicPartStart < staticPartsEnd) {
+                    staticPartsEnd = dynamicPartStart;
+                }
+            } else {
+                signer = digest.recover(signatures[start:end]);
+            }
+            if (!_contains(signers, distinctCount, signer)) {
+                signers[distinctCount++] = signer;
+            }
+            start = end;
+        } while (start < staticPartsEnd);
+        // shrinks the array to the distinct signers
+        assembly {
+            mstore(signers, distinctCount)
+        }
+    }
+
+    /// @param staticPart The static part of a signature.
+    /// @return isContract Whether the static part is a complete one with a zero `v` and an address as `r`.
+    function _isContractSignature(bytes calldata staticPart) private pure returns (bool isContract) {
+        return staticPart.length == SIGNATURE_LENGTH && staticPart[64] == bytes1(0) && uint256(bytes32(staticPart[:32])) >> 160 == 0;
+    }
+
+    /// @param digest The EIP712 digest which has been signed.
+    /// @param signer The contract wallet.
+    /// @param signatures The concatenated signatures.
+    /// @param dynamicPartStart The offset of the dynamic part of the signature in `signatures`.
+    /// @return valid Whether the dynamic part is within `signatures` and holds an ERC1271 signature of `digest` accepted by `signer`.
+    function _isValidContractSignature(
+        bytes32 digest,
+        address signer,
+        bytes calldata signatures,
+        uint256 dynamicPartStart
+    ) private view returns (bool valid) {
+        uint256 length = signatures.length;
+        if (dynamicPartStart > length || length - dynamicPartStart < 32) {
+            return false;
+        }
+        uint256 signatureStart = dynamicPartStart + 32;
+        uint256 signatureLength = uint256(bytes32(signatures[dynamicPartStart:signatureStart]));
+        if (signatureLength > length - signatureStart) {
+            return false;
+        }
+        return SignatureChecker.isValidERC1271SignatureNow(signer, digest, signatures[signatureStart:signatureStart + signatureLength]);
+    }
+
+    /// @param signers The signers list.
+    /// @param count The number of signers filled in the list.
+    /// @param signer The signer to look for.
+    /// @return found Whether `signer` is among the first `count` signers of the list.
+    function _contains(address[] memory signers, uint256 count, address signer) private pure returns (bool found) {
+        for (uint256 i; i < count; ++i) {
+            if (signers[i] == signer) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
@@ -1,5 +1,6 @@
 const {ethers} = require('hardhat');
 const {expect} = require('chai');
+const {time} = require('@nomicfoundation/hardhat-network-helpers');
 const {expectRevert} = require('@animoca/ethereum-contract-helpers/src/test/revert');
 const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
 const {deployContract} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
@@ -683,6 +684,78 @@ describe('EDULand', function () {
     });
   });
 
+  context('setUser(uint256,address,uint64)', function () {
+    it('reverts if not called by an operator role holder', async function () {
+      await expectRevert(this.token.connect(owner).setUser(nft1, other.address, 0n), this.token, errors.NotOperator, {
+        role: await this.token.OPERATOR_ROLE(),
+        account: owner.address,
+      });
+    });
+
+    it('reverts if the token does not exist', async function () {
+      await expectRevert(this.token.connect(operatorRoleHolder).setUser(unknownNFT, other.address, 0n), this.token, errors.NonExistingToken, {
+        tokenId: unknownNFT,
+      });
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.expires = BigInt(await time.latest()) + 1000n;
+        this.receipt = await this.token.connect(operatorRoleHolder).setUser(nft1, other.address, this.expires);
+      });
+
+      it('sets the user of the token', async function () {
+        expect(await this.token.userOf(nft1)).to.equal(other.address);
+        expect(await this.token.userExpires(nft1)).to.equal(this.expires);
+      });
+
+      it('emits an UpdateUser event', async function () {
+        await expect(this.receipt).to.emit(this.token, 'UpdateUser').withArgs(nft1, other.address, this.expires);
+      });
+
+      it('returns the zero address as user once expired', async function () {
+        await time.increaseTo(this.expires + 1n);
+        expect(await this.token.userOf(nft1)).to.equal(ethers.ZeroAddress);
+        expect(await this.token.userExpires(nft1)).to.equal(this.expires);
+      });
+
+      it('resets the user when the token is transferred', async function () {
+        await expect(this.token.connect(operatorRoleHolder).transferFrom(owner.address, other.address, nft1))
+          .to.emit(this.token, 'UpdateUser')
+          .withArgs(nft1, ethers.ZeroAddress, 0n);
+        expect(await this.token.userOf(nft1)).to.equal(ethers.ZeroAddress);
+        expect(await this.token.userExpires(nft1)).to.equal(0n);
+      });
+
+      it('keeps the user when the token is transferred to its owner', async function () {
+        await expect(this.token.connect(operatorRoleHolder).batchTransferFrom(owner.address, owner.address, [nft1])).not.to.emit(
+          this.token,
+          'UpdateUser'
+        );
+        expect(await this.token.userOf(nft1)).to.equal(other.address);
+      });
+
+      it('resets the user when the token is burnt', async function () {
+        await expect(this.token.connect(operatorRoleHolder).burnFrom(owner.address, nft1))
+          .to.emit(this.token, 'UpdateUser')
+          .withArgs(nft1, ethers.ZeroAddress, 0n);
+        await this.token.connect(operatorRoleHolder).mint(owner.address, nft1);
+        expect(await this.token.userOf(nft1)).to.equal(ethers.ZeroAddress);
+      });
+
+      it('does not emit an UpdateUser event when a token without user is burnt', async function () {
+        await expect(this.token.connect(operatorRoleHolder).batchBurnFrom(owner.address, [nft2])).not.to.emit(this.token, 'UpdateUser');
+      });
+    });
+  });
+
+  context('userOf(uint256)', function () {
+    it('returns the zero address if no user is set', async function () {
+      expect(await this.token.userOf(nft1)).to.equal(ethers.ZeroAddress);
+      expect(await this.token.userExpires(nft1)).to.equal(0n);
+    });
+  });
+
   supportsInterfaces([
     '@animoca/ethereum-contracts/contracts/introspection/interfaces/IERC165.sol:IERC165',
     '@animoca/ethereum-contracts/contracts/token/ERC721/interfaces/IERC721.sol:IERC721',
@@ -690,5 +763,6 @@ describe('EDULand', function () {
     'IERC721Burnable',
     'IERC721Mintable',
     'IERC721Metadata',
+    'IERC4907',
   ]);
 });
@@ -0,0 +1,207 @@
+const {ethers} = require('hardhat');
+const {expect} = require('chai');
+const {deployContract} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
+const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
+const {quotePrice, tabulatePriceCurve, plotPriceCurve} = require('./utils/priceCurves');
+
+const CURVE_TYPE = {Constant: 0n, Logarithmic: 1n, Linear: 2n, PiecewiseLinear: 3n};
+
+const LOGARITHMIC_CURVE = {type: 'logarithmic', minPrice: 3000n, divider: 125000000n, multiplier: 1250n};
+const LINEAR_CURVE = {type: 'linear', basePrice: 400n, slope: 3n, slopeDenominator: 1000000n};
+const PIECEWISE_LINEAR_CURVE = {type: 'piecewiseLinear', times: [1000000n, 5000000n, 9000000n], prices: [400n, 2000n, 1000n]};
+
+const SAMPLE_TIMES = [0n, 1n, 999999n, 1000000n, 2500000n, 5000000n, 7777777n, 9000000n, 125000000n, 2n ** 40n, 2n ** 128n];
+
+describe('EDULandConfigurablePriceHelper', function () {
+  before(async function () {
+    [deployer, operator, other] = await ethers.getSigners();
+  });
+
+  const fixture = async function () {
+    this.contract = await deployContract('EDULandConfigurablePriceHelper', 400n);
+    await this.contract.grantRole(await this.contract.OPERATOR_ROLE(), operator.address);
+  };
+
+  beforeEach(async function () {
+    await loadFixture(fixture, this);
+  });
+
+  async function expectCurve(contract, curve) {
+    expect(await contract.quote(SAMPLE_TIMES)).to.deep.equal(SAMPLE_TIMES.map((t) => quotePrice(curve, t)));
+    for (const t of SAMPLE_TIMES) {
+      expect(await contract.calculatePrice(t)).to.equal(quotePrice(curve, t));
+    }
+  }
+
+  describe('constructor', function () {
+    it('sets the initial constant curve', async function () {
+      expect(await this.contract.curveType()).to.equal(CURVE_TYPE.Constant);
+      expect(await this.contract.constantPrice()).to.equal(400n);
+      await expectCurve(this.contract, {type: 'constant', price: 400n});
+    });
+
+    it('emits a ConstantCurveSet event', async function () {
+      const contract = await deployContract('EDULandConfigurablePriceHelper', 400n);
+      await expect(contract.deploymentTransaction()).to.emit(contract, 'ConstantCurveSet').withArgs(400n, deployer.address);
+    });
+  });
+
+  describe('setConstantCurve(uint256)', function () {
+    it('reverts if the sender is not the operator', async function () {
+      await expect(this.contract.connect(other).setConstantCurve(500n))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.OPERATOR_ROLE(), other.address);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        await this.contract.connect(operator).setLinearCurve(1n, 1n, 1n);
+        this.receipt = await this.contract.connect(operator).setConstantCurve(500n);
+      });
+
+      it('sets the constant curve', async function () {
+        expect(await this.contract.curveType()).to.equal(CURVE_TYPE.Constant);
+        await expectCurve(this.contract, {type: 'constant', price: 500n});
+      });
+
+      it('emits a ConstantCurveSet event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'ConstantCurveSet').withArgs(500n, operator.address);
+      });
+    });
+  });
+
+  describe('setLogarithmicCurve(uint256,uint256,uint256)', function () {
+    it('reverts if the sender is not the operator', async function () {
+      await expect(this.contract.connect(other).setLogarithmicCurve(3000n, 125000000n, 1250n))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.OPERATOR_ROLE(), other.address);
+    });
+
+    it('reverts with InvalidDivider if the divider is zero', async function () {
+      await expect(this.contract.connect(operator).setLogarithmicCurve(3000n, 0n, 1250n)).to.be.revertedWithCustomError(
+        this.contract,
+        'InvalidDivider'
+      );
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        const {minPrice, divider, multiplier} = LOGARITHMIC_CURVE;
+        this.receipt = await this.contract.connect(operator).setLogarithmicCurve(minPrice, divider, multiplier);
+      });
+
+      it('sets the logarithmic curve', async function () {
+        expect(await this.contract.curveType()).to.equal(CURVE_TYPE.Logarithmic);
+        expect(await this.contract.logarithmicCurve()).to.deep.equal([3000n, 125000000n, 1250n]);
+        await expectCurve(this.contract, LOGARITHMIC_CURVE);
+      });
+
+      it('prices as EDULandPriceHelper', async function () {
+        const priceHelper = await deployContract('EDULandPriceHelper');
+        for (const t of SAMPLE_TIMES) {
+          expect(await this.contract.calculatePrice(t)).to.equal(await priceHelper.calculatePrice(t));
+        }
+      });
+
+      it('emits a LogarithmicCurveSet event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'LogarithmicCurveSet').withArgs(3000n, 125000000n, 1250n, operator.address);
+      });
+    });
+  });
+
+  describe('setLinearCurve(uint256,uint256,uint256)', function () {
+    it('reverts if the sender is not the operator', async function () {
+      await expect(this.contract.connect(other).setLinearCurve(400n, 3n, 1000000n))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.OPERATOR_ROLE(), other.address);
+    });
+
+    it('reverts with InvalidDivider if the slope denominator is zero', async function () {
+      await expect(this.contract.connect(operator).setLinearCurve(400n, 3n, 0n)).to.be.revertedWithCustomError(this.contract, 'InvalidDivider');
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        const {basePrice, slope, slopeDenominator} = LINEAR_CURVE;
+        this.receipt = await this.contract.connect(operator).setLinearCurve(basePrice, slope, slopeDenominator);
+      });
+
+      it('sets the linear curve', async function () {
+        expect(await this.contract.curveType()).to.equal(CURVE_TYPE.Linear);
+        expect(await this.contract.linearCurve()).to.deep.equal([400n, 3n, 1000000n]);
+        await expectCurve(this.contract, LINEAR_CURVE);
+      });
+
+      it('emits a LinearCurveSet event', async function () {
+        await expect(this.receipt).to.emit(this.contract, 'LinearCurveSet').withArgs(400n, 3n, 1000000n, operator.address);
+      });
+    });
+  });
+
+  describe('setPiecewiseLinearCurve(uint256[],uint256[])', function () {
+    it('reverts if the sender is not the operator', async function () {
+      await expect(this.contract.connect(other).setPiecewiseLinearCurve([1n], [400n]))
+        .to.be.revertedWithCustomError(this.contract, 'NotRoleHolder')
+        .withArgs(await this.contract.OPERATOR_ROLE(), other.address);
+    });
+
+    it('reverts with InconsistentArrayLengths if the times and prices have different lengths', async function () {
+      await expect(this.contract.connect(operator).setPiecewiseLinearCurve([1n, 2n], [400n])).to.be.revertedWithCustomError(
+        this.contract,
+        'InconsistentArrayLengths'
+      );
+    });
+
+    it('reverts with InvalidBreakpoints if there is no breakpoint', async function () {
+      await expect(this.contract.connect(operator).setPiecewiseLinearCurve([], [])).to.be.revertedWithCustomError(
+        this.contract,
+        'InvalidBreakpoints'
+      );
+    });
+
+    it('reverts with InvalidBreakpoints if the times are not strictly increasing', async function () {
+      await expect(this.contract.connect(operator).setPiecewiseLinearCurve([1n, 1n], [400n, 500n])).to.be.revertedWithCustomError(
+        this.contract,
+        'InvalidBreakpoints'
+      );
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        const {times, prices} = PIECEWISE_LINEAR_CURVE;
+        this.receipt = await this.contract.connect(operator).setPiecewiseLinearCurve(times, prices);
+      });
+
+      it('sets the piecewise linear curve', async function () {
+        expect(await this.contract.curveType()).to.equal(CURVE_TYPE.PiecewiseLinear);
+        expect(await this.contract.breakpoints()).to.deep.equal([PIECEWISE_LINEAR_CURVE.times, PIECEWISE_LINEAR_CURVE.prices]);
+        await expectCurve(this.contract, PIECEWISE_LINEAR_CURVE);
+      });
+
+      it('interpolates between the breakpoints', async function () {
+        expect(await this.contract.calculatePrice(3000000n)).to.equal(1200n);
+        expect(await this.contract.calculatePrice(7000000n)).to.equal(1500n);
+      });
+
+      it('emits a PiecewiseLinearCurveSet event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.contract, 'PiecewiseLinearCurveSet')
+          .withArgs(PIECEWISE_LINEAR_CURVE.times, PIECEWISE_LINEAR_CURVE.prices, operator.address);
+      });
+    });
+  });
+
+  describe('priceCurves utils', function () {
+    it('tabulates and plots a curve', async function () {
+      const rows = tabulatePriceCurve(PIECEWISE_LINEAR_CURVE, 0n, 10000000n, 2500000n);
+      expect(rows).to.deep.equal([
+        {totalOngoingRentalTime: 0n, price: 400n},
+        {totalOngoingRentalTime: 2500000n, price: 1000n},
+        {totalOngoingRentalTime: 5000000n, price: 2000n},
+        {totalOngoingRentalTime: 7500000n, price: 1375n},
+        {totalOngoingRentalTime: 10000000n, price: 1000n},
+      ]);
+      expect(plotPriceCurve(rows, 10).split('\n')[2]).to.equal(' 5000000 | ########## 2000');
+    });
+  });
+});
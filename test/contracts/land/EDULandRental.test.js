@@ -41,6 +41,25 @@ function calculateFees(
   return durations.map((duration) => totalNodeKeyPrice + (duration * maintenanceFee) / maintenanceFeeDenominator);
 }
 
+function calculateMaintenanceFee(
+  duration,
+  maintenanceFee = DEFAULT_MAINTENANCE_FEE,
+  maintenanceFeeDenominator = DEFAULT_MAINTENANCE_FEE_DENOMINATOR
+) {
+  return (duration * maintenanceFee) / maintenanceFeeDenominator;
+}
+
+const RENEWAL_PRICING_MODE = {FullLandPrice: 0n, MaintenanceOnly: 1n, ProratedLandPrice: 2n};
+
+const UTILISATION_BASE_PRICE = 400n;
+const UTILISATION_MAX_PREMIUM = 1000000n;
+function calculateUtilisationPrice(activeRentalCount, maxTokenSupply) {
+  if (activeRentalCount >= maxTokenSupply) {
+    return UTILISATION_BASE_PRICE + UTILISATION_MAX_PREMIUM;
+  }
+  return UTILISATION_BASE_PRICE + (((UTILISATION_MAX_PREMIUM * activeRentalCount) / maxTokenSupply) * activeRentalCount) / maxTokenSupply;
+}
+
 async function getBlockTimestamp(tx) {
   const block = await ethers.provider.getBlock(tx.blockNumber);
   return BigInt(block.timestamp);
@@ -93,6 +112,7 @@ describe('EDULandRental', function () {
 
     await this.pointsContract.grantRole(await this.pointsContract.ADMIN_ROLE(), deployer);
     await this.pointsContract.grantRole(await this.pointsContract.SPENDER_ROLE(), this.rentalContract.target);
+    await this.pointsContract.grantRole(await this.pointsContract.DEPOSITOR_ROLE(), this.rentalContract.target);
     await this.pointsContract.addConsumeReasonCodes([this.rentalReasonCode]);
     await this.eduLandContract.grantRole(await this.eduLandContract.OPERATOR_ROLE(), this.rentalContract.target);
     await this.rentalContract.grantRole(await this.rentalContract.OPERATOR_ROLE(), rentalOperator);
@@ -143,6 +163,7 @@ describe('EDULandRental', function () {
       expect(await this.rentalContract.maxRentalDuration()).to.equal(this.maxRentalDuration);
       expect(await this.rentalContract.maxRentalCountPerCall()).to.equal(this.maxRentalCountPerCall);
       expect(await this.rentalContract.maxTokenSupply()).to.equal(this.nodeKeyContractTotalSupply);
+      expect(await this.rentalContract.isDynamicLandPriceHelper()).to.be.false;
     });
 
     it('reverts if EDU Land contract is the zero address', async function () {
@@ -314,11 +335,12 @@ describe('EDULandRental', function () {
             .to.emit(this.pointsContract, 'Consumed')
             .withArgs(this.rentalContract, this.rentalReasonCode, user1, expectedCost)
             .to.emit(this.rentalContract, 'Rental')
-            .withArgs(user1, [1n], [blockTimestamp], [blockTimestamp + this.minRentalDuration], [expectedCost]);
+            .withArgs(user1, [1n], [blockTimestamp], [blockTimestamp + this.minRentalDuration], [expectedCost], [false]);
           expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([
             blockTimestamp,
             blockTimestamp + this.minRentalDuration,
             expectedCost,
+            calculateMaintenanceFee(this.minRentalDuration),
           ]);
         });
 
@@ -340,10 +362,21 @@ describe('EDULandRental', function () {
               [1n, 2n],
               [blockTimestamp, blockTimestamp],
               [blockTimestamp + 1000n, blockTimestamp + 2000n],
-              [expectedCosts[0], expectedCosts[1]]
+              [expectedCosts[0], expectedCosts[1]],
+              [false, false]
             );
-          expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([blockTimestamp, blockTimestamp + 1000n, expectedCosts[0]]);
-          expect(await this.rentalContract.rentals(2n)).to.have.ordered.members([blockTimestamp, blockTimestamp + 2000n, expectedCosts[1]]);
+          expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([
+            blockTimestamp,
+            blockTimestamp + 1000n,
+            expectedCosts[0],
+            calculateMaintenanceFee(1000n),
+          ]);
+          expect(await this.rentalContract.rentals(2n)).to.have.ordered.members([
+            blockTimestamp,
+            blockTimestamp + 2000n,
+            expectedCosts[1],
+            calculateMaintenanceFee(2000n),
+          ]);
         });
 
         it('successfully rent 2 node keys; 1 clean node key, and extend the rental on an non-expired node key.', async function () {
@@ -383,14 +416,21 @@ describe('EDULandRental', function () {
               [1n, 2n],
               [initialExpiry, blockTimestamp2],
               [blockTimestamp2 + extendDuration, blockTimestamp2 + 1000n],
-              [expectedCosts[0], expectedCosts[1]]
+              [expectedCosts[0], expectedCosts[1]],
+              [true, false]
             );
           expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([
             blockTimestamp1,
             blockTimestamp2 + extendDuration,
             initialRentCost + expectedCosts[0],
+            calculateMaintenanceFee(initialRentDuration) + calculateMaintenanceFee(newExpiry - initialExpiry),
+          ]);
+          expect(await this.rentalContract.rentals(2n)).to.have.ordered.members([
+            blockTimestamp2,
+            blockTimestamp2 + 1000n,
+            expectedCosts[1],
+            calculateMaintenanceFee(1000n),
           ]);
-          expect(await this.rentalContract.rentals(2n)).to.have.ordered.members([blockTimestamp2, blockTimestamp2 + 1000n, expectedCosts[1]]);
         });
 
         it('successfully rent 2 node keys; 1 clean node key, and extend the rental on an expired node key.', async function () {
@@ -415,10 +455,21 @@ describe('EDULandRental', function () {
               [1n, 2n],
               [blockTimestamp, blockTimestamp],
               [blockTimestamp + 1000n, blockTimestamp + 50n],
-              [expectedCosts[0], expectedCosts[1]]
+              [expectedCosts[0], expectedCosts[1]],
+              [false, false]
             );
-          expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([blockTimestamp, blockTimestamp + 1000n, expectedCosts[0]]);
-          expect(await this.rentalContract.rentals(2n)).to.have.ordered.members([blockTimestamp, blockTimestamp + 50n, expectedCosts[1]]);
+          expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([
+            blockTimestamp,
+            blockTimestamp + 1000n,
+            expectedCosts[0],
+            calculateMaintenanceFee(1000n),
+          ]);
+          expect(await this.rentalContract.rentals(2n)).to.have.ordered.members([
+            blockTimestamp,
+            blockTimestamp + 50n,
+            expectedCosts[1],
+            calculateMaintenanceFee(50n),
+          ]);
         });
 
         it('successfully rent 2 node keys; 1 clean node key, another is expired node key that rented by another account', async function () {
@@ -443,10 +494,21 @@ describe('EDULandRental', function () {
               [1n, 2n],
               [blockTimestamp, blockTimestamp],
               [blockTimestamp + 1000n, blockTimestamp + 50n],
-              [expectedCosts[0], expectedCosts[1]]
+              [expectedCosts[0], expectedCosts[1]],
+              [false, false]
             );
-          expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([blockTimestamp, blockTimestamp + 1000n, expectedCosts[0]]);
-          expect(await this.rentalContract.rentals(2n)).to.have.ordered.members([blockTimestamp, blockTimestamp + 50n, expectedCosts[1]]);
+          expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([
+            blockTimestamp,
+            blockTimestamp + 1000n,
+            expectedCosts[0],
+            calculateMaintenanceFee(1000n),
+          ]);
+          expect(await this.rentalContract.rentals(2n)).to.have.ordered.members([
+            blockTimestamp,
+            blockTimestamp + 50n,
+            expectedCosts[1],
+            calculateMaintenanceFee(50n),
+          ]);
         });
 
         it(`successfully rent 2 node keys;
@@ -473,12 +535,23 @@ describe('EDULandRental', function () {
               [1n, 2n],
               [blockTimestamp, blockTimestamp],
               [blockTimestamp + 1000n, blockTimestamp + 50n],
-              [expectedCosts[0], expectedCosts[1]]
+              [expectedCosts[0], expectedCosts[1]],
+              [false, false]
             )
             .to.emit(this.rentalContract, 'Collected')
             .withArgs([1n, 400n, 401n, 402n]);
-          expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([blockTimestamp, blockTimestamp + 1000n, expectedCosts[0]]);
-          expect(await this.rentalContract.rentals(2n)).to.have.ordered.members([blockTimestamp, blockTimestamp + 50n, expectedCosts[1]]);
+          expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([
+            blockTimestamp,
+            blockTimestamp + 1000n,
+            expectedCosts[0],
+            calculateMaintenanceFee(1000n),
+          ]);
+          expect(await this.rentalContract.rentals(2n)).to.have.ordered.members([
+            blockTimestamp,
+            blockTimestamp + 50n,
+            expectedCosts[1],
+            calculateMaintenanceFee(50n),
+          ]);
         });
 
         it(`successfully rent 1 clean node key,
@@ -494,11 +567,12 @@ describe('EDULandRental', function () {
             .to.emit(this.pointsContract, 'Consumed')
             .withArgs(this.rentalContract, this.rentalReasonCode, user1, expectedCost)
             .to.emit(this.rentalContract, 'Rental')
-            .withArgs(user1, [1n], [blockTimestamp], [blockTimestamp + this.minRentalDuration], [expectedCost]);
+            .withArgs(user1, [1n], [blockTimestamp], [blockTimestamp + this.minRentalDuration], [expectedCost], [false]);
           expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([
             blockTimestamp,
             blockTimestamp + this.minRentalDuration,
             expectedCost,
+            calculateMaintenanceFee(this.minRentalDuration),
           ]);
         });
 
@@ -517,12 +591,14 @@ describe('EDULandRental', function () {
               [1n, 1n],
               [blockTimestamp, blockTimestamp + 1000n],
               [blockTimestamp + 1000n, blockTimestamp + 1000n + this.minRentalDuration],
-              [expectedCosts[0], expectedCosts[1]]
+              [expectedCosts[0], expectedCosts[1]],
+              [false, true]
             );
           expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([
             blockTimestamp,
             blockTimestamp + 1000n + this.minRentalDuration,
             totalCost,
+            calculateMaintenanceFee(1000n) + calculateMaintenanceFee(this.minRentalDuration),
           ]);
         });
       });
@@ -558,6 +634,199 @@ describe('EDULandRental', function () {
     it('Throws error if no token being collected', async function () {
       await expect(this.rentalContract.collectExpiredTokens([])).to.be.revertedWithCustomError(this.rentalContract, 'NoTokenCollected');
     });
+
+    it('decreases the active rental count by the number of collected tokens', async function () {
+      expect(await this.rentalContract.activeRentalCount()).to.equal(BigInt(this.initialRentals.length));
+      await time.increase(1000n);
+      await this.rentalContract.collectExpiredTokens([400n, 401n]);
+      expect(await this.rentalContract.activeRentalCount()).to.equal(BigInt(this.initialRentals.length) - 2n);
+    });
+  });
+
+  context('rental history and renter tokens', function () {
+    it('lists the tokens of each renter', async function () {
+      expect(await this.rentalContract.renterTokenCount(user1)).to.equal(2n);
+      expect(await this.rentalContract.tokensOfRenter(user1, 0n, 10n)).to.deep.equal([400n, 401n]);
+      expect(await this.rentalContract.tokensOfRenter(user2, 0n, 10n)).to.deep.equal([402n, 403n]);
+      expect(await this.rentalContract.tokensOfRenter(user3, 0n, 10n)).to.deep.equal([]);
+    });
+
+    it('paginates the tokens of a renter', async function () {
+      await this.rentalContract.connect(user1).rent([1n, 2n, 3n], [1000n, 1000n, 1000n], [], 0n);
+      expect(await this.rentalContract.tokensOfRenter(user1, 0n, 2n)).to.deep.equal([400n, 401n]);
+      expect(await this.rentalContract.tokensOfRenter(user1, 2n, 2n)).to.deep.equal([1n, 2n]);
+      expect(await this.rentalContract.tokensOfRenter(user1, 4n, 2n)).to.deep.equal([3n]);
+      expect(await this.rentalContract.tokensOfRenter(user1, 5n, 2n)).to.deep.equal([]);
+    });
+
+    it('records a rental', async function () {
+      const tx = await this.rentalContract.connect(user1).rent([1n], [1000n], [], 0n);
+      const blockTimestamp = await getBlockTimestamp(tx);
+      const fee = calculateFees(this.initialRentalsDuration, [1000n])[0];
+      expect(await this.rentalContract.rentalHistoryCount(1n)).to.equal(1n);
+      expect(await this.rentalContract.rentalHistory(1n, 0n, 10n)).to.deep.equal([
+        [user1.address, blockTimestamp, blockTimestamp + 1000n, fee, false, false],
+      ]);
+    });
+
+    it('records an extension without adding the token again to the renter tokens', async function () {
+      const tx1 = await this.rentalContract.connect(user1).rent([1n], [1000n], [], 0n);
+      const blockTimestamp1 = await getBlockTimestamp(tx1);
+      await time.increase(200n);
+      const tx2 = await this.rentalContract.connect(user1).rent([1n], [2000n], [], 0n);
+      const blockTimestamp2 = await getBlockTimestamp(tx2);
+      const [rentalFee] = calculateFees(this.initialRentalsDuration, [1000n]);
+      const [extensionFee] = calculateFees(this.initialRentalsDuration + 1000n, [blockTimestamp2 + 2000n - (blockTimestamp1 + 1000n)]);
+
+      expect(await this.rentalContract.rentalHistory(1n, 0n, 10n)).to.deep.equal([
+        [user1.address, blockTimestamp1, blockTimestamp1 + 1000n, rentalFee, false, false],
+        [user1.address, blockTimestamp1 + 1000n, blockTimestamp2 + 2000n, extensionFee, true, false],
+      ]);
+      expect(await this.rentalContract.rentalHistory(1n, 1n, 1n)).to.deep.equal([
+        [user1.address, blockTimestamp1 + 1000n, blockTimestamp2 + 2000n, extensionFee, true, false],
+      ]);
+      expect(await this.rentalContract.rentalHistory(1n, 2n, 1n)).to.deep.equal([]);
+      expect(await this.rentalContract.tokensOfRenter(user1, 0n, 10n)).to.deep.equal([400n, 401n, 1n]);
+    });
+
+    it('keeps the history of a collected token and removes it from the renter tokens', async function () {
+      const historyBefore = await this.rentalContract.rentalHistory(400n, 0n, 10n);
+      await time.increase(1000n);
+      await this.rentalContract.collectExpiredTokens([400n]);
+      expect(await this.rentalContract.rentalHistory(400n, 0n, 10n)).to.deep.equal(historyBefore);
+      expect(await this.rentalContract.tokensOfRenter(user1, 0n, 10n)).to.deep.equal([401n]);
+      expect(await this.rentalContract.renterTokenCount(user1)).to.equal(1n);
+    });
+
+    it('appends the rental of a collected token by another renter to its history', async function () {
+      await time.increase(1000n);
+      const tx = await this.rentalContract.connect(user2).rent([400n], [1000n], [400n], 0n);
+      const blockTimestamp = await getBlockTimestamp(tx);
+      const history = await this.rentalContract.rentalHistory(400n, 0n, 10n);
+      expect(history.length).to.equal(2);
+      expect(history[0].renter).to.equal(user1.address);
+      expect(history[1].renter).to.equal(user2.address);
+      expect(history[1].beginDate).to.equal(blockTimestamp);
+      expect(await this.rentalContract.tokensOfRenter(user1, 0n, 10n)).to.deep.equal([401n]);
+      expect(await this.rentalContract.tokensOfRenter(user2, 0n, 10n)).to.deep.equal([402n, 403n, 400n]);
+    });
+
+    it('records a termination', async function () {
+      const tx1 = await this.rentalContract.connect(user1).rent([1n], [this.maxRentalDuration], [], 0n);
+      const blockTimestamp1 = await getBlockTimestamp(tx1);
+      const [fee] = calculateFees(this.initialRentalsDuration, [this.maxRentalDuration]);
+      const tx2 = await this.rentalContract.connect(user1).terminate([1n]);
+      const blockTimestamp2 = await getBlockTimestamp(tx2);
+      const endDate = blockTimestamp1 + this.maxRentalDuration;
+      const refund = (calculateMaintenanceFee(this.maxRentalDuration) * (endDate - blockTimestamp2)) / this.maxRentalDuration;
+
+      await expect(tx2).to.emit(this.rentalContract, 'Terminated').withArgs(user1, [1n], [refund]);
+      expect(await this.rentalContract.rentalHistoryCount(1n)).to.equal(2n);
+      expect(await this.rentalContract.rentalHistory(1n, 0n, 10n)).to.deep.equal([
+        [user1.address, blockTimestamp1, endDate, fee, false, false],
+        [user1.address, blockTimestamp2, endDate, refund, false, true],
+      ]);
+    });
+
+    it('removes the collected and terminated tokens from the renter tokens', async function () {
+      await this.rentalContract.connect(user2).terminate([402n]);
+      expect(await this.rentalContract.tokensOfRenter(user2, 0n, 10n)).to.deep.equal([403n]);
+      await time.increase(1000n);
+      await this.rentalContract.collectNextExpired(10n);
+      expect(await this.rentalContract.tokensOfRenter(user1, 0n, 10n)).to.deep.equal([]);
+    });
+  });
+
+  context('collectNextExpired(uint256 maxCount) external', function () {
+    beforeEach(async function () {
+      this.bountyReasonCode = await this.rentalContract.COLLECTION_BOUNTY_CODE();
+      this.collectionBounty = 10n;
+      await this.rentalContract.connect(rentalOperator).setCollectionBounty(this.collectionBounty);
+    });
+
+    it('reverts if no rental has expired', async function () {
+      expect(await this.rentalContract.pendingExpiredCount()).to.equal(0n);
+      await expect(this.rentalContract.connect(other).collectNextExpired(10n)).to.be.revertedWithCustomError(this.rentalContract, 'NoTokenCollected');
+    });
+
+    it('counts the expired rentals pending collection', async function () {
+      await time.increase(1000n);
+      expect(await this.rentalContract.pendingExpiredCount()).to.equal(3n);
+      await time.increase(10000n);
+      expect(await this.rentalContract.pendingExpiredCount()).to.equal(4n);
+    });
+
+    it('collects the expired rentals in the order of their end date, up to maxCount', async function () {
+      await time.increase(1000n);
+      await expect(this.rentalContract.connect(other).collectNextExpired(2n))
+        .to.emit(this.rentalContract, 'Collected')
+        .withArgs([400n, 401n])
+        .to.emit(this.eduLandContract, 'Transfer')
+        .withArgs(user1, ZeroAddress, 400n)
+        .to.emit(this.eduLandContract, 'Transfer')
+        .withArgs(user1, ZeroAddress, 401n)
+        .to.emit(this.pointsContract, 'Deposited')
+        .withArgs(this.rentalContract, this.bountyReasonCode, other, this.collectionBounty * 2n);
+      expect(await this.rentalContract.pendingExpiredCount()).to.equal(1n);
+      expect(await this.rentalContract.totalOngoingRentalTime()).to.equal(this.initialRentalsDuration - 2000n);
+      expect(await this.rentalContract.activeRentalCount()).to.equal(BigInt(this.initialRentals.length) - 2n);
+    });
+
+    it('does not collect the rentals which have not expired', async function () {
+      await time.increase(1000n);
+      await expect(this.rentalContract.connect(other).collectNextExpired(10n)).to.emit(this.rentalContract, 'Collected').withArgs([400n, 401n, 402n]);
+      expect(await this.eduLandContract.ownerOf(403n)).to.equal(user2.address);
+      expect(await this.rentalContract.pendingExpiredCount()).to.equal(0n);
+    });
+
+    it('accepts a maximum count greater than the expiry queue', async function () {
+      await time.increase(1000n);
+      await expect(this.rentalContract.connect(other).collectNextExpired(ethers.MaxUint256))
+        .to.emit(this.rentalContract, 'Collected')
+        .withArgs([400n, 401n, 402n]);
+    });
+
+    it('skips the rentals which were extended', async function () {
+      await this.rentalContract.connect(user1).rent([400n], [5000n], [], 0n);
+      await time.increase(1000n);
+      expect(await this.rentalContract.pendingExpiredCount()).to.equal(2n);
+      await expect(this.rentalContract.connect(other).collectNextExpired(10n)).to.emit(this.rentalContract, 'Collected').withArgs([401n, 402n]);
+      expect(await this.eduLandContract.ownerOf(400n)).to.equal(user1.address);
+    });
+
+    it('skips the rentals which were already collected, without paying a bounty for them', async function () {
+      await time.increase(1000n);
+      await this.rentalContract.collectExpiredTokens([400n, 401n, 402n]);
+      expect(await this.rentalContract.pendingExpiredCount()).to.equal(0n);
+      await expect(this.rentalContract.connect(other).collectNextExpired(10n))
+        .to.not.emit(this.rentalContract, 'Collected')
+        .to.not.emit(this.pointsContract, 'Deposited');
+      await expect(this.rentalContract.connect(other).collectNextExpired(10n)).to.be.revertedWithCustomError(this.rentalContract, 'NoTokenCollected');
+    });
+
+    it('does not deposit a bounty when the collection bounty is zero', async function () {
+      await this.rentalContract.connect(rentalOperator).setCollectionBounty(0n);
+      await time.increase(1000n);
+      await expect(this.rentalContract.connect(other).collectNextExpired(1n))
+        .to.emit(this.rentalContract, 'Collected')
+        .withArgs([400n])
+        .to.not.emit(this.pointsContract, 'Deposited');
+    });
+  });
+
+  context('setCollectionBounty(uint256 newCollectionBounty) external', function () {
+    it('Success', async function () {
+      await expect(this.rentalContract.connect(rentalOperator).setCollectionBounty(10n))
+        .to.emit(this.rentalContract, 'CollectionBountyUpdated')
+        .withArgs(10n);
+      expect(await this.rentalContract.collectionBounty()).to.equal(10n);
+    });
+
+    it('Failure because it set by non operator wallet', async function () {
+      await expect(this.rentalContract.connect(user1).setCollectionBounty(10n))
+        .to.be.revertedWithCustomError(this.rentalContract, 'NotRoleHolder')
+        .withArgs(await this.eduLandContract.OPERATOR_ROLE(), user1);
+    });
   });
 
   context(
@@ -776,6 +1045,11 @@ describe('EDULandRental', function () {
         expect(await this.rentalContract.calculateElapsedTimeForExpiredTokens([400n, 401n, 402n, 403n])).equal(3000n);
       });
     });
+
+    it('counts a token passed several times once', async function () {
+      await time.increase(1000n);
+      expect(await this.rentalContract.calculateElapsedTimeForExpiredTokens([400n, 400n, 402n, 400n])).equal(2000n);
+    });
   });
 
   context('setLandPriceHelper(address newRentalFeeHelper) external', function () {
@@ -785,6 +1059,14 @@ describe('EDULandRental', function () {
         .withArgs(ZeroAddress);
     });
 
+    it('detects a dynamic land price helper', async function () {
+      const utilisationPriceHelper = await deployContract('EDULandUtilisationPriceHelper', UTILISATION_BASE_PRICE, UTILISATION_MAX_PREMIUM);
+      await this.rentalContract.connect(rentalOperator).setLandPriceHelper(utilisationPriceHelper);
+      expect(await this.rentalContract.isDynamicLandPriceHelper()).to.be.true;
+      await this.rentalContract.connect(rentalOperator).setLandPriceHelper(this.rentalFeeHelper);
+      expect(await this.rentalContract.isDynamicLandPriceHelper()).to.be.false;
+    });
+
     it('Failure because it set by non operator wallet', async function () {
       await expect(this.rentalContract.connect(user1).setLandPriceHelper(ZeroAddress))
         .to.be.revertedWithCustomError(this.rentalContract, 'NotRoleHolder')
@@ -792,6 +1074,65 @@ describe('EDULandRental', function () {
     });
   });
 
+  context('with a dynamic land price helper', function () {
+    beforeEach(async function () {
+      this.maxTokenSupply = 1000n;
+      const utilisationPriceHelper = await deployContract('EDULandUtilisationPriceHelper', UTILISATION_BASE_PRICE, UTILISATION_MAX_PREMIUM);
+      await this.rentalContract.connect(rentalOperator).setLandPriceHelper(utilisationPriceHelper);
+      await this.rentalContract.connect(rentalOperator).setMaxTokenSupply(this.maxTokenSupply);
+    });
+
+    it('prices the rentals on the active rental count before the rentals of the call', async function () {
+      const activeRentalCount = BigInt(this.initialRentals.length);
+      const landPrice = calculateUtilisationPrice(activeRentalCount, this.maxTokenSupply);
+      const expectedCosts = [1000n, 2000n].map((duration) => landPrice + (duration * DEFAULT_MAINTENANCE_FEE) / DEFAULT_MAINTENANCE_FEE_DENOMINATOR);
+      const expectedCost = expectedCosts.reduce((acc, cost) => acc + cost, 0n);
+
+      expect(await this.rentalContract.connect(user1).estimateRentalFee([1n, 2n], [1000n, 2000n], [])).to.equal(expectedCost);
+      const tx = await this.rentalContract.connect(user1).rent([1n, 2n], [1000n, 2000n], [], 0n);
+      const blockTimestamp = await getBlockTimestamp(tx);
+      await expect(tx)
+        .to.emit(this.pointsContract, 'Consumed')
+        .withArgs(this.rentalContract, this.rentalReasonCode, user1, expectedCost)
+        .to.emit(this.rentalContract, 'Rental')
+        .withArgs(user1, [1n, 2n], [blockTimestamp, blockTimestamp], [blockTimestamp + 1000n, blockTimestamp + 2000n], expectedCosts, [false, false]);
+      expect(await this.rentalContract.activeRentalCount()).to.equal(activeRentalCount + 2n);
+    });
+
+    it('prices the rentals on the active rental count after the collection of the expired tokens', async function () {
+      await time.increase(1000n);
+      const landPrice = calculateUtilisationPrice(BigInt(this.initialRentals.length) - 3n, this.maxTokenSupply);
+      const expectedCost = landPrice + (1000n * DEFAULT_MAINTENANCE_FEE) / DEFAULT_MAINTENANCE_FEE_DENOMINATOR;
+
+      expect(await this.rentalContract.connect(user1).estimateRentalFee([400n], [1000n], [400n, 401n, 402n])).to.equal(expectedCost);
+      await expect(this.rentalContract.connect(user1).rent([400n], [1000n], [400n, 401n, 402n], 0n))
+        .to.emit(this.pointsContract, 'Consumed')
+        .withArgs(this.rentalContract, this.rentalReasonCode, user1, expectedCost);
+      expect(await this.rentalContract.activeRentalCount()).to.equal(BigInt(this.initialRentals.length) - 2n);
+    });
+
+    it('estimates the fee charged by rent when an expired token is passed several times', async function () {
+      await time.increase(1000n);
+      const landPrice = calculateUtilisationPrice(BigInt(this.initialRentals.length) - 3n, this.maxTokenSupply);
+      const expectedCost = landPrice + (1000n * DEFAULT_MAINTENANCE_FEE) / DEFAULT_MAINTENANCE_FEE_DENOMINATOR;
+      const expiredTokenIds = [400n, 401n, 400n, 402n, 401n];
+
+      expect(await this.rentalContract.connect(user1).estimateRentalFee([400n], [1000n], expiredTokenIds)).to.equal(expectedCost);
+      await expect(this.rentalContract.connect(user1).rent([400n], [1000n], expiredTokenIds, 0n))
+        .to.emit(this.pointsContract, 'Consumed')
+        .withArgs(this.rentalContract, this.rentalReasonCode, user1, expectedCost);
+    });
+
+    it('estimates the land price for the current active rental count', async function () {
+      expect(await this.rentalContract.estimateLandPrice(0n)).to.equal(
+        calculateUtilisationPrice(BigInt(this.initialRentals.length), this.maxTokenSupply)
+      );
+      expect(await this.rentalContract.estimateDynamicLandPrice(0n, this.maxTokenSupply, 1000n)).to.equal(
+        UTILISATION_BASE_PRICE + UTILISATION_MAX_PREMIUM
+      );
+    });
+  });
+
   context('setMaxTokenSupply(uint256 newMaxTokenSupply) external', function () {
     it('Success', async function () {
       await expect(this.rentalContract.connect(rentalOperator).setMaxTokenSupply(1000n))
@@ -862,6 +1203,265 @@ describe('EDULandRental', function () {
     });
   });
 
+  context('terminate(uint256[] calldata tokenIds) external', function () {
+    beforeEach(async function () {
+      const tx = await this.rentalContract.connect(user1).rent([1n, 2n], [this.maxRentalDuration, this.maxRentalDuration], [], 0n);
+      this.rentTimestamp = await getBlockTimestamp(tx);
+      this.refundReasonCode = await this.rentalContract.RENTAL_REFUND_CODE();
+      // half of the rental time is unused at termination
+      this.terminationTimestamp = this.rentTimestamp + this.maxRentalDuration / 2n;
+      this.unusedMaintenanceFee = ((this.maxRentalDuration / 2n) * DEFAULT_MAINTENANCE_FEE) / DEFAULT_MAINTENANCE_FEE_DENOMINATOR;
+    });
+
+    it('reverts if no token is given', async function () {
+      await expect(this.rentalContract.connect(user1).terminate([])).to.be.revertedWithCustomError(this.rentalContract, 'InvalidTokenIdsParam');
+    });
+
+    it('reverts if one of the tokens is not rented', async function () {
+      await expect(this.rentalContract.connect(user1).terminate([1n, 10n]))
+        .to.be.revertedWithCustomError(this.rentalContract, 'TokenNotRented')
+        .withArgs(10n);
+    });
+
+    it('reverts if one of the tokens is rented by another account', async function () {
+      await expect(this.rentalContract.connect(user1).terminate([1n, 403n]))
+        .to.be.revertedWithCustomError(this.rentalContract, 'NotTokenRenter')
+        .withArgs(403n, user1);
+    });
+
+    it('reverts if one of the rentals has ended', async function () {
+      await time.increase(1000n);
+      await expect(this.rentalContract.connect(user1).terminate([1n, 400n]))
+        .to.be.revertedWithCustomError(this.rentalContract, 'TokenExpired')
+        .withArgs(400n);
+    });
+
+    context('when successful', function () {
+      it('burns the tokens and refunds the unused maintenance fee', async function () {
+        await time.setNextBlockTimestamp(this.terminationTimestamp);
+        await expect(this.rentalContract.connect(user1).terminate([1n, 2n]))
+          .to.emit(this.eduLandContract, 'Transfer')
+          .withArgs(user1, ZeroAddress, 1n)
+          .to.emit(this.eduLandContract, 'Transfer')
+          .withArgs(user1, ZeroAddress, 2n)
+          .to.emit(this.pointsContract, 'Deposited')
+          .withArgs(this.rentalContract, this.refundReasonCode, user1, this.unusedMaintenanceFee * 2n)
+          .to.emit(this.rentalContract, 'Terminated')
+          .withArgs(user1, [1n, 2n], [this.unusedMaintenanceFee, this.unusedMaintenanceFee]);
+        expect(await this.rentalContract.rentals(1n)).to.have.ordered.members([0n, 0n, 0n, 0n]);
+        expect(await this.rentalContract.rentals(2n)).to.have.ordered.members([0n, 0n, 0n, 0n]);
+      });
+
+      it('removes the rentals from the total ongoing rental time and the active rental count', async function () {
+        await this.rentalContract.connect(user1).terminate([1n, 2n]);
+        expect(await this.rentalContract.totalOngoingRentalTime()).to.equal(this.initialRentalsDuration);
+        expect(await this.rentalContract.activeRentalCount()).to.equal(BigInt(this.initialRentals.length));
+      });
+
+      it('withholds the termination penalty from the refund', async function () {
+        await this.rentalContract.connect(rentalOperator).setTerminationPenaltyPercentage(25n);
+        const refund = (this.unusedMaintenanceFee * 75n) / 100n;
+        await time.setNextBlockTimestamp(this.terminationTimestamp);
+        await expect(this.rentalContract.connect(user1).terminate([1n]))
+          .to.emit(this.pointsContract, 'Deposited')
+          .withArgs(this.rentalContract, this.refundReasonCode, user1, refund)
+          .to.emit(this.rentalContract, 'Terminated')
+          .withArgs(user1, [1n], [refund]);
+      });
+
+      it('does not refund anything with a 100% termination penalty', async function () {
+        await this.rentalContract.connect(rentalOperator).setTerminationPenaltyPercentage(100n);
+        await expect(this.rentalContract.connect(user1).terminate([1n]))
+          .to.emit(this.rentalContract, 'Terminated')
+          .withArgs(user1, [1n], [0n])
+          .not.to.emit(this.pointsContract, 'Deposited');
+      });
+
+      it('refunds the maintenance fee at the rate paid, regardless of later maintenance fee updates', async function () {
+        await this.rentalContract.connect(rentalOperator).setMaintenanceFee(DEFAULT_MAINTENANCE_FEE * 3n, DEFAULT_MAINTENANCE_FEE_DENOMINATOR);
+        await time.setNextBlockTimestamp(this.terminationTimestamp);
+        await expect(this.rentalContract.connect(user1).terminate([1n]))
+          .to.emit(this.rentalContract, 'Terminated')
+          .withArgs(user1, [1n], [this.unusedMaintenanceFee]);
+      });
+
+      it('refunds the maintenance fee paid for an extension at the rate paid for the extension', async function () {
+        await this.rentalContract.connect(rentalOperator).setMaintenanceFee(DEFAULT_MAINTENANCE_FEE * 3n, DEFAULT_MAINTENANCE_FEE_DENOMINATOR);
+        await time.increase(this.maxRentalDuration / 4n);
+        const tx = await this.rentalContract.connect(user1).rent([1n], [this.maxRentalDuration], [], 0n);
+        const extendedDuration = (await getBlockTimestamp(tx)) - this.rentTimestamp;
+        const maintenanceFeePaid =
+          calculateMaintenanceFee(this.maxRentalDuration) + calculateMaintenanceFee(extendedDuration, DEFAULT_MAINTENANCE_FEE * 3n);
+        const rentalTime = this.maxRentalDuration + extendedDuration;
+        expect((await this.rentalContract.rentals(1n)).maintenanceFeePaid).to.equal(maintenanceFeePaid);
+
+        await this.rentalContract.connect(rentalOperator).setMaintenanceFee(0n, DEFAULT_MAINTENANCE_FEE_DENOMINATOR);
+        await time.setNextBlockTimestamp(this.terminationTimestamp);
+        const refund = (maintenanceFeePaid * (this.rentTimestamp + rentalTime - this.terminationTimestamp)) / rentalTime;
+        await expect(this.rentalContract.connect(user1).terminate([1n]))
+          .to.emit(this.rentalContract, 'Terminated')
+          .withArgs(user1, [1n], [refund]);
+      });
+
+      it('lets the token be rented again', async function () {
+        await this.rentalContract.connect(user1).terminate([1n]);
+        await this.rentalContract.connect(user2).rent([1n], [1000n], [], 0n);
+        expect(await this.eduLandContract.ownerOf(1n)).to.equal(user2.address);
+      });
+    });
+  });
+
+  context('setDelegate(uint256 tokenId, address delegate, uint64 expires) external', function () {
+    beforeEach(async function () {
+      this.rentalEndDate = (await this.rentalContract.rentals(400n)).endDate;
+    });
+
+    it('reverts if the token is not rented', async function () {
+      await expect(this.rentalContract.connect(user1).setDelegate(10n, user3, 0n))
+        .to.be.revertedWithCustomError(this.rentalContract, 'TokenNotRented')
+        .withArgs(10n);
+    });
+
+    it('reverts if the token is rented by another account', async function () {
+      await expect(this.rentalContract.connect(user2).setDelegate(400n, user3, this.rentalEndDate))
+        .to.be.revertedWithCustomError(this.rentalContract, 'NotTokenRenter')
+        .withArgs(400n, user2);
+    });
+
+    it('reverts if the rental has ended', async function () {
+      await time.increaseTo(this.rentalEndDate);
+      await expect(this.rentalContract.connect(user1).setDelegate(400n, user3, this.rentalEndDate))
+        .to.be.revertedWithCustomError(this.rentalContract, 'TokenExpired')
+        .withArgs(400n);
+    });
+
+    it('reverts if the delegation ends after the rental', async function () {
+      await expect(this.rentalContract.connect(user1).setDelegate(400n, user3, this.rentalEndDate + 1n))
+        .to.be.revertedWithCustomError(this.rentalContract, 'InvalidDelegateExpiry')
+        .withArgs(400n, this.rentalEndDate + 1n);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.rentalContract.connect(user1).setDelegate(400n, user3, this.rentalEndDate);
+      });
+
+      it('sets the delegate as the user of the token', async function () {
+        expect(await this.eduLandContract.userOf(400n)).to.equal(user3.address);
+        expect(await this.eduLandContract.userExpires(400n)).to.equal(this.rentalEndDate);
+      });
+
+      it('emits an UpdateUser event', async function () {
+        await expect(this.receipt).to.emit(this.eduLandContract, 'UpdateUser').withArgs(400n, user3, this.rentalEndDate);
+      });
+
+      it('removes the delegation', async function () {
+        await this.rentalContract.connect(user1).setDelegate(400n, ethers.ZeroAddress, 0n);
+        expect(await this.eduLandContract.userOf(400n)).to.equal(ethers.ZeroAddress);
+      });
+
+      it('removes the delegate when the token is terminated', async function () {
+        await expect(this.rentalContract.connect(user1).terminate([400n]))
+          .to.emit(this.eduLandContract, 'UpdateUser')
+          .withArgs(400n, ethers.ZeroAddress, 0n);
+        expect(await this.eduLandContract.userExpires(400n)).to.equal(0n);
+      });
+
+      it('removes the delegate when the token is collected', async function () {
+        await time.increaseTo(this.rentalEndDate);
+        await this.rentalContract.collectExpiredTokens([400n]);
+        expect(await this.eduLandContract.userExpires(400n)).to.equal(0n);
+      });
+    });
+  });
+
+  context('setTerminationPenaltyPercentage(uint256 newTerminationPenaltyPercentage) external', function () {
+    it('Success', async function () {
+      await expect(this.rentalContract.connect(rentalOperator).setTerminationPenaltyPercentage(10n))
+        .to.emit(this.rentalContract, 'TerminationPenaltyPercentageUpdated')
+        .withArgs(10n);
+      expect(await this.rentalContract.terminationPenaltyPercentage()).to.equal(10n);
+    });
+
+    it('Failure because the percentage is greater than 100', async function () {
+      await expect(this.rentalContract.connect(rentalOperator).setTerminationPenaltyPercentage(101n))
+        .to.be.revertedWithCustomError(this.rentalContract, 'InvalidTerminationPenaltyPercentage')
+        .withArgs(101n);
+    });
+
+    it('Failure because it set by non operator wallet', async function () {
+      await expect(this.rentalContract.connect(user1).setTerminationPenaltyPercentage(10n))
+        .to.be.revertedWithCustomError(this.rentalContract, 'NotRoleHolder')
+        .withArgs(await this.eduLandContract.OPERATOR_ROLE(), user1);
+    });
+  });
+
+  context('setRenewalPricingMode(RenewalPricingMode newRenewalPricingMode) external', function () {
+    it('Success', async function () {
+      await expect(this.rentalContract.connect(rentalOperator).setRenewalPricingMode(RENEWAL_PRICING_MODE.ProratedLandPrice))
+        .to.emit(this.rentalContract, 'RenewalPricingModeUpdated')
+        .withArgs(RENEWAL_PRICING_MODE.ProratedLandPrice);
+      expect(await this.rentalContract.renewalPricingMode()).to.equal(RENEWAL_PRICING_MODE.ProratedLandPrice);
+    });
+
+    it('Failure because it set by non operator wallet', async function () {
+      await expect(this.rentalContract.connect(user1).setRenewalPricingMode(RENEWAL_PRICING_MODE.MaintenanceOnly))
+        .to.be.revertedWithCustomError(this.rentalContract, 'NotRoleHolder')
+        .withArgs(await this.eduLandContract.OPERATOR_ROLE(), user1);
+    });
+  });
+
+  context('renewal pricing modes', function () {
+    beforeEach(async function () {
+      this.firstRentDuration = 100000n;
+      const tx = await this.rentalContract.connect(user1).rent([1n], [this.firstRentDuration], [], 0n);
+      this.firstRentExpiry = (await getBlockTimestamp(tx)) + this.firstRentDuration;
+      this.landPrice = calculateNodeKeyPrice(this.initialRentalsDuration + this.firstRentDuration);
+      await time.increase(50000n);
+    });
+
+    const modes = [
+      {name: 'FullLandPrice', renewalLandPrice: (landPrice) => landPrice},
+      {name: 'MaintenanceOnly', renewalLandPrice: () => 0n},
+      {
+        name: 'ProratedLandPrice',
+        renewalLandPrice: (landPrice, extendedDuration, duration) => (landPrice * extendedDuration) / duration,
+      },
+    ];
+
+    for (const {name, renewalLandPrice} of modes) {
+      it(`${name}: estimateRentalFee and rent charge the same renewal land price for an extension`, async function () {
+        await this.rentalContract.connect(rentalOperator).setRenewalPricingMode(RENEWAL_PRICING_MODE[name]);
+        const extendDuration = 200000n;
+        const renewalFee = (timestamp) => {
+          const extendedDuration = timestamp + extendDuration - this.firstRentExpiry;
+          return (
+            renewalLandPrice(this.landPrice, extendedDuration, extendDuration) +
+            (extendedDuration * DEFAULT_MAINTENANCE_FEE) / DEFAULT_MAINTENANCE_FEE_DENOMINATOR
+          );
+        };
+
+        const latestTimestamp = BigInt((await ethers.provider.getBlock()).timestamp);
+        expect(await this.rentalContract.connect(user1).estimateRentalFee([1n], [extendDuration], [])).to.equal(renewalFee(latestTimestamp));
+
+        const rentTimestamp = latestTimestamp + 10n;
+        await time.setNextBlockTimestamp(rentTimestamp);
+        await expect(this.rentalContract.connect(user1).rent([1n], [extendDuration], [], 0n))
+          .to.emit(this.rentalContract, 'Rental')
+          .withArgs(user1, [1n], [this.firstRentExpiry], [rentTimestamp + extendDuration], [renewalFee(rentTimestamp)], [true]);
+      });
+    }
+
+    it('charges the full land price for a new rental in any mode', async function () {
+      await this.rentalContract.connect(rentalOperator).setRenewalPricingMode(RENEWAL_PRICING_MODE.MaintenanceOnly);
+      const expectedCost = calculateFees(this.initialRentalsDuration + this.firstRentDuration, [1000n])[0];
+      expect(await this.rentalContract.estimateRentalFee([2n], [1000n], [])).to.equal(expectedCost);
+      await expect(this.rentalContract.connect(user1).rent([2n], [1000n], [], 0n))
+        .to.emit(this.pointsContract, 'Consumed')
+        .withArgs(this.rentalContract, this.rentalReasonCode, user1, expectedCost);
+    });
+  });
+
   context('Meta transaction', function () {
     it('returns the msg.data', async function () {
       await this.rentalContract.__msgData();
@@ -1,7 +1,7 @@
 const {ethers} = require('hardhat');
 const {expect} = require('chai');
 const {parseEther, keccak256, toUtf8Bytes} = require('ethers');
-const {mine} = require('@nomicfoundation/hardhat-network-helpers');
+const {mine, time} = require('@nomicfoundation/hardhat-network-helpers');
 
 const {deployContract, deployContractFromPath} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
 const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
@@ -75,6 +75,10 @@ describe('EDULandRewards', function () {
       expect(await this.nodeRewardsContract.rewardPerSecond()).to.be.equal(rewardPerSecond);
     });
 
+    it('detects the ERC-4907 support of the node key', async function () {
+      expect(await this.nodeRewardsContract.IS_NODE_KEY_ERC4907()).to.be.true;
+    });
+
     it('sets the referee contract', async function () {
       expect(await this.nodeRewardsContract.REFEREE()).to.be.equal(await this.refereeContract.getAddress());
     });
@@ -137,6 +141,62 @@ describe('EDULandRewards', function () {
       await this.refereeContract.connect(kycUser).attest(batchNumber, nodeKeyId);
       expect(await this.nodeRewardsContract.rewardsRecipients(batchNumber, nodeKeyId)).to.equal(kycUser.address);
     });
+
+    it('successfully set reward recipient as node key user', async function () {
+      const batchNumber = (await this.refereeContract.latestFinalizedBatchNumber()) + 1n;
+      const nodeKeyId = 1n;
+      await this.nodeKeyContract.connect(deployer).setUser(nodeKeyId, other.address, BigInt(await time.latest()) + 1000n);
+      await this.refereeContract.connect(kycUser).attest(batchNumber, nodeKeyId);
+      expect(await this.nodeRewardsContract.rewardsRecipients(batchNumber, nodeKeyId)).to.equal(other.address);
+    });
+
+    it('successfully set reward recipient as node key owner if the node key user is expired', async function () {
+      const batchNumber = (await this.refereeContract.latestFinalizedBatchNumber()) + 1n;
+      const nodeKeyId = 1n;
+      const expires = BigInt(await time.latest()) + 1000n;
+      await this.nodeKeyContract.connect(deployer).setUser(nodeKeyId, other.address, expires);
+      await time.increaseTo(expires + 1n);
+      await this.refereeContract.connect(kycUser).attest(batchNumber, nodeKeyId);
+      expect(await this.nodeRewardsContract.rewardsRecipients(batchNumber, nodeKeyId)).to.equal(kycUser.address);
+    });
+  });
+
+  context('with a node key without ERC-4907', function () {
+    beforeEach(async function () {
+      this.nodeKeyContract = await deployContract('NodeKeyMock');
+      await this.nodeKeyContract.mint(kycUser.address, 1n);
+      const refereeImplementation = await deployContract('RefereeMock', this.nodeKeyContract);
+      this.refereeContract = await ethers.getContractAt(
+        'RefereeMock',
+        await deployContractFromPath(
+          'EIP173ProxyWithReceive',
+          'node_modules/hardhat-deploy/extendedArtifacts',
+          refereeImplementation,
+          deployer.address,
+          '0x'
+        )
+      );
+      this.nodeRewardsContract = await deployContract(
+        'EDULandRewards',
+        maxRewardTimeWindow,
+        this.refereeContract,
+        this.nodeKeyContract,
+        REWARD_TOKEN,
+        rewardPerSecond,
+        deployer
+      );
+      await this.refereeContract.setNodeRewards(this.nodeRewardsContract);
+    });
+
+    it('does not detect the ERC-4907 support of the node key', async function () {
+      expect(await this.nodeRewardsContract.IS_NODE_KEY_ERC4907()).to.be.false;
+    });
+
+    it('successfully set reward recipient as node key owner', async function () {
+      const batchNumber = (await this.refereeContract.latestFinalizedBatchNumber()) + 1n;
+      await this.refereeContract.connect(kycUser).attest(batchNumber, 1n);
+      expect(await this.nodeRewardsContract.rewardsRecipients(batchNumber, 1n)).to.equal(kycUser.address);
+    });
   });
 
   context('onBatchAttest(uint256 _batchNumber, uint256[] calldata _nodeKeyIds) external', function () {
@@ -2,6 +2,7 @@
 const {ethers} = require('hardhat');
 const {expect} = require('chai');
 const {parseEther, keccak256, toUtf8Bytes, ZeroAddress} = require('ethers');
+const {time} = require('@nomicfoundation/hardhat-network-helpers');
 
 const {deployContract, deployContractFromPath} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
 const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
@@ -21,14 +22,15 @@ describe('EDULandRewardsKYCController', function () {
   };
   const VC_TOKEN_ID = '0x3E68D6D114FC48F393517777295C8D64';
   const VC_TOKEN_ID_2 = '0xE291B7D94A184CE4A59CB8F2E0527B8E';
+  const VC_VALIDITY_DURATION = 365 * 24 * 3600;
+  let now;
   const getVcMetadata = (issuerDid = VC_ISSUER.did) => {
-    const now = 1742256000000;
     return {
       schemaVersion: 1,
       achievementType: 3,
       awardedDate: now,
       validFrom: now,
-      validUtil: now + 365 * 24 * 3600 * 1000,
+      validUtil: now + VC_VALIDITY_DURATION * 1000,
       issuerDid,
       achievementId: 'achievement-123-xyz',
     };
@@ -37,6 +39,8 @@ describe('EDULandRewardsKYCController', function () {
   let deployer, user, user2, user3, payoutWallet, other;
   before(async function () {
     [deployer, user, user2, user3, payoutWallet, other] = await ethers.getSigners();
+    // VC timestamps are in milliseconds
+    now = (await time.latest()) * 1000;
   });
 
   const fixture = async function () {
@@ -135,14 +139,36 @@ describe('EDULandRewardsKYCController', function () {
         const metaData = getVcMetadata();
         await this.ocNFT.mint(user.address, VC_TOKEN_ID, metaData);
 
-        const {hashedDid, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, VC_TOKEN_ID);
-        await this.revocationRegistry.revokeVC(hashedDid, VC_TOKEN_ID, signature);
+        const {hashedDid, reason, nonce, expiry, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, VC_TOKEN_ID);
+        await this.revocationRegistry.revokeVC(hashedDid, VC_TOKEN_ID, reason, nonce, expiry, signature);
 
         await this.ocNFT.mint(user2.address, VC_TOKEN_ID_2, metaData);
       });
 
       it('reverts if the Vc is revoked', async function () {
-        await expect(this.contract.addKycWallet(VC_TOKEN_ID)).to.be.revertedWithCustomError(this.contract, 'RevokedVc').withArgs(VC_TOKEN_ID);
+        await expect(this.contract.addKycWallet(VC_TOKEN_ID)).to.be.revertedWithCustomError(this.contract, 'InvalidVc').withArgs(VC_TOKEN_ID);
+      });
+    });
+
+    context('when Vc is expired', function () {
+      beforeEach(async function () {
+        await this.ocNFT.mint(user.address, VC_TOKEN_ID, getVcMetadata());
+        await time.increase(VC_VALIDITY_DURATION + 1);
+      });
+
+      it('reverts if the Vc is expired', async function () {
+        await expect(this.contract.addKycWallet(VC_TOKEN_ID)).to.be.revertedWithCustomError(this.contract, 'InvalidVc').withArgs(VC_TOKEN_ID);
+      });
+    });
+
+    context('when the Vc issuer has no valid key', function () {
+      beforeEach(async function () {
+        await this.ocNFT.mint(user.address, VC_TOKEN_ID, getVcMetadata());
+        await this.didRegistry.removeIssuer(VC_ISSUER.did, VC_ISSUER.address);
+      });
+
+      it('reverts if the Vc issuer has no valid key', async function () {
+        await expect(this.contract.addKycWallet(VC_TOKEN_ID)).to.be.revertedWithCustomError(this.contract, 'InvalidVc').withArgs(VC_TOKEN_ID);
       });
     });
 
@@ -209,21 +235,35 @@ describe('EDULandRewardsKYCController', function () {
         const metaData = getVcMetadata();
         await this.ocNFT.mint(user.address, VC_TOKEN_ID, metaData);
 
-        const {hashedDid, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, VC_TOKEN_ID);
-        await this.revocationRegistry.revokeVC(hashedDid, VC_TOKEN_ID, signature);
+        const {hashedDid, reason, nonce, expiry, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, VC_TOKEN_ID);
+        await this.revocationRegistry.revokeVC(hashedDid, VC_TOKEN_ID, reason, nonce, expiry, signature);
 
         await this.ocNFT.mint(user2.address, VC_TOKEN_ID_2, metaData);
       });
 
       it('reverts if the Vc is revoked', async function () {
         await expect(this.contract.addKycWallets([VC_TOKEN_ID]))
-          .to.be.revertedWithCustomError(this.contract, 'RevokedVc')
+          .to.be.revertedWithCustomError(this.contract, 'InvalidVc')
           .withArgs(VC_TOKEN_ID);
       });
 
       it('reverts if one of the VCs is revoked', async function () {
         await expect(this.contract.addKycWallets([VC_TOKEN_ID, VC_TOKEN_ID_2]))
-          .to.be.revertedWithCustomError(this.contract, 'RevokedVc')
+          .to.be.revertedWithCustomError(this.contract, 'InvalidVc')
+          .withArgs(VC_TOKEN_ID);
+      });
+    });
+
+    context('when Vc is expired', function () {
+      beforeEach(async function () {
+        await this.ocNFT.mint(user.address, VC_TOKEN_ID, getVcMetadata());
+        await time.increase(VC_VALIDITY_DURATION + 1);
+        await this.ocNFT.mint(user2.address, VC_TOKEN_ID_2, {...getVcMetadata(), validUtil: 0});
+      });
+
+      it('reverts if one of the VCs is expired', async function () {
+        await expect(this.contract.addKycWallets([VC_TOKEN_ID_2, VC_TOKEN_ID]))
+          .to.be.revertedWithCustomError(this.contract, 'InvalidVc')
           .withArgs(VC_TOKEN_ID);
       });
     });
@@ -290,26 +330,26 @@ describe('EDULandRewardsKYCController', function () {
       await expect(this.contract.removeKycWallets([user.address])).to.be.revertedWithCustomError(this.contract, 'NoWalletToBeRemoved');
     });
 
-    context('when VC not revoked', function () {
+    context('when VC still valid', function () {
       beforeEach(async function () {
         const metaData = getVcMetadata();
         await this.ocNFT.mint(user.address, VC_TOKEN_ID, metaData);
         await this.ocNFT.mint(user2.address, VC_TOKEN_ID_2, metaData);
         await this.contract.addKycWallets([VC_TOKEN_ID, VC_TOKEN_ID_2]);
 
-        const {hashedDid, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, VC_TOKEN_ID);
-        await this.revocationRegistry.revokeVC(hashedDid, VC_TOKEN_ID, signature);
+        const {hashedDid, reason, nonce, expiry, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, VC_TOKEN_ID);
+        await this.revocationRegistry.revokeVC(hashedDid, VC_TOKEN_ID, reason, nonce, expiry, signature);
       });
 
-      it('reverts if the VC is not revoked', async function () {
+      it('reverts if the VC is still valid', async function () {
         await expect(this.contract.removeKycWallets([user2.address]))
-          .to.be.revertedWithCustomError(this.contract, 'VcNotRevoked')
+          .to.be.revertedWithCustomError(this.contract, 'VcStillValid')
           .withArgs(VC_TOKEN_ID_2);
       });
 
-      it('reverts if one of the VCs is not revoked', async function () {
+      it('reverts if one of the VCs is still valid', async function () {
         await expect(this.contract.removeKycWallets([user.address, user2.address]))
-          .to.be.revertedWithCustomError(this.contract, 'VcNotRevoked')
+          .to.be.revertedWithCustomError(this.contract, 'VcStillValid')
           .withArgs(VC_TOKEN_ID_2);
       });
     });
@@ -323,8 +363,8 @@ describe('EDULandRewardsKYCController', function () {
       });
 
       it('remove a kyc wallet if the VC is revoked', async function () {
-        const {hashedDid, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, VC_TOKEN_ID);
-        await this.revocationRegistry.revokeVC(hashedDid, VC_TOKEN_ID, signature);
+        const {hashedDid, reason, nonce, expiry, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, VC_TOKEN_ID);
+        await this.revocationRegistry.revokeVC(hashedDid, VC_TOKEN_ID, reason, nonce, expiry, signature);
 
         await expect(this.contract.removeKycWallets([user.address]))
           .to.emit(this.contract, 'KycWalletsRemoved')
@@ -334,8 +374,8 @@ describe('EDULandRewardsKYCController', function () {
       });
 
       it('remove a kyc wallet if the VC is burnt', async function () {
-        const {hashedDid, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, VC_TOKEN_ID);
-        await this.revocationRegistry.revokeVC(hashedDid, VC_TOKEN_ID, signature);
+        const {hashedDid, reason, nonce, expiry, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, VC_TOKEN_ID);
+        await this.revocationRegistry.revokeVC(hashedDid, VC_TOKEN_ID, reason, nonce, expiry, signature);
         await this.ocNFT.burn(VC_TOKEN_ID);
 
         await expect(this.contract.removeKycWallets([user.address]))
@@ -345,9 +385,31 @@ describe('EDULandRewardsKYCController', function () {
         expect(await this.nodeRewardsContract.isKycWallet(user.address)).to.be.false;
       });
 
+      it('remove a kyc wallet if the VC is expired', async function () {
+        await time.increase(VC_VALIDITY_DURATION + 1);
+
+        await expect(this.contract.removeKycWallets([user.address]))
+          .to.emit(this.contract, 'KycWalletsRemoved')
+          .withArgs([user.address]);
+        expect(await this.contract.vcIdPerAccount(user.address)).to.equal(0);
+        expect(await this.nodeRewardsContract.isKycWallet(user.address)).to.be.false;
+      });
+
+      it('remove a kyc wallet if the VC issuer has no valid key', async function () {
+        await this.didRegistry.removeIssuer(VC_ISSUER.did, VC_ISSUER.address);
+
+        await expect(this.contract.removeKycWallets([user.address]))
+          .to.emit(this.contract, 'KycWalletsRemoved')
+          .withArgs([user.address]);
+        expect(await this.contract.vcIdPerAccount(user.address)).to.equal(0);
+      });
+
       it('remove multiple kyc wallets', async function () {
-        const {hashedDid, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, [VC_TOKEN_ID, VC_TOKEN_ID_2]);
-        await this.revocationRegistry.batchRevokeVCs(hashedDid, [VC_TOKEN_ID, VC_TOKEN_ID_2], signature);
+        const {hashedDid, reason, nonce, expiry, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, [
+          VC_TOKEN_ID,
+          VC_TOKEN_ID_2,
+        ]);
+        await this.revocationRegistry.batchRevokeVCs(hashedDid, [VC_TOKEN_ID, VC_TOKEN_ID_2], reason, nonce, expiry, signature);
 
         await expect(this.contract.removeKycWallets([user.address, user2.address]))
           .to.emit(this.contract, 'KycWalletsRemoved')
@@ -360,8 +422,8 @@ describe('EDULandRewardsKYCController', function () {
 
       context('when one of the wallets is not set by the contract', function () {
         it('successfully removes one valid account and skips the not set not', async function () {
-          const {hashedDid, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, VC_TOKEN_ID);
-          await this.revocationRegistry.revokeVC(hashedDid, VC_TOKEN_ID, signature);
+          const {hashedDid, reason, nonce, expiry, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, VC_TOKEN_ID);
+          await this.revocationRegistry.revokeVC(hashedDid, VC_TOKEN_ID, reason, nonce, expiry, signature);
 
           await expect(this.contract.removeKycWallets([user.address, user3.address]))
             .to.emit(this.contract, 'KycWalletsRemoved')
@@ -370,8 +432,11 @@ describe('EDULandRewardsKYCController', function () {
         });
 
         it('successfully removes multiple valid accounts and skips the Vc id for the same wallet', async function () {
-          const {hashedDid, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, [VC_TOKEN_ID, VC_TOKEN_ID_2]);
-          await this.revocationRegistry.batchRevokeVCs(hashedDid, [VC_TOKEN_ID, VC_TOKEN_ID_2], signature);
+          const {hashedDid, reason, nonce, expiry, signature} = await this.vcRevocationUtil.makePayloadAndSignature(VC_ISSUER.did, [
+            VC_TOKEN_ID,
+            VC_TOKEN_ID_2,
+          ]);
+          await this.revocationRegistry.batchRevokeVCs(hashedDid, [VC_TOKEN_ID, VC_TOKEN_ID_2], reason, nonce, expiry, signature);
 
           await expect(this.contract.removeKycWallets([user.address, user3.address, user2.address]))
             .to.emit(this.contract, 'KycWalletsRemoved')
@@ -0,0 +1,52 @@
+const {expect} = require('chai');
+
+const {deployContract} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
+const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
+const {supportsInterfaces} = require('@animoca/ethereum-contracts/test/contracts/introspection/behaviors/SupportsInterface.behavior');
+
+describe('EDULandUtilisationPriceHelper', function () {
+  const BASE_PRICE = 400n;
+  const MAX_PREMIUM = 1000000n;
+  const MAX_TOKEN_SUPPLY = 5000n;
+
+  const fixture = async function () {
+    this.contract = await deployContract('EDULandUtilisationPriceHelper', BASE_PRICE, MAX_PREMIUM);
+  };
+
+  beforeEach(async function () {
+    await loadFixture(fixture, this);
+  });
+
+  supportsInterfaces(['@animoca/ethereum-contracts/contracts/introspection/interfaces/IERC165.sol:IERC165', 'IEDULandDynamicPriceHelper']);
+
+  context('calculatePrice(uint256)', function () {
+    it('should return the base price', async function () {
+      expect(await this.contract.calculatePrice(0n)).to.equal(BASE_PRICE);
+      expect(await this.contract.calculatePrice(2n ** 256n - 1n)).to.equal(BASE_PRICE);
+    });
+  });
+
+  context('calculateDynamicPrice(uint256,uint256,uint256,uint256)', function () {
+    it('should return the base price when no land is rented', async function () {
+      expect(await this.contract.calculateDynamicPrice(0n, 0n, MAX_TOKEN_SUPPLY, 1000n)).to.equal(BASE_PRICE);
+    });
+
+    it('should add the squared utilisation times the max premium', async function () {
+      expect(await this.contract.calculateDynamicPrice(0n, MAX_TOKEN_SUPPLY / 2n, MAX_TOKEN_SUPPLY, 1000n)).to.equal(BASE_PRICE + MAX_PREMIUM / 4n);
+      expect(await this.contract.calculateDynamicPrice(0n, (MAX_TOKEN_SUPPLY * 9n) / 10n, MAX_TOKEN_SUPPLY, 1000n)).to.equal(
+        BASE_PRICE + (MAX_PREMIUM * 81n) / 100n
+      );
+    });
+
+    it('should add the max premium at full capacity', async function () {
+      expect(await this.contract.calculateDynamicPrice(0n, MAX_TOKEN_SUPPLY, MAX_TOKEN_SUPPLY, 1000n)).to.equal(BASE_PRICE + MAX_PREMIUM);
+      expect(await this.contract.calculateDynamicPrice(0n, MAX_TOKEN_SUPPLY + 1n, MAX_TOKEN_SUPPLY, 1000n)).to.equal(BASE_PRICE + MAX_PREMIUM);
+      expect(await this.contract.calculateDynamicPrice(0n, 0n, 0n, 1000n)).to.equal(BASE_PRICE + MAX_PREMIUM);
+    });
+
+    it('should not depend on the total ongoing rental time nor on the duration', async function () {
+      const price = await this.contract.calculateDynamicPrice(0n, 1000n, MAX_TOKEN_SUPPLY, 1n);
+      expect(await this.contract.calculateDynamicPrice(2n ** 256n - 1n, 1000n, MAX_TOKEN_SUPPLY, 2n ** 256n - 1n)).to.equal(price);
+    });
+  });
+});
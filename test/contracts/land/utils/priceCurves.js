@@ -0,0 +1,76 @@
+// Off-chain model of the EDULandConfigurablePriceHelper curves, with BigInt arithmetic matching the contract.
+// A curve is one of:
+//   {type: 'constant', price}
+//   {type: 'logarithmic', minPrice, divider, multiplier}
+//   {type: 'linear', basePrice, slope, slopeDenominator}
+//   {type: 'piecewiseLinear', times, prices}
+
+function log2(n) {
+  let result = 0n;
+  for (let x = n; x > 1n; x >>= 1n) {
+    result++;
+  }
+  return result;
+}
+
+function piecewiseLinearPrice(times, prices, totalOngoingRentalTime) {
+  const last = times.length - 1;
+  if (totalOngoingRentalTime <= times[0]) {
+    return prices[0];
+  }
+  if (totalOngoingRentalTime >= times[last]) {
+    return prices[last];
+  }
+  let i = 1;
+  while (times[i] < totalOngoingRentalTime) {
+    i++;
+  }
+  const elapsed = totalOngoingRentalTime - times[i - 1];
+  const span = times[i] - times[i - 1];
+  if (prices[i] >= prices[i - 1]) {
+    return prices[i - 1] + ((prices[i] - prices[i - 1]) * elapsed) / span;
+  }
+  return prices[i - 1] - ((prices[i - 1] - prices[i]) * elapsed) / span;
+}
+
+function quotePrice(curve, totalOngoingRentalTime) {
+  const t = BigInt(totalOngoingRentalTime);
+  switch (curve.type) {
+    case 'constant':
+      return BigInt(curve.price);
+    case 'logarithmic': {
+      const price = log2(t / BigInt(curve.divider)) * BigInt(curve.multiplier);
+      return price > BigInt(curve.minPrice) ? price : BigInt(curve.minPrice);
+    }
+    case 'linear':
+      return BigInt(curve.basePrice) + (t * BigInt(curve.slope)) / BigInt(curve.slopeDenominator);
+    case 'piecewiseLinear':
+      return piecewiseLinearPrice(curve.times.map(BigInt), curve.prices.map(BigInt), t);
+    default:
+      throw new Error(`Unknown price curve type: ${curve.type}`);
+  }
+}
+
+// Tabulates the price of `curve` for the total ongoing rental times from `from` to `to` (included) by `step`.
+// The rows can be printed with `console.table()`.
+function tabulatePriceCurve(curve, from, to, step) {
+  const rows = [];
+  for (let t = BigInt(from); t <= BigInt(to); t += BigInt(step)) {
+    rows.push({totalOngoingRentalTime: t, price: quotePrice(curve, t)});
+  }
+  return rows;
+}
+
+// Renders the rows of `tabulatePriceCurve()` as a text bar chart of `width` characters for the highest price.
+function plotPriceCurve(rows, width = 60) {
+  const maxPrice = rows.reduce((max, {price}) => (price > max ? price : max), 0n);
+  const labelWidth = rows.reduce((max, {totalOngoingRentalTime}) => Math.max(max, totalOngoingRentalTime.toString().length), 0);
+  return rows
+    .map(({totalOngoingRentalTime, price}) => {
+      const barLength = maxPrice === 0n ? 0 : Number((price * BigInt(width)) / maxPrice);
+      return `${totalOngoingRentalTime.toString().padStart(labelWidth)} | ${'#'.repeat(barLength)} ${price}`;
+    })
+    .join('\n');
+}
+
+module.exports = {quotePrice, tabulatePriceCurve, plotPriceCurve};
@@ -107,6 +107,21 @@ async function setupOpenCampusRevocationRegistry(deployer, user, payoutWallet) {
   this.revocationRegistry = await deployContract('OpenCampusCertificateRevocationRegistry', this.didRegistry.getAddress());
 }
 
+async function setupOpenCampusStatusListRegistry(deployer, user, payoutWallet) {
+  await setupEDUCreditsManager.call(this, deployer, user, payoutWallet);
+  this.didRegistry = await deployContract('OpenCampusIssuersDIDRegistry');
+  await this.didRegistry.grantRole(await this.didRegistry.OPERATOR_ROLE(), deployer);
+  this.statusListRegistry = await deployContract('OpenCampusCertificateStatusListRegistry', this.didRegistry.getAddress());
+}
+
+async function setupOpenCampusCertificateSchemaRegistry(deployer, user, payoutWallet) {
+  await setupEDUCreditsManager.call(this, deployer, user, payoutWallet);
+  this.didRegistry = await deployContract('OpenCampusIssuersDIDRegistry');
+  await this.didRegistry.grantRole(await this.didRegistry.OPERATOR_ROLE(), deployer);
+  this.schemaRegistry = await deployContract('OpenCampusCertificateSchemaRegistry', this.didRegistry.getAddress());
+  await this.schemaRegistry.grantRole(await this.schemaRegistry.OPERATOR_ROLE(), deployer);
+}
+
 async function setupOpenCampusCertificateNFTv1(deployer, user, payoutWallet) {
   await setupEDUCreditsManager.call(this, deployer, user, payoutWallet);
   this.didRegistry = await deployContract('OpenCampusIssuersDIDRegistry');
@@ -127,6 +142,29 @@ async function setupOpenCampusCertificateNFTv1(deployer, user, payoutWallet) {
   await this.ocNFT.grantRole(await this.ocNFT.OPERATOR_ROLE(), deployer);
 }
 
+async function setupOpenCampusCertificatePolicyVerifier(deployer, user, payoutWallet) {
+  await setupOpenCampusCertificateNFTv1.call(this, deployer, user, payoutWallet);
+  this.policyVerifier = await deployContract('OpenCampusCertificatePolicyVerifier', this.ocNFT.getAddress(), await getForwarderRegistryAddress());
+}
+
+async function setupOpenCampusCertificateMetadataResolver(deployer, user, payoutWallet) {
+  await setupEDUCreditsManager.call(this, deployer, user, payoutWallet);
+  this.didRegistry = await deployContract('OpenCampusIssuersDIDRegistry');
+  await this.didRegistry.grantRole(await this.didRegistry.OPERATOR_ROLE(), deployer);
+  this.revocationRegistry = await deployContract('OpenCampusCertificateRevocationRegistry', this.didRegistry.getAddress());
+  this.metadataResolver = await deployContract('OpenCampusCertificateMetadataResolver');
+  this.ocNFT = await deployContract(
+    'OpenCampusCertificateNFTv1',
+    '',
+    '',
+    await getForwarderRegistryAddress(),
+    this.metadataResolver.getAddress(),
+    this.revocationRegistry.getAddress(),
+    this.didRegistry.getAddress()
+  );
+  await this.ocNFT.grantRole(await this.ocNFT.MINTER_ROLE(), deployer);
+}
+
 async function setupOpenCampusCertificateNFTMinter(deployer, user, payoutWallet) {
   await setupEDUCreditsManager.call(this, deployer, user, payoutWallet);
   this.didRegistry = await deployContract('OpenCampusIssuersDIDRegistry');
@@ -144,9 +182,11 @@ async function setupOpenCampusCertificateNFTMinter(deployer, user, payoutWallet)
     'OpenCampusCertificateNFTMinter',
     this.didRegistry.getAddress(),
     this.ocNFT.getAddress(),
-    this.revocationRegistry.getAddress()
+    await getForwarderRegistryAddress()
   );
+  this.schemaRegistry = await deployContract('OpenCampusCertificateSchemaRegistry', this.didRegistry.getAddress());
   await this.didRegistry.grantRole(await this.didRegistry.OPERATOR_ROLE(), deployer);
+  await this.schemaRegistry.grantRole(await this.schemaRegistry.OPERATOR_ROLE(), deployer);
   await this.ocNFT.grantRole(await this.ocNFT.MINTER_ROLE(), this.ocMinter);
 }
 
@@ -165,6 +205,10 @@ module.exports = {
   setupOpenCampusIssuersDIDRegistry,
   setupOpenCampusCertificateNFTv1,
   setupOpenCampusCertificateNFTMinter,
+  setupOpenCampusCertificateMetadataResolver,
+  setupOpenCampusCertificatePolicyVerifier,
   setupOpenCampusRevocationRegistry,
+  setupOpenCampusStatusListRegistry,
+  setupOpenCampusCertificateSchemaRegistry,
   setupOCPointMerkleClaimMock,
 };
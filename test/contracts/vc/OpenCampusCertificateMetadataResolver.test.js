@@ -0,0 +1,111 @@
+/* eslint-disable max-len */
+const {ethers} = require('hardhat');
+const {expect} = require('chai');
+const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
+const {RevocationUtil} = require('./utils/revocation');
+
+const {setupOpenCampusCertificateMetadataResolver} = require('../setup');
+
+const ISSUER = {
+  did: 'did:key:zUC7KtygRhrsVGTMYx7LHWsg3dpPscW6VcBvps4KgoziJ2vYXW3er1vH9mCqM67q3Nqc3BXAy488po6zMu6yEXdWz4oRLD9rbP5abPAKFuZXqTiwyvrgDehsYtw1NjAhUSzcYiL',
+  address: '0x58D027C315bAc47c60bD2491e2CBDce0977E3a37',
+  privateKey: '0x5a5c9a0954cc0a98584542c0fae233819133f8fc3ebafed632104bbe144ba2d7',
+};
+
+const DATA_URI_PREFIX = 'data:application/json;base64,';
+
+function decodeTokenURI(tokenURI) {
+  expect(tokenURI.startsWith(DATA_URI_PREFIX)).to.be.true;
+  return JSON.parse(Buffer.from(tokenURI.slice(DATA_URI_PREFIX.length), 'base64').toString('utf8'));
+}
+
+function attribute(json, traitType) {
+  return json.attributes.find((attr) => attr.trait_type === traitType).value;
+}
+
+describe('OpenCampusCertificateMetadataResolver', function () {
+  let deployer, user, payoutWallet;
+  let metaData, tokenId;
+
+  before(async function () {
+    [deployer, user, payoutWallet] = await ethers.getSigners();
+  });
+
+  const fixture = async function () {
+    await setupOpenCampusCertificateMetadataResolver.call(this, deployer, user, payoutWallet);
+  };
+
+  beforeEach(async function () {
+    await loadFixture(fixture, this);
+    const now = 1725268578828;
+    metaData = {
+      schemaVersion: 1,
+      achievementType: 3,
+      awardedDate: now,
+      validFrom: now,
+      validUtil: now + 365 * 24 * 3600 * 1000,
+      issuerDid: ISSUER.did,
+      achievementId: 'achievement-123-xyz',
+    };
+    tokenId = '0x3E68D6D114FC48F393517777295C8D64';
+    await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+    await this.ocNFT.mint(user.address, tokenId, metaData);
+  });
+
+  describe('tokenURI(uint256)', function () {
+    it('renders the VC data as a base64 JSON data URI', async function () {
+      const json = decodeTokenURI(await this.ocNFT.tokenURI(tokenId));
+      expect(json.name).to.equal(`OpenCampus Certificate #${BigInt(tokenId)}`);
+      expect(attribute(json, 'Issuer DID')).to.equal(ISSUER.did);
+      expect(attribute(json, 'Achievement ID')).to.equal(metaData.achievementId);
+      expect(attribute(json, 'Achievement Type')).to.equal(metaData.achievementType);
+      expect(attribute(json, 'Schema Version')).to.equal(metaData.schemaVersion);
+      expect(attribute(json, 'Awarded Date')).to.equal(metaData.awardedDate);
+      expect(attribute(json, 'Valid From')).to.equal(metaData.validFrom);
+      expect(attribute(json, 'Valid Until')).to.equal(metaData.validUtil);
+      expect(attribute(json, 'Revocation Status')).to.equal('Active');
+    });
+
+    it('reflects the live revocation status', async function () {
+      const ru = new RevocationUtil(ISSUER.privateKey, await this.revocationRegistry.getAddress());
+      const suspension = await ru.makeSuspendPayloadAndSignature(ISSUER.did, tokenId);
+      await this.revocationRegistry.suspendVC(
+        suspension.hashedDid,
+        tokenId,
+        suspension.reason,
+        suspension.nonce,
+        suspension.expiry,
+        suspension.signature
+      );
+      expect(attribute(decodeTokenURI(await this.ocNFT.tokenURI(tokenId)), 'Revocation Status')).to.equal('Suspended');
+
+      const revocation = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+      await this.revocationRegistry.revokeVC(
+        revocation.hashedDid,
+        tokenId,
+        revocation.reason,
+        revocation.nonce,
+        revocation.expiry,
+        revocation.signature
+      );
+      expect(attribute(decodeTokenURI(await this.ocNFT.tokenURI(tokenId)), 'Revocation Status')).to.equal('Revoked');
+    });
+
+    it('is Active when the token contract has no revocation registry', async function () {
+      await this.ocNFT.setRevocationRegistry(ethers.ZeroAddress);
+      expect(attribute(decodeTokenURI(await this.ocNFT.tokenURI(tokenId)), 'Revocation Status')).to.equal('Active');
+    });
+
+    it('escapes the strings embedded in the JSON document', async function () {
+      const otherTokenId = 1;
+      const achievementId = 'quote " backslash \\ newline \n tab \t';
+      await this.ocNFT.mint(user.address, otherTokenId, {...metaData, achievementId});
+      const json = decodeTokenURI(await this.ocNFT.tokenURI(otherTokenId));
+      expect(attribute(json, 'Achievement ID')).to.equal(achievementId);
+    });
+
+    it('reverts with ERC721NonExistingToken for a non-existing token', async function () {
+      await expect(this.ocNFT.tokenURI(2)).to.be.revertedWithCustomError(this.ocNFT, 'ERC721NonExistingToken');
+    });
+  });
+});
@@ -1,10 +1,15 @@
 /* eslint-disable max-len */
-const {ethers} = require('hardhat');
-const {AbiCoder, SigningKey, keccak256, getBytes} = require('ethers');
+const {ethers, network} = require('hardhat');
+const {AbiCoder, SigningKey, concat, keccak256, getBytes, toUtf8Bytes} = require('ethers');
+const {time} = require('@nomicfoundation/hardhat-network-helpers');
 const ethersjs = require('ethers');
 const {expect} = require('chai');
+const {deployContract} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
 const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
+const {deployForwarderRegistry} = require('@animoca/ethereum-contracts/test/helpers/registries');
 const {RevocationUtil} = require('./utils/revocation');
+const {MintingUtil} = require('./utils/minting');
+const {encodeIssuerSignatures} = require('./utils/signatures');
 
 const {setupOpenCampusCertificateNFTMinter} = require('../setup');
 
@@ -15,6 +20,16 @@ const ISSUER = {
   privateKey: '0x5a5c9a0954cc0a98584542c0fae233819133f8fc3ebafed632104bbe144ba2d7',
 };
 
+const CO_SIGNER = {
+  address: '0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF',
+  privateKey: '0x0000000000000000000000000000000000000000000000000000000000000002',
+};
+
+const WALLET_OWNER = {
+  address: '0x6813Eb9362372EEF6200f3b1dbC3f819671cBA69',
+  privateKey: '0x0000000000000000000000000000000000000000000000000000000000000003',
+};
+
 const signatureWithoutVersion =
   '0x5d99b6f7f6d1f73d1a26497f2b1c89b24c0993913f86e9a2d02cd69887d9c94f3c880358579d811b21dd1b7fd9bb01c1d81d10e69f0384e675c32b39643be892';
 
@@ -37,7 +52,6 @@ describe('OpenCampusCertificateNFTMinter', function () {
 
   describe('mint(address, uint256, CertificateNFTv1MetaData.MetaData, bytes)', function () {
     beforeEach(async function () {
-      const encoder = AbiCoder.defaultAbiCoder();
       const now = 1725268578828;
       tokenId = '0x3E68D6D114FC48F393517777295C8D64';
       holderAddress = user.address;
@@ -50,15 +64,8 @@ describe('OpenCampusCertificateNFTMinter', function () {
         issuerDid: ISSUER.did,
         achievementId: 'achievement-123-xyz',
       };
-      const encodedParams = encoder.encode(
-        ['address', 'uint256', 'tuple(uint16, uint16, uint64, uint64, uint64, string, string)'],
-        [holderAddress, tokenId, Object.values(metaData)]
-      );
-      const paramHash = keccak256(encodedParams);
-      hashBytes = getBytes(paramHash);
-      const signingKey = new SigningKey(ISSUER.privateKey);
-      rawSig = signingKey.sign(hashBytes);
-      signatureBytes = getBytes(rawSig.serialized);
+      mu = new MintingUtil(ISSUER.privateKey, await this.ocMinter.getAddress());
+      ({signature: signatureBytes} = await mu.makePayloadAndSignature(holderAddress, tokenId, metaData));
     });
 
     context('When issuer is not whitelisted', function () {
@@ -96,11 +103,28 @@ describe('OpenCampusCertificateNFTMinter', function () {
         expect(structData.validFrom).to.equal(metaData.validFrom);
       });
 
+      it('when the issuer key has expired', async function () {
+        const validUntil = (await time.latest()) + 10;
+        await this.didRegistry.setIssuerKeyValidity(ISSUER.did, ISSUER.address, 0, validUntil);
+        await time.increaseTo(validUntil + 1);
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes)).to.be.revertedWithCustomError(
+          this.ocMinter,
+          'IssuerNotAllowed'
+        );
+      });
+
+      it('when the issuer key has been rotated out', async function () {
+        await this.didRegistry.rotateIssuerKey(ISSUER.did, ISSUER.address, other.address);
+        await time.increase(1);
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes)).to.be.revertedWithCustomError(
+          this.ocMinter,
+          'IssuerNotAllowed'
+        );
+      });
+
       it('when signature eth address does not match', async function () {
         const otherPrivateKey = '0x5a5c9a0954cc0a98584542c0fae233819133f8fc3ebafed632104bbe10000000';
-        const signingKey = new SigningKey(otherPrivateKey);
-        const rawSig = signingKey.sign(hashBytes);
-        const otherSig = getBytes(rawSig.serialized);
+        const {signature: otherSig} = await mu.makePayloadAndSignature(holderAddress, tokenId, metaData, otherPrivateKey);
         await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, otherSig)).to.be.revertedWithCustomError(this.ocMinter, 'IssuerNotAllowed');
       });
 
@@ -115,11 +139,34 @@ describe('OpenCampusCertificateNFTMinter', function () {
       });
 
       it('test invalid signature', async function () {
-        // compact serialized signature is only 64 bytes instead of 65 bytes as expected
-        const otherSig = getBytes(rawSig.compactSerialized);
+        // truncated signature is only 64 bytes instead of 65 bytes as expected
+        const otherSig = signatureBytes.slice(0, 64);
         await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, otherSig)).to.be.revertedWith('ECDSA: invalid signature length');
       });
 
+      it('when signature is made for another verifying contract', async function () {
+        const otherMu = new MintingUtil(ISSUER.privateKey, other.address);
+        const {signature: otherSig} = await otherMu.makePayloadAndSignature(holderAddress, tokenId, metaData);
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, otherSig)).to.be.revertedWithCustomError(this.ocMinter, 'IssuerNotAllowed');
+      });
+
+      it('when signature is made for another chain', async function () {
+        const otherMu = new MintingUtil(ISSUER.privateKey, await this.ocMinter.getAddress());
+        otherMu.domain.chainId = 1;
+        const {signature: otherSig} = await otherMu.makePayloadAndSignature(holderAddress, tokenId, metaData);
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, otherSig)).to.be.revertedWithCustomError(this.ocMinter, 'IssuerNotAllowed');
+      });
+
+      it('when signature is made over the raw payload without EIP712 domain', async function () {
+        const encodedParams = AbiCoder.defaultAbiCoder().encode(
+          ['address', 'uint256', 'tuple(uint16, uint16, uint64, uint64, uint64, string, string)'],
+          [holderAddress, tokenId, Object.values(metaData)]
+        );
+        const signingKey = new SigningKey(ISSUER.privateKey);
+        const rawSig = getBytes(signingKey.sign(getBytes(keccak256(encodedParams))).serialized);
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, rawSig)).to.be.revertedWithCustomError(this.ocMinter, 'IssuerNotAllowed');
+      });
+
       it('test signature that would cause ecrecover to recover zero address', async function () {
         // This InvalidSignature error would be thrown from the openzeppelin contract ECDSA.sol line #140
         // explicitly when the recovered address from ecrecover is zero address, which can be caused by having v being zero.
@@ -129,24 +176,528 @@ describe('OpenCampusCertificateNFTMinter', function () {
       });
     });
 
+    context('When the issuer Did has a signature threshold', function () {
+      beforeEach(async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+        await this.didRegistry.addIssuer(ISSUER.did, CO_SIGNER.address);
+        await this.didRegistry.setSignatureThreshold(ISSUER.did, 2);
+      });
+
+      it('reverts with InsufficientIssuerSignatures with fewer signers than the threshold', async function () {
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes))
+          .to.be.revertedWithCustomError(this.ocMinter, 'InsufficientIssuerSignatures')
+          .withArgs(keccak256(toUtf8Bytes(ISSUER.did)), 1, 2);
+      });
+
+      it('reverts with InsufficientIssuerSignatures when the same key signs twice', async function () {
+        const {signature} = await mu.makePayloadAndSignature(holderAddress, tokenId, metaData, [ISSUER.privateKey, ISSUER.privateKey]);
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, signature))
+          .to.be.revertedWithCustomError(this.ocMinter, 'InsufficientIssuerSignatures')
+          .withArgs(keccak256(toUtf8Bytes(ISSUER.did)), 1, 2);
+      });
+
+      it('reverts with IssuerNotAllowed when one of the signers is not a valid key', async function () {
+        const otherPrivateKey = '0x5a5c9a0954cc0a98584542c0fae233819133f8fc3ebafed632104bbe10000000';
+        const {signature} = await mu.makePayloadAndSignature(holderAddress, tokenId, metaData, [ISSUER.privateKey, otherPrivateKey]);
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, signature)).to.be.revertedWithCustomError(
+          this.ocMinter,
+          'IssuerNotAllowed'
+        );
+      });
+
+      it('mints with the threshold of distinct valid keys', async function () {
+        const {signature} = await mu.makePayloadAndSignature(holderAddress, tokenId, metaData, [CO_SIGNER.privateKey, ISSUER.privateKey]);
+        await this.ocMinter.mint(holderAddress, tokenId, metaData, signature);
+        expect(await this.ocNFT.ownerOf(tokenId)).to.equal(holderAddress);
+      });
+    });
+
+    context('When the issuer is a contract wallet', function () {
+      beforeEach(async function () {
+        this.wallet = await deployContract('ERC1271IssuerMock', WALLET_OWNER.address);
+        await this.didRegistry.addIssuer(ISSUER.did, this.wallet);
+        const {signature} = await mu.makePayloadAndSignature(holderAddress, tokenId, metaData, WALLET_OWNER.privateKey);
+        this.walletSignature = encodeIssuerSignatures([{signer: await this.wallet.getAddress(), signature}]);
+      });
+
+      it('mints with an ERC1271 signature of the wallet', async function () {
+        await this.ocMinter.mint(holderAddress, tokenId, metaData, this.walletSignature);
+        expect(await this.ocNFT.ownerOf(tokenId)).to.equal(holderAddress);
+      });
+
+      it('reverts with InvalidContractSignature if the wallet rejects the signature', async function () {
+        const {signature} = await mu.makePayloadAndSignature(holderAddress, tokenId, metaData, ISSUER.privateKey);
+        const walletSignature = encodeIssuerSignatures([{signer: await this.wallet.getAddress(), signature}]);
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, walletSignature))
+          .to.be.revertedWithCustomError(this.ocMinter, 'InvalidContractSignature')
+          .withArgs(this.wallet);
+      });
+
+      it('reverts with InvalidContractSignature if the signature is out of the bounds of the signatures', async function () {
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, this.walletSignature.slice(0, 100)))
+          .to.be.revertedWithCustomError(this.ocMinter, 'InvalidContractSignature')
+          .withArgs(this.wallet);
+      });
+
+      it('reverts with IssuerNotAllowed if the wallet is not an issuer key of the did', async function () {
+        const otherWallet = await deployContract('ERC1271IssuerMock', WALLET_OWNER.address);
+        const {signature} = await mu.makePayloadAndSignature(holderAddress, tokenId, metaData, WALLET_OWNER.privateKey);
+        const walletSignature = encodeIssuerSignatures([{signer: await otherWallet.getAddress(), signature}]);
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, walletSignature))
+          .to.be.revertedWithCustomError(this.ocMinter, 'IssuerNotAllowed')
+          .withArgs(keccak256(toUtf8Bytes(ISSUER.did)), otherWallet);
+      });
+
+      it('counts the wallet towards the signature threshold of the did', async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+        await this.didRegistry.setSignatureThreshold(ISSUER.did, 2);
+        const {signature: walletOwnerSignature} = await mu.makePayloadAndSignature(holderAddress, tokenId, metaData, WALLET_OWNER.privateKey);
+        const signatures = encodeIssuerSignatures([signatureBytes, {signer: await this.wallet.getAddress(), signature: walletOwnerSignature}]);
+        await this.ocMinter.mint(holderAddress, tokenId, metaData, signatures);
+        expect(await this.ocNFT.ownerOf(tokenId)).to.equal(holderAddress);
+      });
+
+      it('does not let the wallet re-enter the minter while validating a signature', async function () {
+        const reentrantTokenId = '0x3E68D6D114FC48F393517777295C8D65';
+        const {signature} = await mu.makePayloadAndSignature(other.address, reentrantTokenId, metaData, WALLET_OWNER.privateKey);
+        const reentrantSignature = encodeIssuerSignatures([{signer: await this.wallet.getAddress(), signature}]);
+        await this.wallet.setReentrancy(
+          this.ocMinter,
+          this.ocMinter.interface.encodeFunctionData('mint', [other.address, reentrantTokenId, metaData, reentrantSignature])
+        );
+
+        await this.ocMinter.mint(holderAddress, tokenId, metaData, this.walletSignature);
+        expect(await this.ocNFT.ownerOf(tokenId)).to.equal(holderAddress);
+        await expect(this.ocNFT.ownerOf(reentrantTokenId)).to.be.revertedWithCustomError(this.ocNFT, 'ERC721NonExistingToken');
+      });
+    });
+
     context('When RevocationRegistry is set', function () {
       beforeEach(async function () {
         await this.didRegistry.connect(deployer).addIssuer(ISSUER.did, ISSUER.address);
-        await this.ocMinter.connect(deployer).setRevocationRegistry(this.revocationRegistry);
         ru = new RevocationUtil(ISSUER.privateKey, await this.revocationRegistry.getAddress());
       });
 
+      it('uses the revocation registry of the NFT by default', async function () {
+        expect(await this.ocMinter.revocationRegistryOverride()).to.equal(ethers.ZeroAddress);
+        expect(await this.ocMinter.revocationRegistry()).to.equal(await this.ocNFT.revocationRegistry());
+      });
+
       it('when nothing is revoked, successful minting', async function () {
         await this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes);
         expect(await this.ocNFT.balanceOf(user.address)).to.equal(1);
       });
 
       it('revert with VcRevoked when the tokenId has already been revoked', async function () {
-        const {hashedDid, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
-        await this.revocationRegistry.revokeVC(hashedDid, tokenId, signature);
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+        await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
         await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes)).to.be.revertedWithCustomError(this.ocMinter, 'VcRevoked');
         expect(await this.ocNFT.balanceOf(user.address)).to.equal(0);
       });
+
+      it('follows the revocation registry changes of the NFT', async function () {
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+        await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+        const newRegistry = await deployContract('OpenCampusCertificateRevocationRegistry', this.didRegistry.getAddress());
+        await this.ocNFT.setRevocationRegistry(newRegistry);
+        expect(await this.ocMinter.revocationRegistry()).to.equal(await newRegistry.getAddress());
+        await this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes);
+        expect(await this.ocNFT.balanceOf(user.address)).to.equal(1);
+      });
+
+      it('does not check revocations when the NFT has no revocation registry', async function () {
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+        await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+        await this.ocNFT.setRevocationRegistry(ethers.ZeroAddress);
+        await this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes);
+        expect(await this.ocNFT.balanceOf(user.address)).to.equal(1);
+      });
+
+      context('when the revocation registry is overridden', function () {
+        beforeEach(async function () {
+          this.overrideRegistry = await deployContract('OpenCampusCertificateRevocationRegistry', this.didRegistry.getAddress());
+          this.receipt = await this.ocMinter.setRevocationRegistryOverride(this.overrideRegistry);
+        });
+
+        it('emits a RevocationRegistryOverrideSet event', async function () {
+          await expect(this.receipt)
+            .to.emit(this.ocMinter, 'RevocationRegistryOverrideSet')
+            .withArgs(await this.overrideRegistry.getAddress());
+        });
+
+        it('uses the override instead of the revocation registry of the NFT', async function () {
+          expect(await this.ocMinter.revocationRegistry()).to.equal(await this.overrideRegistry.getAddress());
+          const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+          await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+          await this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes);
+          expect(await this.ocNFT.balanceOf(user.address)).to.equal(1);
+        });
+
+        it('reverts with VcRevoked when the tokenId has been revoked in the override', async function () {
+          const overrideUtil = new RevocationUtil(ISSUER.privateKey, await this.overrideRegistry.getAddress());
+          const {hashedDid, reason, nonce, expiry, signature} = await overrideUtil.makePayloadAndSignature(ISSUER.did, tokenId);
+          await this.overrideRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+          await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes)).to.be.revertedWithCustomError(
+            this.ocMinter,
+            'VcRevoked'
+          );
+        });
+
+        it('uses the revocation registry of the NFT again once the override is removed', async function () {
+          await this.ocMinter.setRevocationRegistryOverride(ethers.ZeroAddress);
+          expect(await this.ocMinter.revocationRegistry()).to.equal(await this.revocationRegistry.getAddress());
+        });
+      });
+
+      it('setRevocationRegistryOverride reverts with NotContractOwner if the sender is not the contract owner', async function () {
+        await expect(this.ocMinter.connect(other).setRevocationRegistryOverride(ethers.ZeroAddress))
+          .to.be.revertedWithCustomError(this.ocMinter, 'NotContractOwner')
+          .withArgs(other.address);
+      });
+    });
+
+    context('When SchemaRegistry is set', function () {
+      beforeEach(async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+        await this.didRegistry.addIssuer(ISSUER.did, other.address);
+        await this.ocMinter.setSchemaRegistry(this.schemaRegistry);
+      });
+
+      it('reverts with SchemaNotAllowed when the schema is not registered', async function () {
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes))
+          .to.be.revertedWithCustomError(this.ocMinter, 'SchemaNotAllowed')
+          .withArgs(keccak256(toUtf8Bytes(ISSUER.did)), metaData.schemaVersion, metaData.achievementType);
+      });
+
+      it('reverts with SchemaNotAllowed when the issuer has not allowed the achievement type', async function () {
+        await this.schemaRegistry.registerSchema(metaData.schemaVersion, metaData.achievementType, keccak256(toUtf8Bytes('{}')), 'ipfs://schema');
+        await this.schemaRegistry.connect(other).setRestricted(keccak256(toUtf8Bytes(ISSUER.did)), true);
+        await expect(this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes))
+          .to.be.revertedWithCustomError(this.ocMinter, 'SchemaNotAllowed')
+          .withArgs(keccak256(toUtf8Bytes(ISSUER.did)), metaData.schemaVersion, metaData.achievementType);
+      });
+
+      it('mints when the schema is registered', async function () {
+        await this.schemaRegistry.registerSchema(metaData.schemaVersion, metaData.achievementType, keccak256(toUtf8Bytes('{}')), 'ipfs://schema');
+        await this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes);
+        expect(await this.ocNFT.ownerOf(tokenId)).to.equal(holderAddress);
+      });
+
+      it('mints when the schema is registered and allowed by the restricted issuer', async function () {
+        const hashedDid = keccak256(toUtf8Bytes(ISSUER.did));
+        await this.schemaRegistry.registerSchema(metaData.schemaVersion, metaData.achievementType, keccak256(toUtf8Bytes('{}')), 'ipfs://schema');
+        await this.schemaRegistry.connect(other).setRestricted(hashedDid, true);
+        await this.schemaRegistry.connect(other).setAchievementTypeAllowed(hashedDid, metaData.achievementType, true);
+        await this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes);
+        expect(await this.ocNFT.ownerOf(tokenId)).to.equal(holderAddress);
+      });
+
+      it('does not validate schemas once the schema registry is unset', async function () {
+        await this.ocMinter.setSchemaRegistry(ethers.ZeroAddress);
+        await this.ocMinter.mint(holderAddress, tokenId, metaData, signatureBytes);
+        expect(await this.ocNFT.ownerOf(tokenId)).to.equal(holderAddress);
+      });
+
+      it('setSchemaRegistry sets the schema registry and emits a SchemaRegistrySet event', async function () {
+        expect(await this.ocMinter.schemaRegistry()).to.equal(await this.schemaRegistry.getAddress());
+        await expect(this.ocMinter.setSchemaRegistry(ethers.ZeroAddress)).to.emit(this.ocMinter, 'SchemaRegistrySet').withArgs(ethers.ZeroAddress);
+        expect(await this.ocMinter.schemaRegistry()).to.equal(ethers.ZeroAddress);
+      });
+
+      it('setSchemaRegistry reverts with NotContractOwner if the sender is not the contract owner', async function () {
+        await expect(this.ocMinter.connect(other).setSchemaRegistry(ethers.ZeroAddress))
+          .to.be.revertedWithCustomError(this.ocMinter, 'NotContractOwner')
+          .withArgs(other.address);
+      });
+    });
+  });
+
+  describe('batchMint(address[], uint256[], CertificateNFTv1MetaData.MetaData[], bytes)', function () {
+    beforeEach(async function () {
+      const now = 1725268578828;
+      tokenIds = ['0x3E68D6D114FC48F393517777295C8D64', '0x3E68D6D114FC48F393517777295C8D65', '0x3E68D6D114FC48F393517777295C8D66'];
+      recipients = [user.address, other.address, user.address];
+      metaDatas = tokenIds.map((_, i) => ({
+        schemaVersion: 1,
+        achievementType: 3,
+        awardedDate: now,
+        validFrom: now,
+        validUtil: now + 365 * 24 * 3600 * 1000,
+        issuerDid: ISSUER.did,
+        achievementId: `achievement-123-xyz-${i}`,
+      }));
+      mu = new MintingUtil(ISSUER.privateKey, await this.ocMinter.getAddress());
+      ({signature: signatureBytes} = await mu.makePayloadAndSignature(recipients, tokenIds, metaDatas));
+    });
+
+    context('When issuer is not whitelisted', function () {
+      it('reverts with BatchIssuerNotAllowed for the first item', async function () {
+        await expect(this.ocMinter.batchMint(recipients, tokenIds, metaDatas, signatureBytes))
+          .to.be.revertedWithCustomError(this.ocMinter, 'BatchIssuerNotAllowed')
+          .withArgs(0, keccak256(toUtf8Bytes(ISSUER.did)), ISSUER.address);
+      });
+    });
+
+    context('When issuer is whitelisted', function () {
+      beforeEach(async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+      });
+
+      it('mints every token of the batch', async function () {
+        await this.ocMinter.batchMint(recipients, tokenIds, metaDatas, signatureBytes);
+        expect(await this.ocNFT.balanceOf(user.address)).to.equal(2);
+        expect(await this.ocNFT.balanceOf(other.address)).to.equal(1);
+        for (let i = 0; i < tokenIds.length; i++) {
+          expect(await this.ocNFT.ownerOf(tokenIds[i])).to.equal(recipients[i]);
+          const structData = await this.ocNFT.vcData(tokenIds[i]);
+          expect(structData.achievementId).to.equal(metaDatas[i].achievementId);
+        }
+      });
+
+      it('reverts with InconsistentArrayLengths when the array lengths differ', async function () {
+        await expect(this.ocMinter.batchMint(recipients.slice(1), tokenIds, metaDatas, signatureBytes)).to.be.revertedWithCustomError(
+          this.ocMinter,
+          'InconsistentArrayLengths'
+        );
+        await expect(this.ocMinter.batchMint(recipients, tokenIds, metaDatas.slice(1), signatureBytes)).to.be.revertedWithCustomError(
+          this.ocMinter,
+          'InconsistentArrayLengths'
+        );
+      });
+
+      it('reverts when the batch is altered after signing', async function () {
+        const alteredRecipients = [other.address, other.address, user.address];
+        await expect(this.ocMinter.batchMint(alteredRecipients, tokenIds, metaDatas, signatureBytes)).to.be.revertedWithCustomError(
+          this.ocMinter,
+          'BatchIssuerNotAllowed'
+        );
+      });
+
+      it('reverts with BatchIssuerNotAllowed at the index of a non whitelisted did', async function () {
+        const otherDid = 'did:key:other';
+        metaDatas[1].issuerDid = otherDid;
+        ({signature: signatureBytes} = await mu.makePayloadAndSignature(recipients, tokenIds, metaDatas));
+        await expect(this.ocMinter.batchMint(recipients, tokenIds, metaDatas, signatureBytes))
+          .to.be.revertedWithCustomError(this.ocMinter, 'BatchIssuerNotAllowed')
+          .withArgs(1, keccak256(toUtf8Bytes(otherDid)), ISSUER.address);
+        expect(await this.ocNFT.balanceOf(user.address)).to.equal(0);
+      });
+
+      it('reverts with BatchVcRevoked at the index of a revoked token', async function () {
+        const ru = new RevocationUtil(ISSUER.privateKey, await this.revocationRegistry.getAddress());
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenIds[2]);
+        await this.revocationRegistry.revokeVC(hashedDid, tokenIds[2], reason, nonce, expiry, signature);
+        await expect(this.ocMinter.batchMint(recipients, tokenIds, metaDatas, signatureBytes))
+          .to.be.revertedWithCustomError(this.ocMinter, 'BatchVcRevoked')
+          .withArgs(2, hashedDid, tokenIds[2]);
+        expect(await this.ocNFT.balanceOf(user.address)).to.equal(0);
+        expect(await this.ocNFT.balanceOf(other.address)).to.equal(0);
+      });
+
+      it('reverts with BatchInsufficientIssuerSignatures when the issuer Did has a signature threshold', async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, CO_SIGNER.address);
+        await this.didRegistry.setSignatureThreshold(ISSUER.did, 2);
+        await expect(this.ocMinter.batchMint(recipients, tokenIds, metaDatas, signatureBytes))
+          .to.be.revertedWithCustomError(this.ocMinter, 'BatchInsufficientIssuerSignatures')
+          .withArgs(0, keccak256(toUtf8Bytes(ISSUER.did)), 1, 2);
+
+        ({signature: signatureBytes} = await mu.makePayloadAndSignature(recipients, tokenIds, metaDatas, [ISSUER.privateKey, CO_SIGNER.privateKey]));
+        await this.ocMinter.batchMint(recipients, tokenIds, metaDatas, signatureBytes);
+        expect(await this.ocNFT.balanceOf(user.address)).to.equal(2);
+      });
+
+      it('reverts with BatchSchemaNotAllowed at the index of an unregistered schema', async function () {
+        await this.ocMinter.setSchemaRegistry(this.schemaRegistry);
+        await this.schemaRegistry.registerSchema(1, 3, keccak256(toUtf8Bytes('{}')), 'ipfs://schema');
+        metaDatas[1].achievementType = 4;
+        ({signature: signatureBytes} = await mu.makePayloadAndSignature(recipients, tokenIds, metaDatas));
+        await expect(this.ocMinter.batchMint(recipients, tokenIds, metaDatas, signatureBytes))
+          .to.be.revertedWithCustomError(this.ocMinter, 'BatchSchemaNotAllowed')
+          .withArgs(1, keccak256(toUtf8Bytes(ISSUER.did)), 1, 4);
+        expect(await this.ocNFT.balanceOf(user.address)).to.equal(0);
+      });
+    });
+  });
+
+  describe('redeemVoucher(address, uint256, CertificateNFTv1MetaData.MetaData, uint256, uint256, bytes)', function () {
+    beforeEach(async function () {
+      const now = 1725268578828;
+      tokenId = '0x3E68D6D114FC48F393517777295C8D64';
+      holderAddress = user.address;
+      metaData = {
+        schemaVersion: 1,
+        achievementType: 3,
+        awardedDate: now,
+        validFrom: now,
+        validUtil: now + 365 * 24 * 3600 * 1000,
+        issuerDid: ISSUER.did,
+        achievementId: 'achievement-123-xyz',
+      };
+      nonce = 1;
+      expiry = (await time.latest()) + 3600;
+      mu = new MintingUtil(ISSUER.privateKey, await this.ocMinter.getAddress());
+      ({hashedDid, signature: signatureBytes} = await mu.makeVoucherAndSignature(holderAddress, tokenId, metaData, nonce, expiry));
+    });
+
+    context('When issuer is not whitelisted', function () {
+      it('reverts with IssuerNotAllowed', async function () {
+        await expect(
+          this.ocMinter.connect(user).redeemVoucher(holderAddress, tokenId, metaData, nonce, expiry, signatureBytes)
+        ).to.be.revertedWithCustomError(this.ocMinter, 'IssuerNotAllowed');
+      });
+
+      it('cancelVoucher reverts with IssuerNotAllowed', async function () {
+        await expect(this.ocMinter.connect(other).cancelVoucher(hashedDid, nonce))
+          .to.be.revertedWithCustomError(this.ocMinter, 'IssuerNotAllowed')
+          .withArgs(hashedDid, other.address);
+      });
+    });
+
+    context('When issuer is whitelisted', function () {
+      beforeEach(async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+        await this.didRegistry.addIssuer(ISSUER.did, other.address);
+      });
+
+      it('reverts with InsufficientIssuerSignatures when the issuer Did has a signature threshold', async function () {
+        await this.didRegistry.setSignatureThreshold(ISSUER.did, 2);
+        await expect(this.ocMinter.connect(user).redeemVoucher(holderAddress, tokenId, metaData, nonce, expiry, signatureBytes))
+          .to.be.revertedWithCustomError(this.ocMinter, 'InsufficientIssuerSignatures')
+          .withArgs(hashedDid, 1, 2);
+      });
+
+      context('when successful', function () {
+        beforeEach(async function () {
+          this.receipt = await this.ocMinter.connect(user).redeemVoucher(holderAddress, tokenId, metaData, nonce, expiry, signatureBytes);
+        });
+
+        it('mints the token to the recipient', async function () {
+          expect(await this.ocNFT.ownerOf(tokenId)).to.equal(holderAddress);
+          expect((await this.ocNFT.vcData(tokenId)).issuerDid).to.equal(ISSUER.did);
+        });
+
+        it('marks the voucher as redeemed', async function () {
+          expect(await this.ocMinter.voucherStatus(hashedDid, nonce)).to.equal(1);
+        });
+
+        it('emits a VoucherRedeemed event', async function () {
+          await expect(this.receipt).to.emit(this.ocMinter, 'VoucherRedeemed').withArgs(hashedDid, nonce, tokenId, holderAddress);
+        });
+
+        it('reverts with UsedVoucher when redeemed twice', async function () {
+          await expect(this.ocMinter.connect(user).redeemVoucher(holderAddress, tokenId, metaData, nonce, expiry, signatureBytes))
+            .to.be.revertedWithCustomError(this.ocMinter, 'UsedVoucher')
+            .withArgs(hashedDid, nonce);
+        });
+
+        it('cancelVoucher reverts with UsedVoucher', async function () {
+          await expect(this.ocMinter.connect(other).cancelVoucher(hashedDid, nonce))
+            .to.be.revertedWithCustomError(this.ocMinter, 'UsedVoucher')
+            .withArgs(hashedDid, nonce);
+        });
+      });
+
+      it('can be redeemed through the ForwarderRegistry by a relayer', async function () {
+        const forwarderRegistry = await deployForwarderRegistry();
+        const forwarderApproval = await user.signTypedData(
+          {
+            name: 'ForwarderRegistry',
+            chainId: network.config.chainId,
+            verifyingContract: await forwarderRegistry.getAddress(),
+          },
+          {
+            ForwarderApproval: [
+              {name: 'sender', type: 'address'},
+              {name: 'forwarder', type: 'address'},
+              {name: 'approved', type: 'bool'},
+              {name: 'nonce', type: 'uint256'},
+            ],
+          },
+          {
+            sender: user.address,
+            forwarder: payoutWallet.address,
+            approved: true,
+            nonce: await forwarderRegistry.getNonce(user.address, payoutWallet.address),
+          }
+        );
+        const {data} = await this.ocMinter.redeemVoucher.populateTransaction(holderAddress, tokenId, metaData, nonce, expiry, signatureBytes);
+        const {data: relayerData} = await forwarderRegistry.approveAndForward.populateTransaction(
+          forwarderApproval,
+          false,
+          await this.ocMinter.getAddress(),
+          data
+        );
+        await payoutWallet.sendTransaction({to: await forwarderRegistry.getAddress(), data: concat([relayerData, user.address])});
+        expect(await this.ocNFT.ownerOf(tokenId)).to.equal(holderAddress);
+      });
+
+      it('reverts with VoucherRecipientMismatch when not redeemed by the recipient', async function () {
+        await expect(this.ocMinter.connect(other).redeemVoucher(holderAddress, tokenId, metaData, nonce, expiry, signatureBytes))
+          .to.be.revertedWithCustomError(this.ocMinter, 'VoucherRecipientMismatch')
+          .withArgs(holderAddress, other.address);
+      });
+
+      it('reverts with ExpiredVoucher when redeemed after expiry', async function () {
+        await time.increaseTo(expiry + 1);
+        await expect(this.ocMinter.connect(user).redeemVoucher(holderAddress, tokenId, metaData, nonce, expiry, signatureBytes))
+          .to.be.revertedWithCustomError(this.ocMinter, 'ExpiredVoucher')
+          .withArgs(hashedDid, nonce, expiry);
+      });
+
+      it('reverts with IssuerNotAllowed when the voucher is altered', async function () {
+        await expect(
+          this.ocMinter.connect(user).redeemVoucher(holderAddress, tokenId, metaData, nonce, expiry + 1, signatureBytes)
+        ).to.be.revertedWithCustomError(this.ocMinter, 'IssuerNotAllowed');
+      });
+
+      it('reverts with VcRevoked when the tokenId has already been revoked', async function () {
+        const ru = new RevocationUtil(ISSUER.privateKey, await this.revocationRegistry.getAddress());
+        const revocation = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+        await this.revocationRegistry.revokeVC(hashedDid, tokenId, revocation.reason, revocation.nonce, revocation.expiry, revocation.signature);
+        await expect(
+          this.ocMinter.connect(user).redeemVoucher(holderAddress, tokenId, metaData, nonce, expiry, signatureBytes)
+        ).to.be.revertedWithCustomError(this.ocMinter, 'VcRevoked');
+      });
+
+      it('reverts with SchemaNotAllowed when the schema is not registered', async function () {
+        await this.ocMinter.setSchemaRegistry(this.schemaRegistry);
+        await expect(this.ocMinter.connect(user).redeemVoucher(holderAddress, tokenId, metaData, nonce, expiry, signatureBytes))
+          .to.be.revertedWithCustomError(this.ocMinter, 'SchemaNotAllowed')
+          .withArgs(hashedDid, metaData.schemaVersion, metaData.achievementType);
+      });
+
+      context('when cancelled', function () {
+        beforeEach(async function () {
+          this.receipt = await this.ocMinter.connect(other).cancelVoucher(hashedDid, nonce);
+        });
+
+        it('marks the voucher as cancelled', async function () {
+          expect(await this.ocMinter.voucherStatus(hashedDid, nonce)).to.equal(2);
+        });
+
+        it('emits a VoucherCancelled event', async function () {
+          await expect(this.receipt).to.emit(this.ocMinter, 'VoucherCancelled').withArgs(hashedDid, nonce, other.address);
+        });
+
+        it('reverts with CancelledVoucher when redeemed', async function () {
+          await expect(this.ocMinter.connect(user).redeemVoucher(holderAddress, tokenId, metaData, nonce, expiry, signatureBytes))
+            .to.be.revertedWithCustomError(this.ocMinter, 'CancelledVoucher')
+            .withArgs(hashedDid, nonce);
+        });
+
+        it('reverts with CancelledVoucher when cancelled twice', async function () {
+          await expect(this.ocMinter.connect(other).cancelVoucher(hashedDid, nonce))
+            .to.be.revertedWithCustomError(this.ocMinter, 'CancelledVoucher')
+            .withArgs(hashedDid, nonce);
+        });
+      });
+
+      it('can be cancelled by a single key when the issuer Did has a signature threshold', async function () {
+        await this.didRegistry.setSignatureThreshold(ISSUER.did, 2);
+        await expect(this.ocMinter.connect(other).cancelVoucher(hashedDid, nonce))
+          .to.emit(this.ocMinter, 'VoucherCancelled')
+          .withArgs(hashedDid, nonce, other.address);
+      });
     });
   });
 });
@@ -2,9 +2,12 @@
 const {ethers} = require('hardhat');
 const {parseUnits} = require('ethers');
 const {expect} = require('chai');
+const {time} = require('@nomicfoundation/hardhat-network-helpers');
 const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
 
 const {RevocationUtil} = require('./utils/revocation');
+const {RecoveryUtil} = require('./utils/recovery');
+const {getTokensOfOwner, getTokensOfIssuer} = require('./utils/enumeration');
 const {setupOpenCampusCertificateNFTv1} = require('../setup');
 
 const ISSUER = {
@@ -14,6 +17,11 @@ const ISSUER = {
   privateKey: '0x5a5c9a0954cc0a98584542c0fae233819133f8fc3ebafed632104bbe144ba2d7',
 };
 
+const KEY_NOT_ISSUER = {
+  address: '0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF',
+  privateKey: '0x0000000000000000000000000000000000000000000000000000000000000002',
+};
+
 describe('OpenCampusCertificateNFTv1', function () {
   let accounts;
   let deployer, user, payoutWallet, other, issuer;
@@ -44,6 +52,19 @@ describe('OpenCampusCertificateNFTv1', function () {
     });
   });
 
+  describe('setRevocationRegistry(IRevocationRegistry)', function () {
+    it('reverts with NotContractOwner if the sender is not the contract owner', async function () {
+      await expect(this.ocNFT.connect(other).setRevocationRegistry(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(this.ocNFT, 'NotContractOwner')
+        .withArgs(other.address);
+    });
+
+    it('sets the revocation registry and emits a RevocationRegistrySet event', async function () {
+      await expect(this.ocNFT.setRevocationRegistry(ethers.ZeroAddress)).to.emit(this.ocNFT, 'RevocationRegistrySet').withArgs(ethers.ZeroAddress);
+      expect(await this.ocNFT.revocationRegistry()).to.equal(ethers.ZeroAddress);
+    });
+  });
+
   describe('mint(address, uint256, CertificateNFTv1MetaData.MetaData)', function () {
     beforeEach(async function () {
       const now = 1725268578828;
@@ -126,27 +147,245 @@ describe('OpenCampusCertificateNFTv1', function () {
 
       it('successful burn when Token is revoked', async function () {
         const beforeBalance = await this.ocNFT.balanceOf(user.address);
-        const {hashedDid, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
-        await this.revocationRegistry.revokeVC(hashedDid, tokenId, signature);
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+        await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
         await this.ocNFT.burn(tokenId);
         assert(beforeBalance - 1n === (await this.ocNFT.balanceOf(user.address)));
       });
 
+      it('revert with VcNotRevoked when Token is only suspended', async function () {
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makeSuspendPayloadAndSignature(ISSUER.did, tokenId);
+        await this.revocationRegistry.suspendVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+        await expect(this.ocNFT.burn(tokenId)).to.be.revertedWithCustomError(this.ocNFT, 'VcNotRevoked');
+      });
+
       it('when a token is burnt twice, revert with ERC721NonExistingToken error', async function () {
         const beforeBalance = await this.ocNFT.balanceOf(user.address);
-        const {hashedDid, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
-        await this.revocationRegistry.revokeVC(hashedDid, tokenId, signature);
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+        await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
         await this.ocNFT.burn(tokenId);
         await expect(this.ocNFT.burn(tokenId)).to.be.revertedWithCustomError(this.ocNFT, 'ERC721NonExistingToken');
       });
 
       it('when a token is burnt ownerOf should revert with ERC721NonExistingToken error', async function () {
         const beforeBalance = await this.ocNFT.balanceOf(user.address);
-        const {hashedDid, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
-        await this.revocationRegistry.revokeVC(hashedDid, tokenId, signature);
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+        await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
         await this.ocNFT.burn(tokenId);
         await expect(this.ocNFT.ownerOf(tokenId)).to.be.revertedWithCustomError(this.ocNFT, 'ERC721NonExistingToken');
       });
+
+      it('emits a CertificateBurned event with the registry revocation and moves the VC data to the tombstone', async function () {
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId, undefined, {reason: 2});
+        await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+        await expect(this.ocNFT.burn(tokenId)).to.emit(this.ocNFT, 'CertificateBurned').withArgs(tokenId, hashedDid, ISSUER.address, 2);
+
+        const tombstone = await this.ocNFT.tombstones(tokenId);
+        expect(tombstone.holder).to.equal(user.address);
+        expect(tombstone.revoker).to.equal(ISSUER.address);
+        expect(tombstone.reason).to.equal(2);
+        expect(tombstone.burntAt).to.equal(await time.latest());
+        expect(tombstone.vcData.issuerDid).to.equal(ISSUER.did);
+        expect(tombstone.vcData.achievementId).to.equal(metaData.achievementId);
+        expect((await this.ocNFT.vcData(tokenId)).issuerDid).to.equal('');
+      });
+    });
+  });
+
+  describe('revokeAndBurn(uint256, uint8, uint256, uint256, bytes)', function () {
+    beforeEach(async function () {
+      const now = 1725268578828;
+      metaData = {
+        schemaVersion: 1,
+        achievementType: 3,
+        awardedDate: now,
+        validFrom: now,
+        validUtil: now + 365 * 24 * 3600 * 1000,
+        issuerDid: ISSUER.did,
+        achievementId: 'achievement-123-xyz',
+      };
+      tokenId = '0x3E68D6D114FC48F393517777295C8D64';
+      await this.didRegistry.connect(deployer).addIssuer(ISSUER.did, ISSUER.address);
+      await this.ocNFT.connect(deployer).setRevocationRegistry(this.revocationRegistry);
+      await this.ocNFT.mint(user.address, tokenId, metaData);
+      ru = new RevocationUtil(ISSUER.privateKey, await this.revocationRegistry.getAddress());
+    });
+
+    it('reverts with ERC721NonExistingToken if the token does not exist', async function () {
+      const {reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, 1);
+      await expect(this.ocNFT.connect(issuerSigner).revokeAndBurn(1, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.ocNFT, 'ERC721NonExistingToken')
+        .withArgs(1);
+    });
+
+    it('reverts with IssuerNotAllowed if the sender is not a valid issuer of the token', async function () {
+      const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+      await expect(this.ocNFT.connect(other).revokeAndBurn(tokenId, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.ocNFT, 'IssuerNotAllowed')
+        .withArgs(hashedDid, other.address);
+    });
+
+    it('reverts with InvalidIssuer if the revocation is not signed by a valid issuer of the token', async function () {
+      const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId, KEY_NOT_ISSUER.privateKey);
+      await expect(this.ocNFT.connect(issuerSigner).revokeAndBurn(tokenId, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.revocationRegistry, 'InvalidIssuer')
+        .withArgs(hashedDid, KEY_NOT_ISSUER.address);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId, undefined, {reason: 2});
+        this.hashedDid = hashedDid;
+        this.receipt = await this.ocNFT.connect(issuerSigner).revokeAndBurn(tokenId, reason, nonce, expiry, signature);
+      });
+
+      it('revokes the token in the revocation registry', async function () {
+        expect(await this.revocationRegistry.isRevoked(this.hashedDid, tokenId)).to.be.true;
+        await expect(this.receipt).to.emit(this.revocationRegistry, 'VcRevoked').withArgs(this.hashedDid, ISSUER.address, tokenId, 2, false);
+      });
+
+      it('burns the token', async function () {
+        await expect(this.ocNFT.ownerOf(tokenId)).to.be.revertedWithCustomError(this.ocNFT, 'ERC721NonExistingToken');
+        expect(await this.ocNFT.balanceOf(user.address)).to.equal(0);
+        expect(await this.ocNFT.issuerTokenCount(this.hashedDid)).to.equal(0);
+      });
+
+      it('emits Transfer and CertificateBurned events', async function () {
+        await expect(this.receipt).to.emit(this.ocNFT, 'Transfer').withArgs(user.address, ethers.ZeroAddress, tokenId);
+        await expect(this.receipt).to.emit(this.ocNFT, 'CertificateBurned').withArgs(tokenId, this.hashedDid, ISSUER.address, 2);
+      });
+
+      it('keeps the VC data and the revocation details in the tombstone', async function () {
+        const tombstone = await this.ocNFT.tombstones(tokenId);
+        expect(tombstone.holder).to.equal(user.address);
+        expect(tombstone.revoker).to.equal(ISSUER.address);
+        expect(tombstone.reason).to.equal(2);
+        expect(tombstone.vcData.issuerDid).to.equal(ISSUER.did);
+        expect(tombstone.vcData.validFrom).to.equal(metaData.validFrom);
+      });
+    });
+
+    it('records the signer of the revocation as the revoker when sent by another valid issuer', async function () {
+      await this.didRegistry.connect(deployer).addIssuer(ISSUER.did, other.address);
+      const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId, undefined, {reason: 2});
+      await expect(this.ocNFT.connect(other).revokeAndBurn(tokenId, reason, nonce, expiry, signature))
+        .to.emit(this.ocNFT, 'CertificateBurned')
+        .withArgs(tokenId, hashedDid, ISSUER.address, 2);
+      expect((await this.ocNFT.tombstones(tokenId)).revoker).to.equal(ISSUER.address);
+      expect((await this.revocationRegistry.revocations(hashedDid, tokenId)).revoker).to.equal(ISSUER.address);
+    });
+
+    it('revokes and burns a suspended token', async function () {
+      const suspension = await ru.makeSuspendPayloadAndSignature(ISSUER.did, tokenId);
+      await this.revocationRegistry.suspendVC(
+        suspension.hashedDid,
+        tokenId,
+        suspension.reason,
+        suspension.nonce,
+        suspension.expiry,
+        suspension.signature
+      );
+      const {reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+      await this.ocNFT.connect(issuerSigner).revokeAndBurn(tokenId, reason, nonce, expiry, signature);
+      expect(await this.revocationRegistry.isSuspended(suspension.hashedDid, tokenId)).to.be.false;
+      await expect(this.ocNFT.ownerOf(tokenId)).to.be.revertedWithCustomError(this.ocNFT, 'ERC721NonExistingToken');
+    });
+  });
+
+  describe('isValid(uint256 tokenId)', function () {
+    const YEAR_MS = 365 * 24 * 3600 * 1000;
+
+    beforeEach(async function () {
+      // VC timestamps are in milliseconds
+      now = (await time.latest()) * 1000;
+      metaData = {
+        schemaVersion: 1,
+        achievementType: 3,
+        awardedDate: now,
+        validFrom: now,
+        validUtil: now + YEAR_MS,
+        issuerDid: ISSUER.did,
+        achievementId: 'achievement-123-xyz',
+      };
+      tokenId = '0x3E68D6D114FC48F393517777295C8D64';
+      await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+      ru = new RevocationUtil(ISSUER.privateKey, await this.revocationRegistry.getAddress());
+    });
+
+    it('returns false for a non-existing token', async function () {
+      expect(await this.ocNFT.isValid(tokenId)).to.be.false;
+    });
+
+    it('returns true for a token within its validity window', async function () {
+      await this.ocNFT.mint(user.address, tokenId, metaData);
+      expect(await this.ocNFT.isValid(tokenId)).to.be.true;
+    });
+
+    it('returns true for a token without expiry', async function () {
+      await this.ocNFT.mint(user.address, tokenId, {...metaData, validUtil: 0});
+      await time.increase(10 * 365 * 24 * 3600);
+      expect(await this.ocNFT.isValid(tokenId)).to.be.true;
+    });
+
+    it('returns false for a token which is not valid yet', async function () {
+      await this.ocNFT.mint(user.address, tokenId, {...metaData, validFrom: now + YEAR_MS, validUtil: now + 2 * YEAR_MS});
+      expect(await this.ocNFT.isValid(tokenId)).to.be.false;
+    });
+
+    it('returns false for an expired token', async function () {
+      await this.ocNFT.mint(user.address, tokenId, metaData);
+      await time.increase(365 * 24 * 3600 + 1);
+      expect(await this.ocNFT.isValid(tokenId)).to.be.false;
+    });
+
+    it('returns false for a revoked token', async function () {
+      await this.ocNFT.mint(user.address, tokenId, metaData);
+      const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+      await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      expect(await this.ocNFT.isValid(tokenId)).to.be.false;
+    });
+
+    it('returns false for a suspended token', async function () {
+      await this.ocNFT.mint(user.address, tokenId, metaData);
+      const {hashedDid, reason, nonce, expiry, signature} = await ru.makeSuspendPayloadAndSignature(ISSUER.did, tokenId);
+      await this.revocationRegistry.suspendVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      expect(await this.ocNFT.isValid(tokenId)).to.be.false;
+    });
+
+    it('returns false for a burnt token', async function () {
+      await this.ocNFT.mint(user.address, tokenId, metaData);
+      const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+      await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      await this.ocNFT.burn(tokenId);
+      expect(await this.ocNFT.isValid(tokenId)).to.be.false;
+    });
+
+    it('returns false when the issuer DID has no valid key anymore', async function () {
+      await this.ocNFT.mint(user.address, tokenId, metaData);
+      await this.didRegistry.removeIssuer(ISSUER.did, ISSUER.address);
+      expect(await this.ocNFT.isValid(tokenId)).to.be.false;
+    });
+
+    it('returns false when the keys of the issuer DID have expired', async function () {
+      await this.ocNFT.mint(user.address, tokenId, metaData);
+      const validUntil = (await time.latest()) + 10;
+      await this.didRegistry.setIssuerKeyValidity(ISSUER.did, ISSUER.address, 0, validUntil);
+      await time.increase(11);
+      expect(await this.ocNFT.isValid(tokenId)).to.be.false;
+    });
+
+    it('returns true when the issuer DID has rotated its key', async function () {
+      await this.ocNFT.mint(user.address, tokenId, metaData);
+      await this.didRegistry.rotateIssuerKey(ISSUER.did, ISSUER.address, other.address);
+      expect(await this.ocNFT.isValid(tokenId)).to.be.true;
+    });
+
+    it('ignores revocations when the revocation registry is not set', async function () {
+      await this.ocNFT.mint(user.address, tokenId, metaData);
+      const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+      await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      await this.ocNFT.setRevocationRegistry(ethers.ZeroAddress);
+      expect(await this.ocNFT.isValid(tokenId)).to.be.true;
     });
   });
 
@@ -428,4 +667,305 @@ describe('OpenCampusCertificateNFTv1', function () {
       });
     });
   });
+
+  describe('soulbound tokens', function () {
+    beforeEach(async function () {
+      metaData = {
+        schemaVersion: 1,
+        achievementType: 3,
+        awardedDate: 1725268578828,
+        validFrom: 1725268578828,
+        validUtil: 0,
+        issuerDid: ISSUER.did,
+        achievementId: 'achievement-123-xyz',
+      };
+      tokenId = '0x3E68D6D114FC48F393517777295C8D64';
+      await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+      await this.ocNFT.mint(user.address, tokenId, metaData);
+    });
+
+    it('supports the ERC5192 interface', async function () {
+      expect(await this.ocNFT.supportsInterface('0xb45a3c0e')).to.be.true;
+    });
+
+    context('setLocked(uint256 tokenId, bool isLocked)', function () {
+      it('reverts with ERC721NonExistingToken for a non-existing token', async function () {
+        await expect(this.ocNFT.setLocked(1, true)).to.be.revertedWithCustomError(this.ocNFT, 'ERC721NonExistingToken').withArgs(1);
+      });
+
+      it('reverts with NotRoleHolder if the sender is neither an issuer nor an operator', async function () {
+        await expect(this.ocNFT.connect(user).setLocked(tokenId, true))
+          .to.be.revertedWithCustomError(this.ocNFT, 'NotRoleHolder')
+          .withArgs(await this.ocNFT.OPERATOR_ROLE(), user.address);
+      });
+
+      it('tokens are unlocked by default', async function () {
+        expect(await this.ocNFT.locked(tokenId)).to.be.false;
+      });
+
+      it('an issuer can lock a token', async function () {
+        await expect(this.ocNFT.connect(issuerSigner).setLocked(tokenId, true)).to.emit(this.ocNFT, 'Locked').withArgs(tokenId);
+        expect(await this.ocNFT.locked(tokenId)).to.be.true;
+      });
+
+      it('an operator can unlock a token', async function () {
+        await this.ocNFT.setLocked(tokenId, true);
+        await expect(this.ocNFT.setLocked(tokenId, false)).to.emit(this.ocNFT, 'Unlocked').withArgs(tokenId);
+        expect(await this.ocNFT.locked(tokenId)).to.be.false;
+      });
+
+      it('does not emit an event if the locking status does not change', async function () {
+        await expect(this.ocNFT.setLocked(tokenId, false)).not.to.emit(this.ocNFT, 'Unlocked');
+      });
+    });
+
+    context('locked(uint256 tokenId)', function () {
+      it('reverts with ERC721NonExistingToken for a non-existing token', async function () {
+        await expect(this.ocNFT.locked(1)).to.be.revertedWithCustomError(this.ocNFT, 'ERC721NonExistingToken').withArgs(1);
+      });
+    });
+
+    context('when the token is locked', function () {
+      beforeEach(async function () {
+        await this.ocNFT.setLocked(tokenId, true);
+        await this.ocNFT.connect(user).setApprovalForAll(deployer, true);
+      });
+
+      it('transfers revert with TokenLocked', async function () {
+        await expect(this.ocNFT.transferFrom(user.address, other.address, tokenId))
+          .to.be.revertedWithCustomError(this.ocNFT, 'TokenLocked')
+          .withArgs(tokenId);
+        await expect(this.ocNFT.safeTransferFrom(user.address, other.address, tokenId))
+          .to.be.revertedWithCustomError(this.ocNFT, 'TokenLocked')
+          .withArgs(tokenId);
+        await expect(this.ocNFT['safeTransferFrom(address,address,uint256,bytes)'](user.address, other.address, tokenId, '0x'))
+          .to.be.revertedWithCustomError(this.ocNFT, 'TokenLocked')
+          .withArgs(tokenId);
+      });
+
+      it('transfers succeed once the token is unlocked', async function () {
+        await this.ocNFT.setLocked(tokenId, false);
+        await this.ocNFT.transferFrom(user.address, other.address, tokenId);
+        expect(await this.ocNFT.ownerOf(tokenId)).to.equal(other.address);
+      });
+    });
+  });
+
+  describe('recover(uint256 tokenId, uint256 expiry, bytes signature)', function () {
+    beforeEach(async function () {
+      metaData = {
+        schemaVersion: 1,
+        achievementType: 3,
+        awardedDate: 1725268578828,
+        validFrom: 1725268578828,
+        validUtil: 0,
+        issuerDid: ISSUER.did,
+        achievementId: 'achievement-123-xyz',
+      };
+      tokenId = '0x3E68D6D114FC48F393517777295C8D64';
+      await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+      await this.ocNFT.mint(user.address, tokenId, metaData);
+      await this.ocNFT.setLocked(tokenId, true);
+      this.recoveryUtil = new RecoveryUtil(ISSUER.privateKey, await this.ocNFT.getAddress());
+    });
+
+    it('reverts with ERC721NonExistingToken for a non-existing token', async function () {
+      const {expiry} = await this.recoveryUtil.makeRecoveryPayloadAndSignature(tokenId, other.address);
+      await expect(this.ocNFT.connect(other).recover(1, expiry, '0x'))
+        .to.be.revertedWithCustomError(this.ocNFT, 'ERC721NonExistingToken')
+        .withArgs(1);
+    });
+
+    it('reverts with ExpiredRecovery if the authorization has expired', async function () {
+      const expiry = (await time.latest()) - 1;
+      const {signature} = await this.recoveryUtil.makeRecoveryPayloadAndSignature(tokenId, other.address, undefined, {expiry});
+      await expect(this.ocNFT.connect(other).recover(tokenId, expiry, signature))
+        .to.be.revertedWithCustomError(this.ocNFT, 'ExpiredRecovery')
+        .withArgs(tokenId, expiry);
+    });
+
+    it('reverts with RecoveryNotAuthorized if not signed by an issuer of the token', async function () {
+      const {expiry, signature} = await this.recoveryUtil.makeRecoveryPayloadAndSignature(tokenId, other.address, KEY_NOT_ISSUER.privateKey);
+      await expect(this.ocNFT.connect(other).recover(tokenId, expiry, signature))
+        .to.be.revertedWithCustomError(this.ocNFT, 'RecoveryNotAuthorized')
+        .withArgs(ethers.keccak256(ethers.toUtf8Bytes(ISSUER.did)), KEY_NOT_ISSUER.address);
+    });
+
+    it('reverts with RecoveryNotAuthorized if sent by another account than the new wallet', async function () {
+      const {expiry, signature} = await this.recoveryUtil.makeRecoveryPayloadAndSignature(tokenId, other.address);
+      await expect(this.ocNFT.connect(payoutWallet).recover(tokenId, expiry, signature)).to.be.revertedWithCustomError(
+        this.ocNFT,
+        'RecoveryNotAuthorized'
+      );
+    });
+
+    it('reverts with RecoveryNotAuthorized if the issuer key has been removed', async function () {
+      const {expiry, signature} = await this.recoveryUtil.makeRecoveryPayloadAndSignature(tokenId, other.address);
+      await this.didRegistry.removeIssuer(ISSUER.did, ISSUER.address);
+      await expect(this.ocNFT.connect(other).recover(tokenId, expiry, signature))
+        .to.be.revertedWithCustomError(this.ocNFT, 'RecoveryNotAuthorized')
+        .withArgs(ethers.keccak256(ethers.toUtf8Bytes(ISSUER.did)), ISSUER.address);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        const {expiry, signature} = await this.recoveryUtil.makeRecoveryPayloadAndSignature(tokenId, other.address);
+        this.replay = {expiry, signature};
+        this.receipt = await this.ocNFT.connect(other).recover(tokenId, expiry, signature);
+      });
+
+      it('moves the token to the new wallet', async function () {
+        expect(await this.ocNFT.ownerOf(tokenId)).to.equal(other.address);
+        expect(await this.ocNFT.balanceOf(user.address)).to.equal(0);
+        expect(await this.ocNFT.balanceOf(other.address)).to.equal(1);
+      });
+
+      it('emits Transfer and CertificateRecovered events', async function () {
+        await expect(this.receipt).to.emit(this.ocNFT, 'Transfer').withArgs(user.address, other.address, tokenId);
+        await expect(this.receipt).to.emit(this.ocNFT, 'CertificateRecovered').withArgs(tokenId, user.address, other.address, ISSUER.address);
+      });
+
+      it('keeps the VC data and the locking status', async function () {
+        const data = await this.ocNFT.vcData(tokenId);
+        expect(data.issuerDid).to.equal(ISSUER.did);
+        expect(data.achievementId).to.equal(metaData.achievementId);
+        expect(await this.ocNFT.locked(tokenId)).to.be.true;
+      });
+
+      it('keeps the revocation linkage', async function () {
+        const ru = new RevocationUtil(ISSUER.privateKey, await this.revocationRegistry.getAddress());
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenId);
+        await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+        await this.ocNFT.burn(tokenId);
+        expect(await this.ocNFT.balanceOf(other.address)).to.equal(0);
+      });
+
+      it('increments the recovery nonce of the token', async function () {
+        expect(await this.ocNFT.recoveryNonces(tokenId)).to.equal(1);
+      });
+
+      it('the authorization cannot be replayed', async function () {
+        await expect(this.ocNFT.connect(other).recover(tokenId, this.replay.expiry, this.replay.signature)).to.be.revertedWithCustomError(
+          this.ocNFT,
+          'RecoveryNotAuthorized'
+        );
+      });
+    });
+  });
+
+  describe('enumeration', function () {
+    const OTHER_DID = 'did:key:other';
+    const tokenIds = [1n, 2n, 3n, 4n, 5n];
+    const sorted = (ids) => [...ids].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    beforeEach(async function () {
+      const makeMetaData = (issuerDid) => ({
+        schemaVersion: 1,
+        achievementType: 3,
+        awardedDate: 1725268578828,
+        validFrom: 1725268578828,
+        validUtil: 0,
+        issuerDid,
+        achievementId: 'achievement-123-xyz',
+      });
+      await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+      // tokens 1, 2 and 3 are held by user, tokens 4 and 5 by other; token 5 is issued by OTHER_DID
+      await this.ocNFT.mint(user.address, tokenIds[0], makeMetaData(ISSUER.did));
+      await this.ocNFT.mint(user.address, tokenIds[1], makeMetaData(ISSUER.did));
+      await this.ocNFT.mint(user.address, tokenIds[2], makeMetaData(ISSUER.did));
+      await this.ocNFT.mint(other.address, tokenIds[3], makeMetaData(ISSUER.did));
+      await this.ocNFT.mint(other.address, tokenIds[4], makeMetaData(OTHER_DID));
+      ru = new RevocationUtil(ISSUER.privateKey, await this.revocationRegistry.getAddress());
+    });
+
+    context('after minting', function () {
+      it('enumerates the tokens of each holder', async function () {
+        expect(await getTokensOfOwner(this.ocNFT, user.address)).to.deep.equal(tokenIds.slice(0, 3));
+        expect(await getTokensOfOwner(this.ocNFT, other.address)).to.deep.equal(tokenIds.slice(3));
+        expect(await getTokensOfOwner(this.ocNFT, payoutWallet.address)).to.deep.equal([]);
+      });
+
+      it('enumerates the tokens of each issuer Did', async function () {
+        expect(await this.ocNFT.issuerTokenCount(ethers.keccak256(ethers.toUtf8Bytes(ISSUER.did)))).to.equal(4);
+        expect(await getTokensOfIssuer(this.ocNFT, ISSUER.did)).to.deep.equal(tokenIds.slice(0, 4));
+        expect(await getTokensOfIssuer(this.ocNFT, OTHER_DID)).to.deep.equal([tokenIds[4]]);
+      });
+
+      it('tokenOfOwnerByIndex() returns the token at the index', async function () {
+        expect(await this.ocNFT.tokenOfOwnerByIndex(user.address, 1)).to.equal(tokenIds[1]);
+      });
+
+      it('tokenOfOwnerByIndex() reverts with TokenIndexOutOfBounds beyond the balance', async function () {
+        await expect(this.ocNFT.tokenOfOwnerByIndex(user.address, 3))
+          .to.be.revertedWithCustomError(this.ocNFT, 'TokenIndexOutOfBounds')
+          .withArgs(user.address, 3);
+      });
+
+      it('paginates the tokens', async function () {
+        expect(await this.ocNFT.tokensOfOwner(user.address, 0, 2)).to.deep.equal(tokenIds.slice(0, 2));
+        expect(await this.ocNFT.tokensOfOwner(user.address, 2, 2)).to.deep.equal([tokenIds[2]]);
+        expect(await this.ocNFT.tokensOfOwner(user.address, 3, 2)).to.deep.equal([]);
+        expect(await this.ocNFT.tokensOfOwner(user.address, 0, 0)).to.deep.equal([]);
+        expect(await getTokensOfOwner(this.ocNFT, user.address, 1)).to.deep.equal(tokenIds.slice(0, 3));
+        expect(await getTokensOfIssuer(this.ocNFT, ISSUER.did, 3)).to.deep.equal(tokenIds.slice(0, 4));
+      });
+    });
+
+    context('after burning', function () {
+      beforeEach(async function () {
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, tokenIds[0]);
+        await this.revocationRegistry.revokeVC(hashedDid, tokenIds[0], reason, nonce, expiry, signature);
+        await this.ocNFT.burn(tokenIds[0]);
+      });
+
+      it('removes the token from its holder tokens', async function () {
+        expect(sorted(await getTokensOfOwner(this.ocNFT, user.address))).to.deep.equal(tokenIds.slice(1, 3));
+        expect(await this.ocNFT.balanceOf(user.address)).to.equal(2);
+      });
+
+      it('removes the token from its issuer tokens', async function () {
+        expect(sorted(await getTokensOfIssuer(this.ocNFT, ISSUER.did))).to.deep.equal(tokenIds.slice(1, 4));
+      });
+    });
+
+    context('after transferring', function () {
+      beforeEach(async function () {
+        await this.ocNFT.connect(user).setApprovalForAll(deployer, true);
+      });
+
+      it('transferFrom() moves the token between the holders tokens', async function () {
+        await this.ocNFT.transferFrom(user.address, other.address, tokenIds[1]);
+        expect(sorted(await getTokensOfOwner(this.ocNFT, user.address))).to.deep.equal([tokenIds[0], tokenIds[2]]);
+        expect(sorted(await getTokensOfOwner(this.ocNFT, other.address))).to.deep.equal(sorted([tokenIds[1], ...tokenIds.slice(3)]));
+        expect(await getTokensOfIssuer(this.ocNFT, ISSUER.did)).to.deep.equal(tokenIds.slice(0, 4));
+      });
+
+      it('safeTransferFrom() moves the token between the holders tokens', async function () {
+        await this.ocNFT.safeTransferFrom(user.address, payoutWallet.address, tokenIds[2]);
+        await this.ocNFT['safeTransferFrom(address,address,uint256,bytes)'](user.address, payoutWallet.address, tokenIds[0], '0x');
+        expect(await getTokensOfOwner(this.ocNFT, user.address)).to.deep.equal([tokenIds[1]]);
+        expect(await getTokensOfOwner(this.ocNFT, payoutWallet.address)).to.deep.equal([tokenIds[2], tokenIds[0]]);
+      });
+
+      it('a transfer to the owner keeps the holder tokens', async function () {
+        await this.ocNFT.transferFrom(user.address, user.address, tokenIds[0]);
+        expect(await getTokensOfOwner(this.ocNFT, user.address)).to.deep.equal(tokenIds.slice(0, 3));
+      });
+
+      it('a transfer from a non-owner reverts and keeps the holder tokens', async function () {
+        await expect(this.ocNFT.transferFrom(other.address, payoutWallet.address, tokenIds[0]))
+          .to.be.revertedWithCustomError(this.ocNFT, 'ERC721NonOwnedToken')
+          .withArgs(other.address, tokenIds[0]);
+        expect(await getTokensOfOwner(this.ocNFT, user.address)).to.deep.equal(tokenIds.slice(0, 3));
+      });
+
+      it('recover() moves the token between the holders tokens', async function () {
+        const recoveryUtil = new RecoveryUtil(ISSUER.privateKey, await this.ocNFT.getAddress());
+        const {expiry, signature} = await recoveryUtil.makeRecoveryPayloadAndSignature(tokenIds[0], payoutWallet.address);
+        await this.ocNFT.connect(payoutWallet).recover(tokenIds[0], expiry, signature);
+        expect(sorted(await getTokensOfOwner(this.ocNFT, user.address))).to.deep.equal(tokenIds.slice(1, 3));
+        expect(await getTokensOfOwner(this.ocNFT, payoutWallet.address)).to.deep.equal([tokenIds[0]]);
+      });
+    });
+  });
 });
@@ -0,0 +1,242 @@
+/* eslint-disable max-len */
+const {ethers} = require('hardhat');
+const {keccak256, toUtf8Bytes, ZeroAddress} = require('ethers');
+const {expect} = require('chai');
+const {time} = require('@nomicfoundation/hardhat-network-helpers');
+const {deployContract} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
+const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
+const {getForwarderRegistryAddress} = require('@animoca/ethereum-contracts/test/helpers/registries');
+
+const {RevocationUtil} = require('./utils/revocation');
+const {setupOpenCampusCertificatePolicyVerifier} = require('../setup');
+
+const ISSUER = {
+  did: 'did:key:zUC7KtygRhrsVGTMYx7LHWsg3dpPscW6VcBvps4KgoziJ2vYXW3er1vH9mCqM67q3Nqc3BXAy488po6zMu6yEXdWz4oRLD9rbP5abPAKFuZXqTiwyvrgDehsYtw1NjAhUSzcYiL',
+  address: '0x58D027C315bAc47c60bD2491e2CBDce0977E3a37',
+  privateKey: '0x5a5c9a0954cc0a98584542c0fae233819133f8fc3ebafed632104bbe144ba2d7',
+};
+const OTHER_DID = 'did:key:other';
+const HASHED_ISSUER_DID = keccak256(toUtf8Bytes(ISSUER.did));
+const HASHED_OTHER_DID = keccak256(toUtf8Bytes(OTHER_DID));
+
+const POLICY_NAME = 'edu-course-completion';
+const POLICY_ID = keccak256(toUtf8Bytes(POLICY_NAME));
+
+describe('OpenCampusCertificatePolicyVerifier', function () {
+  let deployer, user, payoutWallet, other;
+  let now;
+
+  before(async function () {
+    [deployer, user, payoutWallet, other] = await ethers.getSigners();
+    // VC timestamps are in milliseconds
+    now = (await time.latest()) * 1000;
+  });
+
+  const makeMetaData = ({issuerDid = ISSUER.did, achievementId = 'achievement-123-xyz', achievementType = 3, awardedDate = now} = {}) => ({
+    schemaVersion: 1,
+    achievementType,
+    awardedDate,
+    validFrom: now,
+    validUtil: 0,
+    issuerDid,
+    achievementId,
+  });
+
+  const fixture = async function () {
+    await setupOpenCampusCertificatePolicyVerifier.call(this, deployer, user, payoutWallet);
+    await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+    await this.didRegistry.addIssuer(OTHER_DID, other.address);
+  };
+
+  beforeEach(async function () {
+    await loadFixture(fixture, this);
+  });
+
+  describe('constructor(OpenCampusCertificateNFTv1, IForwarderRegistry)', function () {
+    it('reverts with InvalidCertificateNFTAddress if the certificate NFT is the zero address', async function () {
+      await expect(
+        deployContract('OpenCampusCertificatePolicyVerifier', ZeroAddress, await getForwarderRegistryAddress())
+      ).to.be.revertedWithCustomError(this.policyVerifier, 'InvalidCertificateNFTAddress');
+    });
+  });
+
+  describe('registerPolicy(string, bytes32[], bytes32[], uint16[], uint64)', function () {
+    it('reverts with PolicyAlreadyExists if the name is already registered', async function () {
+      await this.policyVerifier.registerPolicy(POLICY_NAME, [], [], [], 0);
+      await expect(this.policyVerifier.connect(other).registerPolicy(POLICY_NAME, [], [], [], 0))
+        .to.be.revertedWithCustomError(this.policyVerifier, 'PolicyAlreadyExists')
+        .withArgs(POLICY_ID);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.policyVerifier
+          .connect(other)
+          .registerPolicy(POLICY_NAME, [HASHED_ISSUER_DID], [keccak256(toUtf8Bytes('achievement-123-xyz'))], [3], now);
+      });
+
+      it('stores the policy', async function () {
+        const policy = await this.policyVerifier.getPolicy(POLICY_ID);
+        expect(policy.admin).to.equal(other.address);
+        expect(policy.minAwardedDate).to.equal(now);
+        expect(policy.hashedIssuerDids).to.deep.equal([HASHED_ISSUER_DID]);
+        expect(policy.hashedAchievementIds).to.deep.equal([keccak256(toUtf8Bytes('achievement-123-xyz'))]);
+        expect(policy.achievementTypes).to.deep.equal([3n]);
+      });
+
+      it('emits a PolicyRegistered event', async function () {
+        await expect(this.receipt).to.emit(this.policyVerifier, 'PolicyRegistered').withArgs(POLICY_ID, POLICY_NAME, other.address);
+      });
+    });
+  });
+
+  describe('updatePolicy(bytes32, bytes32[], bytes32[], uint16[], uint64)', function () {
+    beforeEach(async function () {
+      await this.policyVerifier.connect(other).registerPolicy(POLICY_NAME, [HASHED_ISSUER_DID], [], [], 0);
+    });
+
+    it('reverts with PolicyNotFound if the policy does not exist', async function () {
+      const policyId = keccak256(toUtf8Bytes('unknown'));
+      await expect(this.policyVerifier.updatePolicy(policyId, [], [], [], 0))
+        .to.be.revertedWithCustomError(this.policyVerifier, 'PolicyNotFound')
+        .withArgs(policyId);
+    });
+
+    it('reverts with NotPolicyAdmin if the sender is not the policy admin', async function () {
+      await expect(this.policyVerifier.updatePolicy(POLICY_ID, [], [], [], 0))
+        .to.be.revertedWithCustomError(this.policyVerifier, 'NotPolicyAdmin')
+        .withArgs(POLICY_ID, deployer.address);
+    });
+
+    it('replaces the requirements and emits a PolicyUpdated event', async function () {
+      await expect(this.policyVerifier.connect(other).updatePolicy(POLICY_ID, [HASHED_OTHER_DID], [], [4], 1))
+        .to.emit(this.policyVerifier, 'PolicyUpdated')
+        .withArgs(POLICY_ID);
+      const policy = await this.policyVerifier.getPolicy(POLICY_ID);
+      expect(policy.admin).to.equal(other.address);
+      expect(policy.hashedIssuerDids).to.deep.equal([HASHED_OTHER_DID]);
+      expect(policy.achievementTypes).to.deep.equal([4n]);
+      expect(policy.minAwardedDate).to.equal(1);
+    });
+  });
+
+  describe('removePolicy(bytes32)', function () {
+    beforeEach(async function () {
+      await this.policyVerifier.connect(other).registerPolicy(POLICY_NAME, [HASHED_ISSUER_DID], [], [], 0);
+    });
+
+    it('reverts with NotPolicyAdmin if the sender is not the policy admin', async function () {
+      await expect(this.policyVerifier.removePolicy(POLICY_ID))
+        .to.be.revertedWithCustomError(this.policyVerifier, 'NotPolicyAdmin')
+        .withArgs(POLICY_ID, deployer.address);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.policyVerifier.connect(other).removePolicy(POLICY_ID);
+      });
+
+      it('emits a PolicyRemoved event', async function () {
+        await expect(this.receipt).to.emit(this.policyVerifier, 'PolicyRemoved').withArgs(POLICY_ID);
+      });
+
+      it('removes the policy', async function () {
+        await expect(this.policyVerifier.getPolicy(POLICY_ID))
+          .to.be.revertedWithCustomError(this.policyVerifier, 'PolicyNotFound')
+          .withArgs(POLICY_ID);
+        await expect(this.policyVerifier.satisfies(user.address, POLICY_ID))
+          .to.be.revertedWithCustomError(this.policyVerifier, 'PolicyNotFound')
+          .withArgs(POLICY_ID);
+      });
+
+      it('the name can be registered again', async function () {
+        await this.policyVerifier.registerPolicy(POLICY_NAME, [], [], [], 0);
+        expect((await this.policyVerifier.getPolicy(POLICY_ID)).admin).to.equal(deployer.address);
+      });
+    });
+  });
+
+  describe('satisfies(address, bytes32)', function () {
+    const TOKEN_ID = 1n;
+
+    it('reverts with PolicyNotFound if the policy does not exist', async function () {
+      await expect(this.policyVerifier.satisfies(user.address, POLICY_ID))
+        .to.be.revertedWithCustomError(this.policyVerifier, 'PolicyNotFound')
+        .withArgs(POLICY_ID);
+    });
+
+    context('with a KYC-like policy only requiring an issuer DID', function () {
+      beforeEach(async function () {
+        await this.policyVerifier.registerPolicy(POLICY_NAME, [HASHED_ISSUER_DID], [], [], 0);
+      });
+
+      it('returns false when the account holds no certificate', async function () {
+        expect(await this.policyVerifier.satisfies(user.address, POLICY_ID)).to.deep.equal([false, 0n]);
+      });
+
+      it('returns false when the certificate is from another issuer', async function () {
+        await this.ocNFT.mint(user.address, TOKEN_ID, makeMetaData({issuerDid: OTHER_DID}));
+        expect(await this.policyVerifier.satisfies(user.address, POLICY_ID)).to.deep.equal([false, 0n]);
+      });
+
+      it('returns the matching token', async function () {
+        await this.ocNFT.mint(user.address, 2n, makeMetaData({issuerDid: OTHER_DID}));
+        await this.ocNFT.mint(user.address, TOKEN_ID, makeMetaData());
+        expect(await this.policyVerifier.satisfies(user.address, POLICY_ID)).to.deep.equal([true, TOKEN_ID]);
+      });
+
+      it('returns false when the certificate is revoked', async function () {
+        await this.ocNFT.mint(user.address, TOKEN_ID, makeMetaData());
+        const ru = new RevocationUtil(ISSUER.privateKey, await this.revocationRegistry.getAddress());
+        const {hashedDid, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+        await this.revocationRegistry.revokeVC(hashedDid, TOKEN_ID, reason, nonce, expiry, signature);
+        expect(await this.policyVerifier.satisfies(user.address, POLICY_ID)).to.deep.equal([false, 0n]);
+      });
+
+      it('returns false when the certificate is expired', async function () {
+        await this.ocNFT.mint(user.address, TOKEN_ID, {...makeMetaData(), validUtil: now + 1000});
+        await time.increase(2);
+        expect(await this.policyVerifier.satisfies(user.address, POLICY_ID)).to.deep.equal([false, 0n]);
+      });
+
+      it('returns false when the issuer DID has no valid key', async function () {
+        await this.ocNFT.mint(user.address, TOKEN_ID, makeMetaData());
+        await this.didRegistry.removeIssuer(ISSUER.did, ISSUER.address);
+        expect(await this.policyVerifier.satisfies(user.address, POLICY_ID)).to.deep.equal([false, 0n]);
+      });
+    });
+
+    context('with a policy requiring achievement ids, types and a minimum awarded date', function () {
+      beforeEach(async function () {
+        await this.policyVerifier.registerPolicy(
+          POLICY_NAME,
+          [HASHED_ISSUER_DID, HASHED_OTHER_DID],
+          [keccak256(toUtf8Bytes('course-a')), keccak256(toUtf8Bytes('course-b'))],
+          [3, 5],
+          now
+        );
+      });
+
+      it('returns false when the achievement id does not match', async function () {
+        await this.ocNFT.mint(user.address, TOKEN_ID, makeMetaData({achievementId: 'course-c'}));
+        expect(await this.policyVerifier.satisfies(user.address, POLICY_ID)).to.deep.equal([false, 0n]);
+      });
+
+      it('returns false when the achievement type does not match', async function () {
+        await this.ocNFT.mint(user.address, TOKEN_ID, makeMetaData({achievementId: 'course-a', achievementType: 4}));
+        expect(await this.policyVerifier.satisfies(user.address, POLICY_ID)).to.deep.equal([false, 0n]);
+      });
+
+      it('returns false when the certificate was awarded before the minimum awarded date', async function () {
+        await this.ocNFT.mint(user.address, TOKEN_ID, makeMetaData({achievementId: 'course-a', awardedDate: now - 1}));
+        expect(await this.policyVerifier.satisfies(user.address, POLICY_ID)).to.deep.equal([false, 0n]);
+      });
+
+      it('returns the token matching every requirement', async function () {
+        await this.ocNFT.mint(user.address, TOKEN_ID, makeMetaData({issuerDid: OTHER_DID, achievementId: 'course-b', achievementType: 5}));
+        expect(await this.policyVerifier.satisfies(user.address, POLICY_ID)).to.deep.equal([true, TOKEN_ID]);
+        expect(await this.policyVerifier.satisfies(other.address, POLICY_ID)).to.deep.equal([false, 0n]);
+      });
+    });
+  });
+});
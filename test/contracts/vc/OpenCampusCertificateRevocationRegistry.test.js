@@ -2,8 +2,11 @@
 const {ethers} = require('hardhat');
 const {keccak256, toUtf8Bytes} = require('ethers');
 const {expect} = require('chai');
+const {time} = require('@nomicfoundation/hardhat-network-helpers');
 const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
+const {deployContract} = require('@animoca/ethereum-contract-helpers/src/test/deploy');
 const {RevocationUtil} = require('./utils/revocation');
+const {encodeIssuerSignatures} = require('./utils/signatures');
 
 const {setupOpenCampusRevocationRegistry} = require('../setup');
 
@@ -19,6 +22,11 @@ const ISSUER = {
   hashedDid: keccak256(toUtf8Bytes(ISSUER_DID)),
 };
 
+const CO_SIGNERS = [
+  {address: '0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF', privateKey: '0x0000000000000000000000000000000000000000000000000000000000000002'},
+  {address: '0x6813Eb9362372EEF6200f3b1dbC3f819671cBA69', privateKey: '0x0000000000000000000000000000000000000000000000000000000000000003'},
+];
+
 const TOKEN_ID = '0x3E68D6D114FC48F393517777295C8D64';
 const TOKEN_IDS = ['0x3E68D6D114FC48F393517777295C8D64', '0x3E68D6D114FC48F393517777295C8D65', '0x3E68D6D114FC48F393517777295C8D66'];
 
@@ -43,19 +51,17 @@ describe('OpenCampusCertificateRevocationRegistry', function () {
   describe('Test for invalid issuer not in DIDRegistry', function () {
     context('Test for rejections', function () {
       it('revokeVC should revert with InvalidIssuer', async function () {
-        const {hashedDid, tokenId, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
-        await expect(this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, signature)).to.be.revertedWithCustomError(
-          this.revocationRegistry,
-          'InvalidIssuer'
-        );
+        const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+        await expect(
+          this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature)
+        ).to.be.revertedWithCustomError(this.revocationRegistry, 'InvalidIssuer');
       });
 
       it('batchRevokeVCs should revert with InvalidIssuer', async function () {
-        const {hashedDid, tokenId: tokenIds, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS);
-        await expect(this.revocationRegistry.connect(deployer).batchRevokeVCs(hashedDid, tokenIds, signature)).to.be.revertedWithCustomError(
-          this.revocationRegistry,
-          'InvalidIssuer'
-        );
+        const {hashedDid, tokenId: tokenIds, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS);
+        await expect(
+          this.revocationRegistry.connect(deployer).batchRevokeVCs(hashedDid, tokenIds, reason, nonce, expiry, signature)
+        ).to.be.revertedWithCustomError(this.revocationRegistry, 'InvalidIssuer');
       });
 
       it('isRevoked should return false for anything', async function () {
@@ -71,15 +77,15 @@ describe('OpenCampusCertificateRevocationRegistry', function () {
         await this.didRegistry.connect(deployer).addIssuer(ISSUER.did, ISSUER.address);
       });
 
-      it('revokeVC(bytes32 hashedIssuerDid, uint256 vcId, bytes calldata signature)', async function () {
-        const {hashedDid, tokenId, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
-        await this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, signature);
+      it('revokeVC(bytes32 hashedIssuerDid, uint256 vcId, uint8 reason, uint256 nonce, uint256 expiry, bytes calldata signature)', async function () {
+        const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+        await this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
         assert(true === (await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_ID)));
       });
 
-      it('batchRevokeVCs(bytes32 hashedIssuerDid, uint256[] calldata vcIds, bytes calldata signature)', async function () {
-        const {hashedDid, tokenId: tokenIds, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS);
-        await this.revocationRegistry.connect(deployer).batchRevokeVCs(hashedDid, tokenIds, signature);
+      it('batchRevokeVCs(bytes32 hashedIssuerDid, uint256[] calldata vcIds, uint8 reason, uint256 nonce, uint256 expiry, bytes calldata signature)', async function () {
+        const {hashedDid, tokenId: tokenIds, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS);
+        await this.revocationRegistry.connect(deployer).batchRevokeVCs(hashedDid, tokenIds, reason, nonce, expiry, signature);
         assert(true === (await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_IDS[0])));
         assert(true === (await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_IDS[1])));
         assert(true === (await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_IDS[2])));
@@ -94,41 +100,46 @@ describe('OpenCampusCertificateRevocationRegistry', function () {
       it('revokeVC reverted when signature is invalid for the whitelisted addresses', async function () {
         const otherPrivateKey = '0x5a5c9a0954cc0a98584542c0fae233819133f8fc3ebafed632104bbe10000000';
 
-        const {hashedDid, tokenId, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID, otherPrivateKey);
-        await expect(this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, signature)).to.be.revertedWithCustomError(
-          this.revocationRegistry,
-          'InvalidIssuer'
-        );
+        const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID, otherPrivateKey);
+        await expect(
+          this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature)
+        ).to.be.revertedWithCustomError(this.revocationRegistry, 'InvalidIssuer');
       });
 
       it('batchRevokeVCs reverted when signature is invalid for the whitelisted addresses', async function () {
         const otherPrivateKey = '0x5a5c9a0954cc0a98584542c0fae233819133f8fc3ebafed632104bbe10000000';
-        const {hashedDid, tokenId: tokenIds, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS, otherPrivateKey);
-        await expect(this.revocationRegistry.connect(deployer).batchRevokeVCs(hashedDid, tokenIds, signature)).to.be.revertedWithCustomError(
-          this.revocationRegistry,
-          'InvalidIssuer'
-        );
+        const {
+          hashedDid,
+          tokenId: tokenIds,
+          reason,
+          nonce,
+          expiry,
+          signature,
+        } = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS, otherPrivateKey);
+        await expect(
+          this.revocationRegistry.connect(deployer).batchRevokeVCs(hashedDid, tokenIds, reason, nonce, expiry, signature)
+        ).to.be.revertedWithCustomError(this.revocationRegistry, 'InvalidIssuer');
       });
 
       it('test bad signature check for revokeVC', async function () {
-        const {hashedDid, tokenId, nonce, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
-        await expect(this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, signature.slice(1))).to.be.revertedWith(
-          'ECDSA: invalid signature length'
-        );
+        const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+        await expect(
+          this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature.slice(1))
+        ).to.be.revertedWith('ECDSA: invalid signature length');
       });
 
       it('test bad signature (0) check for revokeVC', async function () {
-        const {hashedDid, tokenId, nonce, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
-        await expect(this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, '0x000000')).to.be.revertedWith(
+        const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+        await expect(this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, reason, nonce, expiry, '0x000000')).to.be.revertedWith(
           'ECDSA: invalid signature length'
         );
       });
 
       it('btest bad signature check for batchRevokeVCs', async function () {
-        const {hashedDid, tokenId: tokenIds, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS);
-        await expect(this.revocationRegistry.connect(deployer).batchRevokeVCs(hashedDid, tokenIds, signature.slice(1))).to.be.revertedWith(
-          'ECDSA: invalid signature length'
-        );
+        const {hashedDid, tokenId: tokenIds, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS);
+        await expect(
+          this.revocationRegistry.connect(deployer).batchRevokeVCs(hashedDid, tokenIds, reason, nonce, expiry, signature.slice(1))
+        ).to.be.revertedWith('ECDSA: invalid signature length');
       });
     });
   });
@@ -141,8 +152,8 @@ describe('OpenCampusCertificateRevocationRegistry', function () {
       });
 
       it('revokeVC success then fail on checkIfRevoked after removal of issuer', async function () {
-        const {hashedDid, tokenId, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
-        await this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, signature);
+        const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+        await this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
         assert(true === (await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_ID)));
 
         // remove issuer
@@ -151,8 +162,8 @@ describe('OpenCampusCertificateRevocationRegistry', function () {
       });
 
       it('batchRevokeVCs success then fail on checkIfRevoked after removal of issuer', async function () {
-        const {hashedDid, tokenId: tokenIds, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS);
-        await this.revocationRegistry.connect(deployer).batchRevokeVCs(hashedDid, tokenIds, signature);
+        const {hashedDid, tokenId: tokenIds, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS);
+        await this.revocationRegistry.connect(deployer).batchRevokeVCs(hashedDid, tokenIds, reason, nonce, expiry, signature);
         assert(true === (await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_IDS[0])));
         assert(true === (await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_IDS[1])));
         assert(true === (await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_IDS[2])));
@@ -165,4 +176,389 @@ describe('OpenCampusCertificateRevocationRegistry', function () {
       });
     });
   });
+
+  describe('Test for revocation reasons, suspensions and reinstatements', function () {
+    beforeEach(async function () {
+      await this.didRegistry.connect(deployer).addIssuer(ISSUER.did, ISSUER.address);
+    });
+
+    context('revokeVC', function () {
+      beforeEach(async function () {
+        const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID, undefined, {reason: 3});
+        this.receipt = await this.revocationRegistry.connect(deployer).revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      });
+
+      it('stores the revoker, the timestamp and the reason', async function () {
+        const revocation = await this.revocationRegistry.revocations(ISSUER.hashedDid, TOKEN_ID);
+        expect(revocation.revoker).to.equal(ISSUER.address);
+        expect(revocation.timestamp).to.equal(await time.latest());
+        expect(revocation.reason).to.equal(3);
+        expect(revocation.suspended).to.be.false;
+      });
+
+      it('returns the revoker and the reason', async function () {
+        expect(await this.revocationRegistry.revocation(ISSUER.hashedDid, TOKEN_ID)).to.deep.equal([ISSUER.address, 3n]);
+        expect(await this.revocationRegistry.revocation(ISSUER.hashedDid, BigInt(TOKEN_ID) + 1n)).to.deep.equal([ethers.ZeroAddress, 0n]);
+      });
+
+      it('emits a VcRevoked event', async function () {
+        await expect(this.receipt).to.emit(this.revocationRegistry, 'VcRevoked').withArgs(ISSUER.hashedDid, ISSUER.address, TOKEN_ID, 3, false);
+      });
+
+      it('is revoked but not suspended', async function () {
+        expect(await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_ID)).to.be.true;
+        expect(await this.revocationRegistry.isSuspended(ISSUER.hashedDid, TOKEN_ID)).to.be.false;
+      });
+
+      it('suspendVC reverts with VcAlreadyRevoked', async function () {
+        const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makeSuspendPayloadAndSignature(ISSUER.did, TOKEN_ID);
+        await expect(this.revocationRegistry.suspendVC(hashedDid, tokenId, reason, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.revocationRegistry, 'VcAlreadyRevoked')
+          .withArgs(ISSUER.hashedDid, TOKEN_ID);
+      });
+
+      it('reinstateVC reverts with VcNotSuspended', async function () {
+        const {hashedDid, tokenId, nonce, expiry, signature} = await ru.makeReinstatePayloadAndSignature(ISSUER.did, TOKEN_ID);
+        await expect(this.revocationRegistry.reinstateVC(hashedDid, tokenId, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.revocationRegistry, 'VcNotSuspended')
+          .withArgs(ISSUER.hashedDid, TOKEN_ID);
+      });
+    });
+
+    context('batchRevokeVCs', function () {
+      it('stores the reason and emits a VcRevoked event for each VC', async function () {
+        const {
+          hashedDid,
+          tokenId: tokenIds,
+          reason,
+          nonce,
+          expiry,
+          signature,
+        } = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS, undefined, {reason: 5});
+        const receipt = await this.revocationRegistry.connect(deployer).batchRevokeVCs(hashedDid, tokenIds, reason, nonce, expiry, signature);
+        for (const vcId of TOKEN_IDS) {
+          expect((await this.revocationRegistry.revocations(ISSUER.hashedDid, vcId)).reason).to.equal(5);
+          await expect(receipt).to.emit(this.revocationRegistry, 'VcRevoked').withArgs(ISSUER.hashedDid, ISSUER.address, vcId, 5, false);
+        }
+      });
+
+      it('reverts with InvalidIssuer when the reason does not match the signature', async function () {
+        const {
+          hashedDid,
+          tokenId: tokenIds,
+          nonce,
+          expiry,
+          signature,
+        } = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS, undefined, {reason: 5});
+        await expect(this.revocationRegistry.batchRevokeVCs(hashedDid, tokenIds, 6, nonce, expiry, signature)).to.be.revertedWithCustomError(
+          this.revocationRegistry,
+          'InvalidIssuer'
+        );
+      });
+    });
+
+    context('suspendVC', function () {
+      beforeEach(async function () {
+        const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makeSuspendPayloadAndSignature(ISSUER.did, TOKEN_ID, undefined, {
+          reason: 2,
+        });
+        this.receipt = await this.revocationRegistry.connect(deployer).suspendVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      });
+
+      it('stores the suspension', async function () {
+        const revocation = await this.revocationRegistry.revocations(ISSUER.hashedDid, TOKEN_ID);
+        expect(revocation.revoker).to.equal(ISSUER.address);
+        expect(revocation.reason).to.equal(2);
+        expect(revocation.suspended).to.be.true;
+      });
+
+      it('emits a VcRevoked event', async function () {
+        await expect(this.receipt).to.emit(this.revocationRegistry, 'VcRevoked').withArgs(ISSUER.hashedDid, ISSUER.address, TOKEN_ID, 2, true);
+      });
+
+      it('is revoked and suspended', async function () {
+        expect(await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_ID)).to.be.true;
+        expect(await this.revocationRegistry.isSuspended(ISSUER.hashedDid, TOKEN_ID)).to.be.true;
+      });
+
+      it('is not suspended anymore after removal of issuer', async function () {
+        await this.didRegistry.connect(deployer).removeIssuer(ISSUER.did, ISSUER.address);
+        expect(await this.revocationRegistry.isSuspended(ISSUER.hashedDid, TOKEN_ID)).to.be.false;
+      });
+
+      it('can be permanently revoked', async function () {
+        const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+        await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+        expect(await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_ID)).to.be.true;
+        expect(await this.revocationRegistry.isSuspended(ISSUER.hashedDid, TOKEN_ID)).to.be.false;
+      });
+
+      context('reinstateVC', function () {
+        it('reverts with InvalidIssuer when signed by a non whitelisted address', async function () {
+          const otherPrivateKey = '0x5a5c9a0954cc0a98584542c0fae233819133f8fc3ebafed632104bbe10000000';
+          const {hashedDid, tokenId, nonce, expiry, signature} = await ru.makeReinstatePayloadAndSignature(ISSUER.did, TOKEN_ID, otherPrivateKey);
+          await expect(this.revocationRegistry.reinstateVC(hashedDid, tokenId, nonce, expiry, signature)).to.be.revertedWithCustomError(
+            this.revocationRegistry,
+            'InvalidIssuer'
+          );
+        });
+
+        context('when successful', function () {
+          beforeEach(async function () {
+            const {hashedDid, tokenId, nonce, expiry, signature} = await ru.makeReinstatePayloadAndSignature(ISSUER.did, TOKEN_ID);
+            this.receipt = await this.revocationRegistry.reinstateVC(hashedDid, tokenId, nonce, expiry, signature);
+          });
+
+          it('clears the revocation', async function () {
+            const revocation = await this.revocationRegistry.revocations(ISSUER.hashedDid, TOKEN_ID);
+            expect(revocation.revoker).to.equal(ethers.ZeroAddress);
+            expect(await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_ID)).to.be.false;
+            expect(await this.revocationRegistry.isSuspended(ISSUER.hashedDid, TOKEN_ID)).to.be.false;
+          });
+
+          it('emits a VcReinstated event', async function () {
+            await expect(this.receipt).to.emit(this.revocationRegistry, 'VcReinstated').withArgs(ISSUER.hashedDid, ISSUER.address, TOKEN_ID);
+          });
+        });
+      });
+    });
+  });
+
+  describe('Test for signature nonces and expiries', function () {
+    beforeEach(async function () {
+      await this.didRegistry.connect(deployer).addIssuer(ISSUER.did, ISSUER.address);
+    });
+
+    it('starts with a nonce of 0 and increments it on each use', async function () {
+      expect(await this.revocationRegistry.nonces(ISSUER.hashedDid)).to.equal(0);
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makeSuspendPayloadAndSignature(ISSUER.did, TOKEN_ID);
+      await this.revocationRegistry.suspendVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      expect(await this.revocationRegistry.nonces(ISSUER.hashedDid)).to.equal(1);
+      const reinstatePayload = await ru.makeReinstatePayloadAndSignature(ISSUER.did, TOKEN_ID);
+      await this.revocationRegistry.reinstateVC(hashedDid, tokenId, reinstatePayload.nonce, reinstatePayload.expiry, reinstatePayload.signature);
+      expect(await this.revocationRegistry.nonces(ISSUER.hashedDid)).to.equal(2);
+    });
+
+    it('revokeVC reverts with InvalidNonce when a signature is reused', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+      await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      await expect(this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.revocationRegistry, 'InvalidNonce')
+        .withArgs(ISSUER.hashedDid, nonce);
+    });
+
+    it('batchRevokeVCs reverts with InvalidNonce when a signature is reused', async function () {
+      const {hashedDid, tokenId: tokenIds, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS);
+      await this.revocationRegistry.batchRevokeVCs(hashedDid, tokenIds, reason, nonce, expiry, signature);
+      await expect(this.revocationRegistry.batchRevokeVCs(hashedDid, tokenIds, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.revocationRegistry, 'InvalidNonce')
+        .withArgs(ISSUER.hashedDid, nonce);
+    });
+
+    it('revokeVC reverts with InvalidNonce when the nonce is ahead of the current nonce', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID, undefined, {nonce: 1});
+      await expect(this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.revocationRegistry, 'InvalidNonce')
+        .withArgs(ISSUER.hashedDid, 1);
+    });
+
+    it('a suspension signature cannot be replayed after a reinstatement', async function () {
+      const suspendPayload = await ru.makeSuspendPayloadAndSignature(ISSUER.did, TOKEN_ID);
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = suspendPayload;
+      await this.revocationRegistry.suspendVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      const reinstatePayload = await ru.makeReinstatePayloadAndSignature(ISSUER.did, TOKEN_ID);
+      await this.revocationRegistry.reinstateVC(hashedDid, tokenId, reinstatePayload.nonce, reinstatePayload.expiry, reinstatePayload.signature);
+      await expect(this.revocationRegistry.suspendVC(hashedDid, tokenId, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.revocationRegistry, 'InvalidNonce')
+        .withArgs(ISSUER.hashedDid, nonce);
+    });
+
+    it('revokeVC reverts with ExpiredSignature when the signature has expired', async function () {
+      const expiry = (await time.latest()) - 1;
+      const {hashedDid, tokenId, reason, nonce, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID, undefined, {expiry});
+      await expect(this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.revocationRegistry, 'ExpiredSignature')
+        .withArgs(expiry);
+    });
+
+    it('batchRevokeVCs reverts with ExpiredSignature when the signature has expired', async function () {
+      const expiry = (await time.latest()) + 100;
+      const {hashedDid, tokenId: tokenIds, reason, nonce, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS, undefined, {expiry});
+      await time.increaseTo(expiry + 1);
+      await expect(this.revocationRegistry.batchRevokeVCs(hashedDid, tokenIds, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.revocationRegistry, 'ExpiredSignature')
+        .withArgs(expiry);
+    });
+
+    it('revokeVC succeeds until the expiry', async function () {
+      const expiry = (await time.latest()) + 100;
+      const {hashedDid, tokenId, reason, nonce, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID, undefined, {expiry});
+      await time.setNextBlockTimestamp(expiry);
+      await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      expect(await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_ID)).to.be.true;
+    });
+
+    it('revokeVC reverts with InvalidIssuer when the expiry does not match the signature', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+      await expect(this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry - 1n, signature)).to.be.revertedWithCustomError(
+        this.revocationRegistry,
+        'InvalidIssuer'
+      );
+    });
+  });
+
+  describe('Test for issuer key validity windows', function () {
+    beforeEach(async function () {
+      await this.didRegistry.connect(deployer).addIssuer(ISSUER.did, ISSUER.address);
+    });
+
+    it('revokeVC reverts with InvalidIssuer when the issuer key has expired', async function () {
+      const validUntil = (await time.latest()) + 10;
+      await this.didRegistry.setIssuerKeyValidity(ISSUER.did, ISSUER.address, 0, validUntil);
+      await time.increaseTo(validUntil + 1);
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+      await expect(this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.revocationRegistry, 'InvalidIssuer')
+        .withArgs(ISSUER.hashedDid, ISSUER.address);
+    });
+
+    it('a revocation remains effective after the expiry or rotation of the revoker key', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+      await this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      await this.didRegistry.rotateIssuerKey(ISSUER.did, ISSUER.address, ISSUER.otherAddress);
+      await time.increase(1);
+      expect(await this.didRegistry.issuers(ISSUER.hashedDid, ISSUER.address)).to.be.false;
+      expect(await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_ID)).to.be.true;
+    });
+
+    it('a suspension is not effective if the revoker key was not yet valid at the suspension time', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makeSuspendPayloadAndSignature(ISSUER.did, TOKEN_ID);
+      await this.revocationRegistry.suspendVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      await this.didRegistry.setIssuerKeyValidity(ISSUER.did, ISSUER.address, (await time.latest()) + 1, 2n ** 64n - 1n);
+      expect(await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_ID)).to.be.false;
+      expect(await this.revocationRegistry.isSuspended(ISSUER.hashedDid, TOKEN_ID)).to.be.false;
+    });
+  });
+
+  describe('Test for signature thresholds', function () {
+    beforeEach(async function () {
+      await this.didRegistry.connect(deployer).addIssuer(ISSUER.did, ISSUER.address);
+      await this.didRegistry.connect(deployer).addIssuer(ISSUER.did, CO_SIGNERS[0].address);
+      await this.didRegistry.connect(deployer).setSignatureThreshold(ISSUER.did, 2);
+    });
+
+    it('revokeVC reverts with InsufficientIssuerSignatures with fewer signers than the threshold', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+      await expect(this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.revocationRegistry, 'InsufficientIssuerSignatures')
+        .withArgs(ISSUER.hashedDid, 1, 2);
+    });
+
+    it('revokeVC reverts with InsufficientIssuerSignatures when the same key signs twice', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID, [
+        ISSUER.privateKey,
+        ISSUER.privateKey,
+      ]);
+      await expect(this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.revocationRegistry, 'InsufficientIssuerSignatures')
+        .withArgs(ISSUER.hashedDid, 1, 2);
+    });
+
+    it('revokeVC reverts with InvalidIssuer when one of the signers is not a valid key', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID, [
+        ISSUER.privateKey,
+        CO_SIGNERS[1].privateKey,
+      ]);
+      await expect(this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.revocationRegistry, 'InvalidIssuer')
+        .withArgs(ISSUER.hashedDid, CO_SIGNERS[1].address);
+    });
+
+    it('revokeVC reverts with an invalid signature length when the signatures are truncated', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID, [
+        ISSUER.privateKey,
+        CO_SIGNERS[0].privateKey,
+      ]);
+      await expect(this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature.slice(0, 129))).to.be.revertedWith(
+        'ECDSA: invalid signature length'
+      );
+    });
+
+    it('revokeVC succeeds with the threshold of distinct valid keys, recording the first signer as revoker', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID, [
+        CO_SIGNERS[0].privateKey,
+        ISSUER.privateKey,
+      ]);
+      await expect(this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature))
+        .to.emit(this.revocationRegistry, 'VcRevoked')
+        .withArgs(ISSUER.hashedDid, CO_SIGNERS[0].address, TOKEN_ID, reason, false);
+      expect(await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_ID)).to.be.true;
+    });
+
+    it('batchRevokeVCs succeeds with the threshold of distinct valid keys', async function () {
+      const {
+        hashedDid,
+        tokenId: tokenIds,
+        reason,
+        nonce,
+        expiry,
+        signature,
+      } = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS, [ISSUER.privateKey, CO_SIGNERS[0].privateKey]);
+      await this.revocationRegistry.batchRevokeVCs(hashedDid, tokenIds, reason, nonce, expiry, signature);
+      expect(await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_IDS[2])).to.be.true;
+    });
+  });
+
+  describe('Test for contract wallet issuers', function () {
+    beforeEach(async function () {
+      this.wallet = await deployContract('ERC1271IssuerMock', CO_SIGNERS[1].address);
+      await this.didRegistry.connect(deployer).addIssuer(ISSUER.did, this.wallet);
+      this.walletAddress = await this.wallet.getAddress();
+    });
+
+    it('revokeVC succeeds with an ERC1271 signature of the wallet, recording the wallet as revoker', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID, CO_SIGNERS[1].privateKey);
+      const walletSignature = encodeIssuerSignatures([{signer: this.walletAddress, signature}]);
+      await expect(this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, walletSignature))
+        .to.emit(this.revocationRegistry, 'VcRevoked')
+        .withArgs(ISSUER.hashedDid, this.walletAddress, TOKEN_ID, reason, false);
+      expect(await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_ID)).to.be.true;
+    });
+
+    it('revokeVC reverts with InvalidContractSignature if the wallet rejects the signature', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID);
+      const walletSignature = encodeIssuerSignatures([{signer: this.walletAddress, signature}]);
+      await expect(this.revocationRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, walletSignature))
+        .to.be.revertedWithCustomError(this.revocationRegistry, 'InvalidContractSignature')
+        .withArgs(this.walletAddress);
+    });
+
+    it('does not let the wallet re-enter the registry while validating a signature', async function () {
+      const reentrant = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_IDS[1], CO_SIGNERS[1].privateKey);
+      await this.wallet.setReentrancy(
+        this.revocationRegistry,
+        this.revocationRegistry.interface.encodeFunctionData('revokeVC', [
+          reentrant.hashedDid,
+          TOKEN_IDS[1],
+          reentrant.reason,
+          reentrant.nonce,
+          reentrant.expiry,
+          encodeIssuerSignatures([{signer: this.walletAddress, signature: reentrant.signature}]),
+        ])
+      );
+
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await ru.makePayloadAndSignature(ISSUER.did, TOKEN_ID, CO_SIGNERS[1].privateKey);
+      await this.revocationRegistry.revokeVC(
+        hashedDid,
+        tokenId,
+        reason,
+        nonce,
+        expiry,
+        encodeIssuerSignatures([{signer: this.walletAddress, signature}])
+      );
+      expect(await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_ID)).to.be.true;
+      expect(await this.revocationRegistry.isRevoked(ISSUER.hashedDid, TOKEN_IDS[1])).to.be.false;
+      expect(await this.revocationRegistry.nonces(ISSUER.hashedDid)).to.equal(nonce + 1n);
+    });
+  });
 });
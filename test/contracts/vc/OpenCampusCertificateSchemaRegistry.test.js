@@ -0,0 +1,190 @@
+/* eslint-disable max-len */
+const {ethers} = require('hardhat');
+const {keccak256, toUtf8Bytes, ZeroHash} = require('ethers');
+const {expect} = require('chai');
+const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
+
+const {setupOpenCampusCertificateSchemaRegistry} = require('../setup');
+
+const ISSUER_DID =
+  'did:key:zUC7KtygRhrsVGTMYx7LHWsg3dpPscW6VcBvps4KgoziJ2vYXW3er1vH9mCqM67q3Nqc3BXAy488po6zMu6yEXdWz4oRLD9rbP5abPAKFuZXqTiwyvrgDehsYtw1NjAhUSzcYiL';
+const HASHED_DID = keccak256(toUtf8Bytes(ISSUER_DID));
+
+const SCHEMA_VERSION = 1;
+const ACHIEVEMENT_TYPE = 3;
+const SCHEMA_HASH = keccak256(toUtf8Bytes('{"type":"object"}'));
+const SCHEMA_URI = 'ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+
+describe('OpenCampusCertificateSchemaRegistry', function () {
+  let deployer, user, payoutWallet, issuer, other;
+
+  before(async function () {
+    [deployer, user, payoutWallet, issuer, other] = await ethers.getSigners();
+  });
+
+  const fixture = async function () {
+    await setupOpenCampusCertificateSchemaRegistry.call(this, deployer, user, payoutWallet);
+    await this.didRegistry.addIssuer(ISSUER_DID, issuer.address);
+  };
+
+  beforeEach(async function () {
+    await loadFixture(fixture, this);
+  });
+
+  describe('registerSchema(uint16, uint16, bytes32, string)', function () {
+    it('reverts with NotRoleHolder if the sender is not an operator', async function () {
+      await expect(this.schemaRegistry.connect(other).registerSchema(SCHEMA_VERSION, ACHIEVEMENT_TYPE, SCHEMA_HASH, SCHEMA_URI))
+        .to.be.revertedWithCustomError(this.schemaRegistry, 'NotRoleHolder')
+        .withArgs(await this.schemaRegistry.OPERATOR_ROLE(), other.address);
+    });
+
+    it('reverts with InvalidSchemaHash if the schema hash is zero', async function () {
+      await expect(this.schemaRegistry.registerSchema(SCHEMA_VERSION, ACHIEVEMENT_TYPE, ZeroHash, SCHEMA_URI)).to.be.revertedWithCustomError(
+        this.schemaRegistry,
+        'InvalidSchemaHash'
+      );
+    });
+
+    it('reverts with SchemaAlreadyRegistered if the schema is already registered', async function () {
+      await this.schemaRegistry.registerSchema(SCHEMA_VERSION, ACHIEVEMENT_TYPE, SCHEMA_HASH, SCHEMA_URI);
+      await expect(this.schemaRegistry.registerSchema(SCHEMA_VERSION, ACHIEVEMENT_TYPE, SCHEMA_HASH, SCHEMA_URI))
+        .to.be.revertedWithCustomError(this.schemaRegistry, 'SchemaAlreadyRegistered')
+        .withArgs(SCHEMA_VERSION, ACHIEVEMENT_TYPE);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        this.receipt = await this.schemaRegistry.registerSchema(SCHEMA_VERSION, ACHIEVEMENT_TYPE, SCHEMA_HASH, SCHEMA_URI);
+      });
+
+      it('stores the schema hash and URI', async function () {
+        const schema = await this.schemaRegistry.schemas(SCHEMA_VERSION, ACHIEVEMENT_TYPE);
+        expect(schema.schemaHash).to.equal(SCHEMA_HASH);
+        expect(schema.uri).to.equal(SCHEMA_URI);
+      });
+
+      it('registers the schema', async function () {
+        expect(await this.schemaRegistry.isSchemaRegistered(SCHEMA_VERSION, ACHIEVEMENT_TYPE)).to.be.true;
+        expect(await this.schemaRegistry.isSchemaRegistered(SCHEMA_VERSION + 1, ACHIEVEMENT_TYPE)).to.be.false;
+        expect(await this.schemaRegistry.isSchemaRegistered(SCHEMA_VERSION, ACHIEVEMENT_TYPE + 1)).to.be.false;
+      });
+
+      it('emits a SchemaRegistered event', async function () {
+        await expect(this.receipt)
+          .to.emit(this.schemaRegistry, 'SchemaRegistered')
+          .withArgs(SCHEMA_VERSION, ACHIEVEMENT_TYPE, SCHEMA_HASH, SCHEMA_URI, deployer.address);
+      });
+    });
+  });
+
+  describe('unregisterSchema(uint16, uint16)', function () {
+    it('reverts with NotRoleHolder if the sender is not an operator', async function () {
+      await expect(this.schemaRegistry.connect(other).unregisterSchema(SCHEMA_VERSION, ACHIEVEMENT_TYPE))
+        .to.be.revertedWithCustomError(this.schemaRegistry, 'NotRoleHolder')
+        .withArgs(await this.schemaRegistry.OPERATOR_ROLE(), other.address);
+    });
+
+    it('reverts with SchemaNotRegistered if the schema is not registered', async function () {
+      await expect(this.schemaRegistry.unregisterSchema(SCHEMA_VERSION, ACHIEVEMENT_TYPE))
+        .to.be.revertedWithCustomError(this.schemaRegistry, 'SchemaNotRegistered')
+        .withArgs(SCHEMA_VERSION, ACHIEVEMENT_TYPE);
+    });
+
+    context('when successful', function () {
+      beforeEach(async function () {
+        await this.schemaRegistry.registerSchema(SCHEMA_VERSION, ACHIEVEMENT_TYPE, SCHEMA_HASH, SCHEMA_URI);
+        this.receipt = await this.schemaRegistry.unregisterSchema(SCHEMA_VERSION, ACHIEVEMENT_TYPE);
+      });
+
+      it('unregisters the schema', async function () {
+        expect(await this.schemaRegistry.isSchemaRegistered(SCHEMA_VERSION, ACHIEVEMENT_TYPE)).to.be.false;
+        const schema = await this.schemaRegistry.schemas(SCHEMA_VERSION, ACHIEVEMENT_TYPE);
+        expect(schema.uri).to.equal('');
+      });
+
+      it('emits a SchemaUnregistered event', async function () {
+        await expect(this.receipt).to.emit(this.schemaRegistry, 'SchemaUnregistered').withArgs(SCHEMA_VERSION, ACHIEVEMENT_TYPE, deployer.address);
+      });
+
+      it('the schema can be registered again', async function () {
+        await this.schemaRegistry.registerSchema(SCHEMA_VERSION, ACHIEVEMENT_TYPE, SCHEMA_HASH, SCHEMA_URI);
+        expect(await this.schemaRegistry.isSchemaRegistered(SCHEMA_VERSION, ACHIEVEMENT_TYPE)).to.be.true;
+      });
+    });
+  });
+
+  describe('setRestricted(bytes32, bool)', function () {
+    it('reverts with IssuerNotAllowed if the sender is not a valid issuer of the did', async function () {
+      await expect(this.schemaRegistry.connect(other).setRestricted(HASHED_DID, true))
+        .to.be.revertedWithCustomError(this.schemaRegistry, 'IssuerNotAllowed')
+        .withArgs(HASHED_DID, other.address);
+    });
+
+    it('reverts with IssuerNotAllowed if the sender is an operator', async function () {
+      await expect(this.schemaRegistry.setRestricted(HASHED_DID, true))
+        .to.be.revertedWithCustomError(this.schemaRegistry, 'IssuerNotAllowed')
+        .withArgs(HASHED_DID, deployer.address);
+    });
+
+    it('restricts the did and emits an AchievementTypesRestricted event', async function () {
+      await expect(this.schemaRegistry.connect(issuer).setRestricted(HASHED_DID, true))
+        .to.emit(this.schemaRegistry, 'AchievementTypesRestricted')
+        .withArgs(HASHED_DID, true, issuer.address);
+      expect(await this.schemaRegistry.restricted(HASHED_DID)).to.be.true;
+    });
+  });
+
+  describe('setAchievementTypeAllowed(bytes32, uint16, bool)', function () {
+    it('reverts with IssuerNotAllowed if the sender is not a valid issuer of the did', async function () {
+      await expect(this.schemaRegistry.connect(other).setAchievementTypeAllowed(HASHED_DID, ACHIEVEMENT_TYPE, true))
+        .to.be.revertedWithCustomError(this.schemaRegistry, 'IssuerNotAllowed')
+        .withArgs(HASHED_DID, other.address);
+    });
+
+    it('allows the achievement type and emits an AchievementTypeAllowed event', async function () {
+      await expect(this.schemaRegistry.connect(issuer).setAchievementTypeAllowed(HASHED_DID, ACHIEVEMENT_TYPE, true))
+        .to.emit(this.schemaRegistry, 'AchievementTypeAllowed')
+        .withArgs(HASHED_DID, ACHIEVEMENT_TYPE, true, issuer.address);
+      expect(await this.schemaRegistry.allowedAchievementTypes(HASHED_DID, ACHIEVEMENT_TYPE)).to.be.true;
+    });
+  });
+
+  describe('isSchemaAllowed(bytes32, uint16, uint16)', function () {
+    it('returns false when the schema is not registered', async function () {
+      expect(await this.schemaRegistry.isSchemaAllowed(HASHED_DID, SCHEMA_VERSION, ACHIEVEMENT_TYPE)).to.be.false;
+    });
+
+    context('when the schema is registered', function () {
+      beforeEach(async function () {
+        await this.schemaRegistry.registerSchema(SCHEMA_VERSION, ACHIEVEMENT_TYPE, SCHEMA_HASH, SCHEMA_URI);
+      });
+
+      it('returns true when the issuer is not restricted', async function () {
+        expect(await this.schemaRegistry.isSchemaAllowed(HASHED_DID, SCHEMA_VERSION, ACHIEVEMENT_TYPE)).to.be.true;
+      });
+
+      it('returns false when the issuer is restricted and has not allowed the achievement type', async function () {
+        await this.schemaRegistry.connect(issuer).setRestricted(HASHED_DID, true);
+        expect(await this.schemaRegistry.isSchemaAllowed(HASHED_DID, SCHEMA_VERSION, ACHIEVEMENT_TYPE)).to.be.false;
+      });
+
+      it('returns true when the issuer is restricted and has allowed the achievement type', async function () {
+        await this.schemaRegistry.connect(issuer).setRestricted(HASHED_DID, true);
+        await this.schemaRegistry.connect(issuer).setAchievementTypeAllowed(HASHED_DID, ACHIEVEMENT_TYPE, true);
+        expect(await this.schemaRegistry.isSchemaAllowed(HASHED_DID, SCHEMA_VERSION, ACHIEVEMENT_TYPE)).to.be.true;
+      });
+
+      it('returns false when the achievement type is allowed but the schema has been unregistered', async function () {
+        await this.schemaRegistry.connect(issuer).setRestricted(HASHED_DID, true);
+        await this.schemaRegistry.connect(issuer).setAchievementTypeAllowed(HASHED_DID, ACHIEVEMENT_TYPE, true);
+        await this.schemaRegistry.unregisterSchema(SCHEMA_VERSION, ACHIEVEMENT_TYPE);
+        expect(await this.schemaRegistry.isSchemaAllowed(HASHED_DID, SCHEMA_VERSION, ACHIEVEMENT_TYPE)).to.be.false;
+      });
+
+      it('does not restrict other issuers', async function () {
+        await this.schemaRegistry.connect(issuer).setRestricted(HASHED_DID, true);
+        expect(await this.schemaRegistry.isSchemaAllowed(keccak256(toUtf8Bytes('did:key:other')), SCHEMA_VERSION, ACHIEVEMENT_TYPE)).to.be.true;
+      });
+    });
+  });
+});
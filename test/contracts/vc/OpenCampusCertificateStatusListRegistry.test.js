@@ -0,0 +1,242 @@
+/* eslint-disable max-len */
+const {ethers} = require('hardhat');
+const {keccak256, toUtf8Bytes} = require('ethers');
+const {expect} = require('chai');
+const {time} = require('@nomicfoundation/hardhat-network-helpers');
+const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
+const {StatusListUtil, encodeStatusList, decodeStatusList, isRevokedInStatusList, makeStatusListCredential} = require('./utils/statusList');
+
+const {setupOpenCampusStatusListRegistry} = require('../setup');
+
+const ISSUER_DID =
+  'did:key:zUC7KtygRhrsVGTMYx7LHWsg3dpPscW6VcBvps4KgoziJ2vYXW3er1vH9mCqM67q3Nqc3BXAy488po6zMu6yEXdWz4oRLD9rbP5abPAKFuZXqTiwyvrgDehsYtw1NjAhUSzcYiL';
+
+const ISSUER = {
+  did: ISSUER_DID,
+  address: '0x58D027C315bAc47c60bD2491e2CBDce0977E3a37',
+  privateKey: '0x5a5c9a0954cc0a98584542c0fae233819133f8fc3ebafed632104bbe144ba2d7',
+  hashedDid: keccak256(toUtf8Bytes(ISSUER_DID)),
+};
+
+const OTHER_PRIVATE_KEY = '0x5a5c9a0954cc0a98584542c0fae233819133f8fc3ebafed632104bbe10000000';
+
+const CO_SIGNER = {
+  address: '0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF',
+  privateKey: '0x0000000000000000000000000000000000000000000000000000000000000002',
+};
+
+describe('OpenCampusCertificateStatusListRegistry', function () {
+  let deployer, user, payoutWallet;
+  let su;
+
+  before(async function () {
+    [deployer, user, payoutWallet] = await ethers.getSigners();
+  });
+
+  const fixture = async function () {
+    await setupOpenCampusStatusListRegistry.call(this, deployer, user, payoutWallet);
+  };
+
+  beforeEach(async function () {
+    await loadFixture(fixture, this);
+    su = new StatusListUtil(ISSUER.privateKey, await this.statusListRegistry.getAddress());
+  });
+
+  context('when the issuer is not in the DIDRegistry', function () {
+    it('revokeVC reverts with InvalidIssuer', async function () {
+      const {hashedDid, tokenId, reason, nonce, expiry, signature} = await su.makePayloadAndSignature(ISSUER.did, 1);
+      await expect(this.statusListRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.statusListRegistry, 'InvalidIssuer')
+        .withArgs(ISSUER.hashedDid, ISSUER.address);
+    });
+
+    it('updateStatusList reverts with InvalidIssuer', async function () {
+      const {hashedDid, wordIndexes, masks, nonce, expiry, signature} = await su.makeUpdatePayloadAndSignature(ISSUER.did, [1, 2]);
+      await expect(this.statusListRegistry.updateStatusList(hashedDid, wordIndexes, masks, nonce, expiry, signature))
+        .to.be.revertedWithCustomError(this.statusListRegistry, 'InvalidIssuer')
+        .withArgs(ISSUER.hashedDid, ISSUER.address);
+    });
+  });
+
+  context('when the issuer is in the DIDRegistry', function () {
+    beforeEach(async function () {
+      await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+    });
+
+    context('revokeVC(bytes32, uint256, uint8, uint256, uint256, bytes)', function () {
+      beforeEach(async function () {
+        const {hashedDid, tokenId, reason, nonce, expiry, signature} = await su.makePayloadAndSignature(ISSUER.did, 257, undefined, {reason: 4});
+        this.receipt = await this.statusListRegistry.revokeVC(hashedDid, tokenId, reason, nonce, expiry, signature);
+      });
+
+      it('sets the bit of the VC in its status list word', async function () {
+        expect(await this.statusListRegistry.statusWords(ISSUER.hashedDid, 1)).to.equal(1n << 254n);
+        expect(await this.statusListRegistry.isRevoked(ISSUER.hashedDid, 257)).to.be.true;
+        expect(await this.statusListRegistry.isRevoked(ISSUER.hashedDid, 256)).to.be.false;
+        expect(await this.statusListRegistry.isRevoked(ISSUER.hashedDid, 1)).to.be.false;
+      });
+
+      it('is never suspended', async function () {
+        expect(await this.statusListRegistry.isSuspended(ISSUER.hashedDid, 257)).to.be.false;
+      });
+
+      it('does not store the revoker and the reason', async function () {
+        expect(await this.statusListRegistry.revocation(ISSUER.hashedDid, 257)).to.deep.equal([ethers.ZeroAddress, 0n]);
+      });
+
+      it('emits VcRevoked and StatusListUpdated events', async function () {
+        await expect(this.receipt).to.emit(this.statusListRegistry, 'VcRevoked').withArgs(ISSUER.hashedDid, ISSUER.address, 257, 4, false);
+        await expect(this.receipt)
+          .to.emit(this.statusListRegistry, 'StatusListUpdated')
+          .withArgs(ISSUER.hashedDid, ISSUER.address, 1, 1n << 254n, 1n << 254n);
+      });
+
+      it('remains revoked after the removal of the issuer', async function () {
+        await this.didRegistry.removeIssuer(ISSUER.did, ISSUER.address);
+        expect(await this.statusListRegistry.isRevoked(ISSUER.hashedDid, 257)).to.be.true;
+      });
+
+      it('reverts with InvalidNonce when the signature is reused', async function () {
+        const {hashedDid, tokenId, reason, expiry, signature} = await su.makePayloadAndSignature(ISSUER.did, 257, undefined, {reason: 4, nonce: 0});
+        await expect(this.statusListRegistry.revokeVC(hashedDid, tokenId, reason, 0, expiry, signature))
+          .to.be.revertedWithCustomError(this.statusListRegistry, 'InvalidNonce')
+          .withArgs(ISSUER.hashedDid, 0);
+      });
+    });
+
+    context('batchRevokeVCs(bytes32, uint256[], uint8, uint256, uint256, bytes)', function () {
+      it('sets the bits of the VCs', async function () {
+        const vcIds = [0, 255, 256, 1000];
+        const {hashedDid, tokenId, reason, nonce, expiry, signature} = await su.makePayloadAndSignature(ISSUER.did, vcIds);
+        const receipt = await this.statusListRegistry.batchRevokeVCs(hashedDid, tokenId, reason, nonce, expiry, signature);
+        for (const vcId of vcIds) {
+          expect(await this.statusListRegistry.isRevoked(ISSUER.hashedDid, vcId)).to.be.true;
+          await expect(receipt).to.emit(this.statusListRegistry, 'VcRevoked').withArgs(ISSUER.hashedDid, ISSUER.address, vcId, 0, false);
+        }
+        expect(await this.statusListRegistry.statusWords(ISSUER.hashedDid, 0)).to.equal((1n << 255n) | 1n);
+        expect(await this.statusListRegistry.isRevoked(ISSUER.hashedDid, 1)).to.be.false;
+      });
+    });
+
+    context('updateStatusList(bytes32, uint256[], uint256[], uint256, uint256, bytes)', function () {
+      const vcIds = [0, 7, 300, 511, 70000];
+
+      beforeEach(async function () {
+        const {hashedDid, wordIndexes, masks, nonce, expiry, signature} = await su.makeUpdatePayloadAndSignature(ISSUER.did, vcIds);
+        this.wordIndexes = wordIndexes;
+        this.masks = masks;
+        this.receipt = await this.statusListRegistry.updateStatusList(hashedDid, wordIndexes, masks, nonce, expiry, signature);
+      });
+
+      it('sets all the bits in a single update', async function () {
+        for (const vcId of vcIds) {
+          expect(await this.statusListRegistry.isRevoked(ISSUER.hashedDid, vcId)).to.be.true;
+        }
+        expect(await this.statusListRegistry.isRevoked(ISSUER.hashedDid, 8)).to.be.false;
+        expect(await this.statusListRegistry.nonces(ISSUER.hashedDid)).to.equal(1);
+      });
+
+      it('emits a StatusListUpdated event per word', async function () {
+        for (let i = 0; i < this.wordIndexes.length; i++) {
+          await expect(this.receipt)
+            .to.emit(this.statusListRegistry, 'StatusListUpdated')
+            .withArgs(ISSUER.hashedDid, ISSUER.address, this.wordIndexes[i], this.masks[i], this.masks[i]);
+        }
+      });
+
+      it('does not clear previously set bits', async function () {
+        const {hashedDid, wordIndexes, masks, nonce, expiry, signature} = await su.makeUpdatePayloadAndSignature(ISSUER.did, [1]);
+        await this.statusListRegistry.updateStatusList(hashedDid, wordIndexes, masks, nonce, expiry, signature);
+        expect(await this.statusListRegistry.isRevoked(ISSUER.hashedDid, 0)).to.be.true;
+        expect(await this.statusListRegistry.isRevoked(ISSUER.hashedDid, 1)).to.be.true;
+        expect(await this.statusListRegistry.isRevoked(ISSUER.hashedDid, 7)).to.be.true;
+      });
+
+      it('statusListSegment(bytes32, uint256, uint256) returns the words which encode into a StatusList2021 list', async function () {
+        const words = await this.statusListRegistry.statusListSegment(ISSUER.hashedDid, 0, 2);
+        expect(words.length).to.equal(2);
+        const encodedList = encodeStatusList(words);
+        expect(decodeStatusList(encodedList).length).to.equal(16384);
+        for (const index of [0, 7, 300, 511]) {
+          expect(isRevokedInStatusList(encodedList, index)).to.be.true;
+        }
+        for (const index of [1, 8, 256, 510]) {
+          expect(isRevokedInStatusList(encodedList, index)).to.be.false;
+        }
+
+        const credential = makeStatusListCredential('https://example.com/status/1', ISSUER.did, words);
+        expect(credential.type).to.deep.equal(['VerifiableCredential', 'StatusList2021Credential']);
+        expect(credential.credentialSubject.encodedList).to.equal(encodedList);
+      });
+
+      it('statusListSegment(bytes32, uint256, uint256) supports offsets', async function () {
+        const words = await this.statusListRegistry.statusListSegment(ISSUER.hashedDid, 273, 1);
+        expect(isRevokedInStatusList(encodeStatusList(words), 70000 - 273 * 256)).to.be.true;
+      });
+
+      it('reverts with InvalidNonce when the signature is reused', async function () {
+        const {hashedDid, wordIndexes, masks, expiry, signature} = await su.makeUpdatePayloadAndSignature(ISSUER.did, vcIds, undefined, {nonce: 0});
+        await expect(this.statusListRegistry.updateStatusList(hashedDid, wordIndexes, masks, 0, expiry, signature))
+          .to.be.revertedWithCustomError(this.statusListRegistry, 'InvalidNonce')
+          .withArgs(ISSUER.hashedDid, 0);
+      });
+    });
+
+    context('updateStatusList rejections', function () {
+      it('reverts with InconsistentArrayLengths', async function () {
+        const {hashedDid, wordIndexes, masks, nonce, expiry, signature} = await su.makeUpdatePayloadAndSignature(ISSUER.did, [1]);
+        await expect(
+          this.statusListRegistry.updateStatusList(hashedDid, wordIndexes, [...masks, 1n], nonce, expiry, signature)
+        ).to.be.revertedWithCustomError(this.statusListRegistry, 'InconsistentArrayLengths');
+      });
+
+      it('reverts with ExpiredSignature when the signature has expired', async function () {
+        const expiry = (await time.latest()) - 1;
+        const {hashedDid, wordIndexes, masks, nonce, signature} = await su.makeUpdatePayloadAndSignature(ISSUER.did, [1], undefined, {expiry});
+        await expect(this.statusListRegistry.updateStatusList(hashedDid, wordIndexes, masks, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.statusListRegistry, 'ExpiredSignature')
+          .withArgs(expiry);
+      });
+
+      it('reverts with InvalidIssuer when signed by a non whitelisted address', async function () {
+        const {hashedDid, wordIndexes, masks, nonce, expiry, signature} = await su.makeUpdatePayloadAndSignature(ISSUER.did, [1], OTHER_PRIVATE_KEY);
+        await expect(this.statusListRegistry.updateStatusList(hashedDid, wordIndexes, masks, nonce, expiry, signature)).to.be.revertedWithCustomError(
+          this.statusListRegistry,
+          'InvalidIssuer'
+        );
+      });
+
+      it('reverts with InvalidIssuer when the masks do not match the signature', async function () {
+        const {hashedDid, wordIndexes, nonce, expiry, signature} = await su.makeUpdatePayloadAndSignature(ISSUER.did, [1]);
+        await expect(this.statusListRegistry.updateStatusList(hashedDid, wordIndexes, [1n], nonce, expiry, signature)).to.be.revertedWithCustomError(
+          this.statusListRegistry,
+          'InvalidIssuer'
+        );
+      });
+    });
+
+    context('when the issuer Did has a signature threshold', function () {
+      beforeEach(async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, CO_SIGNER.address);
+        await this.didRegistry.setSignatureThreshold(ISSUER.did, 2);
+      });
+
+      it('updateStatusList reverts with InsufficientIssuerSignatures with fewer signers than the threshold', async function () {
+        const {hashedDid, wordIndexes, masks, nonce, expiry, signature} = await su.makeUpdatePayloadAndSignature(ISSUER.did, [1]);
+        await expect(this.statusListRegistry.updateStatusList(hashedDid, wordIndexes, masks, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.statusListRegistry, 'InsufficientIssuerSignatures')
+          .withArgs(ISSUER.hashedDid, 1, 2);
+      });
+
+      it('updateStatusList succeeds with the threshold of distinct valid keys', async function () {
+        const {hashedDid, wordIndexes, masks, nonce, expiry, signature} = await su.makeUpdatePayloadAndSignature(
+          ISSUER.did,
+          [1],
+          [ISSUER.privateKey, CO_SIGNER.privateKey]
+        );
+        await this.statusListRegistry.updateStatusList(hashedDid, wordIndexes, masks, nonce, expiry, signature);
+        expect(await this.statusListRegistry.isRevoked(ISSUER.hashedDid, 1)).to.be.true;
+      });
+    });
+  });
+});
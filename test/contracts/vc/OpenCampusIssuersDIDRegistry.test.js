@@ -2,8 +2,12 @@
 const {keccak256, toUtf8Bytes, ZeroHash} = require('ethers');
 const {ethers} = require('hardhat');
 const {expect} = require('chai');
+const {time} = require('@nomicfoundation/hardhat-network-helpers');
 const {loadFixture} = require('@animoca/ethereum-contract-helpers/src/test/fixtures');
 
+const {IssuerKeyUtil} = require('./utils/issuerKeys');
+const {encodeIssuerSignatures} = require('./utils/signatures');
+
 const {setupOpenCampusIssuersDIDRegistry} = require('../setup');
 
 const ISSUER_DID =
@@ -184,4 +188,476 @@ describe('OpenCampusIssuersDIDRegistry', function () {
       });
     });
   });
+
+  describe('issuer keys', function () {
+    beforeEach(async function () {
+      await this.didRegistry.grantRole(await this.didRegistry.OPERATOR_ROLE(), deployer);
+      await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+      this.addedAt = await time.latest();
+      await this.didRegistry.addIssuer(ISSUER.did, ISSUER.otherAddress);
+    });
+
+    context('getIssuerKeys(bytes32)', function () {
+      it('enumerates the keys of the did', async function () {
+        expect(await this.didRegistry.getIssuerKeys(ISSUER.hashedDid)).to.deep.equal([ISSUER.address, ISSUER.otherAddress]);
+      });
+
+      it('does not list a key twice when it is added again', async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+        expect(await this.didRegistry.getIssuerKeys(ISSUER.hashedDid)).to.deep.equal([ISSUER.address, ISSUER.otherAddress]);
+      });
+
+      it('does not list removed keys', async function () {
+        await this.didRegistry.removeIssuer(ISSUER.did, ISSUER.address);
+        expect(await this.didRegistry.getIssuerKeys(ISSUER.hashedDid)).to.deep.equal([ISSUER.otherAddress]);
+        await this.didRegistry.removeIssuer(ISSUER.did, ISSUER.otherAddress);
+        expect(await this.didRegistry.getIssuerKeys(ISSUER.hashedDid)).to.deep.equal([]);
+      });
+
+      it('returns an empty list for an unknown did', async function () {
+        expect(await this.didRegistry.getIssuerKeys(ZeroHash)).to.deep.equal([]);
+      });
+    });
+
+    context('issuerKeys(bytes32, address)', function () {
+      it('records when the key was added, without expiry', async function () {
+        const key = await this.didRegistry.issuerKeys(ISSUER.hashedDid, ISSUER.address);
+        expect(key.validFrom).to.equal(this.addedAt);
+        expect(key.validUntil).to.equal(2n ** 64n - 1n);
+      });
+
+      it('keeps validFrom when the key is added again', async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+        expect((await this.didRegistry.issuerKeys(ISSUER.hashedDid, ISSUER.address)).validFrom).to.equal(this.addedAt);
+      });
+    });
+
+    context('setIssuerKeyValidity(string, address, uint64, uint64)', function () {
+      it('reverts with NotRoleHolder if the sender is not an operator', async function () {
+        await expect(this.didRegistry.connect(other).setIssuerKeyValidity(ISSUER.did, ISSUER.address, 0, 0))
+          .to.be.revertedWithCustomError(this.didRegistry, 'NotRoleHolder')
+          .withArgs(await this.didRegistry.OPERATOR_ROLE(), other.address);
+      });
+
+      it('reverts with RelationshipDoesNotExist for an unknown key', async function () {
+        await expect(this.didRegistry.setIssuerKeyValidity(ISSUER.did, other.address, 0, 0))
+          .to.be.revertedWithCustomError(this.didRegistry, 'RelationshipDoesNotExist')
+          .withArgs(ISSUER.hashedDid, other.address);
+      });
+
+      it('reverts with InvalidValidityWindow if validFrom is after validUntil', async function () {
+        await expect(this.didRegistry.setIssuerKeyValidity(ISSUER.did, ISSUER.address, 2, 1))
+          .to.be.revertedWithCustomError(this.didRegistry, 'InvalidValidityWindow')
+          .withArgs(2, 1);
+      });
+
+      context('when successful', function () {
+        beforeEach(async function () {
+          this.validFrom = (await time.latest()) + 100;
+          this.validUntil = this.validFrom + 100;
+          this.receipt = await this.didRegistry.setIssuerKeyValidity(ISSUER.did, ISSUER.address, this.validFrom, this.validUntil);
+        });
+
+        it('emits an IssuerKeyValidityUpdated event', async function () {
+          await expect(this.receipt)
+            .to.emit(this.didRegistry, 'IssuerKeyValidityUpdated')
+            .withArgs(ISSUER.hashedDid, ISSUER.address, this.validFrom, this.validUntil, deployer.address);
+        });
+
+        it('the key is only valid within its window', async function () {
+          expect(await this.didRegistry.issuers(ISSUER.hashedDid, ISSUER.address)).to.be.false;
+          await time.increaseTo(this.validFrom);
+          expect(await this.didRegistry.issuers(ISSUER.hashedDid, ISSUER.address)).to.be.true;
+          expect(await this.didRegistry.isIssuerAllowed(ISSUER.did, ISSUER.address)).to.be.true;
+          await time.increaseTo(this.validUntil + 1);
+          expect(await this.didRegistry.issuers(ISSUER.hashedDid, ISSUER.address)).to.be.false;
+          expect(await this.didRegistry.isIssuerAllowed(ISSUER.did, ISSUER.address)).to.be.false;
+        });
+
+        it('isIssuerValidAt(bytes32, address, uint256)', async function () {
+          expect(await this.didRegistry.isIssuerValidAt(ISSUER.hashedDid, ISSUER.address, this.validFrom - 1)).to.be.false;
+          expect(await this.didRegistry.isIssuerValidAt(ISSUER.hashedDid, ISSUER.address, this.validFrom)).to.be.true;
+          expect(await this.didRegistry.isIssuerValidAt(ISSUER.hashedDid, ISSUER.address, this.validUntil)).to.be.true;
+          expect(await this.didRegistry.isIssuerValidAt(ISSUER.hashedDid, ISSUER.address, this.validUntil + 1)).to.be.false;
+          expect(await this.didRegistry.isIssuerValidAt(ISSUER.hashedDid, other.address, this.validFrom)).to.be.false;
+        });
+      });
+    });
+
+    context('setSignatureThreshold(string, uint256)', function () {
+      it('reverts with NotRoleHolder if the sender is not an operator', async function () {
+        await expect(this.didRegistry.connect(other).setSignatureThreshold(ISSUER.did, 2))
+          .to.be.revertedWithCustomError(this.didRegistry, 'NotRoleHolder')
+          .withArgs(await this.didRegistry.OPERATOR_ROLE(), other.address);
+      });
+
+      it('reverts with InvalidSignatureThreshold if the threshold is zero', async function () {
+        await expect(this.didRegistry.setSignatureThreshold(ISSUER.did, 0))
+          .to.be.revertedWithCustomError(this.didRegistry, 'InvalidSignatureThreshold')
+          .withArgs(ISSUER.hashedDid, 0);
+      });
+
+      it('reverts with InvalidSignatureThreshold if the threshold is greater than the number of keys', async function () {
+        await expect(this.didRegistry.setSignatureThreshold(ISSUER.did, 3))
+          .to.be.revertedWithCustomError(this.didRegistry, 'InvalidSignatureThreshold')
+          .withArgs(ISSUER.hashedDid, 3);
+      });
+
+      it('reverts with InvalidSignatureThreshold if the threshold is greater than the number of valid keys', async function () {
+        await this.didRegistry.rotateIssuerKey(ISSUER.did, ISSUER.address, other.address);
+        await time.increase(1);
+        await expect(this.didRegistry.setSignatureThreshold(ISSUER.did, 3))
+          .to.be.revertedWithCustomError(this.didRegistry, 'InvalidSignatureThreshold')
+          .withArgs(ISSUER.hashedDid, 3);
+      });
+
+      it('defaults to a single signature', async function () {
+        expect(await this.didRegistry.signatureThreshold(ISSUER.hashedDid)).to.equal(1);
+        expect(await this.didRegistry.signatureThreshold(ZeroHash)).to.equal(1);
+      });
+
+      it('sets the threshold and emits a SignatureThresholdSet event', async function () {
+        await expect(this.didRegistry.setSignatureThreshold(ISSUER.did, 2))
+          .to.emit(this.didRegistry, 'SignatureThresholdSet')
+          .withArgs(ISSUER.hashedDid, 2, deployer.address);
+        expect(await this.didRegistry.signatureThreshold(ISSUER.hashedDid)).to.equal(2);
+      });
+    });
+
+    context('rotateIssuerKey(string, address, address)', function () {
+      it('reverts with NotRoleHolder if the sender is not an operator', async function () {
+        await expect(this.didRegistry.connect(other).rotateIssuerKey(ISSUER.did, ISSUER.address, other.address))
+          .to.be.revertedWithCustomError(this.didRegistry, 'NotRoleHolder')
+          .withArgs(await this.didRegistry.OPERATOR_ROLE(), other.address);
+      });
+
+      it('reverts with InvalidIssuer if the new key is the zero address', async function () {
+        await expect(this.didRegistry.rotateIssuerKey(ISSUER.did, ISSUER.address, ethers.ZeroAddress)).to.be.revertedWithCustomError(
+          this.didRegistry,
+          'InvalidIssuer'
+        );
+      });
+
+      it('reverts with RelationshipDoesNotExist if the old key is unknown', async function () {
+        await expect(this.didRegistry.rotateIssuerKey(ISSUER.did, user.address, other.address))
+          .to.be.revertedWithCustomError(this.didRegistry, 'RelationshipDoesNotExist')
+          .withArgs(ISSUER.hashedDid, user.address);
+      });
+
+      it('reverts with RelationshipAlreadyExists if the new key is already registered', async function () {
+        await expect(this.didRegistry.rotateIssuerKey(ISSUER.did, ISSUER.address, ISSUER.otherAddress))
+          .to.be.revertedWithCustomError(this.didRegistry, 'RelationshipAlreadyExists')
+          .withArgs(ISSUER.hashedDid, ISSUER.otherAddress);
+      });
+
+      context('when successful', function () {
+        beforeEach(async function () {
+          this.receipt = await this.didRegistry.rotateIssuerKey(ISSUER.did, ISSUER.address, other.address);
+          this.rotatedAt = await time.latest();
+        });
+
+        it('emits an IssuerKeyRotated event', async function () {
+          await expect(this.receipt)
+            .to.emit(this.didRegistry, 'IssuerKeyRotated')
+            .withArgs(ISSUER.hashedDid, ISSUER.address, other.address, deployer.address);
+        });
+
+        it('both keys are valid at the rotation time', async function () {
+          expect(await this.didRegistry.issuers(ISSUER.hashedDid, ISSUER.address)).to.be.true;
+          expect(await this.didRegistry.issuers(ISSUER.hashedDid, other.address)).to.be.true;
+        });
+
+        it('the old key expires after the rotation while the new key remains valid', async function () {
+          await time.increase(1);
+          expect(await this.didRegistry.issuers(ISSUER.hashedDid, ISSUER.address)).to.be.false;
+          expect(await this.didRegistry.issuers(ISSUER.hashedDid, other.address)).to.be.true;
+          expect(await this.didRegistry.isIssuerValidAt(ISSUER.hashedDid, ISSUER.address, this.rotatedAt)).to.be.true;
+        });
+
+        it('keeps the old key registered', async function () {
+          expect(await this.didRegistry.getIssuerKeys(ISSUER.hashedDid)).to.deep.equal([ISSUER.address, ISSUER.otherAddress, other.address]);
+          const key = await this.didRegistry.issuerKeys(ISSUER.hashedDid, other.address);
+          expect(key.validFrom).to.equal(this.rotatedAt);
+          expect(key.validUntil).to.equal(2n ** 64n - 1n);
+        });
+      });
+    });
+  });
+
+  describe('issuer self-service key management', function () {
+    const OTHER_PRIVATE_KEY = '0x5a5c9a0954cc0a98584542c0fae233819133f8fc3ebafed632104bbe10000000';
+    let iku;
+
+    beforeEach(async function () {
+      await this.didRegistry.grantRole(await this.didRegistry.OPERATOR_ROLE(), deployer);
+      await this.didRegistry.addIssuer(ISSUER.did, ISSUER.address);
+      iku = new IssuerKeyUtil(ISSUER.privateKey, await this.didRegistry.getAddress());
+    });
+
+    context('addIssuerKey(string, address, uint256, uint256, bytes)', function () {
+      it('reverts with SignerNotIssuer when signed by a key which does not belong to the did', async function () {
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeAddKeyPayloadAndSignature(ISSUER.did, other.address, OTHER_PRIVATE_KEY);
+        await expect(this.didRegistry.connect(user).addIssuerKey(did, issuerAddress, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.didRegistry, 'SignerNotIssuer')
+          .withArgs(ISSUER.hashedDid, new ethers.Wallet(OTHER_PRIVATE_KEY).address);
+      });
+
+      it('reverts with SignerNotIssuer when signed by an expired key', async function () {
+        const validUntil = (await time.latest()) + 10;
+        await this.didRegistry.setIssuerKeyValidity(ISSUER.did, ISSUER.address, 0, validUntil);
+        await time.increaseTo(validUntil + 1);
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeAddKeyPayloadAndSignature(ISSUER.did, other.address);
+        await expect(this.didRegistry.addIssuerKey(did, issuerAddress, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.didRegistry, 'SignerNotIssuer')
+          .withArgs(ISSUER.hashedDid, ISSUER.address);
+      });
+
+      it('reverts with InvalidIssuer when the key is the zero address', async function () {
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeAddKeyPayloadAndSignature(ISSUER.did, ethers.ZeroAddress);
+        await expect(this.didRegistry.addIssuerKey(did, issuerAddress, nonce, expiry, signature)).to.be.revertedWithCustomError(
+          this.didRegistry,
+          'InvalidIssuer'
+        );
+      });
+
+      it('reverts with RelationshipAlreadyExists when the key is already registered', async function () {
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeAddKeyPayloadAndSignature(ISSUER.did, ISSUER.address);
+        await expect(this.didRegistry.addIssuerKey(did, issuerAddress, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.didRegistry, 'RelationshipAlreadyExists')
+          .withArgs(ISSUER.hashedDid, ISSUER.address);
+      });
+
+      it('reverts with ExpiredSignature when the signature has expired', async function () {
+        const expiry = (await time.latest()) - 1;
+        const {did, issuerAddress, nonce, signature} = await iku.makeAddKeyPayloadAndSignature(ISSUER.did, other.address, undefined, {expiry});
+        await expect(this.didRegistry.addIssuerKey(did, issuerAddress, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.didRegistry, 'ExpiredSignature')
+          .withArgs(expiry);
+      });
+
+      it('reverts with FrozenDid when the did is frozen', async function () {
+        await this.didRegistry.setDidFrozen(ISSUER.did, true);
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeAddKeyPayloadAndSignature(ISSUER.did, other.address);
+        await expect(this.didRegistry.addIssuerKey(did, issuerAddress, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.didRegistry, 'FrozenDid')
+          .withArgs(ISSUER.hashedDid);
+      });
+
+      it('reverts with VetoedIssuerKey when the key has been vetoed', async function () {
+        await this.didRegistry.vetoIssuerKey(ISSUER.did, other.address);
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeAddKeyPayloadAndSignature(ISSUER.did, other.address);
+        await expect(this.didRegistry.addIssuerKey(did, issuerAddress, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.didRegistry, 'VetoedIssuerKey')
+          .withArgs(ISSUER.hashedDid, other.address);
+      });
+
+      context('when successful', function () {
+        beforeEach(async function () {
+          const {did, issuerAddress, nonce, expiry, signature} = await iku.makeAddKeyPayloadAndSignature(ISSUER.did, other.address);
+          this.payload = {did, issuerAddress, nonce, expiry, signature};
+          this.receipt = await this.didRegistry.connect(user).addIssuerKey(did, issuerAddress, nonce, expiry, signature);
+        });
+
+        it('adds the key to the did', async function () {
+          expect(await this.didRegistry.issuers(ISSUER.hashedDid, other.address)).to.be.true;
+          expect(await this.didRegistry.getIssuerKeys(ISSUER.hashedDid)).to.deep.equal([ISSUER.address, other.address]);
+          expect(await this.didRegistry.nonces(ISSUER.hashedDid)).to.equal(1);
+        });
+
+        it('emits an IssuerKeyAddedByIssuer event', async function () {
+          await expect(this.receipt).to.emit(this.didRegistry, 'IssuerKeyAddedByIssuer').withArgs(ISSUER.hashedDid, other.address, ISSUER.address);
+          await expect(this.receipt).not.to.emit(this.didRegistry, 'IssuerAdded');
+        });
+
+        it('reverts with InvalidNonce when the signature is reused', async function () {
+          await this.didRegistry.removeIssuer(ISSUER.did, other.address);
+          const {did, issuerAddress, nonce, expiry, signature} = this.payload;
+          await expect(this.didRegistry.addIssuerKey(did, issuerAddress, nonce, expiry, signature))
+            .to.be.revertedWithCustomError(this.didRegistry, 'InvalidNonce')
+            .withArgs(ISSUER.hashedDid, nonce);
+        });
+
+        it('the new key can be vetoed by an operator', async function () {
+          await expect(this.didRegistry.vetoIssuerKey(ISSUER.did, other.address))
+            .to.emit(this.didRegistry, 'IssuerKeyVetoed')
+            .withArgs(ISSUER.hashedDid, other.address, deployer.address);
+          expect(await this.didRegistry.issuers(ISSUER.hashedDid, other.address)).to.be.false;
+          expect(await this.didRegistry.vetoed(ISSUER.hashedDid, other.address)).to.be.true;
+          expect(await this.didRegistry.getIssuerKeys(ISSUER.hashedDid)).to.deep.equal([ISSUER.address]);
+        });
+      });
+    });
+
+    context('removeIssuerKey(string, address, uint256, uint256, bytes)', function () {
+      beforeEach(async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, other.address);
+      });
+
+      it('reverts with SignerNotIssuer when signed by a key which does not belong to the did', async function () {
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeRemoveKeyPayloadAndSignature(
+          ISSUER.did,
+          other.address,
+          OTHER_PRIVATE_KEY
+        );
+        await expect(this.didRegistry.removeIssuerKey(did, issuerAddress, nonce, expiry, signature)).to.be.revertedWithCustomError(
+          this.didRegistry,
+          'SignerNotIssuer'
+        );
+      });
+
+      it('reverts with RelationshipDoesNotExist when the key is not registered', async function () {
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeRemoveKeyPayloadAndSignature(ISSUER.did, user.address);
+        await expect(this.didRegistry.removeIssuerKey(did, issuerAddress, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.didRegistry, 'RelationshipDoesNotExist')
+          .withArgs(ISSUER.hashedDid, user.address);
+      });
+
+      it('reverts with FrozenDid when the did is frozen', async function () {
+        await this.didRegistry.setDidFrozen(ISSUER.did, true);
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeRemoveKeyPayloadAndSignature(ISSUER.did, other.address);
+        await expect(this.didRegistry.removeIssuerKey(did, issuerAddress, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.didRegistry, 'FrozenDid')
+          .withArgs(ISSUER.hashedDid);
+      });
+
+      it('removes the key and emits an IssuerKeyRemovedByIssuer event', async function () {
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeRemoveKeyPayloadAndSignature(ISSUER.did, other.address);
+        const receipt = await this.didRegistry.removeIssuerKey(did, issuerAddress, nonce, expiry, signature);
+        await expect(receipt).to.emit(this.didRegistry, 'IssuerKeyRemovedByIssuer').withArgs(ISSUER.hashedDid, other.address, ISSUER.address);
+        await expect(receipt).not.to.emit(this.didRegistry, 'IssuerRemoved');
+        expect(await this.didRegistry.issuers(ISSUER.hashedDid, other.address)).to.be.false;
+        expect(await this.didRegistry.getIssuerKeys(ISSUER.hashedDid)).to.deep.equal([ISSUER.address]);
+      });
+    });
+
+    context('vetoIssuerKey(string, address)', function () {
+      it('reverts with NotRoleHolder if the sender is not an operator', async function () {
+        await expect(this.didRegistry.connect(other).vetoIssuerKey(ISSUER.did, other.address))
+          .to.be.revertedWithCustomError(this.didRegistry, 'NotRoleHolder')
+          .withArgs(await this.didRegistry.OPERATOR_ROLE(), other.address);
+      });
+
+      it('can veto a key which is not registered', async function () {
+        await this.didRegistry.vetoIssuerKey(ISSUER.did, other.address);
+        expect(await this.didRegistry.vetoed(ISSUER.hashedDid, other.address)).to.be.true;
+      });
+
+      it('the veto is lifted when an operator adds the key', async function () {
+        await this.didRegistry.vetoIssuerKey(ISSUER.did, other.address);
+        await this.didRegistry.addIssuer(ISSUER.did, other.address);
+        expect(await this.didRegistry.vetoed(ISSUER.hashedDid, other.address)).to.be.false;
+        expect(await this.didRegistry.issuers(ISSUER.hashedDid, other.address)).to.be.true;
+      });
+    });
+
+    context('with a signature threshold', function () {
+      let otherKey;
+
+      beforeEach(async function () {
+        otherKey = new ethers.Wallet(OTHER_PRIVATE_KEY).address;
+        await this.didRegistry.addIssuer(ISSUER.did, otherKey);
+        await this.didRegistry.setSignatureThreshold(ISSUER.did, 2);
+      });
+
+      it('addIssuerKey reverts with InsufficientIssuerSignatures when signed by fewer keys than the threshold', async function () {
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeAddKeyPayloadAndSignature(ISSUER.did, other.address);
+        await expect(this.didRegistry.addIssuerKey(did, issuerAddress, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.didRegistry, 'InsufficientIssuerSignatures')
+          .withArgs(ISSUER.hashedDid, 1, 2);
+      });
+
+      it('addIssuerKey reverts with InsufficientIssuerSignatures when the same key signs twice', async function () {
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeAddKeyPayloadAndSignature(ISSUER.did, other.address);
+        await expect(this.didRegistry.addIssuerKey(did, issuerAddress, nonce, expiry, encodeIssuerSignatures([signature, signature])))
+          .to.be.revertedWithCustomError(this.didRegistry, 'InsufficientIssuerSignatures')
+          .withArgs(ISSUER.hashedDid, 1, 2);
+      });
+
+      it('addIssuerKey adds the key when signed by the threshold of keys', async function () {
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeAddKeyPayloadAndSignature(ISSUER.did, other.address);
+        const otherSignature = (await iku.makeAddKeyPayloadAndSignature(ISSUER.did, other.address, OTHER_PRIVATE_KEY)).signature;
+        await expect(this.didRegistry.addIssuerKey(did, issuerAddress, nonce, expiry, encodeIssuerSignatures([signature, otherSignature])))
+          .to.emit(this.didRegistry, 'IssuerKeyAddedByIssuer')
+          .withArgs(ISSUER.hashedDid, other.address, ISSUER.address);
+        expect(await this.didRegistry.issuers(ISSUER.hashedDid, other.address)).to.be.true;
+      });
+
+      it('removeIssuerKey reverts with InsufficientIssuerSignatures when signed by fewer keys than the threshold', async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, other.address);
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeRemoveKeyPayloadAndSignature(ISSUER.did, other.address);
+        await expect(this.didRegistry.removeIssuerKey(did, issuerAddress, nonce, expiry, signature))
+          .to.be.revertedWithCustomError(this.didRegistry, 'InsufficientIssuerSignatures')
+          .withArgs(ISSUER.hashedDid, 1, 2);
+      });
+
+      it('removeIssuerKey removes the key when signed by the threshold of keys', async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, other.address);
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeRemoveKeyPayloadAndSignature(ISSUER.did, other.address);
+        const otherSignature = (await iku.makeRemoveKeyPayloadAndSignature(ISSUER.did, other.address, OTHER_PRIVATE_KEY)).signature;
+        await expect(this.didRegistry.removeIssuerKey(did, issuerAddress, nonce, expiry, encodeIssuerSignatures([signature, otherSignature])))
+          .to.emit(this.didRegistry, 'IssuerKeyRemovedByIssuer')
+          .withArgs(ISSUER.hashedDid, other.address, ISSUER.address);
+        expect(await this.didRegistry.getIssuerKeys(ISSUER.hashedDid)).to.deep.equal([ISSUER.address, otherKey]);
+      });
+
+      it('removeIssuerKey reverts with InsufficientIssuerKeys when fewer valid keys than the threshold would remain', async function () {
+        const {did, issuerAddress, nonce, expiry, signature} = await iku.makeRemoveKeyPayloadAndSignature(ISSUER.did, otherKey);
+        const otherSignature = (await iku.makeRemoveKeyPayloadAndSignature(ISSUER.did, otherKey, OTHER_PRIVATE_KEY)).signature;
+        await expect(this.didRegistry.removeIssuerKey(did, issuerAddress, nonce, expiry, encodeIssuerSignatures([signature, otherSignature])))
+          .to.be.revertedWithCustomError(this.didRegistry, 'InsufficientIssuerKeys')
+          .withArgs(ISSUER.hashedDid, 1, 2);
+      });
+
+      it('removeIssuer lowers the threshold when fewer valid keys than the threshold remain', async function () {
+        await expect(this.didRegistry.removeIssuer(ISSUER.did, otherKey))
+          .to.emit(this.didRegistry, 'SignatureThresholdSet')
+          .withArgs(ISSUER.hashedDid, 1, deployer.address);
+        expect(await this.didRegistry.signatureThreshold(ISSUER.hashedDid)).to.equal(1);
+      });
+
+      it('removeIssuer keeps the threshold when enough valid keys remain', async function () {
+        await this.didRegistry.addIssuer(ISSUER.did, other.address);
+        await expect(this.didRegistry.removeIssuer(ISSUER.did, otherKey)).not.to.emit(this.didRegistry, 'SignatureThresholdSet');
+        expect(await this.didRegistry.signatureThreshold(ISSUER.hashedDid)).to.equal(2);
+      });
+
+      it('vetoIssuerKey lowers the threshold when fewer valid keys than the threshold remain', async function () {
+        await expect(this.didRegistry.vetoIssuerKey(ISSUER.did, otherKey))
+          .to.emit(this.didRegistry, 'SignatureThresholdSet')
+          .withArgs(ISSUER.hashedDid, 1, deployer.address);
+        expect(await this.didRegistry.signatureThreshold(ISSUER.hashedDid)).to.equal(1);
+      });
+    });
+
+    context('setDidFrozen(string, bool)', function () {
+      it('reverts with NotRoleHolder if the sender is not an operator', async function () {
+        await expect(this.didRegistry.connect(other).setDidFrozen(ISSUER.did, true))
+          .to.be.revertedWithCustomError(this.didRegistry, 'NotRoleHolder')
+          .withArgs(await this.didRegistry.OPERATOR_ROLE(), other.address);
+      });
+
+      it('emits DidFrozen and DidUnfrozen events', async function () {
+        await expect(this.didRegistry.setDidFrozen(ISSUER.did, true))
+          .to.emit(this.didRegistry, 'DidFrozen')
+          .withArgs(ISSUER.hashedDid, deployer.address);
+        expect(await this.didRegistry.frozen(ISSUER.hashedDid)).to.be.true;
+        await expect(this.didRegistry.setDidFrozen(ISSUER.did, false))
+          .to.emit(this.didRegistry, 'DidUnfrozen')
+          .withArgs(ISSUER.hashedDid, deployer.address);
+        expect(await this.didRegistry.frozen(ISSUER.hashedDid)).to.be.false;
+      });
+
+      it('does not prevent operators from managing the keys', async function () {
+        await this.didRegistry.setDidFrozen(ISSUER.did, true);
+        await this.didRegistry.addIssuer(ISSUER.did, other.address);
+        await this.didRegistry.removeIssuer(ISSUER.did, ISSUER.address);
+        expect(await this.didRegistry.getIssuerKeys(ISSUER.hashedDid)).to.deep.equal([other.address]);
+      });
+
+      it('does not invalidate the keys of the did', async function () {
+        await this.didRegistry.setDidFrozen(ISSUER.did, true);
+        expect(await this.didRegistry.issuers(ISSUER.hashedDid, ISSUER.address)).to.be.true;
+      });
+    });
+  });
 });
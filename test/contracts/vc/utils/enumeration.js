@@ -0,0 +1,26 @@
+const {keccak256, toUtf8Bytes} = require('ethers');
+
+const DEFAULT_PAGE_SIZE = 100;
+
+// Calls `fetchPage(offset, limit)` until a page shorter than `pageSize` is returned and concatenates the pages.
+async function fetchAllPages(fetchPage, pageSize = DEFAULT_PAGE_SIZE) {
+  const tokenIds = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await fetchPage(offset, pageSize);
+    tokenIds.push(...page);
+    if (page.length < pageSize) {
+      return tokenIds;
+    }
+  }
+}
+
+async function getTokensOfOwner(nft, owner, pageSize = DEFAULT_PAGE_SIZE) {
+  return fetchAllPages((offset, limit) => nft.tokensOfOwner(owner, offset, limit), pageSize);
+}
+
+async function getTokensOfIssuer(nft, issuerDid, pageSize = DEFAULT_PAGE_SIZE) {
+  const hashedDid = keccak256(toUtf8Bytes(issuerDid));
+  return fetchAllPages((offset, limit) => nft.tokensOfIssuer(hashedDid, offset, limit), pageSize);
+}
+
+module.exports = {fetchAllPages, getTokensOfOwner, getTokensOfIssuer};
@@ -0,0 +1,45 @@
+const {ethers, network} = require('hardhat');
+const {SigningKey, keccak256, toUtf8Bytes, getBytes, TypedDataEncoder, MaxUint256} = require('ethers');
+
+class IssuerKeyUtil {
+  constructor(defaultPrivateKey, contractAddress) {
+    this.domain = {
+      name: 'IssuersDIDRegistryV1',
+      chainId: network.config.chainId,
+      verifyingContract: contractAddress,
+    };
+    this.defaultPrivateKey = defaultPrivateKey;
+    this.contractAddress = contractAddress;
+  }
+
+  // `nonce` defaults to the current on-chain nonce of the Did and `expiry` to no expiry.
+  async makeAddKeyPayloadAndSignature(did, issuerAddress, privateKey, {nonce, expiry = MaxUint256} = {}) {
+    return this.makePayloadAndSignature('addIssuerKey', did, issuerAddress, privateKey, {nonce, expiry});
+  }
+
+  async makeRemoveKeyPayloadAndSignature(did, issuerAddress, privateKey, {nonce, expiry = MaxUint256} = {}) {
+    return this.makePayloadAndSignature('removeIssuerKey', did, issuerAddress, privateKey, {nonce, expiry});
+  }
+
+  async makePayloadAndSignature(primaryType, did, issuerAddress, privateKey, {nonce, expiry}) {
+    const hashedDid = keccak256(toUtf8Bytes(did));
+    if (nonce === undefined) {
+      const registry = await ethers.getContractAt('OpenCampusIssuersDIDRegistry', this.contractAddress);
+      nonce = await registry.nonces(hashedDid);
+    }
+    const value = {hashedDid, issuerAddress, nonce, expiry};
+    const type = {
+      [primaryType]: [
+        {name: 'hashedDid', type: 'bytes32'},
+        {name: 'issuerAddress', type: 'address'},
+        {name: 'nonce', type: 'uint256'},
+        {name: 'expiry', type: 'uint256'},
+      ],
+    };
+    const signingKey = new SigningKey(privateKey || this.defaultPrivateKey);
+    const signature = getBytes(signingKey.sign(TypedDataEncoder.hash(this.domain, type, value)).serialized);
+    return {did, issuerAddress, nonce, expiry, signature};
+  }
+}
+
+module.exports = {IssuerKeyUtil};
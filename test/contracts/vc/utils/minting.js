@@ -0,0 +1,99 @@
+const {network} = require('hardhat');
+const {SigningKey, keccak256, toUtf8Bytes, getBytes, concat, TypedDataEncoder} = require('ethers');
+
+const METADATA_TYPE = [
+  {name: 'schemaVersion', type: 'uint16'},
+  {name: 'achievementType', type: 'uint16'},
+  {name: 'awardedDate', type: 'uint64'},
+  {name: 'validFrom', type: 'uint64'},
+  {name: 'validUtil', type: 'uint64'},
+  {name: 'issuerDid', type: 'string'},
+  {name: 'achievementId', type: 'string'},
+];
+
+class MintingUtil {
+  constructor(defaultPrivateKey, contractAddress) {
+    this.domain = {
+      name: 'OpenCampusCertificateNFTMinter',
+      version: '1',
+      chainId: network.config.chainId,
+      verifyingContract: contractAddress,
+    };
+    this.defaultPrivateKey = defaultPrivateKey;
+  }
+
+  // `privateKey` can be an array of private keys, whose signatures are concatenated for the issuer Dids with a signature threshold.
+  async makePayloadAndSignature(to, tokenId, metadata, privateKey) {
+    let value = {};
+    let type = {};
+    if (Array.isArray(tokenId)) {
+      value = {
+        recipients: to,
+        tokenIds: tokenId,
+        metadata,
+      };
+      type = {
+        BatchMintCertificates: [
+          {name: 'recipients', type: 'address[]'},
+          {name: 'tokenIds', type: 'uint256[]'},
+          {name: 'metadata', type: 'MetaData[]'},
+        ],
+        MetaData: METADATA_TYPE,
+      };
+    } else {
+      value = {
+        to,
+        tokenId,
+        metadata,
+      };
+      type = {
+        MintCertificate: [
+          {name: 'to', type: 'address'},
+          {name: 'tokenId', type: 'uint256'},
+          {name: 'metadata', type: 'MetaData'},
+        ],
+        MetaData: METADATA_TYPE,
+      };
+    }
+    return {
+      to,
+      tokenId,
+      metadata,
+      signature: this.sign(type, value, privateKey),
+    };
+  }
+
+  async makeVoucherAndSignature(to, tokenId, metadata, nonce, expiry, privateKey) {
+    const value = {
+      to,
+      tokenId,
+      metadata,
+      nonce,
+      expiry,
+    };
+    const type = {
+      MintVoucher: [
+        {name: 'to', type: 'address'},
+        {name: 'tokenId', type: 'uint256'},
+        {name: 'metadata', type: 'MetaData'},
+        {name: 'nonce', type: 'uint256'},
+        {name: 'expiry', type: 'uint256'},
+      ],
+      MetaData: METADATA_TYPE,
+    };
+    return {
+      hashedDid: keccak256(toUtf8Bytes(metadata.issuerDid)),
+      nonce,
+      expiry,
+      signature: this.sign(type, value, privateKey),
+    };
+  }
+
+  sign(type, value, privateKey) {
+    const digest = TypedDataEncoder.hash(this.domain, type, value);
+    const privateKeys = Array.isArray(privateKey) ? privateKey : [privateKey || this.defaultPrivateKey];
+    return getBytes(concat(privateKeys.map((key) => new SigningKey(key).sign(digest).serialized)));
+  }
+}
+
+module.exports = {MintingUtil};
@@ -0,0 +1,44 @@
+const {ethers, network} = require('hardhat');
+const {SigningKey, getBytes, TypedDataEncoder, MaxUint256} = require('ethers');
+
+class RecoveryUtil {
+  constructor(defaultPrivateKey, contractAddress) {
+    this.domain = {
+      name: 'OpenCampusCertificateNFTv1',
+      version: '1',
+      chainId: network.config.chainId,
+      verifyingContract: contractAddress,
+    };
+    this.defaultPrivateKey = defaultPrivateKey;
+    this.contractAddress = contractAddress;
+  }
+
+  // `from` defaults to the current owner of the token, `nonce` to the current recovery nonce of the token and `expiry` to no expiry.
+  async makeRecoveryPayloadAndSignature(tokenId, to, privateKey, {from, nonce, expiry = MaxUint256} = {}) {
+    const nft = await ethers.getContractAt('OpenCampusCertificateNFTv1', this.contractAddress);
+    from = from ?? (await nft.ownerOf(tokenId));
+    nonce = nonce ?? (await nft.recoveryNonces(tokenId));
+    const value = {tokenId, from, to, nonce, expiry};
+    const type = {
+      RecoverCertificate: [
+        {name: 'tokenId', type: 'uint256'},
+        {name: 'from', type: 'address'},
+        {name: 'to', type: 'address'},
+        {name: 'nonce', type: 'uint256'},
+        {name: 'expiry', type: 'uint256'},
+      ],
+    };
+    const signingKey = new SigningKey(privateKey || this.defaultPrivateKey);
+    const signature = signingKey.sign(TypedDataEncoder.hash(this.domain, type, value)).serialized;
+    return {
+      tokenId,
+      from,
+      to,
+      nonce,
+      expiry,
+      signature: getBytes(signature),
+    };
+  }
+}
+
+module.exports = {RecoveryUtil};
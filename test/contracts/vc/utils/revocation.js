@@ -1,51 +1,134 @@
-const {network} = require('hardhat');
-const {SigningKey, keccak256, toUtf8Bytes, getBytes, TypedDataEncoder} = require('ethers');
+const {ethers, network} = require('hardhat');
+const {SigningKey, keccak256, toUtf8Bytes, getBytes, concat, TypedDataEncoder, MaxUint256} = require('ethers');
 
 class RevocationUtil {
-  constructor(defaultPrivateKey, contractAddress) {
+  constructor(defaultPrivateKey, contractAddress, domainName = 'RevocationRegistryV1') {
     this.domain = {
-      name: 'RevocationRegistryV1',
+      name: domainName,
       chainId: network.config.chainId,
       verifyingContract: contractAddress,
     };
     this.defaultPrivateKey = defaultPrivateKey;
+    this.contractAddress = contractAddress;
   }
 
-  async makePayloadAndSignature(issuerDid, tokenId, privateKey) {
+  // `nonce` defaults to the current on-chain nonce of the issuer Did and `expiry` to no expiry.
+  async makePayloadAndSignature(issuerDid, tokenId, privateKey, {reason = 0, nonce, expiry = MaxUint256} = {}) {
     const hashedDid = keccak256(toUtf8Bytes(issuerDid));
+    nonce = nonce ?? (await this.getNonce(hashedDid));
     let value = {};
     let type = {};
     if (Array.isArray(tokenId)) {
       value = {
         hashedIssuerDid: hashedDid,
         vcIds: tokenId,
+        reason,
+        nonce,
+        expiry,
       };
       type = {
         batchRevokeVCs: [
           {name: 'hashedIssuerDid', type: 'bytes32'},
           {name: 'vcIds', type: 'uint256[]'},
+          {name: 'reason', type: 'uint8'},
+          {name: 'nonce', type: 'uint256'},
+          {name: 'expiry', type: 'uint256'},
         ],
       };
     } else {
       value = {
         hashedIssuerDid: hashedDid,
         vcId: tokenId,
+        reason,
+        nonce,
+        expiry,
       };
       type = {
         revokeVC: [
           {name: 'hashedIssuerDid', type: 'bytes32'},
           {name: 'vcId', type: 'uint256'},
+          {name: 'reason', type: 'uint8'},
+          {name: 'nonce', type: 'uint256'},
+          {name: 'expiry', type: 'uint256'},
         ],
       };
     }
-    const signingKey = new SigningKey(privateKey || this.defaultPrivateKey);
-    const signature = signingKey.sign(TypedDataEncoder.hash(this.domain, type, value)).serialized;
     return {
       hashedDid,
       tokenId,
-      signature: getBytes(signature),
+      reason,
+      nonce,
+      expiry,
+      signature: this.sign(type, value, privateKey),
     };
   }
+
+  async makeSuspendPayloadAndSignature(issuerDid, tokenId, privateKey, {reason = 0, nonce, expiry = MaxUint256} = {}) {
+    const hashedDid = keccak256(toUtf8Bytes(issuerDid));
+    nonce = nonce ?? (await this.getNonce(hashedDid));
+    const value = {
+      hashedIssuerDid: hashedDid,
+      vcId: tokenId,
+      reason,
+      nonce,
+      expiry,
+    };
+    const type = {
+      suspendVC: [
+        {name: 'hashedIssuerDid', type: 'bytes32'},
+        {name: 'vcId', type: 'uint256'},
+        {name: 'reason', type: 'uint8'},
+        {name: 'nonce', type: 'uint256'},
+        {name: 'expiry', type: 'uint256'},
+      ],
+    };
+    return {
+      hashedDid,
+      tokenId,
+      reason,
+      nonce,
+      expiry,
+      signature: this.sign(type, value, privateKey),
+    };
+  }
+
+  async makeReinstatePayloadAndSignature(issuerDid, tokenId, privateKey, {nonce, expiry = MaxUint256} = {}) {
+    const hashedDid = keccak256(toUtf8Bytes(issuerDid));
+    nonce = nonce ?? (await this.getNonce(hashedDid));
+    const value = {
+      hashedIssuerDid: hashedDid,
+      vcId: tokenId,
+      nonce,
+      expiry,
+    };
+    const type = {
+      reinstateVC: [
+        {name: 'hashedIssuerDid', type: 'bytes32'},
+        {name: 'vcId', type: 'uint256'},
+        {name: 'nonce', type: 'uint256'},
+        {name: 'expiry', type: 'uint256'},
+      ],
+    };
+    return {
+      hashedDid,
+      tokenId,
+      nonce,
+      expiry,
+      signature: this.sign(type, value, privateKey),
+    };
+  }
+
+  async getNonce(hashedDid) {
+    const registry = await ethers.getContractAt('IRevocationRegistry', this.contractAddress);
+    return registry.nonces(hashedDid);
+  }
+
+  // signs with each key when `privateKey` is an array, returning the concatenated signatures
+  sign(type, value, privateKey) {
+    const digest = TypedDataEncoder.hash(this.domain, type, value);
+    const privateKeys = Array.isArray(privateKey) ? privateKey : [privateKey || this.defaultPrivateKey];
+    return getBytes(concat(privateKeys.map((key) => new SigningKey(key).sign(digest).serialized)));
+  }
 }
 
 module.exports = {RevocationUtil};
@@ -0,0 +1,25 @@
+const {concat, getBytes, toBeHex, zeroPadValue} = require('ethers');
+
+const SIGNATURE_LENGTH = 65;
+
+// Encodes a list of issuer signatures, each being either a 65 bytes ECDSA signature or a `{signer, signature}` ERC1271 signature of a
+// contract wallet issuer. An ERC1271 signature is encoded as a static part of `signer`, the offset of its dynamic part and a zero `v`,
+// its dynamic part being the 32 bytes length of `signature` followed by `signature`, after all the static parts.
+function encodeIssuerSignatures(signatures) {
+  const staticParts = [];
+  const dynamicParts = [];
+  let dynamicPartStart = signatures.length * SIGNATURE_LENGTH;
+  for (const signature of signatures) {
+    if (signature.signer === undefined) {
+      staticParts.push(getBytes(signature));
+    } else {
+      const data = getBytes(signature.signature);
+      staticParts.push(concat([zeroPadValue(signature.signer, 32), toBeHex(dynamicPartStart, 32), '0x00']));
+      dynamicParts.push(concat([toBeHex(data.length, 32), data]));
+      dynamicPartStart += 32 + data.length;
+    }
+  }
+  return getBytes(concat([...staticParts, ...dynamicParts]));
+}
+
+module.exports = {encodeIssuerSignatures};
@@ -0,0 +1,98 @@
+const {gzipSync, gunzipSync} = require('zlib');
+const {keccak256, toUtf8Bytes, MaxUint256, toBeHex} = require('ethers');
+const {RevocationUtil} = require('./revocation');
+
+// StatusList2021 recommends a minimum bitstring length of 16KB to preserve the privacy of the holders.
+const MINIMUM_STATUS_LIST_LENGTH = 131072;
+
+class StatusListUtil extends RevocationUtil {
+  constructor(defaultPrivateKey, contractAddress) {
+    super(defaultPrivateKey, contractAddress, 'StatusListRegistryV1');
+  }
+
+  // `nonce` defaults to the current on-chain nonce of the issuer Did and `expiry` to no expiry.
+  async makeUpdatePayloadAndSignature(issuerDid, vcIds, privateKey, {nonce, expiry = MaxUint256} = {}) {
+    const hashedDid = keccak256(toUtf8Bytes(issuerDid));
+    nonce = nonce ?? (await this.getNonce(hashedDid));
+    const {wordIndexes, masks} = toWordMasks(vcIds);
+    const value = {
+      hashedIssuerDid: hashedDid,
+      wordIndexes,
+      masks,
+      nonce,
+      expiry,
+    };
+    const type = {
+      updateStatusList: [
+        {name: 'hashedIssuerDid', type: 'bytes32'},
+        {name: 'wordIndexes', type: 'uint256[]'},
+        {name: 'masks', type: 'uint256[]'},
+        {name: 'nonce', type: 'uint256'},
+        {name: 'expiry', type: 'uint256'},
+      ],
+    };
+    return {
+      hashedDid,
+      wordIndexes,
+      masks,
+      nonce,
+      expiry,
+      signature: this.sign(type, value, privateKey),
+    };
+  }
+}
+
+// Groups VC IDs by status list word, the status of `vcId` being the bit `255 - vcId % 256` of the word `vcId / 256`.
+function toWordMasks(vcIds) {
+  const masksByWord = new Map();
+  for (const vcId of vcIds) {
+    const wordIndex = BigInt(vcId) >> 8n;
+    const mask = 1n << (255n - (BigInt(vcId) & 0xffn));
+    masksByWord.set(wordIndex, (masksByWord.get(wordIndex) ?? 0n) | mask);
+  }
+  return {wordIndexes: [...masksByWord.keys()], masks: [...masksByWord.values()]};
+}
+
+// Encodes the words returned by `statusListSegment()` as a StatusList2021 `encodedList`: the big-endian concatenation of the words,
+// zero-padded to `minimumLength` bits, gzip-compressed then base64-encoded. The status list index of a VC in the encoded list is
+// `vcId - fromWordIndex * 256`.
+function encodeStatusList(words, minimumLength = MINIMUM_STATUS_LIST_LENGTH) {
+  const bitstring = Buffer.alloc(Math.max(words.length * 32, Math.ceil(minimumLength / 8)));
+  words.forEach((word, i) => Buffer.from(toBeHex(word, 32).slice(2), 'hex').copy(bitstring, i * 32));
+  return gzipSync(bitstring).toString('base64');
+}
+
+function decodeStatusList(encodedList) {
+  return gunzipSync(Buffer.from(encodedList, 'base64'));
+}
+
+function isRevokedInStatusList(encodedList, statusListIndex) {
+  const bitstring = decodeStatusList(encodedList);
+  return (bitstring[Math.floor(statusListIndex / 8)] & (0x80 >> statusListIndex % 8)) !== 0;
+}
+
+// Builds an unsigned StatusList2021Credential for the status list segment `words` of `issuerDid`.
+function makeStatusListCredential(id, issuerDid, words, issuanceDate = new Date().toISOString()) {
+  return {
+    '@context': ['https://www.w3.org/2018/credentials/v1', 'https://w3id.org/vc/status-list/2021/v1'],
+    id,
+    type: ['VerifiableCredential', 'StatusList2021Credential'],
+    issuer: issuerDid,
+    issuanceDate,
+    credentialSubject: {
+      id: `${id}#list`,
+      type: 'StatusList2021',
+      statusPurpose: 'revocation',
+      encodedList: encodeStatusList(words),
+    },
+  };
+}
+
+module.exports = {
+  StatusListUtil,
+  toWordMasks,
+  encodeStatusList,
+  decodeStatusList,
+  isRevokedInStatusList,
+  makeStatusListCredential,
+};